@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for Web Push notifications (registered by src/utils/pushNotifications.js).
+// Payloads are built by services/pushService.js on the server: { type, title, body, url, tag }.
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const title = payload.title || 'Bill Reminder';
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || '',
+      icon: '/logo192.png',
+      badge: '/favicon.ico',
+      tag: payload.tag,
+      renotify: !!payload.tag,
+      // Keep overdue and due-today alerts on screen until the user acts on them
+      requireInteraction: payload.type === 'overdue' || payload.type === 'due_today',
+      data: { url: payload.url || '/notifications' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      // Reuse an open tab of the app if there is one
+      const client = windowClients.find(windowClient => new URL(windowClient.url).origin === new URL(url).origin);
+
+      if (client) {
+        return client.focus().then(focused => (focused.navigate ? focused.navigate(url) : focused));
+      }
+
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -11,7 +11,13 @@ import './App.css';
 // Import components
 import Navbar from './components/Navbar';
 import Home from './pages/Home';
+import Calendar from './pages/Calendar';
 import AddBill from './pages/AddBill';
+import ImportBills from './pages/ImportBills';
+import ReconcileStatement from './pages/ReconcileStatement';
+import ExportData from './pages/ExportData';
+import Analytics from './pages/Analytics';
+import Budgets from './pages/Budgets';
 import BillDetails from './pages/BillDetails';
 import EditBill from './pages/EditBill';
 import Notifications from './pages/Notifications';
@@ -22,6 +28,7 @@ import AuthCallback from './components/AuthCallback';
 
 // Import auth context
 import { AuthProvider } from './contexts/AuthContext';
+import { LiveUpdatesProvider } from './contexts/LiveUpdatesContext';
 
 const AppContainer = styled.div`
   display: flex;
@@ -47,32 +54,40 @@ function App() {
       }}
     >
       <AuthProvider>
-        <AppContainer>
-          <Navbar />
-          <ContentContainer>
-            <Routes>
-              {/* Public routes */}
-              <Route path="/login" element={<Login />} />
+        <LiveUpdatesProvider>
+          <AppContainer>
+            <Navbar />
+            <ContentContainer>
+              <Routes>
+                {/* Public routes */}
+                <Route path="/login" element={<Login />} />
               
-              {/* Protected routes */}
-              <Route element={<PrivateRoute />}>
-                <Route path="/" element={<Home />} />
-                <Route path="/add" element={<AddBill />} />
-                <Route path="/bill/:id" element={<BillDetails />} />
-                <Route path="/edit/:id" element={<EditBill />} />
-                <Route path="/notifications" element={<Notifications />} />
-                <Route path="/notification-settings" element={<NotificationSettings />} />
-              </Route>
+                {/* Protected routes */}
+                <Route element={<PrivateRoute />}>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/calendar" element={<Calendar />} />
+                  <Route path="/add" element={<AddBill />} />
+                  <Route path="/import" element={<ImportBills />} />
+                  <Route path="/reconcile" element={<ReconcileStatement />} />
+                  <Route path="/export" element={<ExportData />} />
+                  <Route path="/analytics" element={<Analytics />} />
+                  <Route path="/budgets" element={<Budgets />} />
+                  <Route path="/bill/:id" element={<BillDetails />} />
+                  <Route path="/edit/:id" element={<EditBill />} />
+                  <Route path="/notifications" element={<Notifications />} />
+                  <Route path="/notification-settings" element={<NotificationSettings />} />
+                </Route>
 
-              {/* Auth callback routes */}
-              <Route path="/auth/callback" element={<AuthCallback />} />
-              <Route path="/auth/callback/*" element={<AuthCallback />} />
+                {/* Auth callback routes */}
+                <Route path="/auth/callback" element={<AuthCallback />} />
+                <Route path="/auth/callback/*" element={<AuthCallback />} />
               
-              {/* 404 route */}
-              <Route path="*" element={<Navigate to="/" />} />
-            </Routes>
-          </ContentContainer>
-        </AppContainer>
+                {/* 404 route */}
+                <Route path="*" element={<Navigate to="/" />} />
+              </Routes>
+            </ContentContainer>
+          </AppContainer>
+        </LiveUpdatesProvider>
       </AuthProvider>
     </Router>
   );
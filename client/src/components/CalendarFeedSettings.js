@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { getCalendarFeed, rotateCalendarFeed } from '../utils/api';
+import { FormGroup, Label, Description, Input } from '../styles/NotificationSettingsStyles';
+
+const FeedActions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+  margin-top: 10px;
+`;
+
+const FeedButton = styled.button`
+  background-color: ${props => props.danger ? '#e74c3c' : '#3498db'};
+  color: white;
+  padding: 8px 15px;
+  border: none;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: ${props => props.danger ? '#c0392b' : '#2980b9'};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SubscribeLink = styled.a`
+  color: #3498db;
+  font-size: 0.9rem;
+`;
+
+const FeedStatus = styled.span`
+  color: ${props => props.error ? '#e74c3c' : '#7f8c8d'};
+  font-size: 0.9rem;
+`;
+
+/**
+ * Calendar feed URL for subscribing to bill due dates from Google Calendar,
+ * Apple Calendar or Outlook. Anyone with the URL can read the feed, so it can
+ * be replaced with a new one.
+ */
+const CalendarFeedSettings = () => {
+  const [feed, setFeed] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    getCalendarFeed()
+      .then(setFeed)
+      .catch(err => {
+        console.error('Error fetching calendar feed:', err);
+        setStatus({ error: true, message: 'Failed to load your calendar feed.' });
+      });
+  }, []);
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setStatus({ message: 'Feed URL copied.' });
+    } catch (err) {
+      setStatus({ error: true, message: 'Copy failed. Select the URL and copy it instead.' });
+    }
+  }, [feed]);
+
+  const handleRotate = useCallback(async () => {
+    if (!window.confirm('Calendars subscribed with the current URL will stop updating. Create a new feed URL?')) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setStatus(null);
+      setFeed(await rotateCalendarFeed());
+      setStatus({ message: 'New feed URL created. Subscribe your calendars again with it.' });
+    } catch (err) {
+      console.error('Error rotating calendar feed:', err);
+      setStatus({ error: true, message: 'Failed to create a new feed URL.' });
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  return (
+    <FormGroup>
+      <Label htmlFor="calendar_feed_url">Calendar Feed</Label>
+      <Description>
+        Subscribe to this URL in your calendar app to see bill due dates and reminders there.
+        Keep it private: anyone with the URL can see your bills.
+      </Description>
+
+      {feed && (
+        <>
+          <Input
+            id="calendar_feed_url"
+            type="text"
+            value={feed.url}
+            readOnly
+            onFocus={e => e.target.select()}
+          />
+          <FeedActions>
+            <FeedButton type="button" onClick={handleCopy}>Copy URL</FeedButton>
+            <SubscribeLink href={feed.webcalUrl}>Open in calendar app</SubscribeLink>
+            <FeedButton type="button" danger onClick={handleRotate} disabled={working}>
+              {working ? 'Creating...' : 'Create New URL'}
+            </FeedButton>
+          </FeedActions>
+        </>
+      )}
+      {status && <FeedStatus error={status.error}>{status.message}</FeedStatus>}
+    </FormGroup>
+  );
+};
+
+export default CalendarFeedSettings;
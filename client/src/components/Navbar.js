@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
 import { getNotifications } from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useLiveUpdates, applyNotificationEvent } from '../contexts/LiveUpdatesContext';
 import { supabaseUrl } from '../utils/supabase';
 
 const NavbarContainer = styled.nav`
@@ -117,7 +118,6 @@ const NotificationBadge = styled.span`
  * Navbar component with notification badge and user profile
  */
 const Navbar = () => {
-  const [unreadCount, setUnreadCount] = useState(0);
   const [notifications, setNotifications] = useState([]);
   const [loadingNotifications, setLoadingNotifications] = useState(false);
   const { currentUser, loading, logout } = useAuth();
@@ -133,10 +133,6 @@ const Navbar = () => {
       
       if (data && Array.isArray(data)) {
         setNotifications(data);
-        
-        // Update unread count
-        const unreadCount = data.filter(notification => !notification.read).length;
-        setUnreadCount(unreadCount);
       }
     } catch (err) {
       console.error('Error fetching notifications:', err);
@@ -146,24 +142,30 @@ const Navbar = () => {
     }
   }, [currentUser]);
   
-  // Set up notification fetching
+  const unreadCount = useMemo(
+    () => notifications.filter(notification => !notification.read).length,
+    [notifications]
+  );
+  
+  // Initial fetch; after that the badge follows live updates
   useEffect(() => {
     if (currentUser) {
-      // Initial fetch
       fetchNotifications();
-      
-      // Set up interval
-      const intervalId = setInterval(fetchNotifications, 60000); // Check every minute
-      
-      // Clean up interval
-      return () => clearInterval(intervalId);
     } else {
       // Reset notification state when user logs out
       setNotifications([]);
-      setUnreadCount(0);
     }
   }, [currentUser, fetchNotifications]);
   
+  useLiveUpdates('notification', (event) => {
+    setNotifications(prev => applyNotificationEvent(prev, event));
+  });
+  
+  // Catch up on anything missed while the live updates stream was down
+  useLiveUpdates('connected', ({ reconnected }) => {
+    if (reconnected) fetchNotifications();
+  });
+  
   const handleLogout = async (e) => {
     if (e) {
       e.preventDefault();
@@ -218,7 +220,12 @@ const Navbar = () => {
           {!loading && currentUser ? (
             <>
               <NavLink to="/">Home</NavLink>
+              <NavLink to="/calendar">Calendar</NavLink>
               <NavLink to="/add">Add Bill</NavLink>
+              <NavLink to="/import">Import</NavLink>
+              <NavLink to="/export">Export</NavLink>
+              <NavLink to="/analytics">Analytics</NavLink>
+              <NavLink to="/budgets">Budgets</NavLink>
               <NavLink to="/notification-settings">Settings</NavLink>
               <NotificationIcon to="/notifications">
                 <i className="fas fa-bell"></i>
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { getNotificationChannelTypes, sendTestChannelNotification } from '../utils/api';
+import {
+  FormGroup,
+  Label,
+  Input,
+  Select,
+  CheckboxContainer,
+  Checkbox,
+  CheckboxLabel,
+  Description
+} from '../styles/NotificationSettingsStyles';
+
+const ChannelItem = styled.div`
+  border: 1px solid #ecf0f1;
+  border-left: 4px solid ${props => props.enabled ? '#3498db' : '#bdc3c7'};
+  border-radius: 4px;
+  padding: 15px;
+  margin-bottom: 15px;
+`;
+
+const ChannelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 10px;
+`;
+
+const ChannelType = styled.span`
+  color: #7f8c8d;
+  font-size: 0.85rem;
+  text-transform: uppercase;
+`;
+
+const ChannelActions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+`;
+
+const ChannelButton = styled.button`
+  background-color: #2ecc71;
+  color: white;
+  padding: 8px 15px;
+  border: none;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #27ae60;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const RemoveChannelButton = styled(ChannelButton)`
+  background-color: #e74c3c;
+
+  &:hover:not(:disabled) {
+    background-color: #c0392b;
+  }
+`;
+
+const AddChannelRow = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+`;
+
+const TestResult = styled.span`
+  color: ${props => props.error ? '#e74c3c' : '#27ae60'};
+  font-size: 0.9rem;
+`;
+
+// Client-side ID so unsaved channels can be edited and tested
+const newChannelId = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`
+);
+
+/**
+ * Webhook, Slack, Telegram, ntfy and Gotify channels for the notification settings form.
+ * Channels are saved with the rest of the preferences; each one can be tested before saving.
+ */
+const NotificationChannels = ({ channels = [], onChange }) => {
+  const [channelTypes, setChannelTypes] = useState([]);
+  const [newType, setNewType] = useState('');
+  const [testStatus, setTestStatus] = useState({});
+
+  useEffect(() => {
+    const fetchChannelTypes = async () => {
+      try {
+        const types = await getNotificationChannelTypes();
+        setChannelTypes(types || []);
+        if (types && types.length > 0) setNewType(types[0].type);
+      } catch (err) {
+        console.error('Error fetching notification channel types:', err);
+      }
+    };
+
+    fetchChannelTypes();
+  }, []);
+
+  const getChannelType = useCallback((type) => channelTypes.find(channelType => channelType.type === type), [channelTypes]);
+
+  const updateChannel = useCallback((id, changes) => {
+    onChange(channels.map(channel => (channel.id === id ? { ...channel, ...changes } : channel)));
+  }, [channels, onChange]);
+
+  const handleConfigChange = useCallback((channel, name, value) => {
+    updateChannel(channel.id, { config: { ...channel.config, [name]: value } });
+  }, [updateChannel]);
+
+  const handleAdd = useCallback(() => {
+    const channelType = getChannelType(newType);
+    if (!channelType) return;
+
+    onChange([
+      ...channels,
+      { id: newChannelId(), type: channelType.type, name: channelType.label, enabled: true, config: {} }
+    ]);
+  }, [channels, newType, getChannelType, onChange]);
+
+  const handleRemove = useCallback((id) => {
+    onChange(channels.filter(channel => channel.id !== id));
+  }, [channels, onChange]);
+
+  const handleTest = useCallback(async (channel) => {
+    try {
+      setTestStatus(prev => ({ ...prev, [channel.id]: { sending: true } }));
+      await sendTestChannelNotification(channel);
+      setTestStatus(prev => ({ ...prev, [channel.id]: { message: 'Test message sent!' } }));
+    } catch (err) {
+      console.error('Error testing notification channel:', err);
+      setTestStatus(prev => ({
+        ...prev,
+        [channel.id]: { error: true, message: (err && (err.details || err.error)) || 'Failed to send test message.' }
+      }));
+    }
+  }, []);
+
+  return (
+    <FormGroup>
+      <Label>Other Channels</Label>
+      <Description>
+        Also send reminders to a webhook, Slack, Telegram, ntfy or Gotify. Remember to save your settings after adding a channel.
+      </Description>
+
+      {channels.map(channel => {
+        const channelType = getChannelType(channel.type);
+        const status = testStatus[channel.id] || {};
+
+        return (
+          <ChannelItem key={channel.id} enabled={channel.enabled !== false}>
+            <ChannelHeader>
+              <ChannelType>{channelType ? channelType.label : channel.type}</ChannelType>
+              <CheckboxContainer>
+                <Checkbox
+                  type="checkbox"
+                  id={`channel-enabled-${channel.id}`}
+                  checked={channel.enabled !== false}
+                  onChange={(e) => updateChannel(channel.id, { enabled: e.target.checked })}
+                />
+                <CheckboxLabel htmlFor={`channel-enabled-${channel.id}`}>Enabled</CheckboxLabel>
+              </CheckboxContainer>
+            </ChannelHeader>
+
+            <FormGroup>
+              <Label htmlFor={`channel-name-${channel.id}`}>Name</Label>
+              <Input
+                type="text"
+                id={`channel-name-${channel.id}`}
+                value={channel.name || ''}
+                onChange={(e) => updateChannel(channel.id, { name: e.target.value })}
+              />
+            </FormGroup>
+
+            {channelType && channelType.fields.map(field => (
+              <FormGroup key={field.name}>
+                <Label htmlFor={`channel-${field.name}-${channel.id}`}>
+                  {field.label}{field.required ? '' : ' (optional)'}
+                </Label>
+                <Input
+                  type={field.secret ? 'password' : field.type === 'url' ? 'url' : 'text'}
+                  id={`channel-${field.name}-${channel.id}`}
+                  value={(channel.config && channel.config[field.name]) || ''}
+                  onChange={(e) => handleConfigChange(channel, field.name, e.target.value)}
+                  placeholder={field.placeholder || ''}
+                  autoComplete="off"
+                />
+              </FormGroup>
+            ))}
+
+            <ChannelActions>
+              <ChannelButton type="button" onClick={() => handleTest(channel)} disabled={status.sending}>
+                {status.sending ? 'Sending...' : 'Send Test'}
+              </ChannelButton>
+              <RemoveChannelButton type="button" onClick={() => handleRemove(channel.id)}>
+                Remove
+              </RemoveChannelButton>
+              {status.message && <TestResult error={status.error}>{status.message}</TestResult>}
+            </ChannelActions>
+          </ChannelItem>
+        );
+      })}
+
+      {channelTypes.length > 0 && (
+        <AddChannelRow>
+          <Select value={newType} onChange={(e) => setNewType(e.target.value)} aria-label="Channel type">
+            {channelTypes.map(channelType => (
+              <option key={channelType.type} value={channelType.type}>{channelType.label}</option>
+            ))}
+          </Select>
+          <ChannelButton type="button" onClick={handleAdd}>Add Channel</ChannelButton>
+        </AddChannelRow>
+      )}
+    </FormGroup>
+  );
+};
+
+export default NotificationChannels;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { getBillPayments, addBillPayment, deleteBillPayment } from '../utils/api';
+
+const Section = styled.div`
+  margin-top: 30px;
+  border-top: 1px solid #ecf0f1;
+  padding-top: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.4rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const Summary = styled.div`
+  display: flex;
+  gap: 30px;
+  margin-bottom: 20px;
+
+  @media (max-width: 768px) {
+    flex-direction: column;
+    gap: 10px;
+  }
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SummaryLabel = styled.span`
+  color: #7f8c8d;
+  font-size: 0.9rem;
+`;
+
+const SummaryValue = styled.span`
+  color: #2c3e50;
+  font-size: 1.2rem;
+  font-weight: bold;
+`;
+
+const Timeline = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 20px 0;
+  border-left: 3px solid #3498db;
+`;
+
+const TimelineItem = styled.li`
+  position: relative;
+  padding: 0 0 15px 20px;
+
+  &::before {
+    content: '';
+    position: absolute;
+    left: -8px;
+    top: 4px;
+    width: 13px;
+    height: 13px;
+    border-radius: 50%;
+    background-color: #3498db;
+  }
+`;
+
+const TimelineHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const TimelineAmount = styled.span`
+  font-weight: bold;
+  color: #27ae60;
+`;
+
+const TimelineMeta = styled.div`
+  color: #7f8c8d;
+  font-size: 0.9rem;
+`;
+
+const RemoveButton = styled.button`
+  background: none;
+  border: none;
+  color: #e74c3c;
+  cursor: pointer;
+  font-size: 0.85rem;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const PaymentForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 10px;
+  align-items: end;
+`;
+
+const FieldGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const FieldLabel = styled.label`
+  font-weight: 500;
+  margin-bottom: 5px;
+  color: #2c3e50;
+  font-size: 0.9rem;
+`;
+
+const FieldInput = styled.input`
+  padding: 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 0.9rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3498db;
+  }
+`;
+
+const FieldSelect = styled.select`
+  padding: 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  background-color: white;
+`;
+
+const SubmitButton = styled.button`
+  background-color: #27ae60;
+  color: white;
+  padding: 9px 15px;
+  border: none;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #219653;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorText = styled.p`
+  color: #e74c3c;
+`;
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  check: 'Check',
+  credit_card: 'Credit Card',
+  debit_card: 'Debit Card',
+  bank_transfer: 'Bank Transfer',
+  autopay: 'Autopay',
+  other: 'Other'
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Payment timeline and form for recording payments against a bill
+ */
+const PaymentHistory = ({ bill, formatDate, formatCurrency, onBillUpdated }) => {
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({
+    amount: '',
+    payment_date: today(),
+    payment_method: 'bank_transfer',
+    confirmation_number: ''
+  });
+
+  const applyResult = useCallback((result) => {
+    setPayments(result.payments || []);
+    setSummary(result.summary || null);
+
+    if (result.bill && onBillUpdated) {
+      onBillUpdated(result.bill);
+    }
+  }, [onBillUpdated]);
+
+  const fetchPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await getBillPayments(bill.id);
+      setPayments(result.payments || []);
+      setSummary(result.summary || null);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching payments:', err);
+      setError('Failed to load payment history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [bill.id]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const result = await addBillPayment(bill.id, formData);
+      applyResult(result);
+
+      setFormData(prev => ({ ...prev, amount: '', confirmation_number: '' }));
+    } catch (err) {
+      console.error('Error recording payment:', err);
+      setError(err.details || err.error || 'Failed to record payment.');
+    } finally {
+      setSaving(false);
+    }
+  }, [bill.id, formData, applyResult]);
+
+  const handleDelete = useCallback(async (paymentId) => {
+    try {
+      setSaving(true);
+      const result = await deleteBillPayment(bill.id, paymentId);
+      applyResult(result);
+    } catch (err) {
+      console.error('Error deleting payment:', err);
+      setError('Failed to delete payment.');
+    } finally {
+      setSaving(false);
+    }
+  }, [bill.id, applyResult]);
+
+  return (
+    <Section>
+      <SectionTitle>Payment History</SectionTitle>
+
+      {summary && (
+        <Summary>
+          <SummaryItem>
+            <SummaryLabel>Paid</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.amount_paid)}</SummaryValue>
+          </SummaryItem>
+          <SummaryItem>
+            <SummaryLabel>Remaining</SummaryLabel>
+            <SummaryValue>{formatCurrency(summary.remaining_balance)}</SummaryValue>
+          </SummaryItem>
+        </Summary>
+      )}
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      {loading ? (
+        <p>Loading payments...</p>
+      ) : payments.length === 0 ? (
+        <p>No payments recorded yet.</p>
+      ) : (
+        <Timeline>
+          {payments.map(payment => (
+            <TimelineItem key={payment.id}>
+              <TimelineHeader>
+                <TimelineAmount>{formatCurrency(payment.amount)}</TimelineAmount>
+                <RemoveButton onClick={() => handleDelete(payment.id)} disabled={saving}>
+                  Remove
+                </RemoveButton>
+              </TimelineHeader>
+              <TimelineMeta>
+                {formatDate(payment.payment_date)}
+                {payment.payment_method && ` · ${PAYMENT_METHOD_LABELS[payment.payment_method] || payment.payment_method}`}
+                {payment.confirmation_number && ` · Confirmation #${payment.confirmation_number}`}
+              </TimelineMeta>
+            </TimelineItem>
+          ))}
+        </Timeline>
+      )}
+
+      {(!summary || summary.remaining_balance > 0) && (
+        <PaymentForm onSubmit={handleSubmit}>
+          <FieldGroup>
+            <FieldLabel htmlFor="payment-amount">Amount ($)</FieldLabel>
+            <FieldInput
+              type="number"
+              id="payment-amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0.01"
+              placeholder={summary ? summary.remaining_balance.toFixed(2) : ''}
+              required
+            />
+          </FieldGroup>
+          <FieldGroup>
+            <FieldLabel htmlFor="payment-date">Payment Date</FieldLabel>
+            <FieldInput
+              type="date"
+              id="payment-date"
+              name="payment_date"
+              value={formData.payment_date}
+              onChange={handleChange}
+              required
+            />
+          </FieldGroup>
+          <FieldGroup>
+            <FieldLabel htmlFor="payment-method">Method</FieldLabel>
+            <FieldSelect
+              id="payment-method"
+              name="payment_method"
+              value={formData.payment_method}
+              onChange={handleChange}
+            >
+              {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </FieldSelect>
+          </FieldGroup>
+          <FieldGroup>
+            <FieldLabel htmlFor="payment-confirmation">Confirmation #</FieldLabel>
+            <FieldInput
+              type="text"
+              id="payment-confirmation"
+              name="confirmation_number"
+              value={formData.confirmation_number}
+              onChange={handleChange}
+            />
+          </FieldGroup>
+          <SubmitButton type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Record Payment'}
+          </SubmitButton>
+        </PaymentForm>
+      )}
+    </Section>
+  );
+};
+
+export default PaymentHistory;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { sendTestPushNotification } from '../utils/api';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../utils/pushNotifications';
+import { FormGroup, Label, Description } from '../styles/NotificationSettingsStyles';
+
+const PushActions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+`;
+
+const PushButton = styled.button`
+  background-color: ${props => props.danger ? '#e74c3c' : '#3498db'};
+  color: white;
+  padding: 8px 15px;
+  border: none;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: ${props => props.danger ? '#c0392b' : '#2980b9'};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const PushStatus = styled.span`
+  color: ${props => props.error ? '#e74c3c' : '#7f8c8d'};
+  font-size: 0.9rem;
+`;
+
+/**
+ * Turn browser push notifications on or off for this browser.
+ * Push works per device; each browser the user enables receives reminders.
+ */
+const PushNotificationSettings = () => {
+  const [subscribed, setSubscribed] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [status, setStatus] = useState(null);
+  const supported = isPushSupported();
+
+  useEffect(() => {
+    if (!supported) return;
+
+    getPushSubscription()
+      .then(subscription => setSubscribed(!!subscription))
+      .catch(err => console.error('Error checking push subscription:', err));
+  }, [supported]);
+
+  const handleEnable = useCallback(async () => {
+    try {
+      setWorking(true);
+      setStatus(null);
+      await subscribeToPush();
+      setSubscribed(true);
+      setStatus({ message: 'Push notifications are on for this browser.' });
+    } catch (err) {
+      console.error('Error enabling push notifications:', err);
+      setStatus({ error: true, message: err.message || err.error || 'Failed to enable push notifications.' });
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  const handleDisable = useCallback(async () => {
+    try {
+      setWorking(true);
+      setStatus(null);
+      await unsubscribeFromPush();
+      setSubscribed(false);
+    } catch (err) {
+      console.error('Error disabling push notifications:', err);
+      setStatus({ error: true, message: 'Failed to turn off push notifications.' });
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  const handleTest = useCallback(async () => {
+    try {
+      setWorking(true);
+      setStatus(null);
+      const result = await sendTestPushNotification();
+      setStatus(result && result.success
+        ? { message: 'Test notification sent!' }
+        : { error: true, message: 'No browser received the test notification.' });
+    } catch (err) {
+      console.error('Error sending test push notification:', err);
+      setStatus({ error: true, message: (err && err.error) || 'Failed to send test notification.' });
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  return (
+    <FormGroup>
+      <Label>Browser Push Notifications</Label>
+      <Description>
+        Get due-today and overdue alerts from this browser even when the app is closed.
+      </Description>
+
+      {!supported ? (
+        <PushStatus>Push notifications are not supported in this browser.</PushStatus>
+      ) : (
+        <PushActions>
+          {subscribed ? (
+            <>
+              <PushButton type="button" onClick={handleTest} disabled={working}>Send Test</PushButton>
+              <PushButton type="button" danger onClick={handleDisable} disabled={working}>Turn Off for This Browser</PushButton>
+            </>
+          ) : (
+            <PushButton type="button" onClick={handleEnable} disabled={working}>
+              {working ? 'Enabling...' : 'Enable Push Notifications'}
+            </PushButton>
+          )}
+          {status && <PushStatus error={status.error}>{status.message}</PushStatus>}
+        </PushActions>
+      )}
+    </FormGroup>
+  );
+};
+
+export default PushNotificationSettings;
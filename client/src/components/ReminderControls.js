@@ -0,0 +1,181 @@
+import React, { useState, useCallback } from 'react';
+import styled from 'styled-components';
+import { snoozeBillReminders, acknowledgeBillReminders, resumeBillReminders } from '../utils/api';
+
+const Section = styled.div`
+  margin-top: 30px;
+  border-top: 1px solid #ecf0f1;
+  padding-top: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.4rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const StatusText = styled.p`
+  color: ${props => props.paused ? '#8e44ad' : '#7f8c8d'};
+  font-weight: ${props => props.paused ? '500' : 'normal'};
+  margin: 0 0 15px 0;
+`;
+
+const Controls = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+`;
+
+const ControlButton = styled.button`
+  background-color: #8e44ad;
+  color: white;
+  padding: 8px 15px;
+  border: none;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #7d3c98;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SecondaryControlButton = styled(ControlButton)`
+  background-color: #95a5a6;
+
+  &:hover:not(:disabled) {
+    background-color: #7f8c8d;
+  }
+`;
+
+const DateInput = styled.input`
+  padding: 7px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 0.9rem;
+`;
+
+const ErrorText = styled.p`
+  color: #e74c3c;
+`;
+
+// Local date as YYYY-MM-DD
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+/**
+ * Date the bill's reminders resume. Mirrors the server: a pause started
+ * before the due date ends on the due date at the latest.
+ */
+const getPauseEnd = (bill) => {
+  if (!bill.reminders_paused_until) return null;
+
+  const until = bill.reminders_paused_until.slice(0, 10);
+  const dueDate = bill.due_date ? bill.due_date.slice(0, 10) : null;
+  const pausedOn = bill.reminders_paused_on ? bill.reminders_paused_on.slice(0, 10) : null;
+
+  return dueDate && pausedOn && pausedOn < dueDate && dueDate < until ? dueDate : until;
+};
+
+/**
+ * Snooze, acknowledge and resume controls for a bill's reminders
+ */
+const ReminderControls = ({ bill, formatDate, onBillUpdated }) => {
+  const today = toDateInputValue(new Date());
+  const tomorrow = toDateInputValue(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+  const [snoozeUntil, setSnoozeUntil] = useState(tomorrow);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pauseEnd = getPauseEnd(bill);
+  const isPaused = pauseEnd !== null && today < pauseEnd;
+
+  const runAction = useCallback(async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const result = await action();
+
+      if (result && result.bill && onBillUpdated) {
+        onBillUpdated(result.bill);
+      }
+    } catch (err) {
+      console.error('Error updating reminders:', err);
+      setError(err.details || err.error || 'Failed to update reminders.');
+    } finally {
+      setSaving(false);
+    }
+  }, [onBillUpdated]);
+
+  const handleSnoozeDays = useCallback((days) => {
+    runAction(() => snoozeBillReminders(bill.id, { days }));
+  }, [bill.id, runAction]);
+
+  const handleSnoozeUntil = useCallback(() => {
+    runAction(() => snoozeBillReminders(bill.id, { until: snoozeUntil }));
+  }, [bill.id, snoozeUntil, runAction]);
+
+  const handleAcknowledge = useCallback(() => {
+    runAction(() => acknowledgeBillReminders(bill.id));
+  }, [bill.id, runAction]);
+
+  const handleResume = useCallback(() => {
+    runAction(() => resumeBillReminders(bill.id));
+  }, [bill.id, runAction]);
+
+  return (
+    <Section>
+      <SectionTitle>Reminders</SectionTitle>
+
+      {isPaused ? (
+        <StatusText paused>
+          {bill.reminders_pause_reason === 'acknowledged'
+            ? `Payment scheduled. Reminders are paused until ${formatDate(pauseEnd)}.`
+            : `Reminders are snoozed until ${formatDate(pauseEnd)}.`}
+        </StatusText>
+      ) : (
+        <StatusText>Reminders are active for this bill.</StatusText>
+      )}
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <Controls>
+        {isPaused ? (
+          <SecondaryControlButton onClick={handleResume} disabled={saving}>
+            Resume Reminders
+          </SecondaryControlButton>
+        ) : (
+          <>
+            <ControlButton onClick={handleAcknowledge} disabled={saving}>
+              I've Scheduled This Payment
+            </ControlButton>
+            <ControlButton onClick={() => handleSnoozeDays(3)} disabled={saving}>
+              Snooze 3 Days
+            </ControlButton>
+            <DateInput
+              type="date"
+              value={snoozeUntil}
+              min={tomorrow}
+              onChange={(e) => setSnoozeUntil(e.target.value)}
+              aria-label="Snooze until"
+            />
+            <SecondaryControlButton onClick={handleSnoozeUntil} disabled={saving || !snoozeUntil}>
+              Snooze Until Date
+            </SecondaryControlButton>
+          </>
+        )}
+      </Controls>
+    </Section>
+  );
+};
+
+export default ReminderControls;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { getBillReminders } from '../utils/api';
+import { useLiveUpdates } from '../contexts/LiveUpdatesContext';
+
+const Section = styled.div`
+  margin-top: 30px;
+  border-top: 1px solid #ecf0f1;
+  padding-top: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.4rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const LogList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+`;
+
+const LogItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 0;
+  border-bottom: 1px solid #ecf0f1;
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const LogText = styled.div`
+  color: #2c3e50;
+`;
+
+const LogMeta = styled.div`
+  color: #7f8c8d;
+  font-size: 0.9rem;
+`;
+
+const STATUS_COLORS = {
+  sent: '#27ae60',
+  queued: '#3498db',
+  skipped: '#95a5a6',
+  failed: '#e74c3c'
+};
+
+const StatusBadge = styled.span`
+  color: white;
+  background-color: ${props => STATUS_COLORS[props.status] || '#95a5a6'};
+  border-radius: 12px;
+  padding: 2px 10px;
+  font-size: 0.8rem;
+  white-space: nowrap;
+`;
+
+const STATUS_LABELS = {
+  sent: 'Sent',
+  queued: 'Queued',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+const CHANNEL_LABELS = {
+  in_app: 'In-app',
+  email: 'Email',
+  push: 'Browser push',
+  contact: 'Secondary contact'
+};
+
+const describeReminder = (delivery) => {
+  if (delivery.type === 'upcoming') {
+    return `${delivery.reminder_step}-day reminder`;
+  }
+  if (delivery.type === 'due_today') {
+    return 'Due today';
+  }
+  if (delivery.type === 'overdue') {
+    return `Overdue reminder ${delivery.reminder_step + 1}`;
+  }
+  return delivery.type;
+};
+
+const describeChannel = (delivery) => {
+  if (delivery.channel === 'contact' && delivery.channel_name) {
+    return `${CHANNEL_LABELS.contact} (${delivery.channel_name})`;
+  }
+  return CHANNEL_LABELS[delivery.channel] || delivery.channel_name || 'Other channel';
+};
+
+/**
+ * "Reminders sent" log for a bill: every reminder and the channel it went out on
+ */
+const ReminderLog = ({ bill, formatDate }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const result = await getBillReminders(bill.id);
+      setDeliveries(result || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching reminders:', err);
+      setError('Failed to load reminders.');
+    } finally {
+      setLoading(false);
+    }
+  }, [bill.id]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  // New in-app reminders for this bill mean the log has changed
+  useLiveUpdates('notification', ({ action, notification }) => {
+    if (action === 'created' && notification && notification.bill_id === bill.id) {
+      fetchDeliveries();
+    }
+  });
+
+  return (
+    <Section>
+      <SectionTitle>Reminders Sent</SectionTitle>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+
+      {loading ? (
+        <p>Loading reminders...</p>
+      ) : deliveries.length === 0 ? (
+        <p>No reminders have been sent for this bill yet.</p>
+      ) : (
+        <LogList>
+          {deliveries.map(delivery => (
+            <LogItem key={delivery.id}>
+              <div>
+                <LogText>
+                  {describeReminder(delivery)} · {describeChannel(delivery)}
+                </LogText>
+                <LogMeta>
+                  {formatDate(delivery.sent_at || delivery.created_at)}
+                  {` · for due date ${formatDate(delivery.due_date)}`}
+                  {delivery.status === 'failed' && delivery.error && ` · ${delivery.error}`}
+                </LogMeta>
+              </div>
+              <StatusBadge status={delivery.status}>{STATUS_LABELS[delivery.status] || delivery.status}</StatusBadge>
+            </LogItem>
+          ))}
+        </LogList>
+      )}
+    </Section>
+  );
+};
+
+export default ReminderLog;
@@ -0,0 +1,160 @@
+import React, { createContext, useContext, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { getEventStreamTicket, getEventStreamUrl, clearNotificationCache, clearBillsCache } from '../utils/api';
+
+// Reconnect delays after the stream drops (doubled on each failed attempt)
+const RECONNECT_BASE_DELAY = 2000;
+const RECONNECT_MAX_DELAY = 60000;
+
+const LiveUpdatesContext = createContext({
+  subscribe: () => () => {}
+});
+
+/**
+ * Apply a `notification` event to a list of notifications
+ * @param {Array} notifications - Current notifications
+ * @param {Object} event - { action: 'created' | 'read' | 'deleted', notification }
+ * @returns {Array} Updated notifications
+ */
+export const applyNotificationEvent = (notifications, { action, notification }) => {
+  if (!notification) return notifications;
+
+  switch (action) {
+    case 'created':
+      if (notifications.some(n => n.id === notification.id)) return notifications;
+      return [notification, ...notifications];
+    case 'read':
+      return notifications.map(n => (n.id === notification.id ? { ...n, read: true } : n));
+    case 'deleted':
+      return notifications.filter(n => n.id !== notification.id);
+    default:
+      return notifications;
+  }
+};
+
+/**
+ * Keeps one Server-Sent Events stream open while a user is logged in and
+ * passes its `notification` and `bill` events to subscribed components.
+ * A `connected` event ({ reconnected }) is also passed on after every connect,
+ * so pages can refetch anything they missed while the stream was down.
+ */
+export const LiveUpdatesProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser ? currentUser.id : null;
+  const listeners = useRef(new Map());
+
+  const subscribe = useCallback((eventName, handler) => {
+    if (!listeners.current.has(eventName)) {
+      listeners.current.set(eventName, new Set());
+    }
+    listeners.current.get(eventName).add(handler);
+
+    return () => listeners.current.get(eventName).delete(handler);
+  }, []);
+
+  useEffect(() => {
+    if (!userId || typeof window.EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let connectedBefore = false;
+    let stopped = false;
+
+    const dispatch = (eventName, data) => {
+      const handlers = listeners.current.get(eventName);
+      if (handlers) handlers.forEach(handler => handler(data));
+    };
+
+    const parseEvent = (message) => {
+      try {
+        return JSON.parse(message.data);
+      } catch (err) {
+        console.error('Invalid live update:', message.data);
+        return null;
+      }
+    };
+
+    const scheduleReconnect = () => {
+      if (stopped) return;
+      const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempts);
+      attempts += 1;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const connect = async () => {
+      try {
+        const { ticket } = await getEventStreamTicket();
+        if (stopped) return;
+
+        source = new EventSource(getEventStreamUrl(ticket));
+
+        source.addEventListener('connected', () => {
+          attempts = 0;
+          if (connectedBefore) {
+            // Anything cached may have changed while the stream was down
+            clearNotificationCache();
+            clearBillsCache();
+          }
+          dispatch('connected', { reconnected: connectedBefore });
+          connectedBefore = true;
+        });
+
+        source.addEventListener('notification', (message) => {
+          const data = parseEvent(message);
+          if (!data) return;
+          clearNotificationCache();
+          dispatch('notification', data);
+        });
+
+        source.addEventListener('bill', (message) => {
+          const data = parseEvent(message);
+          if (!data) return;
+          clearBillsCache(data.bill && data.bill.id);
+          dispatch('bill', data);
+        });
+
+        source.onerror = () => {
+          // The ticket in the stream URL is short-lived, so reconnect with a new
+          // one instead of letting EventSource retry the same URL
+          source.close();
+          source = null;
+          scheduleReconnect();
+        };
+      } catch (err) {
+        console.error('Error opening live updates stream:', err);
+        scheduleReconnect();
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+    };
+  }, [userId]);
+
+  return (
+    <LiveUpdatesContext.Provider value={{ subscribe }}>
+      {children}
+    </LiveUpdatesContext.Provider>
+  );
+};
+
+/**
+ * Call a handler for each live update of one kind
+ * @param {string} eventName - 'notification', 'bill' or 'connected'
+ * @param {Function} handler - Receives the event data
+ */
+export const useLiveUpdates = (eventName, handler) => {
+  const { subscribe } = useContext(LiveUpdatesContext);
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => subscribe(eventName, data => handlerRef.current(data)), [eventName, subscribe]);
+};
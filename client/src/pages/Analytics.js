@@ -0,0 +1,544 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import styled from 'styled-components';
+import { getAnalytics } from '../utils/api';
+import { useLiveUpdates } from '../contexts/LiveUpdatesContext';
+import { Container, Card, ErrorMessage } from '../styles/FormStyles';
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 20px;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const YearPicker = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+`;
+
+const YearLabel = styled.span`
+  font-size: 1.3rem;
+  font-weight: bold;
+  color: #2c3e50;
+  min-width: 60px;
+  text-align: center;
+`;
+
+const ToolbarButton = styled.button`
+  background-color: white;
+  color: #2c3e50;
+  padding: 6px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    border-color: #3498db;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SummaryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 15px;
+  margin-bottom: 20px;
+`;
+
+const SummaryCard = styled(Card)`
+  margin-bottom: 0;
+`;
+
+const SummaryLabel = styled.div`
+  color: #7f8c8d;
+  font-size: 0.9rem;
+  margin-bottom: 5px;
+`;
+
+const SummaryValue = styled.div`
+  font-size: 1.5rem;
+  font-weight: bold;
+  color: ${props => props.color || '#2c3e50'};
+`;
+
+const SummaryNote = styled.div`
+  color: ${props => props.color || '#7f8c8d'};
+  font-size: 0.85rem;
+  margin-top: 5px;
+`;
+
+const ChartGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(380px, 1fr));
+  gap: 20px;
+
+  @media (max-width: 480px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const Legend = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 15px;
+  margin-top: 10px;
+  font-size: 0.85rem;
+  color: #2c3e50;
+`;
+
+const LegendItem = styled.span`
+  display: flex;
+  align-items: center;
+  gap: 5px;
+
+  &::before {
+    content: '';
+    width: 12px;
+    height: 12px;
+    border-radius: 2px;
+    background-color: ${props => props.color};
+  }
+`;
+
+const BarRow = styled.div`
+  margin-bottom: 12px;
+`;
+
+const BarLabel = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: 10px;
+  font-size: 0.9rem;
+  color: #2c3e50;
+  margin-bottom: 4px;
+`;
+
+const BarName = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const BarValue = styled.span`
+  color: #7f8c8d;
+  white-space: nowrap;
+`;
+
+const BarTrack = styled.div`
+  height: 10px;
+  background-color: #ecf0f1;
+  border-radius: 5px;
+  overflow: hidden;
+`;
+
+const BarFill = styled.div`
+  height: 100%;
+  width: ${props => props.width}%;
+  background-color: ${props => props.color};
+  border-radius: 5px;
+`;
+
+const DonutLayout = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+`;
+
+const StatusList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  flex: 1;
+  min-width: 180px;
+`;
+
+const StatusItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  gap: 10px;
+  padding: 6px 0;
+  border-bottom: 1px solid #ecf0f1;
+  color: #2c3e50;
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th, td {
+    padding: 8px;
+    text-align: right;
+    border-bottom: 1px solid #ecf0f1;
+  }
+
+  th:first-child, td:first-child {
+    text-align: left;
+  }
+
+  th {
+    color: #7f8c8d;
+    font-weight: 500;
+  }
+`;
+
+const Change = styled.span`
+  color: ${props => props.value > 0 ? '#e74c3c' : props.value < 0 ? '#27ae60' : '#7f8c8d'};
+`;
+
+const EmptyState = styled.div`
+  text-align: center;
+  padding: 40px 20px;
+  color: #7f8c8d;
+`;
+
+const COLORS = {
+  billed: '#3498db',
+  paid: '#27ae60',
+  outstanding: '#e67e22',
+  previous: '#bdc3c7',
+  partial: '#f39c12',
+  unpaid: '#3498db',
+  overdue: '#e74c3c'
+};
+
+const CATEGORY_COLORS = ['#3498db', '#9b59b6', '#1abc9c', '#e67e22', '#e74c3c', '#34495e', '#f1c40f', '#2ecc71', '#95a5a6', '#d35400', '#16a085', '#8e44ad'];
+
+const STATUSES = [
+  { key: 'paid', label: 'Paid' },
+  { key: 'partial', label: 'Partially paid' },
+  { key: 'unpaid', label: 'Upcoming' },
+  { key: 'overdue', label: 'Past due' }
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 10, right: 10, bottom: 25, left: 55 };
+
+/**
+ * Monthly totals as a bar chart: this year's bills (paid part stacked under the
+ * outstanding part) next to last year's total for the same month
+ */
+const MonthlyChart = ({ monthly, locale, formatCurrency, formatCompact }) => {
+  const max = Math.max(...monthly.map(month => Math.max(month.billed, month.previousYear)), 1);
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const slot = plotWidth / monthly.length;
+  const barWidth = slot * 0.35;
+  const scale = value => (value / max) * plotHeight;
+  const monthLabel = month => new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' }).format(new Date(`${month}-01T00:00:00Z`));
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%" role="img" aria-label="Monthly totals">
+      {[0, 0.25, 0.5, 0.75, 1].map(step => {
+        const y = CHART_PADDING.top + plotHeight - step * plotHeight;
+        return (
+          <g key={step}>
+            <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y} y2={y} stroke="#ecf0f1" />
+            <text x={CHART_PADDING.left - 6} y={y + 4} fontSize="10" fill="#7f8c8d" textAnchor="end">
+              {formatCompact(max * step)}
+            </text>
+          </g>
+        );
+      })}
+      {monthly.map((month, i) => {
+        const x = CHART_PADDING.left + i * slot + (slot - barWidth * 2 - 2) / 2;
+        const bottom = CHART_PADDING.top + plotHeight;
+        const paidHeight = scale(Math.min(month.paid, month.billed));
+        const billedHeight = scale(month.billed);
+        const previousHeight = scale(month.previousYear);
+
+        return (
+          <g key={month.month}>
+            <title>
+              {`${monthLabel(month.month)}: ${formatCurrency(month.billed)} billed, ${formatCurrency(month.paid)} paid, ${formatCurrency(month.previousYear)} last year`}
+            </title>
+            <rect x={x} y={bottom - billedHeight} width={barWidth} height={billedHeight - paidHeight} fill={COLORS.outstanding} />
+            <rect x={x} y={bottom - paidHeight} width={barWidth} height={paidHeight} fill={COLORS.paid} />
+            <rect x={x + barWidth + 2} y={bottom - previousHeight} width={barWidth} height={previousHeight} fill={COLORS.previous} />
+            <text x={CHART_PADDING.left + i * slot + slot / 2} y={CHART_HEIGHT - 8} fontSize="10" fill="#7f8c8d" textAnchor="middle">
+              {monthLabel(month.month)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Horizontal bars, e.g. for categories or vendors
+ */
+const BarList = ({ items, colorFor, formatValue }) => {
+  const max = Math.max(...items.map(item => item.value), 1);
+
+  return items.map((item, i) => (
+    <BarRow key={item.label}>
+      <BarLabel>
+        <BarName title={item.label}>{item.label}</BarName>
+        <BarValue>{formatValue(item)}</BarValue>
+      </BarLabel>
+      <BarTrack>
+        <BarFill width={(item.value / max) * 100} color={colorFor(item, i)} />
+      </BarTrack>
+    </BarRow>
+  ));
+};
+
+/**
+ * Donut chart of amounts by payment status
+ */
+const StatusDonut = ({ statuses }) => {
+  const total = STATUSES.reduce((sum, { key }) => sum + statuses[key].billed, 0);
+  const radius = 60;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  return (
+    <svg viewBox="0 0 160 160" width="160" height="160" role="img" aria-label="Paid vs. unpaid">
+      <circle cx="80" cy="80" r={radius} fill="none" stroke="#ecf0f1" strokeWidth="24" />
+      {total > 0 && STATUSES.map(({ key }) => {
+        const length = (statuses[key].billed / total) * circumference;
+        const segment = (
+          <circle
+            key={key}
+            cx="80"
+            cy="80"
+            r={radius}
+            fill="none"
+            stroke={COLORS[key]}
+            strokeWidth="24"
+            strokeDasharray={`${length} ${circumference - length}`}
+            strokeDashoffset={-offset}
+            transform="rotate(-90 80 80)"
+          />
+        );
+        offset += length;
+        return segment;
+      })}
+      <text x="80" y="78" fontSize="20" fontWeight="bold" fill="#2c3e50" textAnchor="middle">
+        {total > 0 ? `${Math.round((statuses.paid.billed / total) * 100)}%` : '-'}
+      </text>
+      <text x="80" y="96" fontSize="11" fill="#7f8c8d" textAnchor="middle">paid</text>
+    </svg>
+  );
+};
+
+/**
+ * Analytics component - Spending by month, category and vendor for a year,
+ * paid vs. unpaid bills and the comparison with the year before
+ */
+const Analytics = () => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAnalytics(await getAnalytics(year));
+    } catch (err) {
+      console.error('Error fetching analytics:', err);
+      setError(err.details || err.error || 'Failed to load analytics. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  useLiveUpdates('bill', () => {
+    fetchAnalytics();
+  });
+
+  const formatters = useMemo(() => {
+    const locale = analytics ? analytics.locale : undefined;
+    const currency = analytics ? analytics.currency : 'USD';
+    const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    const compactFormat = new Intl.NumberFormat(locale, { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 });
+
+    return {
+      formatCurrency: amount => currencyFormat.format(amount),
+      formatCompact: amount => compactFormat.format(amount)
+    };
+  }, [analytics]);
+  const { formatCurrency, formatCompact } = formatters;
+
+  const formatChange = (change) => {
+    if (change.percent === null) return change.amount === 0 ? '-' : 'new';
+    return `${change.percent > 0 ? '+' : ''}${change.percent}%`;
+  };
+
+  return (
+    <Container>
+      <Header>
+        <Title>Analytics</Title>
+        <YearPicker>
+          <ToolbarButton onClick={() => setYear(y => y - 1)} disabled={loading} aria-label="Previous year">‹</ToolbarButton>
+          <YearLabel>{year}</YearLabel>
+          <ToolbarButton onClick={() => setYear(y => y + 1)} disabled={loading} aria-label="Next year">›</ToolbarButton>
+        </YearPicker>
+      </Header>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {loading && !analytics && <EmptyState>Loading analytics...</EmptyState>}
+
+      {analytics && (
+        <>
+          <SummaryGrid>
+            <SummaryCard>
+              <SummaryLabel>Total billed</SummaryLabel>
+              <SummaryValue>{formatCurrency(analytics.totals.billed)}</SummaryValue>
+              <SummaryNote>
+                {analytics.totals.count} bills, {formatCurrency(analytics.totals.average)} on average
+              </SummaryNote>
+            </SummaryCard>
+            <SummaryCard>
+              <SummaryLabel>Paid</SummaryLabel>
+              <SummaryValue color={COLORS.paid}>{formatCurrency(analytics.totals.paid)}</SummaryValue>
+            </SummaryCard>
+            <SummaryCard>
+              <SummaryLabel>Outstanding</SummaryLabel>
+              <SummaryValue color={analytics.totals.outstanding > 0 ? COLORS.outstanding : undefined}>
+                {formatCurrency(analytics.totals.outstanding)}
+              </SummaryValue>
+              {analytics.statuses.overdue.count > 0 && (
+                <SummaryNote color={COLORS.overdue}>
+                  {formatCurrency(analytics.statuses.overdue.outstanding)} past due
+                </SummaryNote>
+              )}
+            </SummaryCard>
+            <SummaryCard>
+              <SummaryLabel>Compared with {analytics.previousYear}</SummaryLabel>
+              <SummaryValue>
+                <Change value={analytics.yearOverYear.change.amount}>{formatChange(analytics.yearOverYear.change)}</Change>
+              </SummaryValue>
+              <SummaryNote>{formatCurrency(analytics.yearOverYear.previous.billed)} in {analytics.previousYear}</SummaryNote>
+            </SummaryCard>
+          </SummaryGrid>
+
+          {analytics.totals.count === 0 && analytics.yearOverYear.previous.count === 0 ? (
+            <Card>
+              <EmptyState>No bills are due in {analytics.year} or {analytics.previousYear}.</EmptyState>
+            </Card>
+          ) : (
+            <>
+              <Card>
+                <SectionTitle>Monthly Totals</SectionTitle>
+                <MonthlyChart
+                  monthly={analytics.monthly}
+                  locale={analytics.locale}
+                  formatCurrency={formatCurrency}
+                  formatCompact={formatCompact}
+                />
+                <Legend>
+                  <LegendItem color={COLORS.paid}>Paid</LegendItem>
+                  <LegendItem color={COLORS.outstanding}>Outstanding</LegendItem>
+                  <LegendItem color={COLORS.previous}>{analytics.previousYear}</LegendItem>
+                </Legend>
+              </Card>
+
+              <ChartGrid>
+                <Card>
+                  <SectionTitle>Categories</SectionTitle>
+                  {analytics.categories.length === 0 ? (
+                    <EmptyState>No bills in {analytics.year}.</EmptyState>
+                  ) : (
+                    <BarList
+                      items={analytics.categories.map(category => ({ ...category, label: category.category, value: category.billed }))}
+                      colorFor={(item, i) => CATEGORY_COLORS[i % CATEGORY_COLORS.length]}
+                      formatValue={item => `${formatCurrency(item.billed)} (${item.share}%)`}
+                    />
+                  )}
+                </Card>
+
+                <Card>
+                  <SectionTitle>Top Vendors</SectionTitle>
+                  {analytics.vendors.length === 0 ? (
+                    <EmptyState>No bills in {analytics.year}.</EmptyState>
+                  ) : (
+                    <BarList
+                      items={analytics.vendors.map(vendor => ({ ...vendor, label: vendor.vendor, value: vendor.billed }))}
+                      colorFor={() => COLORS.billed}
+                      formatValue={item => `${formatCurrency(item.billed)} · ${item.count} ${item.count === 1 ? 'bill' : 'bills'}`}
+                    />
+                  )}
+                </Card>
+
+                <Card>
+                  <SectionTitle>Paid vs. Unpaid</SectionTitle>
+                  <DonutLayout>
+                    <StatusDonut statuses={analytics.statuses} />
+                    <StatusList>
+                      {STATUSES.map(({ key, label }) => (
+                        <StatusItem key={key}>
+                          <LegendItem color={COLORS[key]}>{label} ({analytics.statuses[key].count})</LegendItem>
+                          <span>{formatCurrency(analytics.statuses[key].billed)}</span>
+                        </StatusItem>
+                      ))}
+                    </StatusList>
+                  </DonutLayout>
+                </Card>
+
+                <Card>
+                  <SectionTitle>Year over Year</SectionTitle>
+                  <Table>
+                    <thead>
+                      <tr>
+                        <th>Category</th>
+                        <th>{analytics.previousYear}</th>
+                        <th>{analytics.year}</th>
+                        <th>Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analytics.yearOverYear.categories.map(category => (
+                        <tr key={category.category}>
+                          <td>{category.category}</td>
+                          <td>{formatCurrency(category.previous)}</td>
+                          <td>{formatCurrency(category.current)}</td>
+                          <td><Change value={category.change.amount}>{formatChange(category.change)}</Change></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Card>
+              </ChartGrid>
+            </>
+          )}
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default Analytics;
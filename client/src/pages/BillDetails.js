@@ -1,7 +1,11 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import styled from 'styled-components';
-import { getBillById, deleteBill } from '../utils/api';
+import { getBillById, deleteBill, downloadBillSummary } from '../utils/api';
+import { isPastDue } from '../utils/billUtils';
+import PaymentHistory from '../components/PaymentHistory';
+import ReminderLog from '../components/ReminderLog';
+import ReminderControls from '../components/ReminderControls';
 
 // Image cache for preloaded images
 const imageCache = new Map();
@@ -78,6 +82,10 @@ const UpcomingStatusBadge = styled(StatusBadge)`
   background-color: #f39c12;
 `;
 
+const PartiallyPaidStatusBadge = styled(StatusBadge)`
+  background-color: #2980b9;
+`;
+
 const CategoryBadge = styled.span`
   display: inline-block;
   background-color: #f0f0f0;
@@ -271,6 +279,15 @@ const EditButton = styled(Link)`
   }
 `;
 
+const PdfButton = styled(Button)`
+  background-color: #27ae60;
+  color: white;
+  
+  &:hover:not(:disabled) {
+    background-color: #219653;
+  }
+`;
+
 const DeleteButton = styled(Button)`
   background-color: #e74c3c;
   color: white;
@@ -345,6 +362,7 @@ const BillDetails = () => {
   const [error, setError] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
   const [lastFetchTime, setLastFetchTime] = useState(0);
   
   useEffect(() => {
@@ -435,10 +453,22 @@ const BillDetails = () => {
     }
   };
   
-  const isPastDue = (dueDate) => {
-    return new Date(dueDate) < new Date();
+  const handleDownloadPdf = async () => {
+    try {
+      setDownloadingPdf(true);
+      await downloadBillSummary(id);
+    } catch (err) {
+      console.error('Error downloading bill summary:', err);
+      alert(err.details || err.error || 'Failed to download the PDF. Please try again.');
+    } finally {
+      setDownloadingPdf(false);
+    }
   };
   
+  const handleBillUpdated = useCallback((updatedBill) => {
+    setBill(prev => ({ ...prev, ...updatedBill }));
+  }, []);
+  
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
     return new Date(dateString).toLocaleDateString(undefined, options);
@@ -475,6 +505,8 @@ const BillDetails = () => {
               {bill.vendor}
               {bill.paid ? (
                 <PaidStatusBadge>Paid</PaidStatusBadge>
+              ) : bill.payment_status === 'partially_paid' ? (
+                <PartiallyPaidStatusBadge>Partially Paid</PartiallyPaidStatusBadge>
               ) : isPastDue(bill.due_date) ? (
                 <PastDueStatusBadge>Past Due</PastDueStatusBadge>
               ) : (
@@ -521,6 +553,17 @@ const BillDetails = () => {
                 <DetailValue>{formatDate(bill.recurring_end_date)}</DetailValue>
               </DetailRow>
             )}
+            
+            {bill.series_progress && (
+              <DetailRow>
+                <DetailLabel>Occurrence:</DetailLabel>
+                <DetailValue>
+                  {bill.series_progress.total
+                    ? `${bill.series_progress.occurrence} of ${bill.series_progress.total}`
+                    : `${bill.series_progress.occurrence} (no end date)`}
+                </DetailValue>
+              </DetailRow>
+            )}
           </>
         )}
         
@@ -551,8 +594,31 @@ const BillDetails = () => {
           </div>
         )}
         
+        {!bill.paid && (
+          <ReminderControls
+            bill={bill}
+            formatDate={formatDate}
+            onBillUpdated={handleBillUpdated}
+          />
+        )}
+        
+        <PaymentHistory
+          bill={bill}
+          formatDate={formatDate}
+          formatCurrency={formatCurrency}
+          onBillUpdated={handleBillUpdated}
+        />
+        
+        <ReminderLog
+          bill={bill}
+          formatDate={formatDate}
+        />
+        
         <ButtonGroup>
           <EditButton to={`/edit/${bill.id}`}>Edit Bill</EditButton>
+          <PdfButton onClick={handleDownloadPdf} disabled={downloadingPdf}>
+            {downloadingPdf ? 'Preparing...' : 'Download PDF'}
+          </PdfButton>
           <DeleteButton onClick={() => setShowDeleteModal(true)}>Delete Bill</DeleteButton>
         </ButtonGroup>
       </Card>
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import styled from 'styled-components';
+import { getBudgets, createBudget, updateBudget, deleteBudget } from '../utils/api';
+import { useLiveUpdates } from '../contexts/LiveUpdatesContext';
+import { Container, Card, FormGroup, Label, Input, Select, Button, SaveButton, CancelButton, ErrorMessage } from '../styles/FormStyles';
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 10px;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const Intro = styled.p`
+  color: #7f8c8d;
+  margin: 0 0 20px 0;
+`;
+
+const MonthPicker = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+`;
+
+const MonthLabel = styled.span`
+  font-size: 1.2rem;
+  font-weight: bold;
+  color: #2c3e50;
+  min-width: 150px;
+  text-align: center;
+`;
+
+const ToolbarButton = styled.button`
+  background-color: white;
+  color: #2c3e50;
+  padding: 6px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    border-color: #3498db;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const BudgetHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 10px;
+`;
+
+const Category = styled.h3`
+  font-size: 1.1rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const StatusBadge = styled.span`
+  font-size: 0.8rem;
+  font-weight: 500;
+  padding: 3px 8px;
+  border-radius: 12px;
+  margin-left: 10px;
+  color: white;
+  background-color: ${props => STATUS_COLORS[props.status]};
+`;
+
+const Figures = styled.div`
+  color: #2c3e50;
+`;
+
+const Progress = styled.div`
+  position: relative;
+  height: 14px;
+  background-color: #ecf0f1;
+  border-radius: 7px;
+  overflow: hidden;
+`;
+
+const ProgressFill = styled.div`
+  position: absolute;
+  top: 0;
+  left: 0;
+  bottom: 0;
+  width: ${props => props.width}%;
+  background-color: ${props => props.color};
+  opacity: ${props => props.faded ? 0.35 : 1};
+`;
+
+const ThresholdMarker = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  left: ${props => props.position}%;
+  width: 2px;
+  background-color: #2c3e50;
+  opacity: 0.5;
+`;
+
+const Details = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 5px 20px;
+  color: #7f8c8d;
+  font-size: 0.9rem;
+  margin-top: 8px;
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 15px;
+  margin-bottom: 15px;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+  margin-top: 10px;
+`;
+
+const SmallButton = styled(Button)`
+  padding: 6px 12px;
+  font-size: 0.9rem;
+  background-color: #ecf0f1;
+  color: #2c3e50;
+
+  &:hover:not(:disabled) {
+    background-color: #dfe6e9;
+  }
+`;
+
+const DeleteButton = styled(SmallButton)`
+  background-color: #e74c3c;
+  color: white;
+
+  &:hover:not(:disabled) {
+    background-color: #c0392b;
+  }
+`;
+
+const UnbudgetedRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  padding: 8px 0;
+  border-bottom: 1px solid #ecf0f1;
+  color: #2c3e50;
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const EmptyState = styled.div`
+  text-align: center;
+  padding: 30px 20px;
+  color: #7f8c8d;
+`;
+
+const STATUS_COLORS = {
+  ok: '#27ae60',
+  threshold: '#f39c12',
+  projected: '#e67e22',
+  exceeded: '#e74c3c'
+};
+
+const STATUS_LABELS = {
+  ok: 'On track',
+  threshold: 'Near limit',
+  projected: 'Projected over',
+  exceeded: 'Over budget'
+};
+
+const EMPTY_FORM = { category: '', amount: '', alert_threshold: '80' };
+
+/**
+ * Shift a YYYY-MM month by a number of months
+ */
+const shiftMonth = (month, offset) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Budget form fields, used for adding and editing a budget
+ */
+const BudgetFields = ({ idPrefix, values, onChange, categories }) => (
+  <FieldGrid>
+    {categories && (
+      <FormGroup>
+        <Label htmlFor={`${idPrefix}-category`}>Category</Label>
+        <Select id={`${idPrefix}-category`} name="category" value={values.category} onChange={onChange} required>
+          <option value="">Select a category</option>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </Select>
+      </FormGroup>
+    )}
+    <FormGroup>
+      <Label htmlFor={`${idPrefix}-amount`}>Monthly budget</Label>
+      <Input id={`${idPrefix}-amount`} type="number" name="amount" min="0.01" step="0.01" value={values.amount} onChange={onChange} required />
+    </FormGroup>
+    <FormGroup>
+      <Label htmlFor={`${idPrefix}-threshold`}>Alert at (% of budget)</Label>
+      <Input id={`${idPrefix}-threshold`} type="number" name="alert_threshold" min="1" max="100" step="1" value={values.alert_threshold} onChange={onChange} />
+    </FormGroup>
+  </FieldGrid>
+);
+
+/**
+ * Budgets component - Monthly budgets per category, with this month's
+ * spending and the recurring bills still to come compared to each budget
+ */
+const Budgets = () => {
+  const [month, setMonth] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [newBudget, setNewBudget] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSummary(await getBudgets(month));
+    } catch (err) {
+      console.error('Error fetching budgets:', err);
+      setError(err.details || err.error || 'Failed to load budgets. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fetchBudgets]);
+
+  useLiveUpdates('bill', () => {
+    fetchBudgets();
+  });
+
+  const formatCurrency = useMemo(() => {
+    const format = new Intl.NumberFormat(summary ? summary.locale : undefined, {
+      style: 'currency',
+      currency: summary ? summary.currency : 'USD'
+    });
+    return amount => format.format(amount);
+  }, [summary]);
+
+  const monthLabel = summary
+    ? new Intl.DateTimeFormat(summary.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(new Date(`${summary.month}-01T00:00:00Z`))
+    : '';
+
+  const availableCategories = summary
+    ? summary.categories.filter(category => !summary.budgets.some(budget => budget.category === category))
+    : [];
+
+  /**
+   * Save a change, then reload the budgets with their spending
+   */
+  const save = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await fetchBudgets();
+      return true;
+    } catch (err) {
+      console.error('Error saving budget:', err);
+      setError(err.details || err.error || 'Failed to save the budget. Please try again.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNewChange = (e) => {
+    const { name, value } = e.target;
+    setNewBudget(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditing(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await save(() => createBudget(newBudget))) {
+      setNewBudget(EMPTY_FORM);
+    }
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    const { id, amount, alert_threshold } = editing;
+    if (await save(() => updateBudget(id, { amount, alert_threshold }))) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (budget) => {
+    if (!window.confirm(`Delete the ${budget.category} budget?`)) return;
+    save(() => deleteBudget(budget.id));
+  };
+
+  return (
+    <Container>
+      <Header>
+        <Title>Budgets</Title>
+        {summary && (
+          <MonthPicker>
+            <ToolbarButton onClick={() => setMonth(shiftMonth(summary.month, -1))} disabled={loading} aria-label="Previous month">‹</ToolbarButton>
+            <MonthLabel>{monthLabel}</MonthLabel>
+            <ToolbarButton onClick={() => setMonth(shiftMonth(summary.month, 1))} disabled={loading} aria-label="Next month">›</ToolbarButton>
+          </MonthPicker>
+        )}
+      </Header>
+      <Intro>
+        Set a monthly budget for a category to compare it with the bills due each month. The faded part of a bar is
+        recurring bills still to come this month. You get a notification when a category reaches its alert level.
+      </Intro>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {loading && !summary && <EmptyState>Loading budgets...</EmptyState>}
+
+      {summary && (
+        <>
+          {summary.budgets.length === 0 && (
+            <Card>
+              <EmptyState>You have no budgets yet. Add one below.</EmptyState>
+            </Card>
+          )}
+
+          {summary.budgets.map(budget => (
+            <Card key={budget.id}>
+              <BudgetHeader>
+                <Category>
+                  {budget.category}
+                  <StatusBadge status={budget.status}>{STATUS_LABELS[budget.status]}</StatusBadge>
+                </Category>
+                <Figures>
+                  {formatCurrency(budget.spent)} of {formatCurrency(budget.amount)}
+                </Figures>
+              </BudgetHeader>
+
+              <Progress>
+                <ProgressFill width={Math.min(budget.projected_percent, 100)} color={STATUS_COLORS[budget.status]} faded />
+                <ProgressFill width={Math.min(budget.percent, 100)} color={STATUS_COLORS[budget.status]} />
+                <ThresholdMarker position={budget.alert_threshold} title={`Alert at ${budget.alert_threshold}%`} />
+              </Progress>
+
+              <Details>
+                <span>{budget.percent}% spent</span>
+                {budget.projected > budget.spent && <span>Projected: {formatCurrency(budget.projected)}</span>}
+                <span>Remaining: {formatCurrency(budget.remaining)}</span>
+                <span>{budget.bill_count} {budget.bill_count === 1 ? 'bill' : 'bills'}</span>
+                <span>Alert at {budget.alert_threshold}%</span>
+              </Details>
+
+              {editing && editing.id === budget.id ? (
+                <form onSubmit={handleUpdate} style={{ marginTop: '15px' }}>
+                  <BudgetFields idPrefix={`edit-${budget.id}`} values={editing} onChange={handleEditChange} />
+                  <ButtonRow>
+                    <SaveButton type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</SaveButton>
+                    <CancelButton type="button" onClick={() => setEditing(null)} disabled={saving}>Cancel</CancelButton>
+                  </ButtonRow>
+                </form>
+              ) : (
+                <ButtonRow>
+                  <SmallButton
+                    type="button"
+                    onClick={() => setEditing({ id: budget.id, amount: String(budget.amount), alert_threshold: String(budget.alert_threshold) })}
+                    disabled={saving}
+                  >
+                    Edit
+                  </SmallButton>
+                  <DeleteButton type="button" onClick={() => handleDelete(budget)} disabled={saving}>Delete</DeleteButton>
+                </ButtonRow>
+              )}
+            </Card>
+          ))}
+
+          {summary.unbudgeted.length > 0 && (
+            <Card>
+              <SectionTitle>Spending Without a Budget</SectionTitle>
+              {summary.unbudgeted.map(item => (
+                <UnbudgetedRow key={item.category}>
+                  <span>
+                    {item.category}: {formatCurrency(item.spent)}
+                    {item.projected > item.spent && ` (projected ${formatCurrency(item.projected)})`}
+                  </span>
+                  {availableCategories.includes(item.category) && (
+                    <SmallButton type="button" onClick={() => setNewBudget(prev => ({ ...prev, category: item.category }))}>
+                      Set a budget
+                    </SmallButton>
+                  )}
+                </UnbudgetedRow>
+              ))}
+            </Card>
+          )}
+
+          {availableCategories.length > 0 && (
+            <Card>
+              <SectionTitle>Add a Budget</SectionTitle>
+              <form onSubmit={handleCreate}>
+                <BudgetFields idPrefix="new" values={newBudget} onChange={handleNewChange} categories={availableCategories} />
+                <SaveButton type="submit" disabled={saving || !newBudget.category || !newBudget.amount}>
+                  {saving ? 'Saving...' : 'Add Budget'}
+                </SaveButton>
+              </form>
+            </Card>
+          )}
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,450 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { getAllBills, updateBill } from '../utils/api';
+import { useLiveUpdates } from '../contexts/LiveUpdatesContext';
+import { isPastDue, toDateKey, getProjectedOccurrences } from '../utils/billUtils';
+
+const CalendarContainer = styled.div`
+  padding: 20px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 20px;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  color: #2c3e50;
+`;
+
+const AddButton = styled(Link)`
+  background-color: #3498db;
+  color: white;
+  padding: 10px 20px;
+  border-radius: 5px;
+  text-decoration: none;
+  font-weight: bold;
+
+  &:hover {
+    background-color: #2980b9;
+  }
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 15px;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+const ToolbarButton = styled.button`
+  background-color: ${props => props.active ? '#3498db' : 'white'};
+  color: ${props => props.active ? 'white' : '#2c3e50'};
+  padding: 6px 12px;
+  border: 1px solid ${props => props.active ? '#3498db' : '#ddd'};
+  border-radius: 4px;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  &:hover {
+    border-color: #3498db;
+  }
+`;
+
+const PeriodTitle = styled.h2`
+  font-size: 1.4rem;
+  color: #2c3e50;
+  margin: 0;
+`;
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(7, minmax(0, 1fr));
+  background-color: white;
+  border-radius: 8px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+  overflow: hidden;
+`;
+
+const WeekdayHeader = styled.div`
+  padding: 8px;
+  text-align: center;
+  font-weight: 500;
+  color: #7f8c8d;
+  border-bottom: 1px solid #ecf0f1;
+`;
+
+const DayCell = styled.div`
+  min-height: ${props => props.tall ? '300px' : '110px'};
+  padding: 6px;
+  border-right: 1px solid #ecf0f1;
+  border-bottom: 1px solid #ecf0f1;
+  background-color: ${props => props.dropTarget ? '#eaf4fc' : props.outside ? '#fafafa' : 'white'};
+
+  &:nth-child(7n) {
+    border-right: none;
+  }
+`;
+
+const DayNumber = styled.div`
+  font-size: 0.85rem;
+  font-weight: ${props => props.today ? 'bold' : 'normal'};
+  color: ${props => props.today ? '#3498db' : props.outside ? '#bdc3c7' : '#2c3e50'};
+  margin-bottom: 4px;
+`;
+
+const STATUS_COLORS = {
+  paid: '#27ae60',
+  overdue: '#e74c3c',
+  upcoming: '#3498db'
+};
+
+const BillChip = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: 4px;
+  margin-bottom: 4px;
+  padding: 3px 6px;
+  border-radius: 4px;
+  font-size: 0.8rem;
+  color: ${props => props.projected ? STATUS_COLORS[props.status] : 'white'};
+  background-color: ${props => props.projected ? 'white' : STATUS_COLORS[props.status]};
+  border: 1px ${props => props.projected ? 'dashed' : 'solid'} ${props => STATUS_COLORS[props.status]};
+  cursor: ${props => props.projected ? 'default' : 'grab'};
+  opacity: ${props => props.dragging ? 0.5 : 1};
+
+  span {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+`;
+
+const Legend = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 15px;
+  margin-top: 15px;
+  color: #7f8c8d;
+  font-size: 0.9rem;
+`;
+
+const LegendItem = styled.span`
+  &::before {
+    content: '';
+    display: inline-block;
+    width: 10px;
+    height: 10px;
+    margin-right: 5px;
+    border-radius: 2px;
+    background-color: ${props => props.projected ? 'white' : STATUS_COLORS[props.status]};
+    border: 1px ${props => props.projected ? 'dashed' : 'solid'} ${props => STATUS_COLORS[props.status]};
+  }
+`;
+
+const ErrorText = styled.p`
+  color: #e74c3c;
+`;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the status a bill is shown with
+ */
+const getBillStatus = (bill) => {
+  if (bill.paid) return 'paid';
+  return isPastDue(bill.due_date) ? 'overdue' : 'upcoming';
+};
+
+/**
+ * Get the days shown for a month or week containing a date
+ * @param {Date} date - Any day in the period
+ * @param {string} view - 'month' or 'week'
+ * @returns {Array<Date>} Days from the Sunday before the period to the Saturday after it
+ */
+const getVisibleDays = (date, view) => {
+  const first = view === 'month'
+    ? new Date(date.getFullYear(), date.getMonth(), 1)
+    : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() - first.getDay());
+
+  let count = 7;
+  if (view === 'month') {
+    const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    count = Math.ceil((first.getDay() + last.getDate()) / 7) * 7;
+  }
+
+  return Array.from({ length: count }, (_, i) => (
+    new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)
+  ));
+};
+
+/**
+ * Calendar component - Month and week views of bills by due date
+ */
+const Calendar = () => {
+  const navigate = useNavigate();
+  const [bills, setBills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('month');
+  const [currentDate, setCurrentDate] = useState(() => new Date());
+  const [draggedBillId, setDraggedBillId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Use ref to keep track of if component is mounted
+  const isMounted = useRef(true);
+
+  /**
+   * Fetch all bills from the API
+   */
+  const fetchBills = useCallback(async (forceRefresh = false) => {
+    try {
+      const data = await getAllBills(forceRefresh);
+
+      if (isMounted.current) {
+        setBills(data || []);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error fetching bills:', err);
+      if (isMounted.current) {
+        setError('Failed to fetch bills. Please try again later.');
+      }
+    } finally {
+      if (isMounted.current) setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    isMounted.current = true;
+    fetchBills();
+
+    return () => {
+      isMounted.current = false;
+    };
+  }, [fetchBills]);
+
+  // Bills created by the scheduler or paid elsewhere change the projections too
+  useLiveUpdates('bill', () => {
+    fetchBills(true);
+  });
+
+  useLiveUpdates('connected', ({ reconnected }) => {
+    if (reconnected) fetchBills(true);
+  });
+
+  const days = useMemo(() => getVisibleDays(currentDate, view), [currentDate, view]);
+
+  /**
+   * Bills and projected recurring instances grouped by due date for the visible days
+   */
+  const entriesByDay = useMemo(() => {
+    const firstDay = toDateKey(days[0]);
+    const lastDay = toDateKey(days[days.length - 1]);
+    const entries = {};
+
+    const addEntry = (dueDate, entry) => {
+      if (dueDate < firstDay || dueDate > lastDay) return;
+      (entries[dueDate] = entries[dueDate] || []).push(entry);
+    };
+
+    bills.forEach(bill => {
+      if (!bill.due_date) return;
+
+      addEntry(toDateKey(bill.due_date), { key: bill.id, bill, status: getBillStatus(bill) });
+
+      getProjectedOccurrences(bill, lastDay).forEach(projection => {
+        addEntry(projection.due_date, {
+          key: `${bill.id}-${projection.occurrence_number}`,
+          bill,
+          status: 'upcoming',
+          projected: true
+        });
+      });
+    });
+
+    return entries;
+  }, [bills, days]);
+
+  /**
+   * Move to the previous or next month/week, or back to today
+   */
+  const changePeriod = useCallback((direction) => {
+    setCurrentDate(prev => {
+      if (direction === 0) return new Date();
+      if (view === 'month') return new Date(prev.getFullYear(), prev.getMonth() + direction, 1);
+      return new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + 7 * direction);
+    });
+  }, [view]);
+
+  /**
+   * Reschedule a bill to the day it was dropped on
+   */
+  const rescheduleBill = useCallback(async (billId, dueDate) => {
+    const bill = bills.find(b => b.id === billId);
+    if (!bill || toDateKey(bill.due_date) === dueDate) return;
+
+    // Optimistically move the bill
+    setBills(prev => prev.map(b => (b.id === billId ? { ...b, due_date: dueDate } : b)));
+
+    try {
+      await updateBill(billId, {
+        vendor: bill.vendor,
+        amount: bill.amount,
+        dueDate,
+        billDate: bill.bill_date,
+        items: bill.items,
+        notes: bill.notes,
+        category: bill.category,
+        isRecurring: bill.is_recurring,
+        recurringFrequency: bill.recurring_frequency,
+        recurringEndDate: bill.recurring_end_date,
+        paid: bill.paid
+      });
+      setError(null);
+    } catch (err) {
+      console.error('Error rescheduling bill:', err);
+      setError(`Failed to reschedule ${bill.vendor}. Please try again.`);
+      // Revert the optimistic update
+      fetchBills(true);
+    }
+  }, [bills, fetchBills]);
+
+  const handleDragStart = useCallback((e, billId) => {
+    e.dataTransfer.setData('text/plain', billId);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedBillId(billId);
+  }, []);
+
+  const handleDragEnd = useCallback(() => {
+    setDraggedBillId(null);
+    setDropTarget(null);
+  }, []);
+
+  const handleDragOver = useCallback((e, dayKey) => {
+    if (!draggedBillId) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(dayKey);
+  }, [draggedBillId]);
+
+  const handleDrop = useCallback((e, dayKey) => {
+    e.preventDefault();
+    const billId = e.dataTransfer.getData('text/plain') || draggedBillId;
+
+    setDraggedBillId(null);
+    setDropTarget(null);
+    if (billId) rescheduleBill(billId, dayKey);
+  }, [draggedBillId, rescheduleBill]);
+
+  /**
+   * Format a number as currency
+   */
+  const formatCurrency = useCallback((amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  }, []);
+
+  const periodTitle = view === 'month'
+    ? currentDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const todayKey = toDateKey(new Date());
+
+  if (loading && bills.length === 0) {
+    return <CalendarContainer><p>Loading bills...</p></CalendarContainer>;
+  }
+
+  return (
+    <CalendarContainer>
+      <Header>
+        <Title>Bill Calendar</Title>
+        <AddButton to="/add">Add New Bill</AddButton>
+      </Header>
+
+      <Toolbar>
+        <ButtonRow>
+          <ToolbarButton type="button" onClick={() => changePeriod(-1)}>‹ Prev</ToolbarButton>
+          <ToolbarButton type="button" onClick={() => changePeriod(0)}>Today</ToolbarButton>
+          <ToolbarButton type="button" onClick={() => changePeriod(1)}>Next ›</ToolbarButton>
+        </ButtonRow>
+        <PeriodTitle>{periodTitle}</PeriodTitle>
+        <ButtonRow>
+          <ToolbarButton type="button" active={view === 'month'} onClick={() => setView('month')}>Month</ToolbarButton>
+          <ToolbarButton type="button" active={view === 'week'} onClick={() => setView('week')}>Week</ToolbarButton>
+        </ButtonRow>
+      </Toolbar>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <Grid>
+        {WEEKDAYS.map(weekday => (
+          <WeekdayHeader key={weekday}>{weekday}</WeekdayHeader>
+        ))}
+
+        {days.map(day => {
+          const dayKey = toDateKey(day);
+          const outside = view === 'month' && day.getMonth() !== currentDate.getMonth();
+
+          return (
+            <DayCell
+              key={dayKey}
+              tall={view === 'week'}
+              outside={outside}
+              dropTarget={dropTarget === dayKey}
+              onDragOver={e => handleDragOver(e, dayKey)}
+              onDragLeave={() => setDropTarget(prev => (prev === dayKey ? null : prev))}
+              onDrop={e => handleDrop(e, dayKey)}
+            >
+              <DayNumber today={dayKey === todayKey} outside={outside}>{day.getDate()}</DayNumber>
+
+              {(entriesByDay[dayKey] || []).map(entry => (
+                <BillChip
+                  key={entry.key}
+                  status={entry.status}
+                  projected={entry.projected}
+                  dragging={!entry.projected && draggedBillId === entry.bill.id}
+                  draggable={!entry.projected}
+                  onDragStart={entry.projected ? undefined : e => handleDragStart(e, entry.bill.id)}
+                  onDragEnd={handleDragEnd}
+                  onClick={() => navigate(`/bill/${entry.bill.id}`)}
+                  title={entry.projected
+                    ? `${entry.bill.vendor} (projected, not created yet)`
+                    : `${entry.bill.vendor} – drag to another day to reschedule`}
+                >
+                  <span>{entry.bill.vendor}</span>
+                  <span>{formatCurrency(entry.bill.amount)}</span>
+                </BillChip>
+              ))}
+            </DayCell>
+          );
+        })}
+      </Grid>
+
+      <Legend>
+        <LegendItem status="upcoming">Upcoming</LegendItem>
+        <LegendItem status="overdue">Overdue</LegendItem>
+        <LegendItem status="paid">Paid</LegendItem>
+        <LegendItem status="upcoming" projected>Projected recurring bill</LegendItem>
+      </Legend>
+    </CalendarContainer>
+  );
+};
+
+export default Calendar;
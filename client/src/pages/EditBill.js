@@ -328,7 +328,13 @@ const EditBill = () => {
     category: 'Uncategorized',
     isRecurring: false,
     recurringFrequency: 'monthly',
-    recurringEndDate: ''
+    recurringEndDate: '',
+    customReminders: false,
+    reminderOffsets: '',
+    customOverdueReminders: false,
+    overdueReminderDays: '',
+    overdueRepeatDays: '',
+    secondaryContactAfterDays: ''
   });
   
   const [loading, setLoading] = useState(true);
@@ -379,7 +385,14 @@ const EditBill = () => {
           category: bill.category || 'Uncategorized',
           isRecurring: bill.is_recurring || false,
           recurringFrequency: bill.recurring_frequency || 'monthly',
-          recurringEndDate: formatDateForInput(bill.recurring_end_date) || ''
+          recurringEndDate: formatDateForInput(bill.recurring_end_date) || '',
+          customReminders: Array.isArray(bill.reminder_offsets) && bill.reminder_offsets.length > 0,
+          reminderOffsets: (bill.reminder_offsets || []).join(', '),
+          customOverdueReminders: (Array.isArray(bill.overdue_reminder_days) && bill.overdue_reminder_days.length > 0) ||
+            bill.overdue_repeat_days != null || bill.secondary_contact_after_days != null,
+          overdueReminderDays: (bill.overdue_reminder_days || []).join(', '),
+          overdueRepeatDays: bill.overdue_repeat_days ?? '',
+          secondaryContactAfterDays: bill.secondary_contact_after_days ?? ''
         });
         setLastFetchTime(now); // Update the lastFetchTime
       }
@@ -411,7 +424,14 @@ const EditBill = () => {
     try {
       setSaving(true);
       
-      await updateBill(id, formData);
+      // Unchecked overrides are cleared so the bill follows the notification settings again
+      await updateBill(id, {
+        ...formData,
+        reminderOffsets: formData.customReminders ? formData.reminderOffsets : '',
+        overdueReminderDays: formData.customOverdueReminders ? formData.overdueReminderDays : '',
+        overdueRepeatDays: formData.customOverdueReminders ? formData.overdueRepeatDays : '',
+        secondaryContactAfterDays: formData.customOverdueReminders ? formData.secondaryContactAfterDays : ''
+      });
       
       // Redirect to bill details page after successful save
       navigate(`/bill/${id}`);
@@ -598,6 +618,91 @@ const EditBill = () => {
             </>
           )}
           
+          <FormGroup>
+            <Checkbox>
+              <CheckboxInput
+                type="checkbox"
+                id="customReminders"
+                name="customReminders"
+                checked={formData.customReminders}
+                onChange={handleInputChange}
+              />
+              <CheckboxLabel htmlFor="customReminders">Use custom reminders for this bill</CheckboxLabel>
+            </Checkbox>
+          </FormGroup>
+          
+          {formData.customReminders && (
+            <FormGroup>
+              <Label htmlFor="reminderOffsets">Remind Me (Days Before Due Date)</Label>
+              <Input
+                type="text"
+                id="reminderOffsets"
+                name="reminderOffsets"
+                value={formData.reminderOffsets}
+                onChange={handleInputChange}
+                placeholder="14, 7, 3, 1"
+                required={formData.customReminders}
+              />
+              <small>Overrides the reminders in your notification settings for this bill</small>
+            </FormGroup>
+          )}
+          
+          <FormGroup>
+            <Checkbox>
+              <CheckboxInput
+                type="checkbox"
+                id="customOverdueReminders"
+                name="customOverdueReminders"
+                checked={formData.customOverdueReminders}
+                onChange={handleInputChange}
+              />
+              <CheckboxLabel htmlFor="customOverdueReminders">Use custom overdue reminders for this bill</CheckboxLabel>
+            </Checkbox>
+          </FormGroup>
+          
+          {formData.customOverdueReminders && (
+            <>
+              <FormGroup>
+                <Label htmlFor="overdueReminderDays">Remind Me (Days After Due Date)</Label>
+                <Input
+                  type="text"
+                  id="overdueReminderDays"
+                  name="overdueReminderDays"
+                  value={formData.overdueReminderDays}
+                  onChange={handleInputChange}
+                  placeholder="1, 3, 7"
+                />
+              </FormGroup>
+              
+              <FormGroup>
+                <Label htmlFor="overdueRepeatDays">Then Repeat Every (Days)</Label>
+                <Input
+                  type="number"
+                  id="overdueRepeatDays"
+                  name="overdueRepeatDays"
+                  min="0"
+                  max="90"
+                  value={formData.overdueRepeatDays}
+                  onChange={handleInputChange}
+                />
+              </FormGroup>
+              
+              <FormGroup>
+                <Label htmlFor="secondaryContactAfterDays">Notify Secondary Contact After (Days Overdue)</Label>
+                <Input
+                  type="number"
+                  id="secondaryContactAfterDays"
+                  name="secondaryContactAfterDays"
+                  min="0"
+                  max="365"
+                  value={formData.secondaryContactAfterDays}
+                  onChange={handleInputChange}
+                />
+                <small>Leave a field blank to use your notification settings; 0 turns repeats or the secondary contact off for this bill</small>
+              </FormGroup>
+            </>
+          )}
+          
           {(formData.imagePath || formData.supabaseImagePath) && (
             <FormGroup>
               <Label>Bill Image</Label>
@@ -0,0 +1,273 @@
+import React, { useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { exportBills, downloadAccountArchive, importAccountArchive, downloadBillReport } from '../utils/api';
+import { Container, Title, Card, FormGroup, Label, Input, Select, Button, SaveButton, ErrorMessage } from '../styles/FormStyles';
+
+const Intro = styled.p`
+  color: #7f8c8d;
+  margin-top: -10px;
+  margin-bottom: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 10px 0;
+`;
+
+const Description = styled.p`
+  color: #7f8c8d;
+  margin: 0 0 15px 0;
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 15px;
+  margin-bottom: 15px;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: center;
+`;
+
+const SecondaryButton = styled(Button)`
+  background-color: #3498db;
+  color: white;
+
+  &:hover:not(:disabled) {
+    background-color: #2980b9;
+  }
+`;
+
+const Warning = styled.div`
+  color: #e67e22;
+`;
+
+const SuccessMessage = styled.div`
+  color: #27ae60;
+  background-color: #d5f5e3;
+  padding: 10px;
+  border-radius: 4px;
+  margin-bottom: 15px;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  color: #2c3e50;
+  margin-bottom: 15px;
+`;
+
+const CATEGORIES = [
+  'Uncategorized',
+  'Utilities',
+  'Subscriptions',
+  'Housing',
+  'Food',
+  'Transportation',
+  'Healthcare',
+  'Insurance',
+  'Entertainment',
+  'Education',
+  'Shopping',
+  'Other'
+];
+
+/**
+ * ExportData component - Download bills as CSV or JSON, print a PDF statement,
+ * and download or restore an archive of the whole account
+ */
+const ExportData = () => {
+  const [filters, setFilters] = useState({ from: '', to: '', category: '', status: 'all' });
+  const [report, setReport] = useState({ from: '', to: '', thumbnails: false });
+  const [archiveFile, setArchiveFile] = useState(null);
+  // Changed to clear the file input after an import
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [importResult, setImportResult] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFilterChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  /**
+   * Run a download or import, showing which one is in progress
+   */
+  const run = useCallback(async (task, action, fallbackMessage) => {
+    try {
+      setWorking(task);
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error(`Error during ${task}:`, err);
+      setError(err.details || err.error || fallbackMessage);
+    } finally {
+      setWorking(null);
+    }
+  }, []);
+
+  const handleExport = useCallback((format) => {
+    run(format, () => exportBills(format, filters), 'Failed to export bills.');
+  }, [filters, run]);
+
+  const handleReportChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setReport(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }, []);
+
+  const handleDownloadReport = useCallback(() => {
+    run('report', () => downloadBillReport(report), 'Failed to create the statement.');
+  }, [report, run]);
+
+  const handleDownloadArchive = useCallback(() => {
+    run('archive', downloadAccountArchive, 'Failed to create the archive.');
+  }, [run]);
+
+  const handleImportArchive = useCallback(() => {
+    if (!window.confirm('Import this archive? Its bills, payments and notifications are added to your account and its notification settings replace your current ones.')) {
+      return;
+    }
+
+    run('import', async () => {
+      setImportResult(null);
+      setImportResult(await importAccountArchive(archiveFile));
+      setArchiveFile(null);
+      setFileInputKey(key => key + 1);
+    }, 'Failed to import the archive.');
+  }, [archiveFile, run]);
+
+  return (
+    <Container>
+      <Title>Export Data</Title>
+      <Intro>
+        Download your bills for a spreadsheet or another app, or keep a full backup of your account.
+        To bring bills in from a spreadsheet, use <Link to="/import">Import</Link>.
+      </Intro>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      <Card>
+        <SectionTitle>Bills</SectionTitle>
+        <Description>
+          CSV files open in any spreadsheet and can be imported again; JSON files also include each bill's payments.
+        </Description>
+        <FieldGrid>
+          <FormGroup>
+            <Label htmlFor="export-from">Due from</Label>
+            <Input id="export-from" type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="export-to">Due until</Label>
+            <Input id="export-to" type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="export-category">Category</Label>
+            <Select id="export-category" name="category" value={filters.category} onChange={handleFilterChange}>
+              <option value="">All Categories</option>
+              {CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </Select>
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="export-status">Status</Label>
+            <Select id="export-status" name="status" value={filters.status} onChange={handleFilterChange}>
+              <option value="all">All</option>
+              <option value="paid">Paid</option>
+              <option value="unpaid">Unpaid</option>
+            </Select>
+          </FormGroup>
+        </FieldGrid>
+        <ButtonRow>
+          <SaveButton type="button" onClick={() => handleExport('csv')} disabled={!!working}>
+            {working === 'csv' ? 'Exporting...' : 'Download CSV'}
+          </SaveButton>
+          <SecondaryButton type="button" onClick={() => handleExport('json')} disabled={!!working}>
+            {working === 'json' ? 'Exporting...' : 'Download JSON'}
+          </SecondaryButton>
+        </ButtonRow>
+      </Card>
+
+      <Card>
+        <SectionTitle>PDF Statement</SectionTitle>
+        <Description>
+          A printable statement of the bills due in a period, grouped by category with totals for each month.
+          Leave the dates empty for this year. A single bill can be printed from its details page.
+        </Description>
+        <FieldGrid>
+          <FormGroup>
+            <Label htmlFor="report-from">Due from</Label>
+            <Input id="report-from" type="date" name="from" value={report.from} onChange={handleReportChange} />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="report-to">Due until</Label>
+            <Input id="report-to" type="date" name="to" value={report.to} onChange={handleReportChange} />
+          </FormGroup>
+        </FieldGrid>
+        <CheckboxLabel>
+          <input type="checkbox" name="thumbnails" checked={report.thumbnails} onChange={handleReportChange} />
+          Include thumbnails of bill images
+        </CheckboxLabel>
+        <ButtonRow>
+          <SaveButton type="button" onClick={handleDownloadReport} disabled={!!working}>
+            {working === 'report' ? 'Preparing...' : 'Download PDF'}
+          </SaveButton>
+        </ButtonRow>
+      </Card>
+
+      <Card>
+        <SectionTitle>Account Archive</SectionTitle>
+        <Description>
+          A ZIP file with all your bills, payments, notifications, notification settings and bill images. Import it
+          here or on another Bill Reminder server to restore your data; imported bills are added next to the ones
+          you already have.
+        </Description>
+
+        {importResult && (
+          <SuccessMessage>
+            Imported {importResult.counts.bills} bills, {importResult.counts.payments} payments,{' '}
+            {importResult.counts.notifications} notifications, {importResult.counts.images} images
+            {importResult.counts.preferences && ' and your notification settings'}.{' '}
+            <Link to="/">View your bills</Link>
+            {importResult.warnings.map(warning => <Warning key={warning}>{warning}</Warning>)}
+          </SuccessMessage>
+        )}
+
+        <ButtonRow>
+          <SaveButton type="button" onClick={handleDownloadArchive} disabled={!!working}>
+            {working === 'archive' ? 'Preparing...' : 'Download Archive'}
+          </SaveButton>
+        </ButtonRow>
+
+        <FieldGrid style={{ marginTop: '20px' }}>
+          <FormGroup>
+            <Label htmlFor="archive-file">Import an archive</Label>
+            <input
+              id="archive-file"
+              type="file"
+              accept=".zip,application/zip"
+              onChange={e => setArchiveFile(e.target.files[0] || null)}
+              disabled={!!working}
+              key={fileInputKey}
+            />
+          </FormGroup>
+        </FieldGrid>
+        <ButtonRow>
+          <SecondaryButton type="button" onClick={handleImportArchive} disabled={!archiveFile || !!working}>
+            {working === 'import' ? 'Importing...' : 'Import Archive'}
+          </SecondaryButton>
+        </ButtonRow>
+      </Card>
+    </Container>
+  );
+};
+
+export default ExportData;
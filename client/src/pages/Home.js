@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
-import { getAllBills, updateBill } from '../utils/api';
+import { getAllBills, updateBill, markBillAsPaid } from '../utils/api';
+import { useLiveUpdates } from '../contexts/LiveUpdatesContext';
+import { isPastDue } from '../utils/billUtils';
 
 const HomeContainer = styled.div`
   padding: 20px;
@@ -96,6 +98,18 @@ const CategoryBadge = styled.span`
   margin-bottom: 10px;
 `;
 
+const SeriesBadge = styled.span`
+  display: inline-block;
+  background-color: #eaf4fc;
+  color: #2980b9;
+  padding: 4px 8px;
+  border-radius: 12px;
+  font-size: 0.8rem;
+  font-weight: 500;
+  margin-bottom: 10px;
+  margin-left: 8px;
+`;
+
 const BillActions = styled.div`
   display: flex;
   justify-content: space-between;
@@ -238,13 +252,6 @@ const Home = () => {
   // Use ref to keep track of if component is mounted
   const isMounted = useRef(true);
 
-  /**
-   * Check if a due date is in the past
-   */
-  const isPastDue = useCallback((dueDate) => {
-    return new Date(dueDate) < new Date();
-  }, []);
-
   /**
    * Apply filters to the bills array
    * @param {Array} billsToFilter - The bills to filter
@@ -317,7 +324,7 @@ const Home = () => {
     }
     
     return result;
-  }, [isPastDue]);
+  }, []);
 
   // Apply filters whenever bills or filters change
   const filteredBills = useMemo(() => {
@@ -373,6 +380,25 @@ const Home = () => {
     };
   }, [fetchBills]);
   
+  // Keep the list in sync with changes from other tabs, email action links and the scheduler
+  useLiveUpdates('bill', ({ action, bill }) => {
+    if (!bill) return;
+    
+    if (action === 'deleted') {
+      setBills(prev => prev.filter(b => b.id !== bill.id));
+    } else if (action === 'created') {
+      // The bill list adds the series progress of recurring bills
+      fetchBills(true);
+    } else {
+      setBills(prev => prev.map(b => (b.id === bill.id ? { ...b, ...bill } : b)));
+    }
+  });
+  
+  // Catch up on anything missed while the live updates stream was down
+  useLiveUpdates('connected', ({ reconnected }) => {
+    if (reconnected) fetchBills(true);
+  });
+  
   /**
    * Handle filter selection change
    */
@@ -411,8 +437,13 @@ const Home = () => {
       
       setBills(updatedBills);
       
-      // Send update to server
-      await updateBill(id, { ...billToUpdate, paid: !currentStatus });
+      // Send update to server. Marking as paid goes through the mark-paid
+      // endpoint so the next instance of a recurring bill is generated.
+      if (currentStatus) {
+        await updateBill(id, { ...billToUpdate, paid: false });
+      } else {
+        await markBillAsPaid(id);
+      }
       
       // Update the full data after the change is confirmed
       // Use a delay to avoid immediate refetch
@@ -565,6 +596,13 @@ const Home = () => {
                   <DueDateBase>Due: {formatDate(bill.due_date)}</DueDateBase>
                 )}
                 <CategoryBadge>{bill.category || 'Uncategorized'}</CategoryBadge>
+                {bill.series_progress && (
+                  <SeriesBadge>
+                    {bill.series_progress.total
+                      ? `${bill.series_progress.occurrence} of ${bill.series_progress.total}`
+                      : `#${bill.series_progress.occurrence}`}
+                  </SeriesBadge>
+                )}
                 <BillActions>
                   <ViewButton to={`/bill/${bill.id}`}>View Details</ViewButton>
                   {bill.paid ? (
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { importBills, getBillImports } from '../utils/api';
+import { Container, Title, Card, FormGroup, Label, Select, Button, SaveButton, ErrorMessage } from '../styles/FormStyles';
+
+const Intro = styled.p`
+  color: #7f8c8d;
+  margin-top: -10px;
+  margin-bottom: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 15px;
+`;
+
+const Summary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 20px;
+  margin-bottom: 15px;
+  color: #2c3e50;
+`;
+
+const TableWrapper = styled.div`
+  overflow-x: auto;
+  max-height: 500px;
+  overflow-y: auto;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.9rem;
+
+  th, td {
+    text-align: left;
+    padding: 6px 8px;
+    border-bottom: 1px solid #ecf0f1;
+    vertical-align: top;
+  }
+
+  th {
+    color: #7f8c8d;
+    font-weight: 500;
+    position: sticky;
+    top: 0;
+    background-color: white;
+  }
+`;
+
+const STATUS_COLORS = {
+  valid: '#3498db',
+  imported: '#27ae60',
+  duplicate: '#95a5a6',
+  error: '#e74c3c'
+};
+
+const STATUS_LABELS = {
+  valid: 'New',
+  imported: 'Imported',
+  duplicate: 'Duplicate',
+  error: 'Error'
+};
+
+const StatusBadge = styled.span`
+  color: white;
+  background-color: ${props => STATUS_COLORS[props.status] || '#95a5a6'};
+  border-radius: 12px;
+  padding: 2px 10px;
+  font-size: 0.8rem;
+  white-space: nowrap;
+`;
+
+const Issue = styled.div`
+  color: ${props => props.warning ? '#e67e22' : '#e74c3c'};
+`;
+
+const ImportButton = styled(SaveButton)`
+  margin-top: 15px;
+`;
+
+const ResetButton = styled(Button)`
+  background-color: #95a5a6;
+  color: white;
+  margin-top: 15px;
+  margin-left: 10px;
+
+  &:hover:not(:disabled) {
+    background-color: #7f8c8d;
+  }
+`;
+
+const SuccessMessage = styled.div`
+  color: #27ae60;
+  background-color: #d5f5e3;
+  padding: 10px;
+  border-radius: 4px;
+  margin-bottom: 15px;
+`;
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+/**
+ * ImportBills component - Import bills from a CSV file with column mapping and a dry-run preview
+ */
+const ImportBills = () => {
+  const [file, setFile] = useState(null);
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [imports, setImports] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      setImports(await getBillImports() || []);
+    } catch (err) {
+      console.error('Error fetching imports:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  /**
+   * Validate the file with the current mapping without importing anything
+   */
+  const runDryRun = useCallback(async (csvFile, options) => {
+    try {
+      setWorking(true);
+      setError(null);
+      const report = await importBills(csvFile, { ...options, dryRun: true });
+      setPreview(report);
+      setMapping(report.mapping);
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setPreview(null);
+      setError(err.details || err.error || 'Failed to read the CSV file.');
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  const handleFileChange = useCallback((e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    setFile(selected);
+    setResult(null);
+    // Let the server suggest a mapping from the header row
+    runDryRun(selected, { dateFormat });
+  }, [dateFormat, runDryRun]);
+
+  const handleMappingChange = useCallback((fieldKey, value) => {
+    const newMapping = { ...mapping, [fieldKey]: value === '' ? null : Number(value) };
+    setMapping(newMapping);
+    runDryRun(file, { mapping: newMapping, dateFormat });
+  }, [mapping, file, dateFormat, runDryRun]);
+
+  const handleDateFormatChange = useCallback((e) => {
+    setDateFormat(e.target.value);
+    if (file) runDryRun(file, { mapping, dateFormat: e.target.value });
+  }, [file, mapping, runDryRun]);
+
+  const handleImport = useCallback(async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const report = await importBills(file, { mapping, dateFormat, dryRun: false });
+      setResult(report);
+      setPreview(report);
+      fetchImports();
+    } catch (err) {
+      console.error('Error importing bills:', err);
+      setError(err.details || err.error || 'Failed to import bills.');
+    } finally {
+      setWorking(false);
+    }
+  }, [file, mapping, dateFormat, fetchImports]);
+
+  const handleReset = useCallback(() => {
+    setFile(null);
+    setMapping(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  }, []);
+
+  const formatDate = useCallback((dateString) => {
+    if (!dateString) return '';
+    const options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  }, []);
+
+  const formatCurrency = useCallback((amount) => {
+    if (amount === null || amount === undefined) return '';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  }, []);
+
+  const canImport = preview && !result && preview.mappingErrors.length === 0 && preview.summary.validRows > 0;
+
+  return (
+    <Container>
+      <Title>Import Bills</Title>
+      <Intro>
+        Bring bills in from a spreadsheet: export it as CSV, choose which column holds each field and check the
+        preview before importing. Bills that already exist (same vendor, due date and amount) are skipped.{' '}
+        <Link to="/reconcile">Mark bills as paid from a bank statement</Link>
+      </Intro>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {result && (
+        <SuccessMessage>
+          Imported {result.summary.validRows} bills. {result.summary.duplicateRows} duplicates and{' '}
+          {result.summary.errorRows} rows with errors were skipped. <Link to="/">View your bills</Link>
+        </SuccessMessage>
+      )}
+
+      <Card>
+        <FieldGrid>
+          <FormGroup>
+            <Label htmlFor="csv-file">CSV file</Label>
+            <input
+              id="csv-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              disabled={working}
+              key={file ? 'selected' : 'empty'}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="date-format">Date format</Label>
+            <Select id="date-format" value={dateFormat} onChange={handleDateFormatChange} disabled={working}>
+              {DATE_FORMATS.map(format => (
+                <option key={format} value={format}>{format}</option>
+              ))}
+            </Select>
+          </FormGroup>
+        </FieldGrid>
+      </Card>
+
+      {preview && (
+        <Card>
+          <SectionTitle>Columns</SectionTitle>
+          <FieldGrid>
+            {preview.fields.map(field => (
+              <FormGroup key={field.key}>
+                <Label htmlFor={`map-${field.key}`}>{field.label}{field.required && ' *'}</Label>
+                <Select
+                  id={`map-${field.key}`}
+                  value={mapping && mapping[field.key] !== undefined && mapping[field.key] !== null ? mapping[field.key] : ''}
+                  onChange={e => handleMappingChange(field.key, e.target.value)}
+                  disabled={working || !!result}
+                >
+                  <option value="">Not imported</option>
+                  {preview.headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+            ))}
+          </FieldGrid>
+          {preview.mappingErrors.map(message => (
+            <Issue key={message}>{message}</Issue>
+          ))}
+        </Card>
+      )}
+
+      {preview && preview.rows.length > 0 && (
+        <Card>
+          <SectionTitle>{result ? 'Import Report' : 'Preview'}</SectionTitle>
+          <Summary>
+            <span>{preview.summary.totalRows} rows</span>
+            <span>{preview.summary.validRows} {result ? 'imported' : 'new bills'}</span>
+            <span>{preview.summary.duplicateRows} duplicates</span>
+            <span>{preview.summary.errorRows} with errors</span>
+          </Summary>
+
+          <TableWrapper>
+            <Table>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Status</th>
+                  <th>Vendor</th>
+                  <th>Amount</th>
+                  <th>Due date</th>
+                  <th>Category</th>
+                  <th>Recurring</th>
+                  <th>Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.row}>
+                    <td>{row.row}</td>
+                    <td><StatusBadge status={row.status}>{STATUS_LABELS[row.status] || row.status}</StatusBadge></td>
+                    <td>{row.bill.vendor}</td>
+                    <td>{formatCurrency(row.bill.amount)}</td>
+                    <td>{formatDate(row.bill.due_date)}</td>
+                    <td>{row.bill.category}</td>
+                    <td>{row.bill.is_recurring ? row.bill.recurring_frequency : ''}</td>
+                    <td>
+                      {row.errors.map(message => <Issue key={message}>{message}</Issue>)}
+                      {row.warnings.map(message => <Issue key={message} warning>{message}</Issue>)}
+                      {row.status === 'duplicate' && 'Already exists or repeats an earlier row'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </TableWrapper>
+
+          {!result && (
+            <ImportButton type="button" onClick={handleImport} disabled={!canImport || working}>
+              {working ? 'Working...' : `Import ${preview.summary.validRows} Bills`}
+            </ImportButton>
+          )}
+          <ResetButton type="button" onClick={handleReset} disabled={working}>
+            {result ? 'Import Another File' : 'Cancel'}
+          </ResetButton>
+        </Card>
+      )}
+
+      {imports.length > 0 && (
+        <Card>
+          <SectionTitle>Recent Imports</SectionTitle>
+          <TableWrapper>
+            <Table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>File</th>
+                  <th>Rows</th>
+                  <th>Imported</th>
+                  <th>Duplicates</th>
+                  <th>Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {imports.map(item => (
+                  <tr key={item.id}>
+                    <td>{new Date(item.created_at).toLocaleString()}</td>
+                    <td>{item.file_name}</td>
+                    <td>{item.total_rows}</td>
+                    <td>{item.imported_count}</td>
+                    <td>{item.duplicate_count}</td>
+                    <td>{item.error_count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </TableWrapper>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default ImportBills;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { getNotificationPreferences, updateNotificationPreferences, getNotifications, sendTestNotification } from '../utils/api';
+import { getNotificationPreferences, updateNotificationPreferences, getNotifications, sendTestNotification, getEmailPreview } from '../utils/api';
+import NotificationChannels from '../components/NotificationChannels';
+import PushNotificationSettings from '../components/PushNotificationSettings';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
 
 // Import all styled components
 import {
@@ -15,6 +18,9 @@ import {
   CheckboxContainer,
   Checkbox,
   CheckboxLabel,
+  ReminderOffsetOptions,
+  EmailPreviewFrame,
+  EmailPreviewSubject,
   Description,
   Button,
   SecondaryButton,
@@ -53,6 +59,9 @@ const RecentNotificationsSection = ({ recentNotifications, loadingNotifications,
   </>
 );
 
+// Weekdays in the order of Date.getDay() (0 = Sunday)
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 // Notification type settings component
 const NotificationTypeSettings = ({ preferences, handleChange }) => (
   <FormGroup>
@@ -99,13 +108,60 @@ const NotificationTypeSettings = ({ preferences, handleChange }) => (
         <Description>
           Email address where you want to receive bill notifications.
         </Description>
+        
+        <CheckboxContainer>
+          <Checkbox 
+            type="checkbox" 
+            id="email_digest" 
+            name="email_digest"
+            checked={!!preferences.email_digest}
+            onChange={handleChange}
+          />
+          <CheckboxLabel htmlFor="email_digest">Daily digest</CheckboxLabel>
+        </CheckboxContainer>
+        <Description>
+          Receive one email per day with all overdue, due today and upcoming bills instead of one email per bill.
+        </Description>
+        
+        <CheckboxContainer>
+          <Checkbox 
+            type="checkbox" 
+            id="weekly_summary" 
+            name="weekly_summary"
+            checked={!!preferences.weekly_summary}
+            onChange={handleChange}
+          />
+          <CheckboxLabel htmlFor="weekly_summary">Weekly summary</CheckboxLabel>
+        </CheckboxContainer>
+        <Description>
+          Receive a summary of the bills due in the coming week and the total amount due.
+        </Description>
+        
+        {preferences.weekly_summary && (
+          <FormGroup>
+            <Label htmlFor="weekly_summary_day">Send Weekly Summary On</Label>
+            <Select 
+              id="weekly_summary_day" 
+              name="weekly_summary_day"
+              value={preferences.weekly_summary_day ?? 1}
+              onChange={handleChange}
+            >
+              {WEEKDAYS.map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
+            </Select>
+          </FormGroup>
+        )}
       </FormGroup>
     )}
   </FormGroup>
 );
 
+// Reminder offsets (days before the due date) a user can choose from
+const REMINDER_OFFSET_OPTIONS = [30, 14, 7, 5, 3, 2, 1];
+
 // Notification timing settings component
-const NotificationTimingSettings = ({ preferences, handleChange }) => (
+const NotificationTimingSettings = ({ preferences, handleChange, handleReminderOffsetToggle }) => (
   <FormGroup>
     <Label>Notification Timing</Label>
     
@@ -138,35 +194,379 @@ const NotificationTimingSettings = ({ preferences, handleChange }) => (
     </Description>
     
     <FormGroup>
-      <Label htmlFor="notification_days_before">Advance Notice (Days)</Label>
+      <Label>Reminders Before Due Date</Label>
+      <ReminderOffsetOptions>
+        {REMINDER_OFFSET_OPTIONS.map(offset => (
+          <CheckboxContainer key={offset}>
+            <Checkbox 
+              type="checkbox" 
+              id={`reminder_offset_${offset}`}
+              checked={(preferences.reminder_offsets || []).includes(offset)}
+              onChange={() => handleReminderOffsetToggle(offset)}
+            />
+            <CheckboxLabel htmlFor={`reminder_offset_${offset}`}>
+              {offset === 1 ? '1 day' : `${offset} days`}
+            </CheckboxLabel>
+          </CheckboxContainer>
+        ))}
+      </ReminderOffsetOptions>
+      <Description>
+        You'll get a reminder at each selected point before a bill is due. If a reminder is missed
+        (for example because a bill was added late), it is sent on the next check. Individual bills
+        can override these on their edit page.
+      </Description>
+    </FormGroup>
+  </FormGroup>
+);
+
+// Overdue reminder cadence and secondary contact component
+const OverdueEscalationSettings = ({ preferences, handleChange }) => (
+  <FormGroup>
+    <Label>Overdue Reminders</Label>
+    
+    <FormGroup>
+      <Label htmlFor="overdue_reminder_days">Remind Me (Days After Due Date)</Label>
+      <Input 
+        type="text" 
+        id="overdue_reminder_days" 
+        name="overdue_reminder_days"
+        value={Array.isArray(preferences.overdue_reminder_days)
+          ? preferences.overdue_reminder_days.join(', ')
+          : preferences.overdue_reminder_days || ''}
+        onChange={handleChange}
+        placeholder="1, 3, 7"
+      />
+    </FormGroup>
+    
+    <FormGroup>
+      <Label htmlFor="overdue_repeat_days">Then Repeat Every (Days)</Label>
+      <Input 
+        type="number" 
+        id="overdue_repeat_days" 
+        name="overdue_repeat_days"
+        min="0"
+        max="90"
+        value={preferences.overdue_repeat_days ?? 7}
+        onChange={handleChange}
+      />
+      <Description>
+        Each reminder is worded more strongly than the last: an alert, then a second notice,
+        then urgent reminders until the bill is paid. Use 0 to stop after the last listed day.
+        Individual bills can override these on their edit page.
+      </Description>
+    </FormGroup>
+    
+    <FormGroup>
+      <Label htmlFor="secondary_contact_email">Secondary Contact Email (Optional)</Label>
+      <Input 
+        type="email" 
+        id="secondary_contact_email" 
+        name="secondary_contact_email"
+        value={preferences.secondary_contact_email || ''}
+        onChange={handleChange}
+        placeholder="partner@example.com"
+      />
+    </FormGroup>
+    
+    {preferences.secondary_contact_email && (
+      <FormGroup>
+        <Label htmlFor="secondary_contact_after_days">Notify Secondary Contact After (Days Overdue)</Label>
+        <Input 
+          type="number" 
+          id="secondary_contact_after_days" 
+          name="secondary_contact_after_days"
+          min="1"
+          max="365"
+          value={preferences.secondary_contact_after_days ?? ''}
+          onChange={handleChange}
+        />
+      </FormGroup>
+    )}
+    <Description>
+      A partner or accountant who also gets the overdue reminders once a bill has been
+      overdue this long. They only see the bill's vendor, amount and due date.
+    </Description>
+  </FormGroup>
+);
+
+// Timezones offered in the delivery settings (falls back to the browser's own zone)
+const getTimeZoneOptions = (currentTimeZone) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [];
+  
+  return zones.includes(currentTimeZone) ? zones : [currentTimeZone, ...zones];
+};
+
+// Notification delivery time settings component
+const DeliveryTimeSettings = ({ preferences, handleChange }) => (
+  <FormGroup>
+    <Label>Delivery Time</Label>
+    
+    <FormGroup>
+      <Label htmlFor="timezone">Timezone</Label>
       <Select 
-        id="notification_days_before" 
-        name="notification_days_before"
-        value={preferences.notification_days_before}
+        id="timezone" 
+        name="timezone"
+        value={preferences.timezone}
         onChange={handleChange}
       >
-        <option value="1">1 day before</option>
-        <option value="2">2 days before</option>
-        <option value="3">3 days before</option>
-        <option value="5">5 days before</option>
-        <option value="7">7 days before</option>
-        <option value="14">14 days before</option>
+        {getTimeZoneOptions(preferences.timezone).map(zone => (
+          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+        ))}
       </Select>
       <Description>
-        How many days before the due date you want to receive a notification.
+        Due dates are counted in this timezone, so "due today" matches your local calendar.
+      </Description>
+    </FormGroup>
+    
+    <FormGroup>
+      <Label htmlFor="preferred_time">Preferred Time</Label>
+      <Input 
+        type="time" 
+        id="preferred_time" 
+        name="preferred_time"
+        value={(preferences.preferred_time || '08:00').slice(0, 5)}
+        onChange={handleChange}
+        step={900}
+      />
+      <Description>
+        The time of day you want to receive your bill reminders, on the hour or at 15, 30 or 45 minutes past.
       </Description>
     </FormGroup>
   </FormGroup>
 );
 
+// Quiet hours and do-not-disturb component
+const QuietHoursSettings = ({ preferences, handleChange }) => (
+  <FormGroup>
+    <Label>Quiet Hours</Label>
+    
+    <CheckboxContainer>
+      <Checkbox 
+        type="checkbox" 
+        id="quiet_hours_enabled" 
+        name="quiet_hours_enabled"
+        checked={!!preferences.quiet_hours_enabled}
+        onChange={handleChange}
+      />
+      <CheckboxLabel htmlFor="quiet_hours_enabled">Hold notifications during quiet hours</CheckboxLabel>
+    </CheckboxContainer>
+    
+    {preferences.quiet_hours_enabled && (
+      <>
+        <FormGroup>
+          <Label htmlFor="quiet_hours_start">From</Label>
+          <Input 
+            type="time" 
+            id="quiet_hours_start" 
+            name="quiet_hours_start"
+            value={(preferences.quiet_hours_start || '22:00').slice(0, 5)}
+            onChange={handleChange}
+          />
+        </FormGroup>
+        
+        <FormGroup>
+          <Label htmlFor="quiet_hours_end">Until</Label>
+          <Input 
+            type="time" 
+            id="quiet_hours_end" 
+            name="quiet_hours_end"
+            value={(preferences.quiet_hours_end || '07:00').slice(0, 5)}
+            onChange={handleChange}
+          />
+        </FormGroup>
+        
+        <CheckboxContainer>
+          <Checkbox 
+            type="checkbox" 
+            id="quiet_hours_bypass_due_today" 
+            name="quiet_hours_bypass_due_today"
+            checked={!!preferences.quiet_hours_bypass_due_today}
+            onChange={handleChange}
+          />
+          <CheckboxLabel htmlFor="quiet_hours_bypass_due_today">Let due-today alerts through</CheckboxLabel>
+        </CheckboxContainer>
+      </>
+    )}
+    <Description>
+      Emails, browser push and channel messages that would arrive during quiet hours are held
+      and sent when they end. In-app notifications are not affected.
+    </Description>
+    
+    <FormGroup>
+      <Label htmlFor="dnd_start">Do Not Disturb From</Label>
+      <Input 
+        type="date" 
+        id="dnd_start" 
+        name="dnd_start"
+        value={preferences.dnd_start || ''}
+        onChange={handleChange}
+      />
+    </FormGroup>
+    
+    <FormGroup>
+      <Label htmlFor="dnd_end">Do Not Disturb Until</Label>
+      <Input 
+        type="date" 
+        id="dnd_end" 
+        name="dnd_end"
+        value={preferences.dnd_end || ''}
+        min={preferences.dnd_start || undefined}
+        onChange={handleChange}
+      />
+      <Description>
+        While you are away (both days included), all notifications except in-app ones are held
+        and delivered when the period ends (after your quiet hours, if they are on). Clear the dates to turn do-not-disturb off.
+      </Description>
+    </FormGroup>
+  </FormGroup>
+);
+
+// Languages and currencies offered for formatting notification emails
+const LOCALE_OPTIONS = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'en-CA', label: 'English (Canada)' },
+  { value: 'en-AU', label: 'English (Australia)' },
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'es-MX', label: 'Español (México)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'fr-CA', label: 'Français (Canada)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'nl-NL', label: 'Nederlands' },
+  { value: 'ja-JP', label: '日本語' }
+];
+
+const CURRENCY_OPTIONS = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'MXN', 'BRL', 'JPY', 'CHF', 'INR'];
+
+const EMAIL_PREVIEW_TYPES = [
+  { value: 'upcoming', label: 'Upcoming bill' },
+  { value: 'due_today', label: 'Due today' },
+  { value: 'overdue', label: 'Overdue bill' },
+  { value: 'overdue_contact', label: 'Overdue bill (secondary contact)' },
+  { value: 'digest', label: 'Daily digest' },
+  { value: 'weekly_summary', label: 'Weekly summary' },
+  { value: 'budget', label: 'Budget alert' },
+  { value: 'test', label: 'Test email' }
+];
+
+// Email language, currency and preview component
+const EmailFormatSettings = ({ preferences, handleChange }) => {
+  const [previewType, setPreviewType] = useState('upcoming');
+  const [preview, setPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+  
+  const handlePreview = useCallback(async () => {
+    try {
+      setLoadingPreview(true);
+      setPreviewError(null);
+      const response = await getEmailPreview(previewType, preferences.locale);
+      setPreview(response);
+    } catch (err) {
+      console.error('Error loading email preview:', err);
+      setPreviewError('Failed to load the email preview.');
+    } finally {
+      setLoadingPreview(false);
+    }
+  }, [previewType, preferences.locale]);
+  
+  const localeOptions = LOCALE_OPTIONS.some(option => option.value === preferences.locale)
+    ? LOCALE_OPTIONS
+    : [{ value: preferences.locale, label: preferences.locale }, ...LOCALE_OPTIONS];
+  
+  return (
+    <FormGroup>
+      <Label>Email Format</Label>
+      
+      <FormGroup>
+        <Label htmlFor="locale">Language and Region</Label>
+        <Select 
+          id="locale" 
+          name="locale"
+          value={preferences.locale}
+          onChange={handleChange}
+        >
+          {localeOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        <Description>
+          Used for the wording of emails and how dates are written.
+        </Description>
+      </FormGroup>
+      
+      <FormGroup>
+        <Label htmlFor="currency">Currency</Label>
+        <Select 
+          id="currency" 
+          name="currency"
+          value={preferences.currency}
+          onChange={handleChange}
+        >
+          {(CURRENCY_OPTIONS.includes(preferences.currency) ? CURRENCY_OPTIONS : [preferences.currency, ...CURRENCY_OPTIONS]).map(currency => (
+            <option key={currency} value={currency}>{currency}</option>
+          ))}
+        </Select>
+      </FormGroup>
+      
+      <FormGroup>
+        <Label htmlFor="preview_type">Preview an Email</Label>
+        <Select 
+          id="preview_type" 
+          value={previewType}
+          onChange={(e) => setPreviewType(e.target.value)}
+        >
+          {EMAIL_PREVIEW_TYPES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        <ButtonGroup>
+          <SecondaryButton type="button" onClick={handlePreview} disabled={loadingPreview}>
+            {loadingPreview ? <><LoadingSpinner /> Loading...</> : 'Show Preview'}
+          </SecondaryButton>
+        </ButtonGroup>
+        {previewError && <ErrorMessage>{previewError}</ErrorMessage>}
+        {preview && (
+          <>
+            <EmailPreviewSubject>Subject: {preview.subject}</EmailPreviewSubject>
+            <EmailPreviewFrame title="Email preview" sandbox="" srcDoc={preview.html} />
+          </>
+        )}
+      </FormGroup>
+    </FormGroup>
+  );
+};
+
 const NotificationSettings = () => {
   const [preferences, setPreferences] = useState({
     email_notifications: true,
     in_app_notifications: true,
     notification_days_before: 3,
+    reminder_offsets: [3],
     notify_on_due_date: true,
     notify_when_overdue: true,
-    email_address: ''
+    overdue_reminder_days: [1, 3, 7],
+    overdue_repeat_days: 7,
+    secondary_contact_email: '',
+    secondary_contact_after_days: '',
+    email_address: '',
+    email_digest: false,
+    weekly_summary: false,
+    weekly_summary_day: 1,
+    locale: navigator.language || 'en-US',
+    currency: 'USD',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    preferred_time: '08:00',
+    quiet_hours_enabled: false,
+    quiet_hours_start: '22:00',
+    quiet_hours_end: '07:00',
+    quiet_hours_bypass_due_today: false,
+    dnd_start: '',
+    dnd_end: ''
   });
   
   const [loading, setLoading] = useState(true);
@@ -184,8 +584,23 @@ const NotificationSettings = () => {
       setLoading(true);
       const response = await getNotificationPreferences();
       
-      if (response && response.success && response.data) {
-        setPreferences(response.data);
+      // The endpoint returns the preferences row directly; older versions wrapped it
+      const data = response && response.success ? response.data : response;
+      
+      if (data) {
+        setPreferences(prev => ({
+          ...prev,
+          ...data,
+          // Keep the browser's timezone until the user has chosen one
+          timezone: data.timezone || prev.timezone,
+          // Older preferences only have a single advance notice value
+          reminder_offsets: data.reminder_offsets || [data.notification_days_before || 3],
+          preferred_time: data.preferred_time || prev.preferred_time,
+          quiet_hours_start: data.quiet_hours_start || prev.quiet_hours_start,
+          quiet_hours_end: data.quiet_hours_end || prev.quiet_hours_end,
+          locale: data.locale || prev.locale,
+          currency: data.currency || prev.currency
+        }));
       }
     } catch (err) {
       console.error('Error fetching notification preferences:', err);
@@ -269,6 +684,21 @@ const NotificationSettings = () => {
     }));
   }, []);
   
+  const handleReminderOffsetToggle = useCallback((offset) => {
+    setPreferences(prev => {
+      const current = prev.reminder_offsets || [];
+      const reminderOffsets = current.includes(offset)
+        ? current.filter(value => value !== offset)
+        : [...current, offset];
+      
+      return { ...prev, reminder_offsets: reminderOffsets.sort((a, b) => b - a) };
+    });
+  }, []);
+  
+  const handleChannelsChange = useCallback((channels) => {
+    setPreferences(prev => ({ ...prev, channels }));
+  }, []);
+  
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
     
@@ -284,6 +714,24 @@ const NotificationSettings = () => {
         return;
       }
       
+      if (!preferences.reminder_offsets || preferences.reminder_offsets.length === 0) {
+        setError('Please select at least one reminder before the due date.');
+        setSaving(false);
+        return;
+      }
+      
+      if (preferences.dnd_start && !preferences.dnd_end) {
+        setError('Please choose the last day of your do-not-disturb period.');
+        setSaving(false);
+        return;
+      }
+      
+      if (preferences.secondary_contact_email && !preferences.secondary_contact_after_days) {
+        setError('Please choose after how many days overdue your secondary contact is notified.');
+        setSaving(false);
+        return;
+      }
+      
       const response = await updateNotificationPreferences(preferences);
       
       if (response && response.success) {
@@ -295,7 +743,8 @@ const NotificationSettings = () => {
       }
     } catch (err) {
       console.error('Error saving notification preferences:', err);
-      setError('Failed to save notification settings. Please try again later.');
+      // Show validation errors (e.g. a channel missing its URL) from the server
+      setError((err && err.details) || 'Failed to save notification settings. Please try again later.');
     } finally {
       setSaving(false);
     }
@@ -335,6 +784,52 @@ const NotificationSettings = () => {
           <NotificationTimingSettings 
             preferences={preferences}
             handleChange={handleChange}
+            handleReminderOffsetToggle={handleReminderOffsetToggle}
+          />
+        </Card>
+        
+        {preferences.notify_when_overdue && (
+          <Card>
+            <OverdueEscalationSettings 
+              preferences={preferences}
+              handleChange={handleChange}
+            />
+          </Card>
+        )}
+        
+        <Card>
+          <DeliveryTimeSettings 
+            preferences={preferences}
+            handleChange={handleChange}
+          />
+        </Card>
+        
+        <Card>
+          <QuietHoursSettings 
+            preferences={preferences}
+            handleChange={handleChange}
+          />
+        </Card>
+        
+        <Card>
+          <EmailFormatSettings 
+            preferences={preferences}
+            handleChange={handleChange}
+          />
+        </Card>
+        
+        <Card>
+          <PushNotificationSettings />
+        </Card>
+        
+        <Card>
+          <CalendarFeedSettings />
+        </Card>
+        
+        <Card>
+          <NotificationChannels 
+            channels={preferences.channels || []}
+            onChange={handleChannelsChange}
           />
         </Card>
         
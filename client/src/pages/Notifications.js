@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { getNotifications, markNotificationAsRead, deleteNotification } from '../utils/api';
+import { getNotifications, markNotificationAsRead, deleteNotification, snoozeBillReminders, acknowledgeBillReminders } from '../utils/api';
+import { useLiveUpdates, applyNotificationEvent } from '../contexts/LiveUpdatesContext';
 
 // Import all styled components
 import {
@@ -28,8 +29,7 @@ const Notifications = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastFetchTime, setLastFetchTime] = useState(Date.now());
-  const [retryCount, setRetryCount] = useState(0);
-  const MAX_RETRIES = 3;
+  const [pausedBillIds, setPausedBillIds] = useState([]);
 
   // Define fetchNotifications BEFORE using it in useEffect
   const fetchNotifications = useCallback(async () => {
@@ -93,7 +93,6 @@ const Notifications = () => {
     } catch (err) {
       console.error('Error fetching notifications:', err);
       setError('Failed to fetch notifications. Please try again later.');
-      setRetryCount(prevCount => prevCount + 1);
     } finally {
       if (loading) {
         setLoading(false);
@@ -101,21 +100,24 @@ const Notifications = () => {
     }
   }, [loading, notifications, lastFetchTime]);
   
-  // Now useEffect can safely use fetchNotifications
+  // Initial fetch; after that the list follows live updates
   useEffect(() => {
     fetchNotifications();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+  
+  useLiveUpdates('notification', (event) => {
+    const notification = event.action === 'created'
+      ? { ...event.notification, timeAgo: 'just now' }
+      : event.notification;
     
-    const intervalId = setInterval(() => {
-      if (retryCount < MAX_RETRIES || !error) {
-        fetchNotifications();
-      } else {
-        // If we've tried several times and still have errors, stop polling
-        clearInterval(intervalId);
-      }
-    }, 60000);
-    
-    return () => clearInterval(intervalId);
-  }, [error, retryCount, fetchNotifications]);
+    setNotifications(prev => applyNotificationEvent(prev, { ...event, notification }));
+  });
+  
+  // Catch up on anything missed while the live updates stream was down
+  useLiveUpdates('connected', ({ reconnected }) => {
+    if (reconnected) fetchNotifications();
+  });
   
   const handleMarkAsRead = async (id) => {
     // Optimistically update UI first
@@ -156,6 +158,21 @@ const Notifications = () => {
     }
   };
   
+  // Snooze (for a few days) or acknowledge the reminders of a notification's bill
+  const handlePauseReminders = async (billId, action) => {
+    try {
+      if (action === 'acknowledge') {
+        await acknowledgeBillReminders(billId);
+      } else {
+        await snoozeBillReminders(billId, { days: 3 });
+      }
+      setPausedBillIds(prev => [...prev, billId]);
+    } catch (err) {
+      console.error('Error pausing bill reminders:', err);
+      alert(err.details || 'Failed to pause reminders for this bill');
+    }
+  };
+  
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -226,11 +243,30 @@ const Notifications = () => {
                 <DeleteButton onClick={() => handleDelete(notification.id)}>
                   Delete
                 </DeleteButton>
+                {notification.bill_id && (
+                  pausedBillIds.includes(notification.bill_id) ? (
+                    <ActionButton disabled>Reminders Paused</ActionButton>
+                  ) : (
+                    <>
+                      <ActionButton onClick={() => handlePauseReminders(notification.bill_id, 'snooze')}>
+                        Snooze 3 Days
+                      </ActionButton>
+                      <ActionButton onClick={() => handlePauseReminders(notification.bill_id, 'acknowledge')}>
+                        Payment Scheduled
+                      </ActionButton>
+                    </>
+                  )
+                )}
                 {notification.bill_id && (
                   <ViewBillButton to={`/bill/${notification.bill_id}`}>
                     View Bill
                   </ViewBillButton>
                 )}
+                {notification.type === 'budget' && (
+                  <ViewBillButton to="/budgets">
+                    View Budgets
+                  </ViewBillButton>
+                )}
               </NotificationActions>
             </NotificationCard>
           ))
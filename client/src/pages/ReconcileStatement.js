@@ -0,0 +1,479 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { uploadStatement, confirmStatementMatches } from '../utils/api';
+import { Container, Title, Card, FormGroup, Label, Input, Select, Button, SaveButton, ErrorMessage } from '../styles/FormStyles';
+
+const Intro = styled.p`
+  color: #7f8c8d;
+  margin-top: -10px;
+  margin-bottom: 20px;
+`;
+
+const SectionTitle = styled.h2`
+  font-size: 1.3rem;
+  color: #2c3e50;
+  margin: 0 0 15px 0;
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 15px;
+`;
+
+const Summary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 20px;
+  margin-bottom: 15px;
+  color: #2c3e50;
+`;
+
+const TableWrapper = styled.div`
+  overflow-x: auto;
+  max-height: 600px;
+  overflow-y: auto;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.9rem;
+
+  th, td {
+    text-align: left;
+    padding: 6px 8px;
+    border-bottom: 1px solid #ecf0f1;
+    vertical-align: middle;
+  }
+
+  th {
+    color: #7f8c8d;
+    font-weight: 500;
+    position: sticky;
+    top: 0;
+    background-color: white;
+    z-index: 1;
+  }
+`;
+
+const Memo = styled.div`
+  color: #95a5a6;
+  font-size: 0.8rem;
+`;
+
+const STATUS_COLORS = {
+  paid: '#27ae60',
+  partially_paid: '#f39c12',
+  already_paid: '#95a5a6',
+  already_recorded: '#95a5a6',
+  failed: '#e74c3c'
+};
+
+const STATUS_LABELS = {
+  paid: 'Paid',
+  partially_paid: 'Partially paid',
+  already_paid: 'Bill already paid',
+  already_recorded: 'Already recorded',
+  failed: 'Failed'
+};
+
+const StatusBadge = styled.span`
+  color: white;
+  background-color: ${props => STATUS_COLORS[props.status] || '#95a5a6'};
+  border-radius: 12px;
+  padding: 2px 10px;
+  font-size: 0.8rem;
+  white-space: nowrap;
+`;
+
+const Score = styled.span`
+  color: ${props => props.value >= 0.75 ? '#27ae60' : props.value >= 0.5 ? '#e67e22' : '#95a5a6'};
+  font-weight: 500;
+`;
+
+const Issue = styled.div`
+  color: #e74c3c;
+`;
+
+const ConfirmButton = styled(SaveButton)`
+  margin-top: 15px;
+`;
+
+const ResetButton = styled(Button)`
+  background-color: #95a5a6;
+  color: white;
+  margin-top: 15px;
+  margin-left: 10px;
+
+  &:hover:not(:disabled) {
+    background-color: #7f8c8d;
+  }
+`;
+
+const SuccessMessage = styled.div`
+  color: #27ae60;
+  background-color: #d5f5e3;
+  padding: 10px;
+  border-radius: 4px;
+  margin-bottom: 15px;
+`;
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+/**
+ * ReconcileStatement component - Upload a bank statement, review the proposed
+ * matches with unpaid bills and mark the confirmed bills as paid
+ */
+const ReconcileStatement = () => {
+  const [file, setFile] = useState(null);
+  const [options, setOptions] = useState({ dateFormat: 'YYYY-MM-DD', amountTolerance: 5, dateWindowDays: 10 });
+  const [mapping, setMapping] = useState(null);
+  const [statement, setStatement] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [confirmed, setConfirmed] = useState({});
+  const [results, setResults] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Send the statement to the server and preselect the proposed matches
+   */
+  const analyze = useCallback(async (statementFile, currentOptions, currentMapping) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setResults(null);
+
+      const data = await uploadStatement(statementFile, {
+        mapping: currentMapping,
+        dateFormat: currentOptions.dateFormat,
+        amountTolerance: currentOptions.amountTolerance / 100,
+        dateWindowDays: currentOptions.dateWindowDays
+      });
+
+      setStatement(data);
+      setMapping(data.mapping || null);
+      setSelections(Object.fromEntries(data.transactions.map(t => [t.id, t.match ? t.match.billId : ''])));
+      setConfirmed(Object.fromEntries(data.transactions.map(t => [t.id, !!t.match])));
+    } catch (err) {
+      console.error('Error reading statement:', err);
+      setStatement(null);
+      setError(err.details || err.error || 'Failed to read the statement.');
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  const handleFileChange = useCallback((e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    setFile(selected);
+    setMapping(null);
+    analyze(selected, options, null);
+  }, [options, analyze]);
+
+  const handleOptionChange = useCallback((name, value) => {
+    const newOptions = { ...options, [name]: value };
+    setOptions(newOptions);
+    if (file && value !== '') analyze(file, newOptions, mapping);
+  }, [options, file, mapping, analyze]);
+
+  const handleMappingChange = useCallback((fieldKey, value) => {
+    const newMapping = { ...mapping, [fieldKey]: value === '' ? null : Number(value) };
+    setMapping(newMapping);
+    analyze(file, options, newMapping);
+  }, [mapping, file, options, analyze]);
+
+  const handleSelectBill = useCallback((transactionId, billId) => {
+    setSelections(prev => {
+      // A bill can only be paid by one transaction
+      const next = Object.fromEntries(Object.entries(prev).map(([id, selected]) => (
+        [id, billId && selected === billId ? '' : selected]
+      )));
+      next[transactionId] = billId;
+      return next;
+    });
+    setConfirmed(prev => ({ ...prev, [transactionId]: !!billId }));
+  }, []);
+
+  const handleToggle = useCallback((transactionId) => {
+    setConfirmed(prev => ({ ...prev, [transactionId]: !prev[transactionId] }));
+  }, []);
+
+  const handleReset = useCallback(() => {
+    setFile(null);
+    setMapping(null);
+    setStatement(null);
+    setResults(null);
+    setError(null);
+  }, []);
+
+  const formatDate = useCallback((dateString) => {
+    if (!dateString) return '';
+    const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+    return new Date(dateString).toLocaleDateString(undefined, dateOptions);
+  }, []);
+
+  const formatCurrency = useCallback((amount) => {
+    if (amount === null || amount === undefined) return '';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: (statement && statement.currency) || 'USD'
+    }).format(amount);
+  }, [statement]);
+
+  // Only money going out of the account can pay a bill
+  const debits = useMemo(() => (
+    statement ? statement.transactions.filter(t => t.amount < 0) : []
+  ), [statement]);
+
+  const billsById = useMemo(() => (
+    new Map((statement ? statement.bills : []).map(bill => [bill.id, bill]))
+  ), [statement]);
+
+  const selectedMatches = useMemo(() => (
+    debits.filter(t => confirmed[t.id] && selections[t.id] && !t.alreadyRecorded)
+  ), [debits, confirmed, selections]);
+
+  const resultsByTransaction = useMemo(() => (
+    new Map((results || []).map(result => [result.transactionId, result]))
+  ), [results]);
+
+  const handleConfirm = useCallback(async () => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      const response = await confirmStatementMatches(selectedMatches.map(t => ({
+        billId: selections[t.id],
+        transaction: { id: t.id, date: t.date, amount: t.amount, name: t.name, memo: t.memo, type: t.type }
+      })));
+
+      setResults(response.results);
+    } catch (err) {
+      console.error('Error confirming matches:', err);
+      setError(err.details || err.error || 'Failed to record the payments.');
+    } finally {
+      setWorking(false);
+    }
+  }, [selectedMatches, selections]);
+
+  const getBillLabel = useCallback((bill) => {
+    const amountDue = (parseFloat(bill.amount) || 0) - (parseFloat(bill.amount_paid) || 0);
+    return `${bill.vendor} - ${formatCurrency(amountDue)} due ${formatDate(bill.due_date)}`;
+  }, [formatCurrency, formatDate]);
+
+  const paidCount = results ? results.filter(result => result.status === 'paid').length : 0;
+  const partialCount = results ? results.filter(result => result.status === 'partially_paid').length : 0;
+
+  return (
+    <Container>
+      <Title>Reconcile Bank Statement</Title>
+      <Intro>
+        Upload a statement from your bank (OFX, QFX or CSV) to find payments for your unpaid bills. Matches are
+        proposed by vendor name, amount and date; check them and confirm to mark those bills as paid.{' '}
+        <Link to="/import">Import bills from a spreadsheet instead</Link>
+      </Intro>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {results && (
+        <SuccessMessage>
+          Marked {paidCount} {paidCount === 1 ? 'bill' : 'bills'} as paid.
+          {partialCount > 0 && ` Recorded partial payments for ${partialCount} ${partialCount === 1 ? 'bill' : 'bills'}.`}{' '}
+          <Link to="/">View your bills</Link>
+        </SuccessMessage>
+      )}
+
+      <Card>
+        <FieldGrid>
+          <FormGroup>
+            <Label htmlFor="statement-file">Statement file</Label>
+            <input
+              id="statement-file"
+              type="file"
+              accept=".ofx,.qfx,.csv,text/csv"
+              onChange={handleFileChange}
+              disabled={working}
+              key={file ? 'selected' : 'empty'}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="amount-tolerance">Amount tolerance (%)</Label>
+            <Input
+              id="amount-tolerance"
+              type="number"
+              min="0"
+              max="50"
+              value={options.amountTolerance}
+              onChange={e => handleOptionChange('amountTolerance', e.target.value === '' ? '' : Number(e.target.value))}
+              disabled={working}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="date-window">Days before or after due date</Label>
+            <Input
+              id="date-window"
+              type="number"
+              min="0"
+              max="60"
+              value={options.dateWindowDays}
+              onChange={e => handleOptionChange('dateWindowDays', e.target.value === '' ? '' : Number(e.target.value))}
+              disabled={working}
+            />
+          </FormGroup>
+          {statement && statement.format === 'csv' && (
+            <FormGroup>
+              <Label htmlFor="date-format">Date format</Label>
+              <Select
+                id="date-format"
+                value={options.dateFormat}
+                onChange={e => handleOptionChange('dateFormat', e.target.value)}
+                disabled={working}
+              >
+                {DATE_FORMATS.map(format => (
+                  <option key={format} value={format}>{format}</option>
+                ))}
+              </Select>
+            </FormGroup>
+          )}
+        </FieldGrid>
+      </Card>
+
+      {statement && statement.format === 'csv' && (
+        <Card>
+          <SectionTitle>Columns</SectionTitle>
+          <FieldGrid>
+            {statement.fields.map(field => (
+              <FormGroup key={field.key}>
+                <Label htmlFor={`map-${field.key}`}>{field.label}{field.required && ' *'}</Label>
+                <Select
+                  id={`map-${field.key}`}
+                  value={mapping && mapping[field.key] !== undefined && mapping[field.key] !== null ? mapping[field.key] : ''}
+                  onChange={e => handleMappingChange(field.key, e.target.value)}
+                  disabled={working || !!results}
+                >
+                  <option value="">Not used</option>
+                  {statement.headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+            ))}
+          </FieldGrid>
+          {statement.mappingErrors.map(message => (
+            <Issue key={message}>{message}</Issue>
+          ))}
+          {statement.errors.map(rowError => (
+            <Issue key={rowError.row}>Row {rowError.row}: {rowError.message}</Issue>
+          ))}
+        </Card>
+      )}
+
+      {statement && (
+        <Card>
+          <SectionTitle>{results ? 'Results' : 'Review Matches'}</SectionTitle>
+          <Summary>
+            <span>{debits.length} payments out</span>
+            <span>{debits.filter(t => t.match).length} proposed matches</span>
+            <span>{debits.filter(t => t.alreadyRecorded).length} already recorded</span>
+            <span>{statement.bills.length} unpaid bills</span>
+          </Summary>
+
+          {debits.length > 0 && (
+            <TableWrapper>
+              <Table>
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Amount</th>
+                    <th>Bill</th>
+                    <th>Match</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {debits.map(transaction => {
+                    const result = resultsByTransaction.get(transaction.id);
+                    const candidateIds = new Set(transaction.candidates.map(candidate => candidate.billId));
+                    const selectedCandidate = transaction.candidates.find(candidate => candidate.billId === selections[transaction.id]);
+
+                    return (
+                      <tr key={transaction.id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            aria-label={`Confirm match for ${transaction.name}`}
+                            checked={!!confirmed[transaction.id] && !!selections[transaction.id]}
+                            onChange={() => handleToggle(transaction.id)}
+                            disabled={working || !!results || transaction.alreadyRecorded || !selections[transaction.id]}
+                          />
+                        </td>
+                        <td>{formatDate(transaction.date)}</td>
+                        <td>
+                          {transaction.name}
+                          {transaction.memo && <Memo>{transaction.memo}</Memo>}
+                        </td>
+                        <td>{formatCurrency(Math.abs(transaction.amount))}</td>
+                        <td>
+                          {transaction.alreadyRecorded ? (
+                            <StatusBadge status="already_recorded">Already recorded</StatusBadge>
+                          ) : (
+                            <Select
+                              value={selections[transaction.id] || ''}
+                              onChange={e => handleSelectBill(transaction.id, e.target.value)}
+                              disabled={working || !!results}
+                            >
+                              <option value="">No match</option>
+                              {transaction.candidates.length > 0 && (
+                                <optgroup label="Suggested">
+                                  {transaction.candidates.map(candidate => billsById.has(candidate.billId) && (
+                                    <option key={candidate.billId} value={candidate.billId}>
+                                      {getBillLabel(billsById.get(candidate.billId))}
+                                    </option>
+                                  ))}
+                                </optgroup>
+                              )}
+                              <optgroup label="Other unpaid bills">
+                                {statement.bills.filter(bill => !candidateIds.has(bill.id)).map(bill => (
+                                  <option key={bill.id} value={bill.id}>{getBillLabel(bill)}</option>
+                                ))}
+                              </optgroup>
+                            </Select>
+                          )}
+                        </td>
+                        <td>
+                          {result ? (
+                            <StatusBadge status={result.status} title={result.error}>
+                              {STATUS_LABELS[result.status] || result.status}
+                            </StatusBadge>
+                          ) : selectedCandidate ? (
+                            <Score value={selectedCandidate.score}>{Math.round(selectedCandidate.score * 100)}%</Score>
+                          ) : selections[transaction.id] ? 'Manual' : ''}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </TableWrapper>
+          )}
+
+          {!results && (
+            <ConfirmButton type="button" onClick={handleConfirm} disabled={working || selectedMatches.length === 0}>
+              {working ? 'Working...' : `Mark ${selectedMatches.length} ${selectedMatches.length === 1 ? 'Bill' : 'Bills'} as Paid`}
+            </ConfirmButton>
+          )}
+          <ResetButton type="button" onClick={handleReset} disabled={working}>
+            {results ? 'Reconcile Another Statement' : 'Cancel'}
+          </ResetButton>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default ReconcileStatement;
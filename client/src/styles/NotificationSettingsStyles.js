@@ -87,6 +87,26 @@ export const CheckboxLabel = styled.label`
   color: #2c3e50;
 `;
 
+export const ReminderOffsetOptions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0 20px;
+`;
+
+export const EmailPreviewFrame = styled.iframe`
+  width: 100%;
+  height: 400px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  background-color: white;
+`;
+
+export const EmailPreviewSubject = styled.p`
+  font-weight: 500;
+  color: #2c3e50;
+  margin: 10px 0;
+`;
+
 export const Description = styled.p`
   color: #7f8c8d;
   font-size: 0.9rem;
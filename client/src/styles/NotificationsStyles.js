@@ -51,6 +51,8 @@ export const NotificationCard = styled.div`
         return '#3498db';
       case 'overdue':
         return '#e74c3c';
+      case 'budget':
+        return '#9b59b6';
       default:
         return '#95a5a6';
     }
@@ -101,9 +103,14 @@ export const ActionButton = styled.button`
   font-size: 0.9rem;
   padding: 5px;
   
-  &:hover {
+  &:hover:not(:disabled) {
     text-decoration: underline;
   }
+  
+  &:disabled {
+    color: #7f8c8d;
+    cursor: default;
+  }
 `;
 
 export const DeleteButton = styled(ActionButton)`
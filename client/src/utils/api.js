@@ -334,6 +334,283 @@ export const updateBill = async (id, billData) => {
   }
 };
 
+// Mark bill as paid (also creates the next instance of a recurring bill)
+export const markBillAsPaid = async (id) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/bills/${id}/mark-paid`, {}, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(id);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/bills/${id}/mark-paid`, error);
+  }
+};
+
+// Get payment history for a bill
+export const getBillPayments = async (billId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/bills/${billId}/payments`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(`/bills/${billId}/payments`, error);
+  }
+};
+
+// Import bills from a CSV file. With dryRun the server only validates the
+// rows and returns the preview; otherwise the new bills are created.
+export const importBills = async (file, { mapping, dateFormat, dryRun = true } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (mapping) formData.append('mapping', JSON.stringify(mapping));
+  if (dateFormat) formData.append('dateFormat', dateFormat);
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  
+  try {
+    const headers = await createAuthHeaders();
+    headers['Content-Type'] = 'multipart/form-data';
+    
+    const response = await axios.post(`${API_URL}/bills/import`, formData, {
+      headers,
+      withCredentials: true
+    });
+    
+    // Imported bills are not in the cached list yet
+    if (!dryRun) {
+      billsCache.allBills.data = null;
+      billsCache.allBills.timestamp = 0;
+    }
+    
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/import', error);
+  }
+};
+
+// Get the reports of recent bill imports
+export const getBillImports = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/bills/imports`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/imports', error);
+  }
+};
+
+/**
+ * Download a file from the API and save it in the browser
+ * @param {string} endpoint - API path
+ * @param {Object} params - Query parameters
+ * @param {string} fallbackName - File name if the server does not send one
+ */
+const downloadFile = async (endpoint, params, fallbackName) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}${endpoint}`, {
+      headers,
+      params,
+      responseType: 'blob',
+      withCredentials: true
+    });
+    
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    // Error responses arrive as a blob too; read the JSON error out of it
+    if (error.response && error.response.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch (parseError) {
+        error.response.data = { error: error.response.statusText };
+      }
+    }
+    handleApiError(endpoint, error);
+  }
+};
+
+// Download the user's bills as CSV or JSON, filtered by { from, to, category, status }
+export const exportBills = async (format, filters = {}) => {
+  const params = { format };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params[key] = value;
+  });
+  
+  await downloadFile('/bills/export', params, `bills.${format}`);
+};
+
+// Download a ZIP archive of the whole account
+export const downloadAccountArchive = async () => {
+  await downloadFile('/bills/export/archive', {}, 'bill-reminder-archive.zip');
+};
+
+// Import an account archive created by downloadAccountArchive
+export const importAccountArchive = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  
+  try {
+    const headers = await createAuthHeaders();
+    headers['Content-Type'] = 'multipart/form-data';
+    
+    const response = await axios.post(`${API_URL}/bills/import/archive`, formData, {
+      headers,
+      withCredentials: true
+    });
+    
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.clear();
+    notificationCache.data = null;
+    notificationCache.timestamp = 0;
+    
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/import/archive', error);
+  }
+};
+
+// Download a PDF statement of the bills due in a period (default: this year)
+export const downloadBillReport = async ({ from, to, thumbnails = false } = {}) => {
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+  if (thumbnails) params.thumbnails = 'true';
+  
+  await downloadFile('/bills/report', params, 'bill-statement.pdf');
+};
+
+// Download a one-page PDF summary of a bill
+export const downloadBillSummary = async (billId) => {
+  await downloadFile(`/bills/${billId}/report`, {}, 'bill-summary.pdf');
+};
+
+// Upload a bank statement (OFX/QFX or CSV) and get the proposed matches with unpaid bills
+export const uploadStatement = async (file, { mapping, dateFormat, amountTolerance, dateWindowDays } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (mapping) formData.append('mapping', JSON.stringify(mapping));
+  if (dateFormat) formData.append('dateFormat', dateFormat);
+  if (amountTolerance !== undefined) formData.append('amountTolerance', amountTolerance);
+  if (dateWindowDays !== undefined) formData.append('dateWindowDays', dateWindowDays);
+  
+  try {
+    const headers = await createAuthHeaders();
+    headers['Content-Type'] = 'multipart/form-data';
+    
+    const response = await axios.post(`${API_URL}/bills/statement`, formData, {
+      headers,
+      withCredentials: true
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/statement', error);
+  }
+};
+
+// Confirm statement matches; each bill is marked paid with the transaction as its payment
+export const confirmStatementMatches = async (matches) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/bills/statement/confirm`, { matches }, {
+      headers,
+      withCredentials: true
+    });
+    
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    matches.forEach(match => billsCache.billById.delete(match.billId));
+    
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/statement/confirm', error);
+  }
+};
+
+// Get the reminders sent for a bill
+export const getBillReminders = async (billId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/bills/${billId}/reminders`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(`/bills/${billId}/reminders`, error);
+  }
+};
+
+// Record a full or partial payment for a bill
+export const addBillPayment = async (billId, paymentData) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/bills/${billId}/payments`, paymentData, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Paid status is derived from payments, so invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(billId);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/bills/${billId}/payments`, error);
+  }
+};
+
+// Delete a payment
+export const deleteBillPayment = async (billId, paymentId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.delete(`${API_URL}/bills/${billId}/payments/${paymentId}`, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Paid status is derived from payments, so invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(billId);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/bills/${billId}/payments/${paymentId}`, error);
+  }
+};
+
 // Delete bill
 export const deleteBill = async (id) => {
   try {
@@ -471,6 +748,316 @@ export const updateNotificationPreferences = async (preferencesData) => {
   }
 };
 
+// Snooze a bill's reminders until a date ({ until: 'YYYY-MM-DD' }) or for a number of days ({ days: 3 })
+export const snoozeBillReminders = async (billId, options) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/notifications/bills/${billId}/snooze`, options, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(billId);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/notifications/bills/${billId}/snooze`, error);
+  }
+};
+
+// Acknowledge a bill ("I've scheduled this payment") to pause its reminders until the due date
+export const acknowledgeBillReminders = async (billId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/notifications/bills/${billId}/acknowledge`, {}, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(billId);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/notifications/bills/${billId}/acknowledge`, error);
+  }
+};
+
+// Resume a bill's snoozed or acknowledged reminders
+export const resumeBillReminders = async (billId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.delete(`${API_URL}/notifications/bills/${billId}/snooze`, { 
+      headers,
+      withCredentials: true 
+    });
+    
+    // Invalidate bills cache
+    billsCache.allBills.data = null;
+    billsCache.allBills.timestamp = 0;
+    billsCache.billById.delete(billId);
+    
+    return response.data;
+  } catch (error) {
+    handleApiError(`/notifications/bills/${billId}/snooze`, error);
+  }
+};
+
+// Preview a notification email (upcoming, due_today, overdue, digest, weekly_summary, test)
+export const getEmailPreview = async (type, locale = null) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/notifications/email-previews/${type}`, { 
+      headers,
+      params: locale ? { locale } : {},
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(`/notifications/email-previews/${type}`, error);
+  }
+};
+
+// Get the available notification channel types and their settings fields
+export const getNotificationChannelTypes = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/notifications/channels/types`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/channels/types', error);
+  }
+};
+
+// Send a test message through a notification channel (saved or not)
+export const sendTestChannelNotification = async (channel) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/notifications/channels/test`, { channel }, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/channels/test', error);
+  }
+};
+
+// Get the server's public VAPID key for Web Push
+export const getPushPublicKey = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/notifications/push/public-key`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/push/public-key', error);
+  }
+};
+
+// Save this browser's push subscription
+export const savePushSubscription = async (subscription) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/notifications/push/subscriptions`, { subscription }, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/push/subscriptions', error);
+  }
+};
+
+// Remove this browser's push subscription
+export const deletePushSubscription = async (endpoint) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.delete(`${API_URL}/notifications/push/subscriptions`, { 
+      headers,
+      data: { endpoint },
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/push/subscriptions', error);
+  }
+};
+
+// Send a test push notification to all of the user's browsers
+export const sendTestPushNotification = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/notifications/push/test`, {}, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/notifications/push/test', error);
+  }
+};
+
+// Get the URL of the user's calendar (iCalendar) feed
+export const getCalendarFeed = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/bills/calendar/feed`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/calendar/feed', error);
+  }
+};
+
+// Get spending analytics (monthly totals, categories, top vendors, year over year) for a year
+export const getAnalytics = async (year) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/analytics`, { 
+      headers,
+      params: year ? { year } : {},
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/analytics', error);
+  }
+};
+
+// Get the budgets with their spending in a month (YYYY-MM, default: this month)
+export const getBudgets = async (month) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.get(`${API_URL}/budgets`, { 
+      headers,
+      params: month ? { month } : {},
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/budgets', error);
+  }
+};
+
+// Create a budget ({ category, amount, alert_threshold })
+export const createBudget = async (budgetData) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/budgets`, budgetData, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/budgets', error);
+  }
+};
+
+// Update a budget
+export const updateBudget = async (budgetId, budgetData) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.put(`${API_URL}/budgets/${budgetId}`, budgetData, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(`/budgets/${budgetId}`, error);
+  }
+};
+
+// Delete a budget
+export const deleteBudget = async (budgetId) => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.delete(`${API_URL}/budgets/${budgetId}`, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(`/budgets/${budgetId}`, error);
+  }
+};
+
+// Replace the calendar feed URL; calendars subscribed with the old URL stop updating
+export const rotateCalendarFeed = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/bills/calendar/feed/rotate`, {}, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/bills/calendar/feed/rotate', error);
+  }
+};
+
+// Get a short-lived ticket for opening the live updates stream
+export const getEventStreamTicket = async () => {
+  try {
+    const headers = await createAuthHeaders();
+    
+    const response = await axios.post(`${API_URL}/events/ticket`, {}, { 
+      headers,
+      withCredentials: true 
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError('/events/ticket', error);
+  }
+};
+
+// URL of the live updates stream (EventSource can't send headers, so the ticket goes in the URL)
+export const getEventStreamUrl = (ticket) => `${API_URL}/events/stream?ticket=${encodeURIComponent(ticket)}`;
+
+// Drop cached notifications after a live update
+export const clearNotificationCache = () => {
+  notificationCache.data = null;
+  notificationCache.timestamp = 0;
+};
+
+// Drop cached bills after a live update
+export const clearBillsCache = (billId = null) => {
+  billsCache.allBills.data = null;
+  billsCache.allBills.timestamp = 0;
+  if (billId) {
+    billsCache.billById.delete(billId);
+  }
+};
+
 // Send a test notification
 export const sendTestNotification = async (notificationData) => {
   try {
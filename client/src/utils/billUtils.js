@@ -0,0 +1,83 @@
+// Interval for each supported recurring_frequency value (same as the server's recurrenceService)
+const FREQUENCY_INTERVALS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  semiannually: { months: 6 },
+  annually: { months: 12 },
+  yearly: { months: 12 }
+};
+
+/**
+ * Check if a due date is in the past
+ * @param {string} dueDate - Due date
+ * @returns {boolean}
+ */
+export const isPastDue = (dueDate) => {
+  return new Date(dueDate) < new Date();
+};
+
+/**
+ * Get the calendar day of a date as YYYY-MM-DD. Due dates are already calendar
+ * days; Date objects are read in local time.
+ * @param {string|Date} date - Date
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export const toDateKey = (date) => {
+  if (!(date instanceof Date)) return String(date).slice(0, 10);
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Calculate the due date of an occurrence in a recurring series. Like the
+ * server, dates are computed from the series start so month-end anchors are
+ * kept (Jan 31 -> Feb 28 -> Mar 31).
+ * @param {string} seriesStartDate - Due date of the first bill in the series (YYYY-MM-DD)
+ * @param {string} frequency - Recurring frequency
+ * @param {number} occurrenceIndex - Zero-based index of the occurrence
+ * @returns {string|null} Due date as YYYY-MM-DD, or null for an unknown frequency
+ */
+export const getOccurrenceDueDate = (seriesStartDate, frequency, occurrenceIndex) => {
+  const interval = FREQUENCY_INTERVALS[(frequency || 'monthly').toLowerCase()];
+  if (!interval) return null;
+
+  const [year, month, day] = toDateKey(seriesStartDate).split('-').map(Number);
+
+  if (interval.days) {
+    return toDateKey(new Date(year, month - 1, day + interval.days * occurrenceIndex));
+  }
+
+  const targetMonth = month - 1 + interval.months * occurrenceIndex;
+  const lastDayOfMonth = new Date(year, targetMonth + 1, 0).getDate();
+  return toDateKey(new Date(year, targetMonth, Math.min(day, lastDayOfMonth)));
+};
+
+/**
+ * Project the future occurrences of a recurring bill that have not been
+ * generated yet. Only the latest bill of a series (the one without a next
+ * occurrence) is projected, so generated bills are never shown twice; series
+ * that ended (series_ended) are not projected.
+ * @param {Object} bill - Bill
+ * @param {string} rangeEnd - Last day to project (YYYY-MM-DD)
+ * @returns {Array} Projected occurrences ({ bill, due_date, occurrence_number })
+ */
+export const getProjectedOccurrences = (bill, rangeEnd) => {
+  if (!bill.is_recurring || bill.next_occurrence_id || bill.series_ended) return [];
+
+  const seriesStart = bill.series_start_date || bill.due_date;
+  const endDate = bill.recurring_end_date ? toDateKey(bill.recurring_end_date) : null;
+  const projections = [];
+
+  for (let index = bill.occurrence_number || 1; ; index++) {
+    const dueDate = getOccurrenceDueDate(seriesStart, bill.recurring_frequency, index);
+    if (!dueDate || dueDate > rangeEnd || (endDate && dueDate > endDate)) break;
+
+    projections.push({ bill, due_date: dueDate, occurrence_number: index + 1 });
+  }
+
+  return projections;
+};
@@ -0,0 +1,85 @@
+import { getPushPublicKey, savePushSubscription, deletePushSubscription } from './api';
+
+// Served from client/public so it controls the whole app
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL || ''}/service-worker.js`;
+
+/**
+ * Whether this browser supports Web Push
+ * @returns {boolean}
+ */
+export const isPushSupported = () => (
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+);
+
+/**
+ * Convert a URL-safe base64 VAPID key to the format PushManager expects
+ * @param {string} base64String - URL-safe base64 key
+ * @returns {Uint8Array}
+ */
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = window.atob(base64);
+  return Uint8Array.from([...rawData].map(char => char.charCodeAt(0)));
+};
+
+/**
+ * Register the push service worker (or get the existing registration)
+ * @returns {Promise<ServiceWorkerRegistration>}
+ */
+const registerServiceWorker = async () => {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+/**
+ * Get this browser's current push subscription
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for permission, subscribe this browser and save the subscription on the server
+ * @returns {Promise<PushSubscription>}
+ */
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported in this browser.');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked. Allow them in your browser settings to enable push notifications.');
+  }
+
+  const { publicKey } = await getPushPublicKey();
+  const registration = await registerServiceWorker();
+
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey)
+    });
+
+  // Saved again even if it already existed, in case another account used this browser
+  await savePushSubscription(subscription.toJSON());
+
+  return subscription;
+};
+
+/**
+ * Unsubscribe this browser and remove the subscription from the server
+ * @returns {Promise<void>}
+ */
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await deletePushSubscription(subscription.endpoint);
+  await subscription.unsubscribe();
+};
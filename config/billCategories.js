@@ -0,0 +1,36 @@
+// config/billCategories.js
+// Bill categories offered by the client (AddBill, EditBill and the Home filters).
+// Bills without one of these are 'Uncategorized'.
+
+const BILL_CATEGORIES = [
+  'Utilities',
+  'Subscriptions',
+  'Housing',
+  'Food',
+  'Transportation',
+  'Healthcare',
+  'Insurance',
+  'Entertainment',
+  'Education',
+  'Shopping',
+  'Other'
+];
+
+const DEFAULT_CATEGORY = 'Uncategorized';
+
+/**
+ * Match a category name to one of the bill categories, ignoring case
+ * @param {string} value - Category name
+ * @returns {string|null} Category, or null if it is not a known category
+ */
+const findCategory = (value) => {
+  const name = String(value || '').trim().toLowerCase();
+  if (name === DEFAULT_CATEGORY.toLowerCase()) return DEFAULT_CATEGORY;
+  return BILL_CATEGORIES.find(category => category.toLowerCase() === name) || null;
+};
+
+module.exports = {
+  BILL_CATEGORIES,
+  DEFAULT_CATEGORY,
+  findCategory
+};
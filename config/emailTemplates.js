@@ -0,0 +1,193 @@
+// config/emailTemplates.js
+// Built-in notification email templates (English). Admins can override any
+// of these per locale in the email_templates table; missing fields fall back
+// to the versions below. See utils/templateUtils.js for the template syntax.
+
+const BILL_DETAILS_HTML = `
+<p><strong>Amount:</strong> {{amount}}{{#if partially_paid}} ({{amount_due}} remaining){{/if}}</p>
+<p><strong>Due Date:</strong> {{due_date}}</p>
+<p><strong>Category:</strong> {{category}}</p>
+<p>
+  {{#if mark_paid_url}}<a href="{{mark_paid_url}}" style="display: inline-block; background: #27ae60; color: white; padding: 8px 16px; border-radius: 4px; text-decoration: none;">Mark as paid</a>
+  <a href="{{snooze_url}}" style="display: inline-block; background: #8e44ad; color: white; padding: 8px 16px; border-radius: 4px; text-decoration: none;">Snooze 3 days</a>{{/if}}
+  <a href="{{view_url}}" style="display: inline-block; background: #3498db; color: white; padding: 8px 16px; border-radius: 4px; text-decoration: none;">View bill</a>
+</p>`;
+
+const BILL_DETAILS_TEXT = `
+Amount: {{amount}}{{#if partially_paid}} ({{amount_due}} remaining){{/if}}
+Due Date: {{due_date}}
+Category: {{category}}
+{{#if mark_paid_url}}
+Mark as paid: {{mark_paid_url}}
+Snooze 3 days: {{snooze_url}}{{/if}}
+View bill: {{view_url}}`;
+
+const DUE_TEXT = '{{#if is_overdue}}overdue by {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}}{{else}}{{#if is_due_today}}due today{{else}}due {{due_date}}{{/if}}{{/if}}';
+
+const DIGEST_SECTION_HTML = (list, heading, total) => `
+{{#if ${list}}}
+<h3>${heading}</h3>
+<table style="width: 100%; border-collapse: collapse;">
+{{#each ${list}}}
+  <tr>
+    <td><a href="{{view_url}}">{{vendor}}</a>{{#if mark_paid_url}} (<a href="{{mark_paid_url}}">mark as paid</a>){{/if}}</td>
+    <td>{{category}}</td>
+    <td>${DUE_TEXT}</td>
+    <td style="text-align: right;">{{amount_due}}</td>
+  </tr>
+{{/each}}
+  <tr>
+    <td colspan="3"><strong>Total</strong></td>
+    <td style="text-align: right;"><strong>{{${total}}}</strong></td>
+  </tr>
+</table>
+{{/if}}`;
+
+const DIGEST_SECTION_TEXT = (list, heading, total) => `
+{{#if ${list}}}
+${heading}
+{{#each ${list}}}- {{vendor}} ({{category}}): {{amount_due}}, ${DUE_TEXT}
+{{/each}}Total: {{${total}}}
+{{/if}}`;
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  upcoming: {
+    subject: 'Upcoming Bill: {{vendor}}',
+    html: `
+<h2>Upcoming Bill Reminder</h2>
+<p>Your bill of {{amount_due}} for {{vendor}} is due {{#if due_tomorrow}}tomorrow{{else}}in {{days_until_due}} days{{/if}}.</p>
+${BILL_DETAILS_HTML}
+<p>Please make sure to pay this bill on time to avoid late fees.</p>`,
+    text: `Upcoming Bill Reminder
+
+Your bill of {{amount_due}} for {{vendor}} is due {{#if due_tomorrow}}tomorrow{{else}}in {{days_until_due}} days{{/if}}.
+${BILL_DETAILS_TEXT}
+
+Please make sure to pay this bill on time to avoid late fees.`
+  },
+  
+  due_today: {
+    subject: 'Bill Due Today: {{vendor}}',
+    html: `
+<h2>Bill Due Today</h2>
+<p>Your bill of {{amount_due}} for {{vendor}} is due today.</p>
+${BILL_DETAILS_HTML}
+<p>Please make sure to pay this bill today to avoid late fees.</p>`,
+    text: `Bill Due Today
+
+Your bill of {{amount_due}} for {{vendor}} is due today.
+${BILL_DETAILS_TEXT}
+
+Please make sure to pay this bill today to avoid late fees.`
+  },
+  
+  overdue: {
+    // Later reminders for the same due date get stronger wording (see escalation_level)
+    subject: '{{#if is_urgent}}Urgent: {{vendor}} bill is {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}} overdue{{else}}{{#if is_second_notice}}Second Notice: Overdue Bill from {{vendor}}{{else}}Overdue Bill: {{vendor}}{{/if}}{{/if}}',
+    html: `
+<h2>{{#if is_urgent}}Urgent: Overdue Bill{{else}}{{#if is_second_notice}}Second Notice: Overdue Bill{{else}}Overdue Bill Alert{{/if}}{{/if}}</h2>
+<p>Your bill of {{amount_due}} for {{vendor}} is overdue by {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}}.</p>
+${BILL_DETAILS_HTML}
+<p>{{#if is_urgent}}This is overdue reminder number {{reminder_number}}. Please pay this bill now to avoid further late fees, collection or service interruption.{{else}}Please pay this bill as soon as possible to avoid additional late fees.{{/if}}</p>`,
+    text: `{{#if is_urgent}}Urgent: Overdue Bill{{else}}{{#if is_second_notice}}Second Notice: Overdue Bill{{else}}Overdue Bill Alert{{/if}}{{/if}}
+
+Your bill of {{amount_due}} for {{vendor}} is overdue by {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}}.
+${BILL_DETAILS_TEXT}
+
+{{#if is_urgent}}This is overdue reminder number {{reminder_number}}. Please pay this bill now to avoid further late fees, collection or service interruption.{{else}}Please pay this bill as soon as possible to avoid additional late fees.{{/if}}`
+  },
+  
+  // Sent to the user's secondary contact; no one-click links, as those act on the user's account
+  overdue_contact: {
+    subject: 'Overdue Bill Notice: {{vendor}} is {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}} overdue',
+    html: `
+<h2>Overdue Bill Notice</h2>
+<p>A bill of {{amount_due}} for {{vendor}}{{#if account_email}} on the Bill Reminder account of {{account_email}}{{/if}} is overdue by {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}}.</p>
+<p><strong>Amount:</strong> {{amount}}{{#if partially_paid}} ({{amount_due}} remaining){{/if}}</p>
+<p><strong>Due Date:</strong> {{due_date}}</p>
+<p><strong>Category:</strong> {{category}}</p>
+<p>You are receiving this because you are listed as the secondary contact for overdue bills. To stop these emails, ask the account owner to remove you in their notification settings.</p>`,
+    text: `Overdue Bill Notice
+
+A bill of {{amount_due}} for {{vendor}}{{#if account_email}} on the Bill Reminder account of {{account_email}}{{/if}} is overdue by {{days_overdue}} {{#if one_day_overdue}}day{{else}}days{{/if}}.
+
+Amount: {{amount}}{{#if partially_paid}} ({{amount_due}} remaining){{/if}}
+Due Date: {{due_date}}
+Category: {{category}}
+
+You are receiving this because you are listed as the secondary contact for overdue bills. To stop these emails, ask the account owner to remove you in their notification settings.`
+  },
+  
+  digest: {
+    subject: 'Bill Digest: {{count}} {{#if one_bill}}bill needs{{else}}bills need{{/if}} attention{{#if overdue}} ({{overdue_count}} overdue){{/if}}',
+    html: `
+<h2>Your Bill Digest</h2>
+<p>You have {{count}} {{#if one_bill}}bill{{else}}bills{{/if}} totalling {{total}} that need attention.</p>
+${DIGEST_SECTION_HTML('overdue', 'Overdue', 'overdue_total')}
+${DIGEST_SECTION_HTML('due_today', 'Due Today', 'due_today_total')}
+${DIGEST_SECTION_HTML('upcoming', 'Upcoming', 'upcoming_total')}
+<p><a href="{{app_url}}">Open Bill Reminder</a></p>`,
+    text: `Your Bill Digest
+
+You have {{count}} {{#if one_bill}}bill{{else}}bills{{/if}} totalling {{total}} that need attention.
+${DIGEST_SECTION_TEXT('overdue', 'Overdue', 'overdue_total')}
+${DIGEST_SECTION_TEXT('due_today', 'Due Today', 'due_today_total')}
+${DIGEST_SECTION_TEXT('upcoming', 'Upcoming', 'upcoming_total')}
+Open Bill Reminder: {{app_url}}`
+  },
+  
+  weekly_summary: {
+    subject: 'Weekly Bill Summary: {{count}} {{#if one_bill}}bill{{else}}bills{{/if}} due this week',
+    html: `
+<h2>Your Week Ahead</h2>
+{{#if bills}}
+<p>You have {{count}} {{#if one_bill}}bill{{else}}bills{{/if}} due in the 7 days from {{week_start}}, totalling {{total}}.</p>
+${DIGEST_SECTION_HTML('bills', 'Due This Week', 'total')}
+{{else}}
+<p>You have no bills due in the 7 days from {{week_start}}.</p>
+{{/if}}
+<p><a href="{{app_url}}">Open Bill Reminder</a></p>`,
+    text: `Your Week Ahead
+
+{{#if bills}}You have {{count}} {{#if one_bill}}bill{{else}}bills{{/if}} due in the 7 days from {{week_start}}, totalling {{total}}.
+${DIGEST_SECTION_TEXT('bills', 'Due This Week', 'total')}{{else}}You have no bills due in the 7 days from {{week_start}}.
+{{/if}}
+Open Bill Reminder: {{app_url}}`
+  },
+  
+  // Sent when a category's spending this month reaches the budget's alert threshold
+  budget: {
+    subject: '{{#if is_exceeded}}Over Budget: {{category}}{{else}}{{#if is_projected}}Projected Over Budget: {{category}}{{else}}Budget Alert: {{category}} at {{percent}}{{/if}}{{/if}}',
+    html: `
+<h2>{{#if is_exceeded}}Over Budget{{else}}Budget Alert{{/if}}: {{category}}</h2>
+<p>{{#if is_exceeded}}Your {{category}} bills for {{month}} total {{spent}}, which is over your budget of {{budget}}.{{else}}{{#if is_projected}}Your {{category}} bills for {{month}} are projected to total {{projected}} with the recurring bills still to come, which is over your budget of {{budget}}.{{else}}Your {{category}} bills for {{month}} have reached {{percent}} of your budget of {{budget}}.{{/if}}{{/if}}</p>
+<p><strong>Spent:</strong> {{spent}} ({{percent}})</p>
+<p><strong>Projected:</strong> {{projected}}</p>
+<p><strong>Remaining:</strong> {{remaining}}</p>
+<p><a href="{{budgets_url}}" style="display: inline-block; background: #3498db; color: white; padding: 8px 16px; border-radius: 4px; text-decoration: none;">View budgets</a></p>`,
+    text: `{{#if is_exceeded}}Over Budget{{else}}Budget Alert{{/if}}: {{category}}
+
+{{#if is_exceeded}}Your {{category}} bills for {{month}} total {{spent}}, which is over your budget of {{budget}}.{{else}}{{#if is_projected}}Your {{category}} bills for {{month}} are projected to total {{projected}} with the recurring bills still to come, which is over your budget of {{budget}}.{{else}}Your {{category}} bills for {{month}} have reached {{percent}} of your budget of {{budget}}.{{/if}}{{/if}}
+
+Spent: {{spent}} ({{percent}})
+Projected: {{projected}}
+Remaining: {{remaining}}
+
+View budgets: {{budgets_url}}`
+  },
+  
+  test: {
+    subject: 'Test Email from Bill Reminder App',
+    html: `
+<h1>Test Email</h1>
+<p>This is a test email from the Bill Reminder App, sent {{sent_at}}.</p>
+<p>If you received this, your email notifications are working. Amounts will look like {{sample_amount}} and dates like {{sample_date}}.</p>`,
+    text: `Test Email
+
+This is a test email from the Bill Reminder App, sent {{sent_at}}.
+
+If you received this, your email notifications are working. Amounts will look like {{sample_amount}} and dates like {{sample_date}}.`
+  }
+};
+
+module.exports = DEFAULT_EMAIL_TEMPLATES;
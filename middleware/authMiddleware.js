@@ -47,6 +47,30 @@ const isAuthenticated = async (req, res, next) => {
   }
 };
 
+// Middleware to restrict a route to administrators.
+// Must run after isAuthenticated. A user is an admin if their Supabase
+// app_metadata role is "admin" or their email is listed in ADMIN_EMAILS.
+const isAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'User not authenticated' });
+  }
+  
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  
+  const isAdminUser = (req.user.app_metadata && req.user.app_metadata.role === 'admin') ||
+    (req.user.email && adminEmails.includes(req.user.email.toLowerCase()));
+  
+  if (!isAdminUser) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  
+  next();
+};
+
 module.exports = {
-  isAuthenticated
+  isAuthenticated,
+  isAdmin
 };
@@ -22,6 +22,24 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage: storage });
 
+/**
+ * CSV files for bill imports and bank statements are parsed straight from memory
+ */
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+/**
+ * Account archives (ZIP with the bill images) are read from memory as well
+ */
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+});
+
 module.exports = {
-  upload
+  upload,
+  csvUpload,
+  archiveUpload
 };
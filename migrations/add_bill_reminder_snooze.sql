@@ -0,0 +1,7 @@
+-- Snoozed or acknowledged ("I've scheduled this payment") reminders per bill.
+-- Reminders are skipped until reminders_paused_until; a pause started before
+-- the due date (reminders_paused_on) ends on the due date at the latest.
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS reminders_paused_until DATE,
+ADD COLUMN IF NOT EXISTS reminders_paused_on DATE,
+ADD COLUMN IF NOT EXISTS reminders_pause_reason TEXT CHECK (reminders_pause_reason IN ('snoozed', 'acknowledged'));
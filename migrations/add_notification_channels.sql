@@ -0,0 +1,4 @@
+-- Extra notification channels per user (webhook, Slack, Telegram, ntfy, Gotify).
+-- Each entry is { id, type, name, enabled, config }; see services/channelService.js.
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS channels JSONB DEFAULT '[]'::jsonb;
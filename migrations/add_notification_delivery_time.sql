@@ -0,0 +1,5 @@
+-- Per-user timezone and preferred delivery time for notifications
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS timezone TEXT,                      -- IANA name, e.g. 'Europe/Berlin'; NULL = server timezone
+ADD COLUMN IF NOT EXISTS preferred_time TIME DEFAULT '08:00', -- Local time notifications are sent
+ADD COLUMN IF NOT EXISTS last_notification_date DATE;        -- Local date of the last notification run
@@ -0,0 +1,7 @@
+-- One digest email per notification run instead of one email per bill,
+-- plus an optional weekly summary of the coming week's bills
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS email_digest BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS weekly_summary BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS weekly_summary_day SMALLINT DEFAULT 1 CHECK (weekly_summary_day BETWEEN 0 AND 6),
+ADD COLUMN IF NOT EXISTS last_weekly_summary_date DATE;
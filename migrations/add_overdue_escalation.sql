@@ -0,0 +1,20 @@
+-- Escalating overdue reminders: reminders on the listed days after the due
+-- date, then every overdue_repeat_days (0 = no repeats). A secondary contact
+-- (e.g. a partner or accountant) can also be emailed once a bill has been
+-- overdue for secondary_contact_after_days (NULL or 0 = never).
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS overdue_reminder_days INTEGER[] DEFAULT '{1,3,7}',
+ADD COLUMN IF NOT EXISTS overdue_repeat_days INTEGER DEFAULT 7 CHECK (overdue_repeat_days BETWEEN 0 AND 90),
+ADD COLUMN IF NOT EXISTS secondary_contact_email TEXT,
+ADD COLUMN IF NOT EXISTS secondary_contact_after_days INTEGER CHECK (secondary_contact_after_days BETWEEN 0 AND 365);
+
+-- Per-bill overrides of the overdue policy (NULL = use the user's preferences)
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS overdue_reminder_days INTEGER[],
+ADD COLUMN IF NOT EXISTS overdue_repeat_days INTEGER CHECK (overdue_repeat_days BETWEEN 0 AND 90),
+ADD COLUMN IF NOT EXISTS secondary_contact_after_days INTEGER CHECK (secondary_contact_after_days BETWEEN 0 AND 365);
+
+-- Email sent to the secondary contact can be overridden like the other templates
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_type_check;
+ALTER TABLE email_templates ADD CONSTRAINT email_templates_type_check
+  CHECK (type IN ('upcoming', 'due_today', 'overdue', 'overdue_contact', 'digest', 'weekly_summary', 'test'));
@@ -0,0 +1,8 @@
+-- Bank statement transaction a payment was recorded from (OFX FITID or a hash
+-- of the CSV row), so the same transaction is never matched to a bill twice
+ALTER TABLE bill_payments
+ADD COLUMN IF NOT EXISTS transaction_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bill_payments_transaction_id
+  ON bill_payments(user_id, transaction_id)
+  WHERE transaction_id IS NOT NULL;
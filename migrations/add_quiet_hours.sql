@@ -0,0 +1,11 @@
+-- Quiet hours and do-not-disturb. Email, push and channel deliveries that fall
+-- inside quiet hours (local times, may span midnight) or the do-not-disturb
+-- window (local dates, both days included) are held and sent when it ends.
+-- quiet_hours_bypass_due_today lets due-today alerts through quiet hours.
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS quiet_hours_start TIME DEFAULT '22:00',
+ADD COLUMN IF NOT EXISTS quiet_hours_end TIME DEFAULT '07:00',
+ADD COLUMN IF NOT EXISTS quiet_hours_bypass_due_today BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS dnd_start DATE,
+ADD COLUMN IF NOT EXISTS dnd_end DATE;
@@ -0,0 +1,27 @@
+-- Link the instances of a recurring bill together as a series
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS category TEXT DEFAULT 'Uncategorized',
+ADD COLUMN IF NOT EXISTS is_recurring BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS recurring_frequency TEXT,
+ADD COLUMN IF NOT EXISTS recurring_end_date DATE,
+ADD COLUMN IF NOT EXISTS parent_bill_id UUID REFERENCES bills(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS occurrence_number INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS series_start_date DATE,
+ADD COLUMN IF NOT EXISTS next_occurrence_id UUID REFERENCES bills(id) ON DELETE SET NULL,
+-- Set on the latest bill of a series that gets no successor: the series passed
+-- its end date, or the user deleted the next bill (next_occurrence_id is then
+-- NULL again, and the deleted bill must not be generated once more)
+ADD COLUMN IF NOT EXISTS series_ended BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Index for finding the instances of a series
+CREATE INDEX IF NOT EXISTS idx_bills_parent_bill_id ON bills(parent_bill_id);
+
+-- Index for the daily check of recurring bills that still need a successor
+CREATE INDEX IF NOT EXISTS idx_bills_recurring_pending
+  ON bills(due_date)
+  WHERE is_recurring = TRUE AND next_occurrence_id IS NULL AND series_ended = FALSE;
+
+-- Each occurrence of a series can only be generated once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bills_series_occurrence
+  ON bills(parent_bill_id, occurrence_number)
+  WHERE parent_bill_id IS NOT NULL;
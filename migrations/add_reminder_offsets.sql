@@ -0,0 +1,15 @@
+-- Multiple reminders before the due date (e.g. 14, 7, 3 and 1 days before)
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[] DEFAULT '{3}';
+
+-- Copy the existing single reminder setting into the new list
+UPDATE notification_preferences
+SET reminder_offsets = ARRAY[notification_days_before]
+WHERE notification_days_before IS NOT NULL;
+
+-- Per-bill override of the user's reminder offsets (NULL = use the user's list),
+-- plus the last reminder sent so missed reminders can be caught up
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[],
+ADD COLUMN IF NOT EXISTS last_reminder_offset INTEGER,
+ADD COLUMN IF NOT EXISTS last_reminder_due_date DATE;
@@ -0,0 +1,54 @@
+-- Import an account archive (POST /api/bills/import/archive) in one transaction.
+-- The server has already given every row a new ID and the importing user's
+-- user_id, and rewritten the links between rows, so the rows are inserted as
+-- they are. Bills that link to each other are inserted in one statement, as
+-- foreign keys are only checked at the end of it. The imported preferences
+-- replace the user's current preferences.
+CREATE OR REPLACE FUNCTION import_account_archive(
+  p_user_id UUID,
+  p_bills JSONB,
+  p_payments JSONB,
+  p_notifications JSONB,
+  p_preferences JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_bills INTEGER;
+  v_payments INTEGER;
+  v_notifications INTEGER;
+BEGIN
+  IF EXISTS (SELECT 1 FROM jsonb_array_elements(p_bills || p_payments || p_notifications) AS r
+             WHERE (r->>'user_id')::UUID IS DISTINCT FROM p_user_id) THEN
+    RAISE EXCEPTION 'Archive rows must belong to the importing user';
+  END IF;
+
+  INSERT INTO bills
+  SELECT * FROM jsonb_populate_recordset(NULL::bills, p_bills);
+  GET DIAGNOSTICS v_bills = ROW_COUNT;
+
+  INSERT INTO bill_payments
+  SELECT * FROM jsonb_populate_recordset(NULL::bill_payments, p_payments);
+  GET DIAGNOSTICS v_payments = ROW_COUNT;
+
+  INSERT INTO notifications
+  SELECT * FROM jsonb_populate_recordset(NULL::notifications, p_notifications);
+  GET DIAGNOSTICS v_notifications = ROW_COUNT;
+
+  IF p_preferences IS NOT NULL AND jsonb_typeof(p_preferences) = 'object' THEN
+    DELETE FROM notification_preferences WHERE user_id = p_user_id;
+
+    INSERT INTO notification_preferences
+    SELECT * FROM jsonb_populate_record(NULL::notification_preferences, p_preferences || jsonb_build_object('user_id', p_user_id));
+  END IF;
+
+  RETURN jsonb_build_object('bills', v_bills, 'payments', v_payments, 'notifications', v_notifications);
+END;
+$$;
+
+-- The function trusts p_user_id, so only the server (service role) may call it;
+-- functions are executable by PUBLIC by default, which includes the anon key.
+REVOKE EXECUTE ON FUNCTION import_account_archive(UUID, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION import_account_archive(UUID, JSONB, JSONB, JSONB, JSONB) TO service_role;
@@ -0,0 +1,60 @@
+-- Spending totals for the analytics page (GET /api/analytics), grouped in the
+-- database so the server reads one row per group instead of every bill.
+-- Bills due between p_from and p_to are grouped by due month, category,
+-- vendor (trimmed, case-insensitive) and payment status; amounts are in cents.
+-- Status and amount paid follow paymentService.getBillStatus and
+-- getAmountPaid: bills marked paid without recorded payments count in full.
+CREATE OR REPLACE FUNCTION get_bill_analytics(p_user_id UUID, p_from DATE, p_to DATE, p_today DATE)
+RETURNS TABLE (
+  due_month DATE,
+  category TEXT,
+  vendor_key TEXT,
+  vendor TEXT,
+  status TEXT,
+  bill_count INTEGER,
+  billed_cents BIGINT,
+  paid_cents BIGINT,
+  last_due_date DATE
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    date_trunc('month', b.due_date::TIMESTAMP)::DATE,
+    b.category,
+    LOWER(TRIM(COALESCE(b.vendor, ''))),
+    -- Vendors are shown with the name on their latest bill
+    (ARRAY_AGG(TRIM(COALESCE(b.vendor, '')) ORDER BY b.due_date DESC, b.id DESC))[1],
+    b.status,
+    COUNT(*)::INTEGER,
+    SUM(b.amount_cents)::BIGINT,
+    SUM(CASE WHEN b.paid AND b.amount_paid_cents = 0 THEN b.amount_cents ELSE b.amount_paid_cents END)::BIGINT,
+    MAX(b.due_date)
+  FROM (
+    SELECT
+      id,
+      vendor,
+      category,
+      due_date,
+      paid,
+      ROUND(COALESCE(amount, 0) * 100) AS amount_cents,
+      ROUND(COALESCE(amount_paid, 0) * 100) AS amount_paid_cents,
+      CASE
+        WHEN paid THEN 'paid'
+        WHEN payment_status = 'partially_paid' THEN 'partial'
+        WHEN due_date < p_today THEN 'overdue'
+        ELSE 'unpaid'
+      END AS status
+    FROM bills
+    WHERE user_id = p_user_id
+      AND due_date BETWEEN p_from AND p_to
+  ) b
+  GROUP BY 1, 2, 3, 5
+  ORDER BY 1, 2, 3, 5;
+$$;
+
+-- The function trusts p_user_id, so only the server (service role) may call it;
+-- functions are executable by PUBLIC by default, which includes the anon key.
+REVOKE EXECUTE ON FUNCTION get_bill_analytics(UUID, DATE, DATE, DATE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_bill_analytics(UUID, DATE, DATE, DATE) TO service_role;
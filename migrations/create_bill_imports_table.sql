@@ -0,0 +1,113 @@
+-- CSV imports of bills (POST /api/bills/import) and their reports: the
+-- outcome of every row (imported, duplicate or error) is kept in report.
+CREATE TABLE IF NOT EXISTS bill_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  file_name TEXT,
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  report JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_imports_user_id ON bill_imports(user_id, created_at DESC);
+
+-- Imports are only read and written by the server with the service role key
+ALTER TABLE bill_imports ENABLE ROW LEVEL SECURITY;
+
+-- Bills created by an import
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES bill_imports(id) ON DELETE SET NULL;
+
+-- Insert the bills of an import and its report in one transaction.
+-- p_bills is ordered so that recurring bills of the same series_key come
+-- oldest first: the first becomes the parent of the series and each bill is
+-- linked to its successor, so only the latest one is continued by the scheduler.
+CREATE OR REPLACE FUNCTION import_bills(p_user_id UUID, p_file_name TEXT, p_bills JSONB, p_report JSONB)
+RETURNS bill_imports
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_import bill_imports;
+  v_bill RECORD;
+  v_bill_id UUID;
+  v_parents JSONB := '{}';
+  v_previous JSONB := '{}';
+BEGIN
+  INSERT INTO bill_imports (user_id, file_name, total_rows, imported_count, duplicate_count, error_count, report)
+  VALUES (
+    p_user_id,
+    p_file_name,
+    COALESCE((p_report->'summary'->>'totalRows')::INTEGER, 0),
+    jsonb_array_length(p_bills),
+    COALESCE((p_report->'summary'->>'duplicateRows')::INTEGER, 0),
+    COALESCE((p_report->'summary'->>'errorRows')::INTEGER, 0),
+    p_report
+  )
+  RETURNING * INTO v_import;
+
+  FOR v_bill IN
+    SELECT *
+    FROM jsonb_to_recordset(p_bills) AS b(
+      vendor TEXT,
+      amount DECIMAL(10, 2),
+      due_date DATE,
+      category TEXT,
+      notes TEXT,
+      is_recurring BOOLEAN,
+      recurring_frequency TEXT,
+      recurring_end_date DATE,
+      paid BOOLEAN,
+      series_key TEXT,
+      occurrence_number INTEGER,
+      series_start_date DATE
+    )
+  LOOP
+    INSERT INTO bills (
+      user_id, import_id, vendor, amount, due_date, category, notes,
+      is_recurring, recurring_frequency, recurring_end_date,
+      parent_bill_id, occurrence_number, series_start_date,
+      paid, amount_paid, payment_status, created_at
+    )
+    VALUES (
+      p_user_id, v_import.id, v_bill.vendor, v_bill.amount, v_bill.due_date, v_bill.category, v_bill.notes,
+      COALESCE(v_bill.is_recurring, FALSE), v_bill.recurring_frequency, v_bill.recurring_end_date,
+      (v_parents->>v_bill.series_key)::UUID, COALESCE(v_bill.occurrence_number, 1), v_bill.series_start_date,
+      COALESCE(v_bill.paid, FALSE),
+      CASE WHEN v_bill.paid THEN v_bill.amount ELSE 0 END,
+      CASE WHEN v_bill.paid THEN 'paid' ELSE 'unpaid' END,
+      NOW()
+    )
+    RETURNING id INTO v_bill_id;
+
+    -- A bill imported as paid gets a payment for its amount, like marking a
+    -- bill as paid, so its payment history matches amount_paid. The file has
+    -- no payment date, so the due date is used.
+    IF v_bill.paid AND v_bill.amount > 0 THEN
+      INSERT INTO bill_payments (bill_id, user_id, amount, payment_date, notes)
+      VALUES (v_bill_id, p_user_id, v_bill.amount, v_bill.due_date, 'Imported as paid');
+    END IF;
+
+    IF v_bill.series_key IS NOT NULL THEN
+      IF v_previous ? v_bill.series_key THEN
+        UPDATE bills SET next_occurrence_id = v_bill_id
+        WHERE id = (v_previous->>v_bill.series_key)::UUID;
+      ELSE
+        v_parents := v_parents || jsonb_build_object(v_bill.series_key, v_bill_id);
+      END IF;
+
+      v_previous := v_previous || jsonb_build_object(v_bill.series_key, v_bill_id);
+    END IF;
+  END LOOP;
+
+  RETURN v_import;
+END;
+$$;
+
+-- The function trusts p_user_id, so only the server (service role) may call it;
+-- functions are executable by PUBLIC by default, which includes the anon key.
+REVOKE EXECUTE ON FUNCTION import_bills(UUID, TEXT, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION import_bills(UUID, TEXT, JSONB, JSONB) TO service_role;
@@ -0,0 +1,42 @@
+-- Create bill_payments table
+CREATE TABLE IF NOT EXISTS bill_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  bill_id UUID NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  payment_method TEXT CHECK (payment_method IN ('cash', 'check', 'credit_card', 'debit_card', 'bank_transfer', 'autopay', 'other')),
+  confirmation_number TEXT,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_bill_payments_bill_id ON bill_payments(bill_id);
+CREATE INDEX IF NOT EXISTS idx_bill_payments_user_id ON bill_payments(user_id);
+
+-- Payment status derived from the bill's payments
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS payment_status TEXT DEFAULT 'unpaid' CHECK (payment_status IN ('unpaid', 'partially_paid', 'paid'));
+
+-- Enable RLS on bill_payments
+ALTER TABLE bill_payments ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for bill_payments
+CREATE POLICY "Users can view their own payments" 
+  ON bill_payments FOR SELECT 
+  USING (user_id = auth.uid() OR user_id = '00000000-0000-0000-0000-000000000000');
+
+CREATE POLICY "Users can insert their own payments" 
+  ON bill_payments FOR INSERT 
+  WITH CHECK (user_id = auth.uid() OR user_id = '00000000-0000-0000-0000-000000000000');
+
+CREATE POLICY "Users can update their own payments" 
+  ON bill_payments FOR UPDATE 
+  USING (user_id = auth.uid() OR user_id = '00000000-0000-0000-0000-000000000000');
+
+CREATE POLICY "Users can delete their own payments" 
+  ON bill_payments FOR DELETE 
+  USING (user_id = auth.uid() OR user_id = '00000000-0000-0000-0000-000000000000');
@@ -0,0 +1,42 @@
+-- Monthly budgets per bill category (config/billCategories.js). Spending in a
+-- month is the amount of the category's bills due that month; an alert is sent
+-- when the actual or projected spending reaches alert_threshold percent of the
+-- budget, and again when it goes over the budget.
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  category TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  alert_threshold INTEGER NOT NULL DEFAULT 80 CHECK (alert_threshold BETWEEN 1 AND 100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, category)
+);
+
+-- Budget alerts sent, so each level goes out once per budget and month.
+--   month: first day of the month the spending is for
+--   level: threshold (alert_threshold reached), projected (projected to go
+--          over the budget) or exceeded (over the budget)
+CREATE TABLE IF NOT EXISTS budget_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  month DATE NOT NULL,
+  level TEXT NOT NULL CHECK (level IN ('threshold', 'projected', 'exceeded')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (budget_id, month, level)
+);
+
+-- Budgets and budget alerts are only read and written by the server with the service role key
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Budget alerts are notifications without a bill
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('upcoming', 'due_today', 'overdue', 'budget'));
+
+-- The budget alert email can be overridden like the other templates
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_type_check;
+ALTER TABLE email_templates ADD CONSTRAINT email_templates_type_check
+  CHECK (type IN ('upcoming', 'due_today', 'overdue', 'overdue_contact', 'digest', 'weekly_summary', 'test', 'budget'));
@@ -0,0 +1,12 @@
+-- Secret tokens for the iCalendar feed (/api/bills/calendar.ics?token=...).
+-- Calendar apps can't log in, so the token in the feed URL identifies the
+-- user; rotating it replaces the row and the old URL stops working.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  user_id UUID PRIMARY KEY,
+  token TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_accessed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Feed tokens are only read and written by the server with the service role key
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
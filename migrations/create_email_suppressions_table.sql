@@ -0,0 +1,14 @@
+-- Addresses that must not receive email: hard bounces and spam complaints
+-- reported by the email provider's webhook (/api/webhooks/email).
+-- Addresses are stored in lower case.
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  email TEXT PRIMARY KEY,
+  reason TEXT NOT NULL CHECK (reason IN ('hard_bounce', 'complaint')),
+  provider TEXT,
+  details TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The list is only read and written by the server with the service role key
+ALTER TABLE email_suppressions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,23 @@
+-- Locale and currency used to format notification emails
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS locale TEXT DEFAULT 'en-US',
+ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD';
+
+-- Admin overrides of the built-in email templates (config/emailTemplates.js).
+-- locale is a BCP 47 tag (e.g. fr-CA), a language (fr) or 'default' for all locales.
+-- NULL fields fall back to the built-in template.
+CREATE TABLE IF NOT EXISTS email_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL CHECK (type IN ('upcoming', 'due_today', 'overdue', 'digest', 'weekly_summary', 'test')),
+  locale TEXT NOT NULL DEFAULT 'default',
+  subject TEXT,
+  html_body TEXT,
+  text_body TEXT,
+  updated_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (type, locale)
+);
+
+-- Templates are only read and written by the server with the service role key
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,31 @@
+-- Log of bill reminder deliveries, one row per reminder per channel.
+-- The unique key makes each reminder go out exactly once per channel: the
+-- notification check claims a delivery by inserting its row before sending,
+-- and skips reminders whose row already exists.
+--   type:          upcoming, due_today or overdue
+--   due_date:      the bill occurrence the reminder is for
+--   reminder_step: tells apart reminders of the same type for one due date
+--                  (days before the due date for upcoming, 0 for due_today,
+--                  the overdue reminder number for overdue)
+--   channel:       in_app, email, push or channel:<id> for the user's other channels
+--                  (channel_name keeps the channel's name for the bill's reminder log)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  bill_id UUID NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  due_date DATE NOT NULL,
+  reminder_step INTEGER NOT NULL DEFAULT 0,
+  channel TEXT NOT NULL,
+  channel_name TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'skipped', 'failed')),
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, bill_id, type, due_date, reminder_step, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_bill_id ON notification_deliveries(bill_id);
+
+-- Deliveries are only read and written by the server with the service role key
+ALTER TABLE notification_deliveries ENABLE ROW LEVEL SECURITY;
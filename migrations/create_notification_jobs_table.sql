@@ -0,0 +1,57 @@
+-- Outbox of notification deliveries (email, channel and push sends).
+-- The notification check queues one job per delivery; the job worker sends
+-- them and retries failures with exponential backoff. Jobs that fail
+-- max_attempts times are dead-lettered for an admin to retry or discard.
+CREATE TABLE IF NOT EXISTS notification_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  type TEXT NOT NULL,
+  user_id UUID NOT NULL,
+  bill_id UUID,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'dead', 'discarded')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_status_run_at ON notification_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_user_id ON notification_jobs(user_id);
+
+-- Jobs are only read and written by the server with the service role key
+ALTER TABLE notification_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Claim a batch of due jobs for a worker. Jobs stuck in 'processing' longer
+-- than p_stale_seconds (worker crashed or was restarted) are claimed again.
+-- SKIP LOCKED lets several server processes run the worker at the same time.
+CREATE OR REPLACE FUNCTION claim_notification_jobs(p_limit INTEGER, p_stale_seconds INTEGER)
+RETURNS SETOF notification_jobs
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  UPDATE notification_jobs
+  SET status = 'processing',
+      attempts = attempts + 1,
+      locked_at = NOW(),
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT id
+    FROM notification_jobs
+    WHERE (status = 'pending' AND run_at <= NOW())
+       OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => p_stale_seconds))
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
+
+-- Claimed jobs include other users' payloads, so only the job worker
+-- (service role) may claim them; functions are executable by PUBLIC by default.
+REVOKE EXECUTE ON FUNCTION claim_notification_jobs(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_notification_jobs(INTEGER, INTEGER) TO service_role;
@@ -0,0 +1,20 @@
+-- Browser Web Push subscriptions, one row per browser/device and user.
+-- endpoint, p256dh and auth come from PushSubscription.toJSON() in the client.
+-- A browser used by several accounts has a row for each, so saving a
+-- subscription never takes it away from another user.
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  endpoint TEXT NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, endpoint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+-- Subscriptions are only read and written by the server with the service role key
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
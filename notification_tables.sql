@@ -4,7 +4,7 @@ CREATE TABLE IF NOT EXISTS notifications (
   title TEXT NOT NULL,
   message TEXT NOT NULL,
   bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
-  type TEXT NOT NULL CHECK (type IN ('upcoming', 'due_today', 'overdue')),
+  type TEXT NOT NULL CHECK (type IN ('upcoming', 'due_today', 'overdue', 'budget')),
   read BOOLEAN DEFAULT FALSE,
   user_id UUID,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -0,0 +1,238 @@
+// routes/actionRoutes.js
+//
+// One-click actions from reminder emails (mark as paid, snooze, view bill)
+// and the unsubscribe link included in every notification email.
+// Base path: /api/actions
+//
+// These endpoints are not authenticated: the signed, expiring token in the
+// link identifies the bill, its owner and the action. Opening a link only
+// shows a confirmation page; the action runs when the page's button is
+// pressed, so link scanners in email clients cannot pay or snooze bills.
+
+const express = require('express');
+const router = express.Router();
+const billService = require('../services/billService');
+const notificationService = require('../services/notificationService');
+const templateService = require('../services/templateService');
+const { verifyActionToken, verifyUnsubscribeToken } = require('../services/actionLinkService');
+const { escapeHtml } = require('../utils/templateUtils');
+
+// Days a bill is snoozed by the "Snooze 3 days" link
+const SNOOZE_LINK_DAYS = 3;
+
+/**
+ * Render a minimal standalone HTML page for an action link
+ * @param {Object} page - { title, message, confirmLabel, billUrl }
+ * @returns {string} HTML page
+ */
+const renderActionPage = ({ title, message, confirmLabel = null, billUrl = null }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - Bill Reminder</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6fa; color: #2c3e50; margin: 0; padding: 40px 20px; }
+    .card { max-width: 480px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); padding: 30px; text-align: center; }
+    h1 { font-size: 1.5rem; margin-top: 0; }
+    p { color: #34495e; line-height: 1.5; }
+    button { background: #27ae60; color: white; border: none; border-radius: 4px; padding: 12px 24px; font-size: 1rem; cursor: pointer; }
+    a { color: #3498db; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${confirmLabel ? `<form method="post"><button type="submit">${escapeHtml(confirmLabel)}</button></form>` : ''}
+    <p><a href="${escapeHtml(billUrl || templateService.getAppUrl())}">${billUrl ? 'View bill' : 'Open Bill Reminder'}</a></p>
+  </div>
+</body>
+</html>`;
+
+/**
+ * Verify an action link and load its bill, sending an error page if either fails
+ * @returns {Promise<Object|null>} { action, bill, billUrl, formatOptions } or null if a response was sent
+ */
+const loadActionLink = async (req, res) => {
+  let link;
+  
+  try {
+    link = verifyActionToken(req.params.token);
+  } catch (error) {
+    const expired = error.message === 'Expired action link';
+    res.status(expired ? 410 : 400).send(renderActionPage({
+      title: expired ? 'Link expired' : 'Invalid link',
+      message: expired
+        ? 'This link has expired. Open the app to manage this bill.'
+        : 'This link is not valid. Open the app to manage your bills.'
+    }));
+    return null;
+  }
+  
+  const billUrl = `${templateService.getAppUrl()}/bill/${link.billId}`;
+  
+  let bill;
+  try {
+    bill = await billService.getBillById(link.billId, link.userId);
+  } catch (error) {
+    bill = null;
+  }
+  
+  if (!bill || bill.user_id !== link.userId) {
+    res.status(404).send(renderActionPage({
+      title: 'Bill not found',
+      message: 'This bill no longer exists.'
+    }));
+    return null;
+  }
+  
+  const preferences = await notificationService.getNotificationPreferences(link.userId);
+  
+  return {
+    action: link.action,
+    bill,
+    billUrl,
+    formatOptions: templateService.getFormatOptions(preferences)
+  };
+};
+
+/**
+ * Verify an unsubscribe link, sending an error page if it is invalid
+ * @returns {string|null} User ID, or null if a response was sent
+ */
+const getUnsubscribeUser = (req, res) => {
+  try {
+    return verifyUnsubscribeToken(req.params.token);
+  } catch (error) {
+    res.status(400).send(renderActionPage({
+      title: 'Invalid link',
+      message: 'This unsubscribe link is not valid. You can turn off emails in the notification settings of the app.'
+    }));
+    return null;
+  }
+};
+
+// Show the unsubscribe confirmation page
+router.get('/unsubscribe/:token', (req, res) => {
+  if (!getUnsubscribeUser(req, res)) return;
+  
+  res.send(renderActionPage({
+    title: 'Unsubscribe from emails?',
+    message: 'You will stop receiving bill reminder emails. In-app notifications are not affected.',
+    confirmLabel: 'Unsubscribe'
+  }));
+});
+
+// Turn off email notifications (also used by one-click List-Unsubscribe-Post requests)
+router.post('/unsubscribe/:token', async (req, res) => {
+  const userId = getUnsubscribeUser(req, res);
+  if (!userId) return;
+  
+  try {
+    await notificationService.updateNotificationPreferences(userId, { email_notifications: false });
+    
+    res.send(renderActionPage({
+      title: 'Unsubscribed',
+      message: 'You will no longer receive bill reminder emails. You can turn them back on in the notification settings of the app.'
+    }));
+  } catch (error) {
+    console.error('Error unsubscribing user:', error);
+    res.status(500).send(renderActionPage({
+      title: 'Something went wrong',
+      message: 'We could not unsubscribe you. Please try again later or turn off emails in the app.'
+    }));
+  }
+});
+
+// Show the confirmation page for an action link (or open the bill for "View bill")
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await loadActionLink(req, res);
+    if (!link) return;
+    
+    const { action, bill, billUrl, formatOptions } = link;
+    
+    if (action === 'view') {
+      return res.redirect(billUrl);
+    }
+    
+    const amount = templateService.formatCurrency(bill.amount, formatOptions);
+    const dueDate = templateService.formatDate(bill.due_date, formatOptions);
+    
+    if (bill.paid) {
+      return res.send(renderActionPage({
+        title: 'Already paid',
+        message: `Your ${amount} bill for ${bill.vendor} is already marked as paid.`,
+        billUrl
+      }));
+    }
+    
+    if (action === 'mark_paid') {
+      return res.send(renderActionPage({
+        title: 'Mark bill as paid?',
+        message: `${bill.vendor}: ${amount}, due ${dueDate}.`,
+        confirmLabel: 'Mark as paid',
+        billUrl
+      }));
+    }
+    
+    res.send(renderActionPage({
+      title: 'Snooze reminders?',
+      message: `Pause reminders for your ${amount} bill for ${bill.vendor} (due ${dueDate}) for ${SNOOZE_LINK_DAYS} days.`,
+      confirmLabel: `Snooze ${SNOOZE_LINK_DAYS} days`,
+      billUrl
+    }));
+  } catch (error) {
+    console.error('Error showing action link:', error);
+    res.status(500).send(renderActionPage({
+      title: 'Something went wrong',
+      message: 'We could not load this bill. Please try again later.'
+    }));
+  }
+});
+
+// Run the action of a link
+router.post('/:token', async (req, res) => {
+  try {
+    const link = await loadActionLink(req, res);
+    if (!link) return;
+    
+    const { action, bill, billUrl, formatOptions } = link;
+    
+    if (action === 'view') {
+      return res.redirect(303, billUrl);
+    }
+    
+    const amount = templateService.formatCurrency(bill.amount, formatOptions);
+    
+    if (action === 'mark_paid') {
+      if (!bill.paid) {
+        await billService.markBillAsPaid(bill.id, bill.user_id);
+      }
+      
+      return res.send(renderActionPage({
+        title: 'Bill marked as paid',
+        message: `Your ${amount} bill for ${bill.vendor} is marked as paid. You won't get more reminders for it.`,
+        billUrl
+      }));
+    }
+    
+    const updatedBill = await notificationService.snoozeBillReminders(bill.id, bill.user_id, { days: SNOOZE_LINK_DAYS });
+    
+    res.send(renderActionPage({
+      title: 'Reminders snoozed',
+      message: `Reminders for ${bill.vendor} are paused until ${templateService.formatDate(updatedBill.reminders_paused_until, formatOptions)}. They always resume on the due date.`,
+      billUrl
+    }));
+  } catch (error) {
+    console.error('Error running action link:', error);
+    res.status(500).send(renderActionPage({
+      title: 'Something went wrong',
+      message: 'We could not update this bill. Please try again later or open the app.'
+    }));
+  }
+});
+
+module.exports = router;
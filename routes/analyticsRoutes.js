@@ -0,0 +1,28 @@
+// routes/analyticsRoutes.js
+//
+// Spending analytics of the user's bills.
+// Base path: /api/analytics (authenticated)
+
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+
+// Get the analytics for a calendar year (query parameter: year, default the current year)
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const analytics = await analyticsService.getAnalytics(userId, { year: req.query.year });
+    res.json(analytics);
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to get analytics', details: error.message });
+  }
+});
+
+module.exports = router;
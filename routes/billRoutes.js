@@ -5,11 +5,25 @@ const billService = require('../services/billService');
 const imageService = require('../services/imageService');
 const path = require('path');
 const storageService = require('../services/storageService');
+const recurrenceService = require('../services/recurrenceService');
+const paymentService = require('../services/paymentService');
+const { publishBillEvent } = require('../services/eventService');
+const deliveryLogService = require('../services/deliveryLogService');
+const importService = require('../services/importService');
+const statementService = require('../services/statementService');
+const exportService = require('../services/exportService');
+const reportService = require('../services/reportService');
+const {
+  normalizeReminderOffsets,
+  normalizeOverdueReminderDays,
+  normalizeOverdueRepeatDays,
+  normalizeSecondaryContactDays
+} = require('../utils/reminderUtils');
 const { isAuthenticated } = require('../middleware/authMiddleware');
 const { supabaseAdmin } = require('../serverSupabase');
 
 // Import upload middleware
-const { upload } = require('../middleware/uploadMiddleware');
+const { upload, csvUpload, archiveUpload } = require('../middleware/uploadMiddleware');
 
 // Get all bills for the authenticated user
 router.get('/', async (req, res) => {
@@ -22,13 +36,220 @@ router.get('/', async (req, res) => {
     }
     
     const bills = await billService.getBillsByUserId(userId);
-    res.json(bills);
+    res.json(recurrenceService.annotateSeriesProgress(bills));
   } catch (error) {
     console.error('Error getting bills:', error);
     res.status(500).json({ error: 'Failed to get bills', details: error.message });
   }
 });
 
+// Import bills from a CSV file. Sent as multipart form data: file, mapping
+// (JSON, column index by field), dateFormat and dryRun ('false' to import).
+router.post('/import', csvUpload.single('file'), async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file provided' });
+    }
+    
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid column mapping', details: parseError.message });
+      }
+    }
+    
+    const report = await importService.importBills(userId, {
+      csv: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname,
+      mapping,
+      dateFormat: req.body.dateFormat || undefined,
+      dryRun: req.body.dryRun !== 'false'
+    });
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing bills:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to import bills', details: error.message });
+  }
+});
+
+// Get the reports of the user's recent imports
+router.get('/imports', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const imports = await importService.getImports(userId);
+    res.json(imports);
+  } catch (error) {
+    console.error('Error getting imports:', error);
+    res.status(500).json({ error: 'Failed to get imports', details: error.message });
+  }
+});
+
+// Export the user's bills as a CSV or JSON download.
+// Query parameters: format (csv or json), from and to (due dates), category, status (all, paid or unpaid).
+router.get('/export', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const { format = 'csv', ...filters } = req.query;
+    const file = await exportService.exportBills(userId, format, filters);
+    
+    res.attachment(file.fileName);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting bills:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to export bills', details: error.message });
+  }
+});
+
+// Download a ZIP archive of the user's whole account (bills, payments, notifications, preferences, images)
+router.get('/export/archive', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const file = await exportService.createAccountArchive(userId);
+    
+    res.attachment(file.fileName);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error creating account archive:', error);
+    res.status(500).json({ error: 'Failed to create account archive', details: error.message });
+  }
+});
+
+// Import an account archive into the user's account (multipart form data: file)
+router.post('/import/archive', archiveUpload.single('file'), async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive file provided' });
+    }
+    
+    const result = await exportService.importAccountArchive(userId, req.file.buffer);
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing account archive:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to import account archive', details: error.message });
+  }
+});
+
+// Upload a bank statement (OFX/QFX or CSV) and get proposed matches with unpaid
+// bills. Sent as multipart form data: file, and optionally dateFormat and
+// mapping (JSON) for CSV files, amountTolerance and dateWindowDays.
+router.post('/statement', csvUpload.single('file'), async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No statement file provided' });
+    }
+    
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid column mapping', details: parseError.message });
+      }
+    }
+    
+    const statement = await statementService.analyzeStatement(userId, {
+      text: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname
+    }, {
+      mapping,
+      dateFormat: req.body.dateFormat || undefined,
+      amountTolerance: req.body.amountTolerance,
+      dateWindowDays: req.body.dateWindowDays
+    });
+    
+    res.json(statement);
+  } catch (error) {
+    console.error('Error reading statement:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to read statement', details: error.message });
+  }
+});
+
+// Confirm statement matches: each bill is marked paid with the transaction as its payment
+router.post('/statement/confirm', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const results = await statementService.confirmMatches(userId, req.body.matches);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error confirming statement matches:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to confirm matches', details: error.message });
+  }
+});
+
+// Download a PDF statement of the bills due in a period.
+// Query parameters: from and to (YYYY-MM-DD, default: this year), thumbnails (true to include bill images).
+router.get('/report', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const file = await reportService.generateStatement(userId, {
+      from: req.query.from,
+      to: req.query.to,
+      thumbnails: req.query.thumbnails === 'true'
+    });
+    
+    res.attachment(file.fileName);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error generating bill statement:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to generate statement', details: error.message });
+  }
+});
+
 // Get bill by ID for the authenticated user
 router.get('/:id', async (req, res) => {
   try {
@@ -46,7 +267,7 @@ router.get('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    res.json(bill);
+    res.json({ ...bill, series_progress: recurrenceService.getSeriesProgress(bill) });
   } catch (error) {
     console.error('Error getting bill:', error);
     if (error.message === 'Bill not found') {
@@ -219,6 +440,39 @@ router.post('/', isAuthenticated, async (req, res) => {
       }
     }
     
+    // Per-bill reminder offsets override the user's notification preferences
+    const reminderOffsets = req.body.reminder_offsets || req.body.reminderOffsets;
+    if (reminderOffsets) {
+      try {
+        billData.reminder_offsets = normalizeReminderOffsets(reminderOffsets);
+      } catch (offsetError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid reminder offsets',
+          details: offsetError.message
+        });
+      }
+    }
+    
+    // Per-bill overdue cadence and secondary contact delay override the user's preferences
+    try {
+      const overdueReminderDays = req.body.overdue_reminder_days ?? req.body.overdueReminderDays;
+      const overdueRepeatDays = req.body.overdue_repeat_days ?? req.body.overdueRepeatDays;
+      const secondaryContactAfterDays = req.body.secondary_contact_after_days ?? req.body.secondaryContactAfterDays;
+      
+      if (overdueReminderDays) billData.overdue_reminder_days = normalizeOverdueReminderDays(overdueReminderDays);
+      if (overdueRepeatDays !== undefined) billData.overdue_repeat_days = normalizeOverdueRepeatDays(overdueRepeatDays);
+      if (secondaryContactAfterDays !== undefined) {
+        billData.secondary_contact_after_days = normalizeSecondaryContactDays(secondaryContactAfterDays);
+      }
+    } catch (overdueError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid overdue reminders',
+        details: overdueError.message
+      });
+    }
+    
     console.log('Final bill data to insert:', billData);
     
     // Try to insert the bill
@@ -241,6 +495,7 @@ router.post('/', isAuthenticated, async (req, res) => {
       }
       
       console.log('Bill created successfully:', newBill[0]);
+      publishBillEvent('created', newBill[0]);
       
       return res.json({
         success: true,
@@ -296,7 +551,8 @@ router.put('/:id', async (req, res) => {
     res.json(bill);
   } catch (error) {
     console.error('Error updating bill:', error);
-    res.status(500).json({ error: 'Failed to update bill', details: error.message });
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to update bill', details: error.message });
   }
 });
 
@@ -348,7 +604,8 @@ router.post('/:id/mark-paid', async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    const bill = await billService.markBillAsPaid(id, userId);
+    // Optional payment details (payment_date, payment_method, confirmation_number)
+    const bill = await billService.markBillAsPaid(id, userId, req.body || {});
     res.json(bill);
   } catch (error) {
     console.error('Error marking bill as paid:', error);
@@ -356,6 +613,132 @@ router.post('/:id/mark-paid', async (req, res) => {
   }
 });
 
+/**
+ * Load a bill for a payments request and check that it belongs to the user.
+ * Sends the error response and returns null if the bill cannot be used.
+ */
+const getOwnedBillForPayments = async (req, res) => {
+  const userId = req.user ? req.user.id : null;
+  
+  if (!userId) {
+    res.status(401).json({ error: 'User not authenticated' });
+    return null;
+  }
+  
+  const bill = await billService.getBillById(req.params.id, userId);
+  if (!bill) {
+    res.status(404).json({ error: 'Bill not found' });
+    return null;
+  }
+  
+  if (bill.user_id && bill.user_id !== userId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  
+  return bill;
+};
+
+/**
+ * Map payment service errors to HTTP status codes
+ */
+const getPaymentErrorStatus = (error) => {
+  if (error.message === 'Bill not found' || error.message === 'Payment not found') return 404;
+  if (error.message.startsWith('Payment amount') || error.message.startsWith('Payment date') || error.message.startsWith('Invalid payment method')) return 400;
+  return 500;
+};
+
+// Get payment history for a bill
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const payments = await paymentService.getPaymentsForBill(bill.id, req.user.id);
+    
+    res.json({
+      payments,
+      summary: paymentService.calculatePaymentSummary(bill.amount, payments, bill.paid)
+    });
+  } catch (error) {
+    console.error('Error getting payments:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to get payments', details: error.message });
+  }
+});
+
+// Get the reminders sent for a bill (delivery log)
+router.get('/:id/reminders', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const deliveries = await deliveryLogService.getDeliveriesForBill(bill.id, req.user.id);
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error getting bill reminders:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to get reminders', details: error.message });
+  }
+});
+
+// Download a one-page PDF summary of a bill
+router.get('/:id/report', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const file = await reportService.generateBillSummary(bill, req.user.id);
+    
+    res.attachment(file.fileName);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error generating bill summary:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to generate bill summary', details: error.message });
+  }
+});
+
+// Record a (full or partial) payment for a bill
+router.post('/:id/payments', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const result = await paymentService.createPayment(bill, req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to record payment', details: error.message });
+  }
+});
+
+// Update a payment
+router.put('/:id/payments/:paymentId', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const result = await paymentService.updatePayment(bill, req.params.paymentId, req.user.id, req.body);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating payment:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to update payment', details: error.message });
+  }
+});
+
+// Delete a payment
+router.delete('/:id/payments/:paymentId', async (req, res) => {
+  try {
+    const bill = await getOwnedBillForPayments(req, res);
+    if (!bill) return;
+    
+    const result = await paymentService.deletePayment(bill, req.params.paymentId, req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    res.status(getPaymentErrorStatus(error)).json({ error: 'Failed to delete payment', details: error.message });
+  }
+});
+
 // Extract bill information from image for the authenticated user
 router.post('/extract-bill', upload.single('image'), async (req, res) => {
   console.log('Extract bill API called');
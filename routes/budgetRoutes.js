@@ -0,0 +1,87 @@
+// routes/budgetRoutes.js
+//
+// Monthly budgets per bill category.
+// Base path: /api/budgets (authenticated)
+
+const express = require('express');
+const router = express.Router();
+const budgetService = require('../services/budgetService');
+
+/**
+ * Map budget service errors to HTTP status codes
+ */
+const getBudgetErrorStatus = (error) => {
+  if (error.message === 'Budget not found') return 404;
+  if (error.message.startsWith('Invalid')) return 400;
+  return 500;
+};
+
+// Get the user's budgets with their spending in a month (query parameter: month as YYYY-MM, default this month)
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const summary = await budgetService.getBudgetSummary(userId, { month: req.query.month });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error getting budgets:', error);
+    res.status(getBudgetErrorStatus(error)).json({ error: 'Failed to get budgets', details: error.message });
+  }
+});
+
+// Create a budget ({ category, amount, alert_threshold })
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const budget = await budgetService.createBudget(userId, req.body);
+    res.status(201).json(budget);
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(getBudgetErrorStatus(error)).json({ error: 'Failed to create budget', details: error.message });
+  }
+});
+
+// Update a budget
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const budget = await budgetService.updateBudget(req.params.id, userId, req.body);
+    res.json(budget);
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(getBudgetErrorStatus(error)).json({ error: 'Failed to update budget', details: error.message });
+  }
+});
+
+// Delete a budget
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    await budgetService.deleteBudget(req.params.id, userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(getBudgetErrorStatus(error)).json({ error: 'Failed to delete budget', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// routes/calendarRoutes.js
+//
+// iCalendar feed of the user's bills.
+// Base path: /api/bills (mounted before the authenticated bill routes)
+//
+// Calendar apps can't send an Authorization header, so the feed itself is
+// authenticated with the user's secret feed token in the URL.
+
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const { isAuthenticated } = require('../middleware/authMiddleware');
+
+// Get the iCalendar feed for a feed token
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const userId = await calendarService.getUserIdForToken(req.query.token);
+
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const calendar = await calendarService.generateFeed(userId);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="bills.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ error: 'Failed to generate calendar feed', details: error.message });
+  }
+});
+
+// Get the user's calendar feed URL
+router.get('/calendar/feed', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const token = await calendarService.getFeedToken(userId);
+    res.json(calendarService.getFeedUrls(token));
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed', details: error.message });
+  }
+});
+
+// Replace the feed token; the old feed URL stops working
+router.post('/calendar/feed/rotate', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const token = await calendarService.rotateFeedToken(userId);
+    res.json(calendarService.getFeedUrls(token));
+  } catch (error) {
+    console.error('Error rotating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to rotate calendar feed', details: error.message });
+  }
+});
+
+module.exports = router;
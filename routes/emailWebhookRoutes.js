@@ -0,0 +1,76 @@
+// routes/emailWebhookRoutes.js
+//
+// Inbound bounce and complaint events from the email provider.
+// Base path: /api/webhooks/email
+//
+// These endpoints are not authenticated with a user session; requests are
+// verified with the provider's webhook signature instead. Unsigned requests
+// are only accepted when ALLOW_UNSIGNED_EMAIL_WEBHOOKS=true is set outside
+// production and no signing key is configured, so the webhooks can be tried locally.
+// Anything else is rejected: an unset NODE_ENV (e.g. on a staging deployment)
+// must not let anyone add addresses to the suppression list.
+
+const express = require('express');
+const router = express.Router();
+const suppressionService = require('../services/suppressionService');
+
+/**
+ * Whether a webhook request may be processed
+ * @param {boolean} verified - Result of the provider's signature check
+ * @param {string} keyVariable - Environment variable holding the provider's key
+ * @returns {boolean} True if the request can be trusted
+ */
+const isTrustedRequest = (verified, keyVariable) => {
+  if (verified) return true;
+
+  if (!process.env[keyVariable] &&
+      process.env.ALLOW_UNSIGNED_EMAIL_WEBHOOKS === 'true' &&
+      process.env.NODE_ENV !== 'production') {
+    console.warn(`${keyVariable} is not set, accepting unsigned email webhook`);
+    return true;
+  }
+
+  return false;
+};
+
+// SendGrid event webhook (array of events)
+router.post('/sendgrid', async (req, res) => {
+  try {
+    const verified = suppressionService.verifySendGridSignature(
+      req.rawBody,
+      req.get('X-Twilio-Email-Event-Webhook-Signature'),
+      req.get('X-Twilio-Email-Event-Webhook-Timestamp')
+    );
+
+    if (!isTrustedRequest(verified, 'SENDGRID_WEBHOOK_PUBLIC_KEY')) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const suppressed = await suppressionService.addSuppressions(suppressionService.parseSendGridEvents(req.body));
+
+    res.json({ success: true, suppressed });
+  } catch (error) {
+    console.error('Error processing SendGrid webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+// Mailgun webhook (one event per request, JSON format)
+router.post('/mailgun', async (req, res) => {
+  try {
+    const verified = suppressionService.verifyMailgunSignature(req.body && req.body.signature);
+
+    if (!isTrustedRequest(verified, 'MAILGUN_WEBHOOK_SIGNING_KEY')) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const suppressed = await suppressionService.addSuppressions(suppressionService.parseMailgunEvent(req.body));
+
+    res.json({ success: true, suppressed });
+  } catch (error) {
+    console.error('Error processing Mailgun webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+module.exports = router;
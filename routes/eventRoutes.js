@@ -0,0 +1,41 @@
+// routes/eventRoutes.js
+//
+// Server-Sent Events stream of notification and bill changes.
+// Base path: /api/events
+//
+// EventSource can't send an Authorization header, so the client first gets a
+// short-lived ticket with its token, then opens the stream with the ticket.
+
+const express = require('express');
+const router = express.Router();
+const eventService = require('../services/eventService');
+const { isAuthenticated } = require('../middleware/authMiddleware');
+
+// Get a ticket for opening the event stream
+router.post('/ticket', isAuthenticated, (req, res) => {
+  const userId = req.user ? req.user.id : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  res.json({
+    ticket: eventService.createStreamTicket(userId),
+    expiresIn: eventService.STREAM_TICKET_TTL
+  });
+});
+
+// Open the event stream
+router.get('/stream', (req, res) => {
+  let userId;
+
+  try {
+    userId = eventService.verifyStreamTicket(req.query.ticket);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+
+  eventService.addClient(userId, req, res);
+});
+
+module.exports = router;
@@ -10,11 +10,18 @@
 // - '/api/init-notification-preferences' is now '/api/notifications/init-preferences'
 // - '/api/test-email-notification' is now '/api/notifications/test-email'
 // - '/api/trigger-notifications/:userId' is now '/api/notifications/trigger/:userId'
+// - '/api/utilities/test-email-previews' is now '/api/notifications/email-previews'
 
 const express = require('express');
 const router = express.Router();
 const notificationService = require('../services/notificationService');
 const billService = require('../services/billService');
+const templateService = require('../services/templateService');
+const channelService = require('../services/channelService');
+const pushService = require('../services/pushService');
+const jobService = require('../services/jobService');
+const { isAdmin } = require('../middleware/authMiddleware');
+const { getDateInTimeZone } = require('../utils/dateUtils');
 const { formatDistanceToNow } = require('date-fns');
 const supabase = require('../config/database');
 
@@ -137,6 +144,170 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Map snooze/acknowledge errors to HTTP status codes
+ */
+const getReminderErrorStatus = (error) => {
+  if (error.message === 'Bill not found or not owned by user' || error.code === 'PGRST116') return 404;
+  if (error.message.startsWith('Invalid')) return 400;
+  return 500;
+};
+
+// Snooze a bill's reminders until a date
+// Body: { until: 'YYYY-MM-DD' } or { days: 3 }
+router.post('/bills/:billId/snooze', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const bill = await notificationService.snoozeBillReminders(req.params.billId, userId, req.body || {});
+    res.json({ success: true, bill });
+  } catch (error) {
+    console.error('Error snoozing bill reminders:', error);
+    res.status(getReminderErrorStatus(error)).json({ error: 'Failed to snooze reminders', details: error.message });
+  }
+});
+
+// Acknowledge a bill ("I've scheduled this payment") to pause its reminders until the due date
+router.post('/bills/:billId/acknowledge', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const bill = await notificationService.acknowledgeBillReminders(req.params.billId, userId);
+    res.json({ success: true, bill });
+  } catch (error) {
+    console.error('Error acknowledging bill reminders:', error);
+    res.status(getReminderErrorStatus(error)).json({ error: 'Failed to acknowledge reminders', details: error.message });
+  }
+});
+
+// Resume a bill's snoozed or acknowledged reminders
+router.delete('/bills/:billId/snooze', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const bill = await notificationService.resumeBillReminders(req.params.billId, userId);
+    res.json({ success: true, bill });
+  } catch (error) {
+    console.error('Error resuming bill reminders:', error);
+    res.status(getReminderErrorStatus(error)).json({ error: 'Failed to resume reminders', details: error.message });
+  }
+});
+
+// List the notification channel types (webhook, Slack, Telegram, ...) and their settings
+router.get('/channels/types', (req, res) => {
+  res.json(channelService.getChannelTypes());
+});
+
+// Send a test message through a channel from the settings form (saved or not)
+router.post('/channels/test', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    await channelService.sendTestMessage(req.body.channel);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error sending channel test message:', error);
+    // Invalid settings are the user's to fix; delivery failures come from the channel's server
+    const status = error.message.startsWith('Invalid') ? 400 : 502;
+    res.status(status).json({ success: false, error: 'Failed to send test message', details: error.message });
+  }
+});
+
+// Get the public VAPID key browsers need to subscribe to Web Push
+router.get('/push/public-key', (req, res) => {
+  const publicKey = pushService.getVapidPublicKey();
+  
+  if (!publicKey) {
+    return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+  }
+  
+  res.json({ publicKey });
+});
+
+// Save this browser's push subscription
+router.post('/push/subscriptions', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    await pushService.saveSubscription(userId, req.body.subscription, req.get('User-Agent'));
+    
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to save push subscription', details: error.message });
+  }
+});
+
+// Remove this browser's push subscription
+router.delete('/push/subscriptions', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    if (!req.body.endpoint) {
+      return res.status(400).json({ error: 'Subscription endpoint is required' });
+    }
+    
+    await pushService.deleteSubscription(userId, req.body.endpoint);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting push subscription:', error);
+    res.status(500).json({ error: 'Failed to delete push subscription', details: error.message });
+  }
+});
+
+// Send a test push notification to all of the user's browsers
+router.post('/push/test', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    if (!pushService.isPushConfigured()) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+    }
+    
+    const result = await pushService.sendPushToUser(userId, pushService.buildPushPayload(
+      'test',
+      'Test notification',
+      'Push notifications from Bill Reminder are working.'
+    ));
+    
+    res.json({ success: result.sent > 0, ...result });
+  } catch (error) {
+    console.error('Error sending test push notification:', error);
+    res.status(500).json({ error: 'Failed to send test push notification', details: error.message });
+  }
+});
+
 // Get notification preferences for the authenticated user
 router.get('/preferences', async (req, res) => {
   try {
@@ -206,14 +377,39 @@ router.post('/preferences/:userId', async (req, res) => {
     
     const preferences = req.body;
     
-    console.log('Updating notification preferences for user:', userId, 'with data:', preferences);
+    console.log('Updating notification preferences for user:', userId);
     
     const updatedPreferences = await notificationService.updateNotificationPreferences(userId, preferences);
     
     res.json(updatedPreferences);
   } catch (error) {
     console.error('Error updating notification preferences:', error);
-    res.status(500).json({ error: 'Failed to update notification preferences', details: error.message });
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to update notification preferences', details: error.message });
+  }
+});
+
+// Update notification preferences for the authenticated user
+router.post('/preferences', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    // Never let the request body change ownership or the row ID
+    const { id, user_id, ...preferences } = req.body;
+    
+    console.log('Updating notification preferences for user:', userId);
+    
+    const updatedPreferences = await notificationService.updateNotificationPreferences(userId, preferences);
+    
+    res.json({ success: true, data: updatedPreferences });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ success: false, error: 'Failed to update notification preferences', details: error.message });
   }
 });
 
@@ -263,11 +459,16 @@ router.post('/test-email', async (req, res) => {
     
     console.log(`Sending test email to ${email}`);
     
+    // Use the test template (in the user's locale) unless a custom message was given
+    const preferences = req.user ? await notificationService.getNotificationPreferences(req.user.id) : {};
+    const rendered = await templateService.renderEmail('test', {}, preferences);
+    
     const emailInfo = await notificationService.sendEmailNotification(
       email,
-      subject || 'Test Email from Bill Reminder App',
-      message || '<h1>Test Email</h1><p>This is a test email from the Bill Reminder App.</p>',
-      true // Always use test mode for this endpoint
+      subject || rendered.subject,
+      message || rendered.html,
+      true, // Always use test mode for this endpoint
+      message ? null : rendered.text
     );
     
     if (emailInfo) {
@@ -289,6 +490,165 @@ router.post('/test-email', async (req, res) => {
   }
 });
 
+// List the email template types and recent test email previews (Ethereal URLs)
+router.get('/email-previews', async (req, res) => {
+  try {
+    res.json({
+      types: templateService.EMAIL_TEMPLATE_TYPES,
+      sent: notificationService.getTestEmailPreviews()
+    });
+  } catch (error) {
+    console.error('Error getting email previews:', error);
+    res.status(500).json({ error: 'Failed to get email previews', details: error.message });
+  }
+});
+
+// Preview a notification email rendered with the user's bills, locale and currency
+// Query: locale (overrides the user's locale), format=html|text to get the raw body
+router.get('/email-previews/:type', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+    
+    const { type } = req.params;
+    
+    if (!templateService.EMAIL_TEMPLATE_TYPES.includes(type)) {
+      return res.status(404).json({ error: `Unknown email template type: ${type}` });
+    }
+    
+    const preferences = await notificationService.getNotificationPreferences(userId);
+    
+    if (req.query.locale) {
+      if (!templateService.isValidLocale(req.query.locale)) {
+        return res.status(400).json({ error: `Invalid locale: ${req.query.locale}` });
+      }
+      preferences.locale = req.query.locale;
+    }
+    
+    const today = getDateInTimeZone(new Date(), preferences.timezone);
+    const bills = await billService.getUnpaidBillsForUser(userId);
+    const context = templateService.getPreviewContext(type, today, bills);
+    const email = await templateService.renderEmail(type, context, preferences);
+    
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    
+    if (req.query.format === 'text') {
+      return res.type('text').send(email.text);
+    }
+    
+    res.json({ type, locale: preferences.locale || templateService.DEFAULT_LOCALE, ...email });
+  } catch (error) {
+    console.error('Error rendering email preview:', error);
+    res.status(500).json({ error: 'Failed to render email preview', details: error.message });
+  }
+});
+
+// List built-in email templates and admin overrides (admin only)
+router.get('/templates', isAdmin, async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates();
+    res.json(templates);
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    res.status(500).json({ error: 'Failed to list email templates', details: error.message });
+  }
+});
+
+// Override an email template for a locale (admin only)
+// Body: { locale, subject, html, text } - omitted fields use the built-in template
+router.put('/templates/:type', isAdmin, async (req, res) => {
+  try {
+    const template = await templateService.saveTemplateOverride(req.params.type, req.body || {}, req.user.id);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    const status = error.message.startsWith('Invalid') || error.message.startsWith('Unknown') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to save email template', details: error.message });
+  }
+});
+
+// Remove an email template override so the built-in template is used (admin only)
+router.delete('/templates/:type', isAdmin, async (req, res) => {
+  try {
+    await templateService.deleteTemplateOverride(req.params.type, req.query.locale);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting email template:', error);
+    res.status(500).json({ error: 'Failed to delete email template', details: error.message });
+  }
+});
+
+// List queued, failed and dead-lettered deliveries with counts by status (admin only)
+// Query: status, type, userId, limit, offset
+router.get('/jobs', isAdmin, async (req, res) => {
+  try {
+    const { status, type, userId, limit, offset } = req.query;
+    const [jobs, counts] = await Promise.all([
+      jobService.listJobs({ status, type, userId, limit, offset }),
+      jobService.getJobCounts()
+    ]);
+    
+    res.json({ jobs, counts });
+  } catch (error) {
+    console.error('Error listing notification jobs:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: 'Failed to list notification jobs', details: error.message });
+  }
+});
+
+// Get one delivery job (admin only)
+router.get('/jobs/:id', isAdmin, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching notification job:', error);
+    res.status(500).json({ error: 'Failed to fetch notification job', details: error.message });
+  }
+});
+
+// Queue a dead or discarded delivery again with a fresh set of attempts (admin only)
+router.post('/jobs/:id/retry', isAdmin, async (req, res) => {
+  try {
+    const job = await jobService.retryJob(req.params.id);
+    
+    if (!job) {
+      return res.status(409).json({ error: 'Only dead or discarded jobs can be retried' });
+    }
+    
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error retrying notification job:', error);
+    res.status(500).json({ error: 'Failed to retry notification job', details: error.message });
+  }
+});
+
+// Give up on a pending or dead delivery (admin only)
+router.post('/jobs/:id/discard', isAdmin, async (req, res) => {
+  try {
+    const job = await jobService.discardJob(req.params.id);
+    
+    if (!job) {
+      return res.status(409).json({ error: 'Only pending or dead jobs can be discarded' });
+    }
+    
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error discarding notification job:', error);
+    res.status(500).json({ error: 'Failed to discard notification job', details: error.message });
+  }
+});
+
 // Test email with actually configured provider (e.g. SendGrid)
 router.post('/test-configured-email', async (req, res) => {
   try {
@@ -344,7 +704,8 @@ router.post('/trigger-check', async (req, res) => {
     console.log('Manually triggering bill notification check for all users');
     
     // Use the checkBillsAndNotify function from notificationService
-    const result = await notificationService.checkBillsAndNotify();
+    // Manual runs notify every user immediately, regardless of their delivery time
+    const result = await notificationService.checkBillsAndNotify({ respectDeliveryTime: false });
     
     res.json({
       success: true,
@@ -618,7 +979,7 @@ router.get('/dev/create-tables', async (req, res) => {
           title TEXT NOT NULL,
           message TEXT NOT NULL,
           bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
-          type TEXT NOT NULL CHECK (type IN ('upcoming', 'due_today', 'overdue')),
+          type TEXT NOT NULL CHECK (type IN ('upcoming', 'due_today', 'overdue', 'budget')),
           read BOOLEAN DEFAULT FALSE,
           user_id UUID,
           created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -2,10 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/database');
-const notificationService = require('../services/notificationService');
 const storageService = require('../services/storageService');
 const path = require('path');
 const fs = require('fs');
+const { getClientCount } = require('../services/eventService');
 
 // Test route to check if the API is running
 router.get('/health', (req, res) => {
@@ -13,20 +13,12 @@ router.get('/health', (req, res) => {
     status: 'ok',
     message: 'Welcome to the Bill Reminder API!',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    liveUpdateStreams: getClientCount()
   });
 });
 
-// Get test email previews
-router.get('/test-email-previews', (req, res) => {
-  try {
-    const previews = notificationService.getTestEmailPreviews();
-    res.json(previews);
-  } catch (error) {
-    console.error('Error getting test email previews:', error);
-    res.status(500).json({ error: 'Failed to get test email previews', details: error.message });
-  }
-});
+// Test email previews moved to routes/notificationRoutes.js as /api/notifications/email-previews
 
 // Check notification tables
 router.get('/check-notification-tables', async (req, res) => {
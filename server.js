@@ -13,9 +13,22 @@ const PORT = process.env.PORT || 5002;
 // Import database configuration
 const supabase = require('./config/database');
 
+// Sessions, live update stream tickets and (unless ACTION_LINK_SECRET is set)
+// email action links are signed with SESSION_SECRET; refuse to start rather
+// than sign with a value anyone could use to forge them
+const eventService = require('./services/eventService');
+if (!eventService.isConfigured()) {
+  console.error('SESSION_SECRET must be set. Refusing to start.');
+  process.exit(1);
+}
+
 // Import notification service
 const notificationService = require('./services/notificationService');
 
+// Import recurring bill service
+const recurrenceService = require('./services/recurrenceService');
+const jobService = require('./services/jobService');
+
 // Import authentication middleware
 const { isAuthenticated } = require('./middleware/authMiddleware');
 
@@ -24,15 +37,23 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? process.env.CLIENT_URL : true, // Allow all origins in development
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'] // File names of exports
+}));
+app.use(express.json({
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
 }));
-app.use(express.json());
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Session configuration
 app.use(cookieParser());
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'your-secret-key',
+  secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
   cookie: {
@@ -76,12 +97,24 @@ const billRoutes = require('./routes/billRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const utilityRoutes = require('./routes/utilityRoutes');
 const authRoutes = require('./routes/authRoutes');
+const actionRoutes = require('./routes/actionRoutes');
+const emailWebhookRoutes = require('./routes/emailWebhookRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
 
 // Use route modules
+app.use('/api/bills', calendarRoutes); // Calendar feed, authenticated with the feed's secret token
 app.use('/api/bills', isAuthenticated, billRoutes);
 app.use('/api/notifications', isAuthenticated, notificationRoutes);
+app.use('/api/analytics', isAuthenticated, analyticsRoutes);
+app.use('/api/budgets', isAuthenticated, budgetRoutes);
 app.use('/api/utilities', utilityRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/actions', actionRoutes); // Signed links from reminder emails, no login required
+app.use('/api/webhooks/email', emailWebhookRoutes); // Provider bounce/complaint events, verified by signature
+app.use('/api/events', eventRoutes); // Live updates (Server-Sent Events), authenticated with a stream ticket
 
 // Test route has been moved to routes/utilityRoutes.js as /api/utilities/health
 
@@ -100,9 +133,17 @@ app.post('/api/extract-bill', (req, res) => {
   billRoutes.handleLegacyExtractBillEndpoint(req, res);
 });
 
-// Schedule daily notification check at 8 AM
+// Schedule the notification check (each user at their preferred time and timezone)
 notificationService.scheduleNotifications();
-console.log('Scheduled daily notification check at 8 AM');
+console.log('Scheduled notification check every 15 minutes (per-user delivery time)');
+
+// Schedule the worker that sends queued email, channel and push deliveries
+jobService.scheduleJobWorker();
+console.log('Scheduled notification job worker every minute');
+
+// Schedule daily generation of recurring bill instances
+recurrenceService.scheduleRecurringBills();
+console.log('Scheduled daily recurring bill generation at 00:05');
 
 // Import the initialization module
 const { initializeServer, initializeServerWithoutNotifications } = require('./config/init');
@@ -160,11 +201,10 @@ app.listen(PORT, () => {
   console.log(`- Supabase: ${(process.env.SUPABASE_URL && process.env.SUPABASE_KEY) ? '✅ Configured' : '❌ Missing'}`);
   console.log(`- Email Provider: ${process.env.EMAIL_PROVIDER ? '✅ Configured' : '❌ Missing'}`);
   console.log(`- Google OAuth: ${(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) ? '✅ Configured' : '❌ Missing'}`);
-  console.log(`- Session Secret: ${process.env.SESSION_SECRET ? '✅ Configured' : '⚠ Missing (using default)'}`);
   console.log(`- Test User ID: ${process.env.TEST_USER_ID ? '✅ Configured' : '❌ Missing'}`);
   console.log(`- Test Email: ${process.env.TEST_EMAIL ? '✅ Configured' : '❌ Missing'}`);
   console.log('-'.repeat(50));
-  console.log(`Notification system: Active (Scheduled daily at 8 AM)`);
+  console.log(`Notification system: Active (Daily, at each user's preferred time)`);
   console.log(`Server initialization in progress...`);
   console.log('='.repeat(50));
 });
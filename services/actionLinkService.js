@@ -0,0 +1,181 @@
+// services/actionLinkService.js
+const crypto = require('crypto');
+
+// Actions that can be performed from a link in a reminder email
+const ACTION_TYPES = ['mark_paid', 'snooze', 'view'];
+
+// How long an action link stays valid
+const ACTION_LINK_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+/**
+ * Secret used to sign action links. There is no built-in default: links signed
+ * with a value anyone can look up could be forged for any bill.
+ * @returns {string} Signing secret
+ * @throws {Error} If neither ACTION_LINK_SECRET nor SESSION_SECRET is set
+ */
+const getSecret = () => {
+  const secret = process.env.ACTION_LINK_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('ACTION_LINK_SECRET or SESSION_SECRET must be set to sign action links');
+  }
+  return secret;
+};
+
+/**
+ * Base URL of the API server, used for action links
+ * @returns {string} Server URL without a trailing slash
+ */
+const getServerUrl = () => (process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5002}`).replace(/\/$/, '');
+
+/**
+ * Sign a payload with HMAC-SHA256
+ * @param {string} payload - Encoded payload
+ * @returns {string} base64url signature
+ */
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+};
+
+/**
+ * Create a signed, expiring token for an action on a bill
+ * @param {string} billId - Bill ID
+ * @param {string} userId - ID of the bill's owner
+ * @param {string} action - One of ACTION_TYPES
+ * @param {number} [ttl] - Seconds until the token expires
+ * @returns {string} Token in the form payload.signature
+ */
+const createActionToken = (billId, userId, action, ttl = ACTION_LINK_TTL) => {
+  if (!ACTION_TYPES.includes(action)) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+  
+  const payload = Buffer.from(JSON.stringify({
+    b: billId,
+    u: userId,
+    a: action,
+    e: Math.floor(Date.now() / 1000) + ttl
+  })).toString('base64url');
+  
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify an action token's signature and expiry
+ * @param {string} token - Token from an action link
+ * @returns {Object} { billId, userId, action, expiresAt }
+ * @throws {Error} If the token is malformed, tampered with or expired
+ */
+const verifyActionToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  
+  if (!payload || !signature) {
+    throw new Error('Invalid action link');
+  }
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid action link');
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid action link');
+  }
+  
+  if (!data.b || !data.u || !ACTION_TYPES.includes(data.a)) {
+    throw new Error('Invalid action link');
+  }
+  
+  if (!data.e || data.e < Math.floor(Date.now() / 1000)) {
+    throw new Error('Expired action link');
+  }
+  
+  return {
+    billId: data.b,
+    userId: data.u,
+    action: data.a,
+    expiresAt: new Date(data.e * 1000)
+  };
+};
+
+/**
+ * Create a signed token for a user's unsubscribe link.
+ * Unsubscribe links don't expire so that old emails keep working.
+ * @param {string} userId - User ID
+ * @returns {string} Token in the form payload.signature
+ */
+const createUnsubscribeToken = (userId) => {
+  const payload = Buffer.from(JSON.stringify({ u: userId, a: 'unsubscribe' })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify an unsubscribe token
+ * @param {string} token - Token from an unsubscribe link
+ * @returns {string} ID of the user to unsubscribe
+ * @throws {Error} If the token is malformed or tampered with
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  
+  if (!payload || !signature) {
+    throw new Error('Invalid unsubscribe link');
+  }
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid unsubscribe link');
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid unsubscribe link');
+  }
+  
+  if (!data.u || data.a !== 'unsubscribe') {
+    throw new Error('Invalid unsubscribe link');
+  }
+  
+  return data.u;
+};
+
+/**
+ * Build the URL of a user's unsubscribe link
+ * @param {string} userId - User ID
+ * @returns {string|null} Unsubscribe URL, or null without a user
+ */
+const getUnsubscribeUrl = (userId) => {
+  if (!userId) return null;
+  return `${getServerUrl()}/api/actions/unsubscribe/${createUnsubscribeToken(userId)}`;
+};
+
+/**
+ * Build the URL of an action link for a bill
+ * @param {Object} bill - Bill row (id and user_id)
+ * @param {string} action - One of ACTION_TYPES
+ * @returns {string|null} Action URL, or null if the bill has no owner
+ */
+const getActionUrl = (bill, action) => {
+  if (!bill || !bill.id || !bill.user_id) return null;
+  return `${getServerUrl()}/api/actions/${createActionToken(bill.id, bill.user_id, action)}`;
+};
+
+module.exports = {
+  ACTION_TYPES,
+  ACTION_LINK_TTL,
+  getServerUrl,
+  createActionToken,
+  verifyActionToken,
+  getActionUrl,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl
+};
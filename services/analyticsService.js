@@ -0,0 +1,211 @@
+// services/analyticsService.js
+//
+// Spending analytics for the Analytics page. The database groups the bills by
+// due month, category, vendor and status (the get_bill_analytics function);
+// the groups are combined here, so the client only receives the totals for the charts.
+const { supabaseAdmin } = require('../config/database');
+const templateService = require('./templateService');
+const { DEFAULT_CATEGORY } = require('../config/billCategories');
+const { getDateInTimeZone } = require('../utils/dateUtils');
+
+const PAGE_SIZE = 1000;
+
+// Vendors listed in the top vendors chart
+const TOP_VENDOR_COUNT = 10;
+
+// Oldest year analytics can be requested for
+const MIN_YEAR = 2000;
+
+/**
+ * Validate the requested year, defaulting to the current year
+ * @param {string|number} [year] - Year from the query string
+ * @param {number} currentYear - Current year in the user's timezone
+ * @returns {number} Year
+ */
+const normalizeYear = (year, currentYear) => {
+  if (year === undefined || year === null || year === '') return currentYear;
+
+  const value = Number(year);
+  if (!Number.isInteger(value) || value < MIN_YEAR || value > currentYear + 10) {
+    throw new Error(`Invalid year: ${year}`);
+  }
+
+  return value;
+};
+
+/**
+ * Get a user's bill totals grouped by due month, category, vendor and status
+ * @param {string} userId - User ID
+ * @param {string} from - First due date (YYYY-MM-DD)
+ * @param {string} to - Last due date (YYYY-MM-DD)
+ * @param {string} today - Today's date (YYYY-MM-DD), which decides what is overdue
+ * @returns {Promise<Array>} Groups { due_month, category, vendor_key, vendor, status, bill_count, billed_cents, paid_cents, last_due_date }
+ */
+const getBillGroups = async (userId, from, to, today) => {
+  const groups = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .rpc('get_bill_analytics', { p_user_id: userId, p_from: from, p_to: to, p_today: today })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    groups.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return groups;
+  }
+};
+
+/**
+ * Running totals of a group of bills, in cents
+ * @returns {Object} { count, billed, paid }
+ */
+const emptyTotals = () => ({ count: 0, billed: 0, paid: 0 });
+
+/**
+ * Add a group of bills to running totals
+ * @param {Object} totals - Totals in cents
+ * @param {Object} group - Group from getBillGroups
+ */
+const addGroup = (totals, group) => {
+  totals.count += group.bill_count;
+  totals.billed += Number(group.billed_cents);
+  totals.paid += Number(group.paid_cents);
+};
+
+/**
+ * Convert running totals to the response format (currency units)
+ * @param {Object} totals - Totals in cents
+ * @returns {Object} { count, billed, paid, outstanding }
+ */
+const toAmounts = ({ count, billed, paid }) => ({
+  count,
+  billed: billed / 100,
+  paid: paid / 100,
+  outstanding: Math.max(billed - paid, 0) / 100
+});
+
+/**
+ * Change from one amount to another
+ * @param {number} current - Amount this year
+ * @param {number} previous - Amount the year before
+ * @returns {Object} { amount, percent } - percent is null when there was nothing to compare with
+ */
+const getChange = (current, previous) => ({
+  amount: Math.round((current - previous) * 100) / 100,
+  percent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+});
+
+/**
+ * Get the spending analytics of a user for a calendar year: monthly totals,
+ * categories, top vendors, paid vs. unpaid and the comparison with the year before
+ * @param {string} userId - User ID
+ * @param {Object} [query] - { year } (default: the current year)
+ * @returns {Promise<Object>} Analytics
+ */
+const getAnalytics = async (userId, { year } = {}) => {
+  try {
+    const { data: preferences, error: prefsError } = await supabaseAdmin
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (prefsError) throw prefsError;
+
+    const today = getDateInTimeZone(new Date(), preferences && preferences.timezone);
+    const selectedYear = normalizeYear(year, Number(today.slice(0, 4)));
+    const previousYear = selectedYear - 1;
+
+    const groups = await getBillGroups(userId, `${previousYear}-01-01`, `${selectedYear}-12-31`, today);
+
+    const months = Array.from({ length: 12 }, () => ({ current: emptyTotals(), previous: emptyTotals() }));
+    const totals = { current: emptyTotals(), previous: emptyTotals() };
+    const categories = new Map();
+    const vendors = new Map();
+    const statuses = { paid: emptyTotals(), partial: emptyTotals(), unpaid: emptyTotals(), overdue: emptyTotals() };
+
+    groups.forEach(group => {
+      const dueMonth = String(group.due_month).slice(0, 10);
+      const period = Number(dueMonth.slice(0, 4)) === selectedYear ? 'current' : 'previous';
+      const category = group.category || DEFAULT_CATEGORY;
+
+      addGroup(totals[period], group);
+      addGroup(months[Number(dueMonth.slice(5, 7)) - 1][period], group);
+
+      if (!categories.has(category)) categories.set(category, { current: emptyTotals(), previous: emptyTotals() });
+      addGroup(categories.get(category)[period], group);
+
+      if (period !== 'current') return;
+
+      addGroup(statuses[group.status], group);
+
+      // Vendors are grouped case-insensitively, under the name on their latest bill
+      const vendorKey = group.vendor_key || 'unknown vendor';
+      const lastDueDate = String(group.last_due_date).slice(0, 10);
+      if (!vendors.has(vendorKey)) vendors.set(vendorKey, { ...emptyTotals(), vendor: null, lastDueDate: '', categories: new Set() });
+      const vendor = vendors.get(vendorKey);
+      addGroup(vendor, group);
+      if (lastDueDate >= vendor.lastDueDate) {
+        vendor.vendor = group.vendor || 'Unknown vendor';
+        vendor.lastDueDate = lastDueDate;
+      }
+      vendor.categories.add(category);
+    });
+
+    const current = toAmounts(totals.current);
+    const previous = toAmounts(totals.previous);
+
+    return {
+      year: selectedYear,
+      previousYear,
+      ...templateService.getFormatOptions(preferences),
+      totals: {
+        ...current,
+        average: current.count > 0 ? Math.round(totals.current.billed / current.count) / 100 : 0
+      },
+      monthly: months.map((month, i) => ({
+        month: `${selectedYear}-${String(i + 1).padStart(2, '0')}`,
+        ...toAmounts(month.current),
+        previousYear: month.previous.billed / 100
+      })),
+      categories: [...categories.entries()]
+        .filter(([, category]) => category.current.count > 0)
+        .map(([name, category]) => ({
+          category: name,
+          ...toAmounts(category.current),
+          share: totals.current.billed > 0 ? Math.round((category.current.billed / totals.current.billed) * 1000) / 10 : 0
+        }))
+        .sort((a, b) => b.billed - a.billed || a.category.localeCompare(b.category)),
+      vendors: [...vendors.values()]
+        .sort((a, b) => b.billed - a.billed || b.count - a.count || a.vendor.localeCompare(b.vendor))
+        .slice(0, TOP_VENDOR_COUNT)
+        .map(vendor => ({
+          vendor: vendor.vendor,
+          ...toAmounts(vendor),
+          categories: [...vendor.categories].sort(),
+          lastDueDate: vendor.lastDueDate
+        })),
+      statuses: Object.fromEntries(Object.entries(statuses).map(([status, statusTotals]) => [status, toAmounts(statusTotals)])),
+      yearOverYear: {
+        current,
+        previous,
+        change: getChange(current.billed, previous.billed),
+        categories: [...categories.entries()]
+          .map(([name, category]) => {
+            const currentBilled = category.current.billed / 100;
+            const previousBilled = category.previous.billed / 100;
+            return { category: name, current: currentBilled, previous: previousBilled, change: getChange(currentBilled, previousBilled) };
+          })
+          .sort((a, b) => Math.max(b.current, b.previous) - Math.max(a.current, a.previous) || a.category.localeCompare(b.category))
+      }
+    };
+  } catch (error) {
+    console.error(`Error getting analytics for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getAnalytics
+};
@@ -0,0 +1,62 @@
+jest.mock('../config/database', () => ({ supabaseAdmin: { from: jest.fn(), rpc: jest.fn() } }));
+
+const { supabaseAdmin } = require('../config/database');
+const { getAnalytics } = require('./analyticsService');
+
+const group = (values) => ({
+  category: 'Utilities',
+  vendor_key: 'city water',
+  vendor: 'City Water',
+  status: 'paid',
+  bill_count: 1,
+  billed_cents: 4500,
+  paid_cents: 4500,
+  ...values
+});
+
+const mockGroups = (groups) => {
+  const range = jest.fn().mockResolvedValue({ data: groups, error: null });
+  supabaseAdmin.rpc.mockReturnValue({ range });
+
+  const maybeSingle = jest.fn().mockResolvedValue({ data: { timezone: 'UTC', currency: 'USD' }, error: null });
+  supabaseAdmin.from.mockReturnValue({ select: () => ({ eq: () => ({ maybeSingle }) }) });
+};
+
+describe('getAnalytics', () => {
+  test('asks the database for the selected year and the year before', async () => {
+    mockGroups([]);
+
+    await getAnalytics('user-1', { year: '2024' });
+
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('get_bill_analytics', expect.objectContaining({
+      p_user_id: 'user-1',
+      p_from: '2023-01-01',
+      p_to: '2024-12-31'
+    }));
+  });
+
+  test('combines the groups into totals', async () => {
+    mockGroups([
+      group({ due_month: '2023-03-01', last_due_date: '2023-03-10', billed_cents: 4000, paid_cents: 4000 }),
+      group({ due_month: '2024-03-01', last_due_date: '2024-03-10' }),
+      group({ due_month: '2024-04-01', last_due_date: '2024-04-10', vendor: 'CITY WATER', status: 'partial', paid_cents: 1000 }),
+      group({ due_month: '2024-04-01', last_due_date: '2024-04-20', category: null, vendor_key: 'netflix', vendor: 'Netflix', status: 'overdue', bill_count: 2, billed_cents: 3000, paid_cents: 0 })
+    ]);
+
+    const analytics = await getAnalytics('user-1', { year: 2024 });
+
+    expect(analytics.totals).toEqual({ count: 4, billed: 120, paid: 55, outstanding: 65, average: 30 });
+    expect(analytics.monthly[2]).toEqual({ month: '2024-03', count: 1, billed: 45, paid: 45, outstanding: 0, previousYear: 40 });
+    expect(analytics.monthly[3]).toMatchObject({ count: 3, billed: 75, paid: 10 });
+    expect(analytics.categories.map(category => [category.category, category.billed, category.share])).toEqual([
+      ['Utilities', 90, 75],
+      ['Uncategorized', 30, 25]
+    ]);
+    expect(analytics.vendors[0]).toMatchObject({ vendor: 'CITY WATER', count: 2, billed: 90, lastDueDate: '2024-04-10' });
+    expect(analytics.vendors[1]).toMatchObject({ vendor: 'Netflix', count: 2, categories: ['Uncategorized'] });
+    expect(analytics.statuses.paid).toMatchObject({ count: 1, paid: 45 });
+    expect(analytics.statuses.partial).toMatchObject({ count: 1, outstanding: 35 });
+    expect(analytics.statuses.overdue).toMatchObject({ count: 2, outstanding: 30 });
+    expect(analytics.yearOverYear.change).toEqual({ amount: 80, percent: 200 });
+  });
+});
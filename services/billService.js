@@ -1,5 +1,31 @@
 // services/billService.js
 const supabase = require('../config/database');
+const recurrenceService = require('./recurrenceService');
+const paymentService = require('./paymentService');
+const { publishBillEvent } = require('./eventService');
+const {
+  normalizeReminderOffsets,
+  normalizeOverdueReminderDays,
+  normalizeOverdueRepeatDays,
+  normalizeSecondaryContactDays
+} = require('../utils/reminderUtils');
+
+/**
+ * Create the next instance of a recurring bill once it has been paid.
+ * Failures are logged but do not fail the payment itself.
+ * @param {Object} bill - Bill that was just updated
+ * @returns {Promise<Object|null>} Generated bill, if any
+ */
+const generateNextOccurrenceIfPaid = async (bill) => {
+  if (!bill || !bill.paid || !bill.is_recurring) return null;
+  
+  try {
+    return await recurrenceService.generateNextOccurrence(bill);
+  } catch (error) {
+    console.error(`Failed to generate next occurrence for bill ${bill.id}:`, error);
+    return null;
+  }
+};
 
 /**
  * Get all bills
@@ -136,6 +162,10 @@ const createBill = async (billData) => {
       is_recurring: billData.isRecurring || false,
       recurring_frequency: billData.recurringFrequency || null,
       recurring_end_date: billData.recurringEndDate || null,
+      reminder_offsets: normalizeReminderOffsets(billData.reminderOffsets),
+      overdue_reminder_days: normalizeOverdueReminderDays(billData.overdueReminderDays),
+      overdue_repeat_days: normalizeOverdueRepeatDays(billData.overdueRepeatDays),
+      secondary_contact_after_days: normalizeSecondaryContactDays(billData.secondaryContactAfterDays),
       user_id: billData.user_id, // Include user_id from the request
       paid: false,
       created_at: new Date()
@@ -149,6 +179,7 @@ const createBill = async (billData) => {
     if (error) throw error;
     
     console.log('Bill created successfully:', data);
+    publishBillEvent('created', data[0]);
     return data[0];
   } catch (error) {
     console.error('Error creating bill:', error);
@@ -177,11 +208,34 @@ const updateBill = async (id, billData) => {
       is_recurring: billData.isRecurring || false,
       recurring_frequency: billData.recurringFrequency || null,
       recurring_end_date: billData.recurringEndDate || null,
+      // Leave the reminder override untouched unless it was sent
+      reminder_offsets: billData.reminderOffsets === undefined
+        ? undefined
+        : normalizeReminderOffsets(billData.reminderOffsets),
+      // Same for the overdue policy overrides
+      overdue_reminder_days: billData.overdueReminderDays === undefined
+        ? undefined
+        : normalizeOverdueReminderDays(billData.overdueReminderDays),
+      overdue_repeat_days: billData.overdueRepeatDays === undefined
+        ? undefined
+        : normalizeOverdueRepeatDays(billData.overdueRepeatDays),
+      secondary_contact_after_days: billData.secondaryContactAfterDays === undefined
+        ? undefined
+        : normalizeSecondaryContactDays(billData.secondaryContactAfterDays),
       user_id: billData.user_id, // Preserve user_id
-      paid: billData.paid,
       updated_at: new Date()
     };
     
+    // Amount before the update, to tell whether the payment status needs recalculating
+    const { data: previous, error: previousError } = await supabase
+      .from('bills')
+      .select('amount')
+      .eq('id', id)
+      .eq('user_id', billData.user_id)
+      .maybeSingle();
+    
+    if (previousError) throw previousError;
+    
     const { data, error } = await supabase
       .from('bills')
       .update(formattedBillData)
@@ -196,6 +250,30 @@ const updateBill = async (id, billData) => {
     }
     
     console.log(`Bill with ID ${id} updated successfully:`, data);
+    
+    // Paid is changed through the payment history, so amount_paid and payment_status
+    // stay in step with it: the remaining balance is recorded as a payment when the
+    // bill is marked as paid, and its payments are deleted when it is marked as unpaid
+    if (billData.paid !== undefined && Boolean(billData.paid) !== Boolean(data[0].paid)) {
+      const { bill } = billData.paid
+        ? await paymentService.recordRemainingBalance(data[0], data[0].user_id)
+        : await paymentService.clearPayments(data[0], data[0].user_id);
+      return bill;
+    }
+    
+    // A new amount changes what is still owed. Bills marked paid before payments
+    // were tracked have no payments to compare with, so they stay paid.
+    const amountChanged = previous && toCents(previous.amount) !== toCents(data[0].amount);
+    const paidWithoutPayments = data[0].paid && toCents(data[0].amount_paid) === 0 && toCents(previous && previous.amount) > 0;
+    if (amountChanged && !paidWithoutPayments) {
+      const { bill } = await paymentService.syncBillPaymentStatus(data[0], data[0].user_id);
+      return bill;
+    }
+    
+    publishBillEvent(data[0].paid ? 'paid' : 'updated', data[0]);
+    
+    await generateNextOccurrenceIfPaid(data[0]);
+    
     return data[0];
   } catch (error) {
     console.error(`Error updating bill with ID ${id}:`, error);
@@ -203,6 +281,46 @@ const updateBill = async (id, billData) => {
   }
 };
 
+/**
+ * Convert an amount to integer cents for comparisons
+ * @param {number|string} amount - Amount
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+/**
+ * Take a bill out of its recurring series before it is deleted. The bill
+ * before it is linked to the bill after it; if there is none, the series ends
+ * there, so the scheduler does not generate the deleted bill again.
+ * @param {string} id - ID of the bill being deleted
+ * @param {string} [userId] - Optional User ID to check ownership
+ * @returns {Promise<void>}
+ */
+const unlinkFromSeries = async (id, userId = null) => {
+  let billQuery = supabase
+    .from('bills')
+    .select('id, next_occurrence_id')
+    .eq('id', id);
+  
+  if (userId) {
+    billQuery = billQuery.eq('user_id', userId);
+  }
+  
+  const { data: bill, error: billError } = await billQuery.maybeSingle();
+  
+  if (billError) throw billError;
+  if (!bill) return;
+  
+  const { error } = await supabase
+    .from('bills')
+    .update(bill.next_occurrence_id
+      ? { next_occurrence_id: bill.next_occurrence_id }
+      : { series_ended: true })
+    .eq('next_occurrence_id', id);
+  
+  if (error) throw error;
+};
+
 /**
  * Delete a bill
  * @param {string} id - Bill ID
@@ -213,6 +331,8 @@ const deleteBill = async (id, userId = null) => {
   try {
     console.log(`Deleting bill with ID ${id}`);
     
+    await unlinkFromSeries(id, userId);
+    
     let query = supabase
       .from('bills')
       .delete();
@@ -230,6 +350,11 @@ const deleteBill = async (id, userId = null) => {
     if (error) throw error;
     
     console.log(`Bill with ID ${id} deleted successfully`);
+    
+    if (userId) {
+      publishBillEvent('deleted', { id, user_id: userId });
+    }
+    
     return true;
   } catch (error) {
     console.error(`Error deleting bill with ID ${id}:`, error);
@@ -288,11 +413,13 @@ const getUnpaidBillsForUser = async (userId) => {
 
 /**
  * Mark bill as paid
+ * Records a payment for the remaining balance so the payment history stays complete.
  * @param {string} id - Bill ID
  * @param {string} [userId] - Optional User ID to check ownership
+ * @param {Object} [paymentDetails] - Optional payment_date, payment_method and confirmation_number
  * @returns {Promise<Object>} Updated bill
  */
-const markBillAsPaid = async (id, userId = null) => {
+const markBillAsPaid = async (id, userId = null, paymentDetails = {}) => {
   try {
     console.log(`Marking bill with ID ${id} as paid`);
     
@@ -315,7 +442,18 @@ const markBillAsPaid = async (id, userId = null) => {
     }
     
     console.log(`Bill with ID ${id} marked as paid:`, data);
-    return data[0];
+    
+    try {
+      // Publishes the 'paid' event once the payment status is synced
+      const { bill } = await paymentService.recordRemainingBalance(data[0], data[0].user_id, paymentDetails);
+      return bill;
+    } catch (paymentError) {
+      // The bill is still paid even if the payment record could not be stored
+      console.error(`Failed to record payment for bill ${id}:`, paymentError);
+      publishBillEvent('paid', data[0]);
+      await generateNextOccurrenceIfPaid(data[0]);
+      return data[0];
+    }
   } catch (error) {
     console.error(`Error marking bill with ID ${id} as paid:`, error);
     throw error;
@@ -0,0 +1,416 @@
+// services/budgetService.js
+//
+// Monthly budgets per bill category. Spending in a month is the amount of the
+// category's bills due that month; projected spending adds the occurrences of
+// recurring bills that fall later in the month but have not been created yet
+// (the next bill of a series is created when the current one is paid, or by
+// the daily recurring check once its due date has passed).
+const { supabaseAdmin } = require('../config/database');
+const { getOccurrenceDueDate } = require('./recurrenceService');
+const templateService = require('./templateService');
+const { BILL_CATEGORIES, findCategory } = require('../config/billCategories');
+const { getDateInTimeZone, parseDateOnly, addMonthsClamped, formatYYYYMMDD } = require('../utils/dateUtils');
+
+const DEFAULT_ALERT_THRESHOLD = 80;
+const MAX_BUDGET_AMOUNT = 1000000000;
+
+// Alert levels from least to most urgent
+const ALERT_LEVELS = ['threshold', 'projected', 'exceeded'];
+
+const BILL_COLUMNS = 'id, amount, category, due_date, is_recurring, recurring_frequency, recurring_end_date, series_start_date, occurrence_number, next_occurrence_id, series_ended';
+
+/**
+ * Validate budget data from a request
+ * @param {Object} budgetData - { category, amount, alert_threshold }
+ * @param {boolean} [partial] - Only validate the fields present (updates)
+ * @returns {Object} Normalized fields
+ */
+const normalizeBudgetData = (budgetData = {}, partial = false) => {
+  const budget = {};
+
+  if (!partial || budgetData.category !== undefined) {
+    const category = findCategory(budgetData.category);
+    if (!category || !BILL_CATEGORIES.includes(category)) {
+      throw new Error(`Invalid category: ${budgetData.category} (expected one of ${BILL_CATEGORIES.join(', ')})`);
+    }
+    budget.category = category;
+  }
+
+  if (!partial || budgetData.amount !== undefined) {
+    const amount = parseFloat(budgetData.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_BUDGET_AMOUNT) {
+      throw new Error('Invalid budget amount: must be a number greater than 0');
+    }
+    budget.amount = Math.round(amount * 100) / 100;
+  }
+
+  if (budgetData.alert_threshold !== undefined && budgetData.alert_threshold !== null && budgetData.alert_threshold !== '') {
+    const threshold = Number(budgetData.alert_threshold);
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+      throw new Error('Invalid alert threshold: must be a whole percentage from 1 to 100');
+    }
+    budget.alert_threshold = threshold;
+  } else if (!partial) {
+    budget.alert_threshold = DEFAULT_ALERT_THRESHOLD;
+  }
+
+  return budget;
+};
+
+/**
+ * Throw a readable error for a second budget in the same category
+ * @param {Object} error - Supabase error
+ * @param {string} category - Category of the budget being saved
+ */
+const throwSaveError = (error, category) => {
+  if (error.code === '23505') {
+    throw new Error(`Invalid budget: there is already a budget for ${category}`);
+  }
+  throw error;
+};
+
+/**
+ * Get a user's budgets
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Budgets by category
+ */
+const getBudgets = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('budgets')
+      .select('*')
+      .eq('user_id', userId)
+      .order('category', { ascending: true });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error(`Error fetching budgets for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create a budget
+ * @param {string} userId - User ID
+ * @param {Object} budgetData - { category, amount, alert_threshold }
+ * @returns {Promise<Object>} Created budget
+ */
+const createBudget = async (userId, budgetData) => {
+  try {
+    const budget = normalizeBudgetData(budgetData);
+
+    const { data, error } = await supabaseAdmin
+      .from('budgets')
+      .insert([{ ...budget, user_id: userId }])
+      .select()
+      .single();
+
+    if (error) throwSaveError(error, budget.category);
+
+    console.log(`Created ${budget.category} budget for user ${userId}`);
+    return data;
+  } catch (error) {
+    console.error(`Error creating budget for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update a budget
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @param {Object} budgetData - Fields to change
+ * @returns {Promise<Object>} Updated budget
+ */
+const updateBudget = async (budgetId, userId, budgetData) => {
+  try {
+    const budget = normalizeBudgetData(budgetData, true);
+
+    const { data, error } = await supabaseAdmin
+      .from('budgets')
+      .update({ ...budget, updated_at: new Date() })
+      .eq('id', budgetId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throwSaveError(error, budget.category);
+    if (!data) throw new Error('Budget not found');
+
+    return data;
+  } catch (error) {
+    console.error(`Error updating budget ${budgetId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a budget
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const deleteBudget = async (budgetId, userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('budgets')
+      .delete()
+      .eq('id', budgetId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) throw new Error('Budget not found');
+  } catch (error) {
+    console.error(`Error deleting budget ${budgetId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the first and last day of a month
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+const getMonthRange = (month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month))) {
+    throw new Error(`Invalid month: ${month} (expected YYYY-MM)`);
+  }
+
+  const start = parseDateOnly(`${month}-01`);
+  const end = addMonthsClamped(start, 1);
+  end.setUTCDate(end.getUTCDate() - 1);
+
+  return { start: formatYYYYMMDD(start), end: formatYYYYMMDD(end) };
+};
+
+/**
+ * Get the bills that count towards a month's spending: the bills due in the
+ * month, and the latest bills of recurring series that may recur in it
+ * (series that ended have no further occurrences)
+ * @param {string} userId - User ID
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @returns {Promise<Object>} { bills, seriesHeads }
+ */
+const getBillsForMonth = async (userId, { start, end }) => {
+  const [billsResult, headsResult] = await Promise.all([
+    supabaseAdmin
+      .from('bills')
+      .select(BILL_COLUMNS)
+      .eq('user_id', userId)
+      .gte('due_date', start)
+      .lte('due_date', end),
+    supabaseAdmin
+      .from('bills')
+      .select(BILL_COLUMNS)
+      .eq('user_id', userId)
+      .eq('is_recurring', true)
+      .is('next_occurrence_id', null)
+      .eq('series_ended', false)
+      .lt('due_date', start)
+  ]);
+
+  if (billsResult.error) throw billsResult.error;
+  if (headsResult.error) throw headsResult.error;
+
+  const bills = billsResult.data || [];
+  const seriesHeads = [...(headsResult.data || []), ...bills.filter(bill => (
+    bill.is_recurring && !bill.next_occurrence_id && !bill.series_ended
+  ))];
+
+  return { bills, seriesHeads };
+};
+
+/**
+ * Due dates in a month of the not yet created occurrences of a recurring series
+ * @param {Object} bill - Latest bill of the series
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @returns {Array<string>} Due dates
+ */
+const getProjectedDueDates = (bill, { start, end }) => {
+  const seriesStart = bill.series_start_date || bill.due_date;
+  const endDate = bill.recurring_end_date ? String(bill.recurring_end_date).slice(0, 10) : null;
+  const dueDates = [];
+
+  try {
+    for (let index = bill.occurrence_number || 1; ; index++) {
+      const dueDate = getOccurrenceDueDate(seriesStart, bill.recurring_frequency, index);
+      if (dueDate > end || (endDate && dueDate > endDate)) break;
+      if (dueDate >= start) dueDates.push(dueDate);
+    }
+  } catch (error) {
+    console.error(`Error projecting recurring bill ${bill.id}:`, error.message);
+  }
+
+  return dueDates;
+};
+
+/**
+ * Compare spending with a budget
+ * @param {Object} budget - Budget row
+ * @param {Object} spending - { spent, projected, bills } in cents
+ * @returns {Object} Budget with spent, projected, remaining, percent, projected_percent and status
+ */
+const getBudgetStatus = (budget, spending = { spent: 0, projected: 0, bills: 0 }) => {
+  const budgetCents = Math.round(parseFloat(budget.amount) * 100);
+  const percent = Math.round((spending.spent / budgetCents) * 1000) / 10;
+  const projectedPercent = Math.round((spending.projected / budgetCents) * 1000) / 10;
+  const threshold = budget.alert_threshold || DEFAULT_ALERT_THRESHOLD;
+
+  let status = 'ok';
+  if (spending.spent > budgetCents) status = 'exceeded';
+  else if (spending.projected > budgetCents) status = 'projected';
+  else if (Math.max(percent, projectedPercent) >= threshold) status = 'threshold';
+
+  return {
+    ...budget,
+    spent: spending.spent / 100,
+    projected: spending.projected / 100,
+    remaining: Math.max(budgetCents - spending.spent, 0) / 100,
+    percent,
+    projected_percent: projectedPercent,
+    bill_count: spending.bills,
+    status
+  };
+};
+
+/**
+ * Get a user's budgets with their spending in a month
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { month } as YYYY-MM (default: the current month in the user's timezone)
+ * @returns {Promise<Object>} { month, start, end, locale, currency, budgets, unbudgeted, categories }
+ */
+const getBudgetSummary = async (userId, { month } = {}) => {
+  try {
+    const { data: preferences, error: prefsError } = await supabaseAdmin
+      .from('notification_preferences')
+      .select('timezone, locale, currency')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (prefsError) throw prefsError;
+
+    const selectedMonth = month || getDateInTimeZone(new Date(), preferences && preferences.timezone).slice(0, 7);
+    const range = getMonthRange(selectedMonth);
+
+    const [budgets, { bills, seriesHeads }] = await Promise.all([
+      getBudgets(userId),
+      getBillsForMonth(userId, range)
+    ]);
+
+    // Spending per category in cents
+    const spending = new Map();
+    const add = (category, cents, { actual, count }) => {
+      const name = findCategory(category) || category || 'Uncategorized';
+      if (!spending.has(name)) spending.set(name, { spent: 0, projected: 0, bills: 0 });
+      const totals = spending.get(name);
+      if (actual) totals.spent += cents;
+      totals.projected += cents;
+      if (count) totals.bills += 1;
+    };
+
+    bills.forEach(bill => add(bill.category, Math.round((parseFloat(bill.amount) || 0) * 100), { actual: true, count: true }));
+    seriesHeads.forEach(bill => {
+      getProjectedDueDates(bill, range).forEach(() => {
+        add(bill.category, Math.round((parseFloat(bill.amount) || 0) * 100), { actual: false, count: false });
+      });
+    });
+
+    const budgetedCategories = new Set(budgets.map(budget => budget.category));
+
+    return {
+      month: selectedMonth,
+      ...range,
+      ...templateService.getFormatOptions(preferences),
+      budgets: budgets.map(budget => getBudgetStatus(budget, spending.get(budget.category))),
+      unbudgeted: [...spending.entries()]
+        .filter(([category]) => !budgetedCategories.has(category))
+        .map(([category, totals]) => ({ category, spent: totals.spent / 100, projected: totals.projected / 100, bill_count: totals.bills }))
+        .sort((a, b) => b.projected - a.projected),
+      categories: BILL_CATEGORIES
+    };
+  } catch (error) {
+    console.error(`Error getting budget summary for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Find the budgets whose spending this month reached a new alert level and
+ * claim their alerts, so each level is only sent once per budget and month.
+ * Lower levels reached at the same time are claimed without a separate alert.
+ * @param {string} userId - User ID
+ * @param {string} today - Today's date (YYYY-MM-DD) in the user's timezone
+ * @returns {Promise<Array>} Alerts to send: { ids (claimed alert rows), level, month, budget (with its spending) }
+ */
+const claimBudgetAlerts = async (userId, today) => {
+  try {
+    const summary = await getBudgetSummary(userId, { month: today.slice(0, 7) });
+    const reached = summary.budgets
+      .filter(budget => budget.status !== 'ok')
+      .map(budget => ({ budget, levels: ALERT_LEVELS.slice(0, ALERT_LEVELS.indexOf(budget.status) + 1) }));
+
+    if (reached.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('budget_alerts')
+      .upsert(reached.flatMap(({ budget, levels }) => levels.map(level => ({
+        user_id: userId,
+        budget_id: budget.id,
+        month: summary.start,
+        level
+      }))), { onConflict: 'budget_id,month,level', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+
+    // Only newly inserted rows are returned; alert the most urgent new level of each budget
+    return reached
+      .map(({ budget }) => {
+        const claimed = (data || []).filter(row => row.budget_id === budget.id);
+        if (claimed.length === 0) return null;
+
+        const top = claimed.reduce((a, b) => (ALERT_LEVELS.indexOf(b.level) > ALERT_LEVELS.indexOf(a.level) ? b : a));
+        return { ids: claimed.map(row => row.id), level: top.level, month: summary.month, budget };
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error(`Error checking budgets for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Give back claimed budget alerts that could not be sent, so the next check sends them
+ * @param {Array} ids - Budget alert IDs
+ * @returns {Promise<void>}
+ */
+const releaseBudgetAlerts = async (ids) => {
+  if (!ids || ids.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('budget_alerts')
+    .delete()
+    .in('id', ids);
+
+  if (error) {
+    console.error('Error releasing budget alerts:', error);
+  }
+};
+
+module.exports = {
+  ALERT_LEVELS,
+  DEFAULT_ALERT_THRESHOLD,
+  normalizeBudgetData,
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getMonthRange,
+  getBudgetStatus,
+  getBudgetSummary,
+  claimBudgetAlerts,
+  releaseBudgetAlerts
+};
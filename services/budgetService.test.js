@@ -0,0 +1,64 @@
+jest.mock('../config/database', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const { getBudgetStatus, getMonthRange, normalizeBudgetData } = require('./budgetService');
+
+describe('getBudgetStatus', () => {
+  const budget = { id: 'b1', category: 'Utilities', amount: '200.00', alert_threshold: 80 };
+
+  test('is ok below the alert threshold', () => {
+    expect(getBudgetStatus(budget, { spent: 10000, projected: 15000, bills: 2 })).toEqual({
+      ...budget,
+      spent: 100,
+      projected: 150,
+      remaining: 100,
+      percent: 50,
+      projected_percent: 75,
+      bill_count: 2,
+      status: 'ok'
+    });
+  });
+
+  test('reaches the threshold with the spending or the projection', () => {
+    expect(getBudgetStatus(budget, { spent: 16000, projected: 16000, bills: 1 }).status).toBe('threshold');
+    expect(getBudgetStatus(budget, { spent: 5000, projected: 17000, bills: 1 }).status).toBe('threshold');
+  });
+
+  test('is projected when only the projection goes over', () => {
+    expect(getBudgetStatus(budget, { spent: 19000, projected: 25000, bills: 3 }).status).toBe('projected');
+  });
+
+  test('is exceeded when the spending goes over', () => {
+    const status = getBudgetStatus(budget, { spent: 20001, projected: 20001, bills: 3 });
+    expect(status.status).toBe('exceeded');
+    expect(status.remaining).toBe(0);
+  });
+
+  test('uses the default threshold and no spending', () => {
+    const status = getBudgetStatus({ amount: 100 });
+    expect(status).toMatchObject({ spent: 0, projected: 0, percent: 0, bill_count: 0, status: 'ok' });
+    expect(getBudgetStatus({ amount: 100 }, { spent: 8000, projected: 8000, bills: 1 }).status).toBe('threshold');
+  });
+});
+
+describe('getMonthRange', () => {
+  test('returns the first and last day of the month', () => {
+    expect(getMonthRange('2024-02')).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+    expect(getMonthRange('2023-12')).toEqual({ start: '2023-12-01', end: '2023-12-31' });
+  });
+
+  test('rejects other formats', () => {
+    expect(() => getMonthRange('2024-13')).toThrow('Invalid month: 2024-13 (expected YYYY-MM)');
+    expect(() => getMonthRange('2024-2')).toThrow('Invalid month');
+  });
+});
+
+describe('normalizeBudgetData', () => {
+  test('validates the category and amount', () => {
+    expect(() => normalizeBudgetData({ category: 'Nope', amount: 10 })).toThrow('Invalid category: Nope');
+    expect(() => normalizeBudgetData({ category: 'Utilities', amount: 0 })).toThrow('Invalid budget amount');
+  });
+
+  test('only checks the fields present in partial updates', () => {
+    expect(normalizeBudgetData({ amount: '50' }, true)).toMatchObject({ amount: 50 });
+  });
+});
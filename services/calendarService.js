@@ -0,0 +1,288 @@
+// services/calendarService.js
+//
+// iCalendar feed of a user's bills for calendar apps. Calendar apps cannot log
+// in, so each user has a secret feed token (stored in calendar_feeds) that is
+// part of the feed URL; rotating it invalidates the old URL.
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const billService = require('./billService');
+const templateService = require('./templateService');
+const { getServerUrl } = require('./actionLinkService');
+const { getReminderOffsets } = require('../utils/reminderUtils');
+const { parseDateOnly } = require('../utils/dateUtils');
+const { formatDateValue, formatDateTimeValue, formatDurationBefore, buildCalendar } = require('../utils/icalUtils');
+
+// Months between occurrences for each month-based recurring_frequency
+// (see recurrenceService.FREQUENCY_INTERVALS)
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, semiannually: 6, annually: 12, yearly: 12 };
+const FREQUENCY_WEEKS = { weekly: 1, biweekly: 2 };
+
+// How often calendar apps are asked to refresh the feed
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+// Time of day alarms go off when the user has not chosen a delivery time
+const DEFAULT_ALARM_TIME = '08:00';
+
+/**
+ * Create a new random feed token
+ * @returns {string} URL-safe token
+ */
+const createToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Get a user's feed token, creating one on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Feed token
+ */
+const getFeedToken = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .select('token')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data.token;
+
+    return await rotateFeedToken(userId);
+  } catch (error) {
+    console.error(`Error getting calendar feed token for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a user's feed token; calendars subscribed with the old URL stop updating
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} New feed token
+ */
+const rotateFeedToken = async (userId) => {
+  try {
+    const token = createToken();
+
+    const { error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .upsert({ user_id: userId, token, created_at: new Date(), last_accessed_at: null }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    return token;
+  } catch (error) {
+    console.error(`Error rotating calendar feed token for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Find the user a feed token belongs to
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<string|null>} User ID, or null if the token is unknown
+ */
+const getUserIdForToken = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .select('user_id')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  // Only used to show when the feed was last fetched, so a failure is not fatal
+  supabaseAdmin
+    .from('calendar_feeds')
+    .update({ last_accessed_at: new Date() })
+    .eq('user_id', data.user_id)
+    .then(({ error: updateError }) => {
+      if (updateError) console.error('Error recording calendar feed access:', updateError);
+    });
+
+  return data.user_id;
+};
+
+/**
+ * Build the feed URLs for a token
+ * @param {string} token - Feed token
+ * @returns {Object} { url, webcalUrl }
+ */
+const getFeedUrls = (token) => {
+  const url = `${getServerUrl()}/api/bills/calendar.ics?token=${encodeURIComponent(token)}`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * Build the RRULE of a recurring bill from its frequency and end date.
+ * Month-based series keep their month-end anchor like recurrenceService
+ * (Jan 31 -> Feb 28 -> Mar 31): days after the 28th use the last matching day of each month.
+ * @param {Object} bill - Bill row
+ * @returns {string|null} RRULE value, or null if the frequency is not supported
+ */
+const getRecurrenceRule = (bill) => {
+  const frequency = (bill.recurring_frequency || 'monthly').toLowerCase();
+  const until = bill.recurring_end_date ? `;UNTIL=${formatDateValue(bill.recurring_end_date)}` : '';
+
+  if (FREQUENCY_WEEKS[frequency]) {
+    return `FREQ=WEEKLY;INTERVAL=${FREQUENCY_WEEKS[frequency]}${until}`;
+  }
+
+  if (!FREQUENCY_MONTHS[frequency]) return null;
+
+  const anchorDay = parseDateOnly(bill.series_start_date || bill.due_date).getUTCDate();
+  let rule = `FREQ=MONTHLY;INTERVAL=${FREQUENCY_MONTHS[frequency]}`;
+
+  if (anchorDay > 28) {
+    const days = [];
+    for (let day = 28; day <= anchorDay; day++) days.push(day);
+    rule += `;BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+  } else {
+    rule += `;BYMONTHDAY=${anchorDay}`;
+  }
+
+  return `${rule}${until}`;
+};
+
+/**
+ * Pick the bills that carry a recurrence rule: the latest unpaid bill of each
+ * recurring series. Earlier bills of the series (already paid) are shown as
+ * single events, so the rule never repeats a bill that already has a row.
+ * Series that ended (series_ended) get no further occurrences, so have no rule.
+ * @param {Array} bills - The user's bills
+ * @returns {Set<string>} IDs of the bills to emit with an RRULE
+ */
+const getSeriesHeads = (bills) => {
+  const latest = new Map();
+
+  bills.filter(bill => bill.is_recurring).forEach(bill => {
+    const seriesId = bill.parent_bill_id || bill.id;
+    const current = latest.get(seriesId);
+    if (!current || (bill.occurrence_number || 1) > (current.occurrence_number || 1)) {
+      latest.set(seriesId, bill);
+    }
+  });
+
+  return new Set([...latest.values()]
+    .filter(bill => !bill.paid && !bill.series_ended)
+    .map(bill => bill.id));
+};
+
+/**
+ * Build the VALARMs of an unpaid bill: one per reminder offset, at the user's
+ * delivery time on that day
+ * @param {Object} bill - Bill row
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @returns {Array} VALARM components
+ */
+const getAlarms = (bill, notificationPrefs) => {
+  const [hours, minutes] = (notificationPrefs.preferred_time || DEFAULT_ALARM_TIME).split(':').map(Number);
+  const alarmMinutesIntoDay = hours * 60 + minutes;
+
+  return getReminderOffsets(bill, notificationPrefs).map(offset => ({
+    name: 'VALARM',
+    properties: [
+      ['ACTION', 'DISPLAY'],
+      ['DESCRIPTION', `${bill.vendor} is due in ${offset} ${offset === 1 ? 'day' : 'days'}`],
+      ['TRIGGER', { raw: formatDurationBefore(offset * 1440 - alarmMinutesIntoDay) }]
+    ]
+  }));
+};
+
+/**
+ * Build the VEVENT of a bill. Bills are all-day events on their due date;
+ * paid bills are marked as such and have no alarms.
+ * @param {Object} bill - Bill row
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {boolean} recurring - Whether to emit the bill's recurrence rule
+ * @param {Date} now - Time the feed is generated
+ * @returns {Object} VEVENT component
+ */
+const getBillEvent = (bill, notificationPrefs, recurring, now) => {
+  const formatOptions = templateService.getFormatOptions(notificationPrefs);
+  const amount = parseFloat(bill.amount) || 0;
+  const amountDue = Math.max(amount - (parseFloat(bill.amount_paid) || 0), 0);
+  const billUrl = `${templateService.getAppUrl()}/bill/${bill.id}`;
+
+  const endDate = parseDateOnly(bill.due_date);
+  endDate.setUTCDate(endDate.getUTCDate() + 1);
+
+  const description = [
+    `Amount: ${templateService.formatCurrency(amount, formatOptions)}`,
+    amountDue > 0 && amountDue < amount ? `Remaining: ${templateService.formatCurrency(amountDue, formatOptions)}` : null,
+    `Category: ${bill.category || 'Uncategorized'}`,
+    bill.paid ? 'Status: Paid' : null,
+    bill.notes ? `Notes: ${bill.notes}` : null,
+    billUrl
+  ].filter(Boolean).join('\n');
+
+  const rule = recurring ? getRecurrenceRule(bill) : null;
+
+  return {
+    name: 'VEVENT',
+    properties: [
+      ['UID', `${bill.id}@bill-reminder`],
+      ['DTSTAMP', { raw: formatDateTimeValue(now) }],
+      ['LAST-MODIFIED', bill.updated_at ? { raw: formatDateTimeValue(bill.updated_at) } : null],
+      ['DTSTART;VALUE=DATE', { raw: formatDateValue(bill.due_date) }],
+      ['DTEND;VALUE=DATE', { raw: formatDateValue(endDate) }],
+      ['RRULE', rule ? { raw: rule } : null],
+      ['SUMMARY', `${bill.paid ? '✓ Paid: ' : ''}${bill.vendor} (${templateService.formatCurrency(bill.paid ? amount : amountDue, formatOptions)})`],
+      ['DESCRIPTION', description],
+      ['CATEGORIES', bill.category || 'Uncategorized'],
+      ['URL', { raw: billUrl }],
+      ['STATUS', 'CONFIRMED'],
+      ['TRANSP', 'TRANSPARENT']
+    ],
+    components: bill.paid ? [] : getAlarms(bill, notificationPrefs)
+  };
+};
+
+/**
+ * Generate the iCalendar feed of a user's bills
+ * @param {string} userId - User ID
+ * @param {Date} [now] - Time the feed is generated
+ * @returns {Promise<string>} iCalendar text
+ */
+const generateFeed = async (userId, now = new Date()) => {
+  try {
+    const [bills, prefsResult] = await Promise.all([
+      billService.getBillsByUserId(userId),
+      supabaseAdmin.from('notification_preferences').select('*').eq('user_id', userId).maybeSingle()
+    ]);
+
+    if (prefsResult.error) throw prefsResult.error;
+    const notificationPrefs = prefsResult.data || {};
+
+    const seriesHeads = getSeriesHeads(bills || []);
+
+    return buildCalendar({
+      properties: [
+        ['VERSION', '2.0'],
+        ['PRODID', { raw: '-//Bill Reminder//Bills Calendar//EN' }],
+        ['CALSCALE', 'GREGORIAN'],
+        ['METHOD', 'PUBLISH'],
+        ['X-WR-CALNAME', 'Bills'],
+        ['X-WR-CALDESC', 'Bill due dates from Bill Reminder'],
+        ['REFRESH-INTERVAL;VALUE=DURATION', { raw: FEED_REFRESH_INTERVAL }],
+        ['X-PUBLISHED-TTL', { raw: FEED_REFRESH_INTERVAL }]
+      ],
+      components: (bills || [])
+        .filter(bill => bill.due_date)
+        .map(bill => getBillEvent(bill, notificationPrefs, seriesHeads.has(bill.id), now))
+    });
+  } catch (error) {
+    console.error(`Error generating calendar feed for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getFeedToken,
+  rotateFeedToken,
+  getUserIdForToken,
+  getFeedUrls,
+  getRecurrenceRule,
+  getSeriesHeads,
+  generateFeed
+};
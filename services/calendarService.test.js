@@ -0,0 +1,63 @@
+jest.mock('../config/database', () => ({ supabaseAdmin: {} }));
+
+const { getRecurrenceRule, getSeriesHeads } = require('./calendarService');
+
+describe('getRecurrenceRule', () => {
+  test('weekly frequencies', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'weekly', due_date: '2024-03-04' })).toBe('FREQ=WEEKLY;INTERVAL=1');
+    expect(getRecurrenceRule({ recurring_frequency: 'biweekly', due_date: '2024-03-04' })).toBe('FREQ=WEEKLY;INTERVAL=2');
+  });
+
+  test('month-based frequencies repeat on the anchor day', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'monthly', due_date: '2024-03-15' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15');
+    expect(getRecurrenceRule({ recurring_frequency: 'Quarterly', due_date: '2024-03-15' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15');
+    expect(getRecurrenceRule({ recurring_frequency: 'yearly', due_date: '2024-03-15' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=15');
+  });
+
+  test('defaults to monthly', () => {
+    expect(getRecurrenceRule({ due_date: '2024-03-05' })).toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=5');
+  });
+
+  test('uses the series start date as the anchor', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'monthly', series_start_date: '2024-01-31', due_date: '2024-02-29' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+  });
+
+  test('days after the 28th fall back to the last day of shorter months', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'monthly', due_date: '2024-03-30' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=28,29,30;BYSETPOS=-1');
+  });
+
+  test('ends on the series end date', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'monthly', due_date: '2024-03-15', recurring_end_date: '2024-12-31' }))
+      .toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15;UNTIL=20241231');
+  });
+
+  test('unsupported frequencies have no rule', () => {
+    expect(getRecurrenceRule({ recurring_frequency: 'daily', due_date: '2024-03-15' })).toBeNull();
+  });
+});
+
+describe('getSeriesHeads', () => {
+  test('picks the latest unpaid bill of each series', () => {
+    const heads = getSeriesHeads([
+      { id: 'a1', is_recurring: true, occurrence_number: 1, paid: true },
+      { id: 'a2', is_recurring: true, parent_bill_id: 'a1', occurrence_number: 2, paid: false },
+      { id: 'b1', is_recurring: true, occurrence_number: 1, paid: true },
+      { id: 'c1', is_recurring: false, paid: false }
+    ]);
+
+    expect([...heads]).toEqual(['a2']);
+  });
+
+  test('skips series that ended', () => {
+    const heads = getSeriesHeads([
+      { id: 'a1', is_recurring: true, occurrence_number: 1, paid: false, series_ended: true }
+    ]);
+
+    expect(heads.size).toBe(0);
+  });
+});
@@ -0,0 +1,217 @@
+// services/channelService.js
+const crypto = require('crypto');
+const { getAppUrl } = require('./templateService');
+const { isPrivateUrl } = require('../utils/networkUtils');
+
+// Registered notification channel adapters, by type.
+// An adapter is { type, label, fields, send(config, message) }; each field is
+// { name, label, type?, required?, secret?, placeholder? }.
+const channelRegistry = new Map();
+
+// Maximum number of channels a user can configure
+const MAX_CHANNELS = 10;
+
+/**
+ * Register a notification channel adapter
+ * @param {Object} adapter - Channel adapter
+ */
+const registerChannel = (adapter) => {
+  if (!adapter || !adapter.type || typeof adapter.send !== 'function') {
+    throw new Error('Channel adapters need a type and a send function');
+  }
+  channelRegistry.set(adapter.type, adapter);
+};
+
+registerChannel(require('./channels/webhookChannel'));
+registerChannel(require('./channels/slackChannel'));
+registerChannel(require('./channels/telegramChannel'));
+registerChannel(require('./channels/ntfyChannel'));
+registerChannel(require('./channels/gotifyChannel'));
+
+/**
+ * Describe the registered channel types for the settings page
+ * @returns {Array} [{ type, label, fields }]
+ */
+const getChannelTypes = () => {
+  return [...channelRegistry.values()].map(({ type, label, fields }) => ({ type, label, fields }));
+};
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {string} value - URL
+ * @returns {boolean} True if valid
+ */
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a channel and keep only the fields its adapter knows about
+ * @param {Object} channel - { id, type, name, enabled, config }
+ * @returns {Object} Normalized channel
+ * @throws {Error} If the type is unknown or a field is missing or invalid
+ */
+const normalizeChannel = (channel) => {
+  const adapter = channel && channelRegistry.get(channel.type);
+
+  if (!adapter) {
+    throw new Error(`Invalid channel type: ${channel && channel.type}`);
+  }
+
+  const name = String(channel.name || adapter.label).trim().slice(0, 50);
+  const input = channel.config || {};
+  const config = {};
+
+  adapter.fields.forEach(field => {
+    const value = input[field.name] === undefined || input[field.name] === null
+      ? ''
+      : String(input[field.name]).trim();
+
+    if (!value) {
+      if (field.required) {
+        throw new Error(`Invalid channel "${name}": ${field.label} is required`);
+      }
+      return;
+    }
+
+    if (field.type === 'url' && !isHttpUrl(value)) {
+      throw new Error(`Invalid channel "${name}": ${field.label} must be an http(s) URL`);
+    }
+
+    // Host names are checked again when they are resolved (channels/httpClient.js)
+    if (field.type === 'url' && isPrivateUrl(value)) {
+      throw new Error(`Invalid channel "${name}": ${field.label} must not be a private or local network address`);
+    }
+
+    config[field.name] = value;
+  });
+
+  return {
+    id: channel.id || crypto.randomUUID(),
+    type: adapter.type,
+    name,
+    enabled: channel.enabled !== false,
+    config
+  };
+};
+
+/**
+ * Validate a user's list of channels
+ * @param {Array|null} channels - Channels from the preferences form
+ * @returns {Array} Normalized channels
+ */
+const normalizeChannels = (channels) => {
+  if (channels === null || channels === undefined) return [];
+
+  if (!Array.isArray(channels)) {
+    throw new Error('Invalid channels: expected a list');
+  }
+
+  if (channels.length > MAX_CHANNELS) {
+    throw new Error(`Invalid channels: at most ${MAX_CHANNELS} channels are allowed`);
+  }
+
+  return channels.map(normalizeChannel);
+};
+
+/**
+ * Build the message sent to channels for a notification
+ * @param {string} event - Notification type (upcoming, due_today, overdue, test)
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @param {Object} [bill] - Bill the notification is about
+ * @returns {Object} Channel message
+ */
+const buildChannelMessage = (event, title, message, bill = null) => ({
+  event,
+  title,
+  message,
+  url: bill ? `${getAppUrl()}/bill/${bill.id}` : getAppUrl(),
+  bill: bill ? {
+    id: bill.id,
+    vendor: bill.vendor,
+    amount: bill.amount,
+    due_date: bill.due_date,
+    category: bill.category || null
+  } : null,
+  sent_at: new Date().toISOString()
+});
+
+/**
+ * Send a message through one channel
+ * @param {Object} channel - Normalized channel
+ * @param {Object} message - Channel message
+ * @returns {Promise<void>}
+ * @throws {Error} If the channel's server rejects the message
+ */
+const sendToChannel = async (channel, message) => {
+  const adapter = channelRegistry.get(channel.type);
+
+  if (!adapter) {
+    throw new Error(`Unknown channel type: ${channel.type}`);
+  }
+
+  try {
+    await adapter.send(channel.config || {}, message);
+  } catch (error) {
+    // Surface the channel server's response rather than a bare axios error
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    throw new Error(`${adapter.label} delivery failed${status}: ${error.message}`);
+  }
+};
+
+/**
+ * Send a message to all of a user's enabled channels.
+ * Failures are logged and never thrown, so one broken channel does not stop
+ * the user's other notifications.
+ * @param {Array} channels - The user's channels (notification_preferences.channels)
+ * @param {Object} message - Channel message
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendToChannels = async (channels, message) => {
+  const enabledChannels = (channels || []).filter(channel => channel && channel.enabled !== false);
+
+  const results = await Promise.allSettled(enabledChannels.map(channel => sendToChannel(channel, message)));
+
+  let failed = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      failed++;
+      console.error(`Error sending to channel "${enabledChannels[index].name}":`, result.reason.message);
+    }
+  });
+
+  return { sent: results.length - failed, failed };
+};
+
+/**
+ * Send a test message through a channel (saved or not)
+ * @param {Object} channel - Channel from the settings form
+ * @returns {Promise<void>}
+ */
+const sendTestMessage = async (channel) => {
+  const normalized = normalizeChannel(channel);
+
+  await sendToChannel(normalized, buildChannelMessage(
+    'test',
+    'Test notification',
+    `This is a test notification from Bill Reminder. Your "${normalized.name}" channel is working.`
+  ));
+};
+
+module.exports = {
+  MAX_CHANNELS,
+  registerChannel,
+  getChannelTypes,
+  normalizeChannel,
+  normalizeChannels,
+  buildChannelMessage,
+  sendToChannel,
+  sendToChannels,
+  sendTestMessage
+};
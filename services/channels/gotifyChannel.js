@@ -0,0 +1,35 @@
+// services/channels/gotifyChannel.js
+// Gotify application message
+const httpClient = require('./httpClient');
+
+// Gotify priorities: 5 = normal, 8 = high
+const PRIORITIES = { overdue: 8, due_today: 8 };
+
+/**
+ * Send a notification to a Gotify server
+ * @param {Object} config - { server_url, app_token }
+ * @param {Object} message - Channel message (see channelService.buildChannelMessage)
+ * @returns {Promise<void>}
+ */
+const send = async (config, message) => {
+  const serverUrl = config.server_url.replace(/\/$/, '');
+  
+  await httpClient.post(`${serverUrl}/message`, {
+    title: message.title,
+    message: message.message,
+    priority: PRIORITIES[message.event] || 5,
+    ...(message.url ? { extras: { 'client::notification': { click: { url: message.url } } } } : {})
+  }, {
+    headers: { 'X-Gotify-Key': config.app_token }
+  });
+};
+
+module.exports = {
+  type: 'gotify',
+  label: 'Gotify',
+  fields: [
+    { name: 'server_url', label: 'Server URL', type: 'url', required: true, placeholder: 'https://gotify.example.com' },
+    { name: 'app_token', label: 'Application token', required: true, secret: true }
+  ],
+  send
+};
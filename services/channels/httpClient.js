@@ -0,0 +1,36 @@
+// services/channels/httpClient.js
+// Shared HTTP client for notification channel adapters.
+// Channel URLs come from users, so requests may only go to public addresses:
+// host names are checked when they are resolved and IP addresses before the
+// request. Redirects are not followed, as they could lead anywhere.
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { isPrivateUrl, publicLookup } = require('../../utils/networkUtils');
+
+// Time to wait for a channel's server before the delivery counts as failed
+const CHANNEL_TIMEOUT = 10000; // 10 seconds
+
+const httpClient = axios.create({
+  timeout: CHANNEL_TIMEOUT,
+  maxRedirects: 0,
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  headers: { 'User-Agent': 'BillReminder/1.0' }
+});
+
+// Requests to a URL set by the server admin (e.g. TELEGRAM_API_URL pointing to a
+// local stand-in) pass allowPrivateAddresses: true and use the default agents
+httpClient.interceptors.request.use(config => {
+  if (config.allowPrivateAddresses) {
+    return { ...config, httpAgent: http.globalAgent, httpsAgent: https.globalAgent };
+  }
+
+  if (isPrivateUrl(config.url)) {
+    throw new Error('Channel URL is a private or local network address');
+  }
+
+  return config;
+});
+
+module.exports = httpClient;
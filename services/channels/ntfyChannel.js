@@ -0,0 +1,39 @@
+// services/channels/ntfyChannel.js
+// ntfy topic (https://ntfy.sh or a self-hosted server)
+const httpClient = require('./httpClient');
+
+// ntfy priorities: 3 = default, 4 = high
+const PRIORITIES = { overdue: 4, due_today: 4 };
+
+/**
+ * Publish a notification to an ntfy topic
+ * @param {Object} config - { server_url, topic, access_token }
+ * @param {Object} message - Channel message (see channelService.buildChannelMessage)
+ * @returns {Promise<void>}
+ */
+const send = async (config, message) => {
+  const serverUrl = (config.server_url || 'https://ntfy.sh').replace(/\/$/, '');
+  
+  // JSON publishing keeps non-ASCII titles intact (HTTP headers can't carry them)
+  await httpClient.post(serverUrl, {
+    topic: config.topic,
+    title: message.title,
+    message: message.message,
+    priority: PRIORITIES[message.event] || 3,
+    tags: ['money_with_wings'],
+    ...(message.url ? { click: message.url } : {})
+  }, {
+    headers: config.access_token ? { Authorization: `Bearer ${config.access_token}` } : {}
+  });
+};
+
+module.exports = {
+  type: 'ntfy',
+  label: 'ntfy',
+  fields: [
+    { name: 'server_url', label: 'Server URL', type: 'url', placeholder: 'https://ntfy.sh' },
+    { name: 'topic', label: 'Topic', required: true, placeholder: 'my-bills' },
+    { name: 'access_token', label: 'Access token', secret: true }
+  ],
+  send
+};
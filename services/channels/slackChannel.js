@@ -0,0 +1,34 @@
+// services/channels/slackChannel.js
+// Slack incoming webhook
+const httpClient = require('./httpClient');
+
+/**
+ * Escape text for Slack's mrkdwn format
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeSlack = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Send a notification to a Slack incoming webhook
+ * @param {Object} config - { webhook_url }
+ * @param {Object} message - Channel message (see channelService.buildChannelMessage)
+ * @returns {Promise<void>}
+ */
+const send = async (config, message) => {
+  const lines = [`*${escapeSlack(message.title)}*`, escapeSlack(message.message)];
+  if (message.url) lines.push(`<${message.url}|View bill>`);
+  
+  await httpClient.post(config.webhook_url, {
+    text: lines.join('\n')
+  });
+};
+
+module.exports = {
+  type: 'slack',
+  label: 'Slack',
+  fields: [
+    { name: 'webhook_url', label: 'Incoming webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://hooks.slack.com/services/...' }
+  ],
+  send
+};
@@ -0,0 +1,39 @@
+// services/channels/telegramChannel.js
+// Telegram bot message (sendMessage)
+const httpClient = require('./httpClient');
+
+/**
+ * Base URL of the Telegram Bot API (overridable for local testing)
+ * @returns {string} API URL without a trailing slash
+ */
+const getApiUrl = () => (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+
+/**
+ * Send a notification as a Telegram bot message
+ * @param {Object} config - { bot_token, chat_id }
+ * @param {Object} message - Channel message (see channelService.buildChannelMessage)
+ * @returns {Promise<void>}
+ */
+const send = async (config, message) => {
+  const lines = [message.title, '', message.message];
+  if (message.url) lines.push('', message.url);
+  
+  await httpClient.post(`${getApiUrl()}/bot${config.bot_token}/sendMessage`, {
+    chat_id: config.chat_id,
+    text: lines.join('\n'),
+    disable_web_page_preview: true
+  }, {
+    // TELEGRAM_API_URL is set by the server admin, not by users
+    allowPrivateAddresses: Boolean(process.env.TELEGRAM_API_URL)
+  });
+};
+
+module.exports = {
+  type: 'telegram',
+  label: 'Telegram',
+  fields: [
+    { name: 'bot_token', label: 'Bot token', required: true, secret: true, placeholder: '123456:ABC-DEF...' },
+    { name: 'chat_id', label: 'Chat ID', required: true, placeholder: '123456789' }
+  ],
+  send
+};
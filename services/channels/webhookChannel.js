@@ -0,0 +1,47 @@
+// services/channels/webhookChannel.js
+// Generic HTTP webhook: POSTs the notification as JSON, signed with HMAC-SHA256
+const crypto = require('crypto');
+const httpClient = require('./httpClient');
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC of `${timestamp}.${body}`
+ * with their secret and compare it with the X-Bill-Reminder-Signature header.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - JSON body
+ * @returns {string} Signature header value (sha256=<hex>)
+ */
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+/**
+ * Send a notification to a webhook
+ * @param {Object} config - { url, secret }
+ * @param {Object} message - Channel message (see channelService.buildChannelMessage)
+ * @returns {Promise<void>}
+ */
+const send = async (config, message) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify(message);
+  
+  await httpClient.post(config.url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Bill-Reminder-Event': message.event,
+      'X-Bill-Reminder-Timestamp': timestamp,
+      'X-Bill-Reminder-Signature': signPayload(config.secret, timestamp, body)
+    }
+  });
+};
+
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook',
+  fields: [
+    { name: 'url', label: 'Webhook URL', type: 'url', required: true, placeholder: 'https://example.com/hooks/bills' },
+    { name: 'secret', label: 'Signing secret', required: true, secret: true }
+  ],
+  signPayload,
+  send
+};
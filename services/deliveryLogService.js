@@ -0,0 +1,127 @@
+// services/deliveryLogService.js
+const { supabaseAdmin } = require('../config/database');
+
+// Columns that identify one reminder on one channel (unique in notification_deliveries)
+const DELIVERY_KEY_COLUMNS = 'user_id,bill_id,type,due_date,reminder_step,channel';
+
+/**
+ * Key of a delivery, for matching claimed rows to the deliveries that were requested
+ * @param {Object} delivery - { billId|bill_id, type, dueDate|due_date, step|reminder_step, channel }
+ * @returns {string} Delivery key
+ */
+const getDeliveryKey = (delivery) => [
+  delivery.billId || delivery.bill_id,
+  delivery.type,
+  String(delivery.dueDate || delivery.due_date).slice(0, 10),
+  delivery.step ?? delivery.reminder_step ?? 0,
+  delivery.channel
+].join('|');
+
+/**
+ * Claim deliveries before sending them. A delivery that is already in the log
+ * (sent on an earlier run, or claimed by a concurrent one) is not claimed again.
+ * @param {string} userId - User ID
+ * @param {Array} deliveries - [{ billId, type, dueDate, step, channel, channelName? }]
+ * @returns {Promise<Map>} Claimed log rows by delivery key
+ */
+const claimDeliveries = async (userId, deliveries) => {
+  if (!deliveries || deliveries.length === 0) return new Map();
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('notification_deliveries')
+      .upsert(deliveries.map(delivery => ({
+        user_id: userId,
+        bill_id: delivery.billId,
+        type: delivery.type,
+        due_date: String(delivery.dueDate).slice(0, 10),
+        reminder_step: delivery.step || 0,
+        channel: delivery.channel,
+        channel_name: delivery.channelName || null,
+        status: 'queued'
+      })), { onConflict: DELIVERY_KEY_COLUMNS, ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+
+    // Only newly inserted rows are returned
+    return new Map((data || []).map(row => [getDeliveryKey(row), row]));
+  } catch (error) {
+    console.error(`Error claiming notification deliveries for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Give back claimed deliveries that could not be queued, so the next check sends them
+ * @param {Array} ids - Delivery log IDs
+ * @returns {Promise<void>}
+ */
+const releaseDeliveries = async (ids) => {
+  if (!ids || ids.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('notification_deliveries')
+    .delete()
+    .in('id', ids);
+
+  if (error) {
+    console.error('Error releasing notification deliveries:', error);
+  }
+};
+
+/**
+ * Record the outcome of deliveries
+ * @param {Array} ids - Delivery log IDs
+ * @param {string} status - 'sent', 'skipped' or 'failed'
+ * @param {string} [errorMessage] - Why the delivery failed
+ * @returns {Promise<void>}
+ */
+const markDeliveries = async (ids, status, errorMessage = null) => {
+  if (!ids || ids.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('notification_deliveries')
+    .update({
+      status,
+      error: errorMessage ? String(errorMessage).slice(0, 1000) : null,
+      sent_at: status === 'sent' ? new Date() : null
+    })
+    .in('id', ids);
+
+  if (error) {
+    console.error(`Error marking notification deliveries as ${status}:`, error);
+  }
+};
+
+/**
+ * Get the reminders sent for a bill, newest first
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Delivery log rows
+ */
+const getDeliveriesForBill = async (billId, userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('notification_deliveries')
+      .select('id, type, due_date, reminder_step, channel, channel_name, status, error, created_at, sent_at')
+      .eq('bill_id', billId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error(`Error fetching notification deliveries for bill ${billId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getDeliveryKey,
+  claimDeliveries,
+  releaseDeliveries,
+  markDeliveries,
+  getDeliveriesForBill
+};
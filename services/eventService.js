@@ -0,0 +1,203 @@
+// services/eventService.js
+//
+// Live updates for the client over Server-Sent Events.
+// Connected browsers are kept in memory, so events only reach clients
+// connected to the same server process.
+const crypto = require('crypto');
+
+// Open event streams by user ID (each value is a Set of responses)
+const clients = new Map();
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000; // 25 seconds
+
+// How long the browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY = 5 * 1000; // 5 seconds
+
+// How long a stream ticket can be used to open a stream
+const STREAM_TICKET_TTL = 60; // 1 minute, in seconds
+
+/**
+ * Secret used to sign stream tickets. There is no built-in default: tickets
+ * signed with a value anyone can look up could be forged for any user.
+ * @returns {string} Signing secret
+ * @throws {Error} If SESSION_SECRET is not set
+ */
+const getSecret = () => {
+  if (!process.env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET must be set to sign stream tickets');
+  }
+  return process.env.SESSION_SECRET;
+};
+
+/**
+ * Check whether a secret for signing stream tickets is configured
+ * @returns {boolean} True if SESSION_SECRET is set
+ */
+const isConfigured = () => Boolean(process.env.SESSION_SECRET);
+
+/**
+ * Sign a payload with HMAC-SHA256
+ * @param {string} payload - Encoded payload
+ * @returns {string} base64url signature
+ */
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSecret()).update(`stream:${payload}`).digest('base64url');
+};
+
+/**
+ * Create a short-lived ticket for opening an event stream.
+ * EventSource can't send an Authorization header, so the client exchanges its
+ * token for a ticket and passes the ticket in the stream URL.
+ * @param {string} userId - User ID
+ * @returns {string} Ticket in the form payload.signature
+ */
+const createStreamTicket = (userId) => {
+  const payload = Buffer.from(JSON.stringify({
+    u: userId,
+    e: Math.floor(Date.now() / 1000) + STREAM_TICKET_TTL
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a stream ticket's signature and expiry
+ * @param {string} ticket - Ticket from the stream URL
+ * @returns {string} User ID
+ * @throws {Error} If the ticket is malformed, tampered with or expired
+ */
+const verifyStreamTicket = (ticket) => {
+  const [payload, signature] = String(ticket || '').split('.');
+
+  if (!payload || !signature) {
+    throw new Error('Invalid stream ticket');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid stream ticket');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid stream ticket');
+  }
+
+  if (!data.u || !data.e || data.e < Math.floor(Date.now() / 1000)) {
+    throw new Error('Invalid stream ticket: expired');
+  }
+
+  return data.u;
+};
+
+/**
+ * Write one event to a stream
+ * @param {Object} res - Express response of an open stream
+ * @param {string} event - Event name
+ * @param {Object} data - Event data (sent as JSON)
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Start an event stream on a response and keep it until the client disconnects
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const addClient = (userId, req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(res);
+
+  writeEvent(res, 'connected', { at: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+
+    const userClients = clients.get(userId);
+    if (userClients) {
+      userClients.delete(res);
+      if (userClients.size === 0) clients.delete(userId);
+    }
+  });
+};
+
+/**
+ * Send an event to all of a user's open streams.
+ * Never throws, so callers can publish without guarding.
+ * @param {string} userId - User ID
+ * @param {string} event - Event name ('notification' or 'bill')
+ * @param {Object} data - Event data
+ */
+const publish = (userId, event, data) => {
+  const userClients = userId && clients.get(userId);
+  if (!userClients) return;
+
+  userClients.forEach(res => {
+    try {
+      writeEvent(res, event, data);
+    } catch (error) {
+      console.error(`Error publishing ${event} event to user ${userId}:`, error.message);
+    }
+  });
+};
+
+/**
+ * Publish a bill change
+ * @param {string} action - 'created', 'updated', 'paid' or 'deleted'
+ * @param {Object} bill - The bill (only `id` and `user_id` are needed for 'deleted')
+ */
+const publishBillEvent = (action, bill) => {
+  if (!bill) return;
+  publish(bill.user_id, 'bill', { action, bill });
+};
+
+/**
+ * Publish a notification change
+ * @param {string} userId - User ID
+ * @param {string} action - 'created', 'read' or 'deleted'
+ * @param {Object} notification - The notification (only `id` is needed for 'read' and 'deleted')
+ */
+const publishNotificationEvent = (userId, action, notification) => {
+  if (!notification) return;
+  publish(userId, 'notification', { action, notification });
+};
+
+/**
+ * Number of open streams, for the health check
+ * @returns {number} Open streams across all users
+ */
+const getClientCount = () => {
+  let count = 0;
+  clients.forEach(userClients => { count += userClients.size; });
+  return count;
+};
+
+module.exports = {
+  STREAM_TICKET_TTL,
+  createStreamTicket,
+  verifyStreamTicket,
+  addClient,
+  publish,
+  publishBillEvent,
+  publishNotificationEvent,
+  getClientCount,
+  isConfigured
+};
@@ -0,0 +1,549 @@
+// services/exportService.js
+//
+// Data export. Bills can be exported as CSV or JSON with filters; the account
+// archive is a ZIP of everything a user owns (bills, payments, notifications,
+// preferences and bill images) that can be imported into another instance.
+// Imported rows get new IDs, so an archive can also be restored next to
+// existing data without conflicts.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const { isUserStoragePath } = require('./storageService');
+const { stringifyCsv } = require('../utils/csvUtils');
+const { createZip, readZip } = require('../utils/zipUtils');
+const { formatYYYYMMDD } = require('../utils/dateUtils');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_STATUSES = ['all', 'paid', 'unpaid'];
+
+// Identifies account archives; the version changes if the layout does
+const ARCHIVE_FORMAT = 'bill-reminder-account-archive';
+const ARCHIVE_VERSION = 1;
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const STORAGE_BUCKET = 'bill-images';
+
+// Image files accepted back from an archive, with their content types
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf'
+};
+
+// Preferences taken from an archive: the user's settings, without the record
+// of reminders already sent (last_*), which belongs to the exporting server
+const ARCHIVE_PREFERENCE_COLUMNS = Object.keys(notificationService.getDefaultNotificationPreferences(null))
+  .filter(column => column !== 'user_id' && !column.startsWith('last_'));
+
+// Rows fetched per request; Supabase returns at most 1000 rows at a time
+const PAGE_SIZE = 1000;
+
+// Columns of the CSV export. The headers match the CSV import's column names,
+// so an exported file can be imported again without changing the mapping.
+const CSV_COLUMNS = [
+  { header: 'Vendor', value: bill => bill.vendor },
+  { header: 'Amount', value: bill => bill.amount },
+  { header: 'Due Date', value: bill => bill.due_date },
+  { header: 'Category', value: bill => bill.category },
+  { header: 'Notes', value: bill => bill.notes },
+  { header: 'Recurring', value: bill => (bill.is_recurring ? 'yes' : 'no') },
+  { header: 'Frequency', value: bill => (bill.is_recurring ? bill.recurring_frequency : '') },
+  { header: 'Recurring End Date', value: bill => bill.recurring_end_date },
+  { header: 'Paid', value: bill => (bill.paid ? 'yes' : 'no') },
+  { header: 'Amount Paid', value: bill => bill.amount_paid },
+  { header: 'Payment Status', value: bill => bill.payment_status },
+  { header: 'Bill Date', value: bill => bill.bill_date },
+  { header: 'Created At', value: bill => bill.created_at },
+  { header: 'ID', value: bill => bill.id }
+];
+
+/**
+ * Validate the export filters from the query string
+ * @param {Object} query - { from, to, category, status }
+ * @returns {Object} { from, to, category, status }
+ */
+const normalizeExportFilters = (query = {}) => {
+  const filters = { from: null, to: null, category: null, status: 'all' };
+
+  ['from', 'to'].forEach(key => {
+    if (!query[key]) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key]) || isNaN(new Date(`${query[key]}T00:00:00Z`))) {
+      throw new Error(`Invalid ${key} date: ${query[key]} (expected YYYY-MM-DD)`);
+    }
+    filters[key] = query[key];
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error('Invalid date range: from is after to');
+  }
+
+  if (query.category) filters.category = String(query.category);
+
+  if (query.status) {
+    if (!EXPORT_STATUSES.includes(query.status)) {
+      throw new Error(`Invalid status: ${query.status} (expected ${EXPORT_STATUSES.join(', ')})`);
+    }
+    filters.status = query.status;
+  }
+
+  return filters;
+};
+
+/**
+ * Fetch every row of a query, a page at a time
+ * @param {Function} buildQuery - Returns a new query for the table
+ * @returns {Promise<Array>} All rows
+ */
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+/**
+ * Get a user's bills matching the export filters, by due date
+ * @param {string} userId - User ID
+ * @param {Object} filters - Normalized filters
+ * @returns {Promise<Array>} Bills
+ */
+const getBillsForExport = (userId, filters) => fetchAll(() => {
+  let query = supabaseAdmin
+    .from('bills')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (filters.from) query = query.gte('due_date', filters.from);
+  if (filters.to) query = query.lte('due_date', filters.to);
+  if (filters.category) query = query.eq('category', filters.category);
+  if (filters.status === 'paid') query = query.eq('paid', true);
+  if (filters.status === 'unpaid') query = query.or('paid.is.null,paid.eq.false');
+
+  return query.order('due_date', { ascending: true }).order('id', { ascending: true });
+});
+
+/**
+ * Get all of a user's payments, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Payments
+ */
+const getPaymentsForExport = (userId) => fetchAll(() => supabaseAdmin
+  .from('bill_payments')
+  .select('*')
+  .eq('user_id', userId)
+  .order('payment_date', { ascending: true })
+  .order('id', { ascending: true }));
+
+/**
+ * Export a user's bills as CSV or JSON. The JSON export includes the payments of each bill.
+ * @param {string} userId - User ID
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} [query] - Filters: { from, to, category, status }
+ * @returns {Promise<Object>} { fileName, contentType, body }
+ */
+const exportBills = async (userId, format, query = {}) => {
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format: ${format} (expected ${EXPORT_FORMATS.join(' or ')})`);
+    }
+
+    const filters = normalizeExportFilters(query);
+    const bills = await getBillsForExport(userId, filters);
+    const fileName = `bills-${formatYYYYMMDD(new Date())}.${format}`;
+
+    if (format === 'csv') {
+      const rows = [
+        CSV_COLUMNS.map(column => column.header),
+        ...bills.map(bill => CSV_COLUMNS.map(column => column.value(bill)))
+      ];
+      return { fileName, contentType: 'text/csv; charset=utf-8', body: stringifyCsv(rows) };
+    }
+
+    const billIds = new Set(bills.map(bill => bill.id));
+    const payments = (await getPaymentsForExport(userId)).filter(payment => billIds.has(payment.bill_id));
+    const paymentsByBill = new Map();
+    payments.forEach(payment => {
+      if (!paymentsByBill.has(payment.bill_id)) paymentsByBill.set(payment.bill_id, []);
+      paymentsByBill.get(payment.bill_id).push(payment);
+    });
+
+    const body = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      filters,
+      bills: bills.map(bill => ({ ...bill, payments: paymentsByBill.get(bill.id) || [] }))
+    }, null, 2);
+
+    return { fileName, contentType: 'application/json; charset=utf-8', body };
+  } catch (error) {
+    console.error(`Error exporting bills for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Archive path of a bill's local upload (image_path is /uploads/<file>)
+ * @param {string} imagePath - bills.image_path
+ * @returns {string} Archive entry name
+ */
+const getUploadEntryName = (imagePath) => `images/uploads/${path.basename(imagePath)}`;
+
+/**
+ * Archive path of a bill's image in Supabase storage
+ * @param {string} storagePath - bills.supabase_image_path
+ * @returns {string} Archive entry name
+ */
+const getStorageEntryName = (storagePath) => `images/storage/${storagePath.replace(/^\/+/, '')}`;
+
+/**
+ * Read the images of a user's bills for the archive
+ * @param {Array} bills - Bills
+ * @returns {Promise<Object>} { files, missing } - files to add, and images that could not be read
+ */
+const collectImages = async (bills) => {
+  const files = [];
+  const missing = [];
+  const added = new Set();
+
+  for (const bill of bills) {
+    if (bill.image_path && !added.has(getUploadEntryName(bill.image_path))) {
+      const name = getUploadEntryName(bill.image_path);
+      added.add(name);
+      try {
+        files.push({ name, data: await fs.promises.readFile(path.join(UPLOADS_DIR, path.basename(bill.image_path))) });
+      } catch (error) {
+        missing.push(bill.image_path);
+      }
+    }
+
+    if (bill.supabase_image_path && !added.has(getStorageEntryName(bill.supabase_image_path))) {
+      const name = getStorageEntryName(bill.supabase_image_path);
+      added.add(name);
+      try {
+        if (!isUserStoragePath(bill.supabase_image_path, bill.user_id)) {
+          throw new Error('not in the user\'s folder');
+        }
+
+        const { data, error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).download(bill.supabase_image_path);
+        if (error) throw error;
+        files.push({ name, data: Buffer.from(await data.arrayBuffer()) });
+      } catch (error) {
+        console.error(`Could not download ${bill.supabase_image_path} for the archive:`, error.message);
+        missing.push(bill.supabase_image_path);
+      }
+    }
+  }
+
+  return { files, missing };
+};
+
+/**
+ * Create a ZIP archive of everything a user owns
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { fileName, contentType, body } - body is a Buffer
+ */
+const createAccountArchive = async (userId) => {
+  try {
+    const bills = await getBillsForExport(userId, normalizeExportFilters());
+    const payments = await getPaymentsForExport(userId);
+    const notifications = await fetchAll(() => supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const { data: preferences, error: preferencesError } = await supabaseAdmin
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (preferencesError) throw preferencesError;
+
+    const images = await collectImages(bills);
+    const exportedAt = new Date();
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: exportedAt.toISOString(),
+      counts: {
+        bills: bills.length,
+        payments: payments.length,
+        notifications: notifications.length,
+        images: images.files.length
+      },
+      missingImages: images.missing
+    };
+
+    const body = createZip([
+      { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+      { name: 'bills.json', data: JSON.stringify(bills, null, 2) },
+      { name: 'payments.json', data: JSON.stringify(payments, null, 2) },
+      { name: 'notifications.json', data: JSON.stringify(notifications, null, 2) },
+      { name: 'preferences.json', data: JSON.stringify(preferences || null, null, 2) },
+      // Readable copy of the bills; the JSON files are what is imported
+      {
+        name: 'bills.csv',
+        data: stringifyCsv([
+          CSV_COLUMNS.map(column => column.header),
+          ...bills.map(bill => CSV_COLUMNS.map(column => column.value(bill)))
+        ])
+      },
+      ...images.files
+    ], exportedAt);
+
+    console.log(`Created account archive for user ${userId}: ${JSON.stringify(manifest.counts)}`);
+
+    return {
+      fileName: `bill-reminder-archive-${formatYYYYMMDD(exportedAt)}.zip`,
+      contentType: 'application/zip',
+      body
+    };
+  } catch (error) {
+    console.error(`Error creating account archive for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read a JSON file from an archive
+ * @param {Map<string, Buffer>} files - Archive contents
+ * @param {string} name - File name
+ * @param {*} fallback - Value if the file is missing
+ * @returns {*} Parsed JSON
+ */
+const readArchiveJson = (files, name, fallback) => {
+  if (!files.has(name)) return fallback;
+
+  try {
+    return JSON.parse(files.get(name).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid archive: ${name} is not valid JSON`);
+  }
+};
+
+/**
+ * Copy a bill's images from the archive into this instance. Images are only
+ * written to new files in uploads/ and the user's storage folder; a path whose
+ * image is not in the archive is dropped, so an archive can't point a bill at
+ * a file it did not bring.
+ * @param {Object} bill - Bill from the archive
+ * @param {Map<string, Buffer>} files - Archive contents
+ * @param {string} userId - Importing user's ID
+ * @param {Object} created - Collects { localFiles, storagePaths } to clean up if the import fails
+ * @param {Array} warnings - Collects problems that did not stop the import
+ * @returns {Promise<Object>} { image_path, supabase_image_path }
+ */
+const restoreImages = async (bill, files, userId, created, warnings) => {
+  const result = { image_path: '', supabase_image_path: '' };
+  const newFileName = (originalPath) => {
+    const extension = path.extname(originalPath).toLowerCase();
+    return IMAGE_CONTENT_TYPES[extension] ? `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}` : null;
+  };
+
+  if (bill.image_path && files.has(getUploadEntryName(bill.image_path))) {
+    const fileName = newFileName(bill.image_path);
+    if (fileName) {
+      await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(UPLOADS_DIR, fileName), files.get(getUploadEntryName(bill.image_path)));
+      created.localFiles.push(path.join(UPLOADS_DIR, fileName));
+      result.image_path = `/uploads/${fileName}`;
+    } else {
+      warnings.push(`Skipped ${bill.image_path}: not an image file`);
+    }
+  } else if (bill.image_path) {
+    warnings.push(`Skipped ${bill.image_path}: not in the archive`);
+  }
+
+  if (bill.supabase_image_path && files.has(getStorageEntryName(bill.supabase_image_path))) {
+    const fileName = newFileName(bill.supabase_image_path);
+    const storagePath = fileName ? `bills/${userId}/${fileName}` : null;
+    const { error } = storagePath
+      ? await supabaseAdmin.storage.from(STORAGE_BUCKET).upload(storagePath, files.get(getStorageEntryName(bill.supabase_image_path)), {
+        cacheControl: '3600',
+        contentType: IMAGE_CONTENT_TYPES[path.extname(storagePath)]
+      })
+      : { error: new Error('not an image file') };
+
+    if (error) {
+      warnings.push(`Could not restore ${bill.supabase_image_path}: ${error.message}`);
+    } else {
+      created.storagePaths.push(storagePath);
+      result.supabase_image_path = storagePath;
+    }
+  } else if (bill.supabase_image_path) {
+    warnings.push(`Skipped ${bill.supabase_image_path}: not in the archive`);
+  }
+
+  return result;
+};
+
+/**
+ * Build the importing user's preferences from an archive's preferences.json.
+ * Only known settings are taken, and they are validated like preferences
+ * saved in the app; settings the archive leaves out get their defaults.
+ * @param {Object|null} preferences - Preferences from the archive
+ * @param {string} userId - Importing user's ID
+ * @returns {Object|null} Preferences row, or null if the archive has none
+ */
+const getArchivePreferences = (preferences, userId) => {
+  if (preferences === null || preferences === undefined) return null;
+  if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new Error('Invalid archive: preferences.json must be an object');
+  }
+
+  const settings = {};
+  ARCHIVE_PREFERENCE_COLUMNS.forEach(column => {
+    if (preferences[column] !== undefined) settings[column] = preferences[column];
+  });
+
+  let normalized;
+  try {
+    normalized = notificationService.normalizeNotificationPreferences(settings);
+  } catch (error) {
+    throw new Error(`Invalid archive: preferences.json has an invalid setting (${error.message})`);
+  }
+
+  const now = new Date();
+  return {
+    ...notificationService.getDefaultNotificationPreferences(userId),
+    ...normalized,
+    id: crypto.randomUUID(),
+    user_id: userId,
+    created_at: now,
+    updated_at: now
+  };
+};
+
+/**
+ * Import an account archive into a user's account. Every row gets a new ID and
+ * belongs to the importing user; links between bills, payments and
+ * notifications are kept. Rows are inserted in one transaction
+ * (the import_account_archive database function).
+ * @param {string} userId - Importing user's ID
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {Promise<Object>} { counts, warnings }
+ */
+const importAccountArchive = async (userId, buffer) => {
+  const created = { localFiles: [], storagePaths: [] };
+
+  try {
+    const files = readZip(buffer);
+    const manifest = readArchiveJson(files, 'manifest.json', null);
+
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      throw new Error('Invalid archive: not a bill reminder account archive');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw new Error(`Invalid archive: version ${manifest.version} is newer than this server supports`);
+    }
+
+    const bills = readArchiveJson(files, 'bills.json', []);
+    const payments = readArchiveJson(files, 'payments.json', []);
+    const notifications = readArchiveJson(files, 'notifications.json', []);
+    const preferences = readArchiveJson(files, 'preferences.json', null);
+
+    if (![bills, payments, notifications].every(Array.isArray)) {
+      throw new Error('Invalid archive: bills, payments and notifications must be lists');
+    }
+
+    const newPreferences = getArchivePreferences(preferences, userId);
+
+    const warnings = [];
+    const billIds = new Map(bills.map(bill => [bill.id, crypto.randomUUID()]));
+    const mapBillId = (id) => (id && billIds.has(id) ? billIds.get(id) : null);
+
+    const newBills = [];
+    for (const bill of bills) {
+      const images = await restoreImages(bill, files, userId, created, warnings);
+      newBills.push({
+        ...bill,
+        ...images,
+        id: billIds.get(bill.id),
+        user_id: userId,
+        import_id: null,
+        parent_bill_id: mapBillId(bill.parent_bill_id),
+        next_occurrence_id: mapBillId(bill.next_occurrence_id)
+      });
+    }
+
+    // A statement transaction can only be recorded once per user
+    const recorded = await paymentService.getRecordedTransactionIds(
+      userId,
+      payments.map(payment => payment.transaction_id).filter(Boolean)
+    );
+
+    const newPayments = payments
+      .filter(payment => billIds.has(payment.bill_id))
+      .map(payment => ({
+        ...payment,
+        id: crypto.randomUUID(),
+        bill_id: billIds.get(payment.bill_id),
+        user_id: userId,
+        transaction_id: payment.transaction_id && !recorded.has(payment.transaction_id) ? payment.transaction_id : null
+      }));
+
+    const newNotifications = notifications.map(notification => ({
+      ...notification,
+      id: crypto.randomUUID(),
+      bill_id: mapBillId(notification.bill_id),
+      user_id: userId
+    }));
+
+
+    const { data, error } = await supabaseAdmin.rpc('import_account_archive', {
+      p_user_id: userId,
+      p_bills: newBills,
+      p_payments: newPayments,
+      p_notifications: newNotifications,
+      p_preferences: newPreferences
+    });
+
+    if (error) throw error;
+
+    console.log(`Imported account archive for user ${userId}: ${JSON.stringify(data)}`);
+
+    return {
+      counts: {
+        bills: newBills.length,
+        payments: newPayments.length,
+        notifications: newNotifications.length,
+        images: created.localFiles.length + created.storagePaths.length,
+        preferences: !!newPreferences
+      },
+      warnings
+    };
+  } catch (error) {
+    console.error(`Error importing account archive for user ${userId}:`, error);
+
+    // Remove the images copied for bills that were not imported
+    await Promise.all(created.localFiles.map(file => fs.promises.unlink(file).catch(() => {})));
+    if (created.storagePaths.length > 0) {
+      await supabaseAdmin.storage.from(STORAGE_BUCKET).remove(created.storagePaths).catch(() => {});
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  ARCHIVE_FORMAT,
+  normalizeExportFilters,
+  exportBills,
+  createAccountArchive,
+  importAccountArchive
+};
@@ -0,0 +1,393 @@
+// services/importService.js
+//
+// CSV import of bills. The user maps CSV columns to bill fields; every row is
+// validated and checked for duplicates (same vendor, due date and amount as an
+// existing bill or an earlier row). A dry run only returns the preview; a real
+// import inserts the new bills and the import report in one transaction
+// (the import_bills database function).
+const { supabaseAdmin } = require('../config/database');
+const billService = require('./billService');
+const { FREQUENCY_INTERVALS } = require('./recurrenceService');
+const { parseCsv, detectDelimiter, suggestColumnMapping, validateColumnMapping, getMappedValue } = require('../utils/csvUtils');
+const { findCategory, DEFAULT_CATEGORY } = require('../config/billCategories');
+
+// Most data rows accepted in one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Bill fields a CSV column can be mapped to. Aliases are header names that
+// are mapped automatically (compared in lower case, with _ and - as spaces).
+const IMPORT_FIELDS = [
+  { key: 'vendor', label: 'Vendor', required: true, aliases: ['vendor', 'payee', 'company', 'biller', 'name'] },
+  { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'amount due', 'total', 'cost'] },
+  { key: 'due_date', label: 'Due date', required: true, aliases: ['due date', 'due', 'date'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'type'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'memo', 'description', 'comments'] },
+  { key: 'is_recurring', label: 'Recurring', aliases: ['recurring', 'is recurring', 'repeats'] },
+  { key: 'recurring_frequency', label: 'Recurring frequency', aliases: ['frequency', 'recurring frequency', 'repeat every'] },
+  { key: 'recurring_end_date', label: 'Recurring end date', aliases: ['end date', 'recurring end date', 'until'] },
+  { key: 'paid', label: 'Paid', aliases: ['paid', 'is paid', 'status'] }
+];
+
+// Accepted date layouts; day-first and month-first dates can't be told apart,
+// so the user picks one
+const DATE_FORMATS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, order: ['year', 'month', 'day'] },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/, order: ['month', 'day', 'year'] },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/, order: ['day', 'month', 'year'] }
+};
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// Other spellings of the recurring_frequency values
+const FREQUENCY_ALIASES = {
+  week: 'weekly',
+  'bi-weekly': 'biweekly',
+  fortnightly: 'biweekly',
+  month: 'monthly',
+  quarter: 'quarterly',
+  'semi-annually': 'semiannually',
+  semiannual: 'semiannually',
+  annual: 'annually',
+  year: 'yearly'
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'paid'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'unpaid', ''];
+
+/**
+ * Parse a date in the chosen layout
+ * @param {string} value - Date from the CSV
+ * @param {string} dateFormat - One of DATE_FORMATS
+ * @returns {string|null} Date as YYYY-MM-DD, or null if it is not a valid date
+ */
+const parseDate = (value, dateFormat) => {
+  const { pattern, order } = DATE_FORMATS[dateFormat];
+  const match = String(value).trim().match(pattern);
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((part, i) => { parts[part] = Number(match[i + 1]); });
+
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (date.getUTCFullYear() !== parts.year || date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parse an amount, ignoring currency symbols and thousands separators.
+ * With both separators the last one is the decimal separator; a lone comma
+ * followed by one or two digits is a decimal comma (12,50). Amounts in
+ * parentheses are negative.
+ * @param {string} value - Amount from the CSV
+ * @returns {number|null} Amount, or null if it is not a number
+ */
+const parseAmount = (value) => {
+  const raw = String(value).trim();
+  let text = raw.replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(text)) return null;
+
+  // Accounting style negative: (12.50)
+  if (/^\(.*\)$/.test(raw)) text = `-${text}`;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot && (lastDot !== -1 || /,\d{1,2}$/.test(text))) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = Number(text);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+};
+
+/**
+ * Parse a yes/no value
+ * @param {string} value - Value from the CSV
+ * @returns {boolean|null} Parsed value, or null if it is not a yes/no value
+ */
+const parseBoolean = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+/**
+ * Key used to detect duplicate bills
+ * @param {Object} bill - { vendor, due_date, amount }
+ * @returns {string} Duplicate key
+ */
+const getDuplicateKey = (bill) => [
+  String(bill.vendor || '').trim().toLowerCase(),
+  String(bill.due_date).slice(0, 10),
+  (parseFloat(bill.amount) || 0).toFixed(2)
+].join('|');
+
+/**
+ * Validate one CSV row and build the bill it describes
+ * @param {Array<string>} fields - CSV fields of the row
+ * @param {Object} mapping - Column index by field key
+ * @param {string} dateFormat - One of DATE_FORMATS
+ * @returns {Object} { bill, errors, warnings }
+ */
+const parseRow = (fields, mapping, dateFormat) => {
+  const errors = [];
+  const warnings = [];
+  const value = (key) => getMappedValue(fields, mapping, key);
+
+  const vendor = value('vendor');
+  if (!vendor) errors.push('Vendor is required');
+
+  const amount = parseAmount(value('amount'));
+  if (amount === null) {
+    errors.push(value('amount') ? `Invalid amount: ${value('amount')}` : 'Amount is required');
+  } else if (amount < 0) {
+    errors.push(`Amount can't be negative: ${value('amount')}`);
+  }
+
+  const dueDate = value('due_date') ? parseDate(value('due_date'), dateFormat) : null;
+  if (!dueDate) {
+    errors.push(value('due_date') ? `Invalid due date for ${dateFormat}: ${value('due_date')}` : 'Due date is required');
+  }
+
+  let category = DEFAULT_CATEGORY;
+  if (value('category')) {
+    category = findCategory(value('category'));
+    if (!category) {
+      warnings.push(`Unknown category "${value('category')}", imported as ${DEFAULT_CATEGORY}`);
+      category = DEFAULT_CATEGORY;
+    }
+  }
+
+  let frequency = null;
+  if (value('recurring_frequency')) {
+    const text = value('recurring_frequency').toLowerCase();
+    frequency = FREQUENCY_ALIASES[text] || text;
+    if (!FREQUENCY_INTERVALS[frequency]) {
+      errors.push(`Unknown recurring frequency: ${value('recurring_frequency')}`);
+      frequency = null;
+    }
+  }
+
+  // A frequency on its own marks the bill as recurring
+  let isRecurring = !!frequency;
+  if (value('is_recurring')) {
+    isRecurring = parseBoolean(value('is_recurring'));
+    if (isRecurring === null) errors.push(`Invalid recurring value: ${value('is_recurring')}`);
+  }
+
+  let recurringEndDate = null;
+  if (value('recurring_end_date')) {
+    recurringEndDate = parseDate(value('recurring_end_date'), dateFormat);
+    if (!recurringEndDate) {
+      errors.push(`Invalid recurring end date for ${dateFormat}: ${value('recurring_end_date')}`);
+    } else if (dueDate && recurringEndDate < dueDate) {
+      errors.push('Recurring end date is before the due date');
+    }
+  }
+
+  const paid = parseBoolean(value('paid'));
+  if (paid === null) errors.push(`Invalid paid value: ${value('paid')}`);
+
+  return {
+    errors,
+    warnings,
+    bill: {
+      vendor,
+      amount,
+      due_date: dueDate,
+      category,
+      notes: value('notes') || null,
+      is_recurring: !!isRecurring,
+      recurring_frequency: isRecurring ? frequency || 'monthly' : null,
+      recurring_end_date: isRecurring ? recurringEndDate : null,
+      paid: !!paid
+    }
+  };
+};
+
+/**
+ * Link imported recurring bills of the same vendor and frequency into one
+ * series (oldest first), so the scheduler continues the series from its
+ * latest bill instead of generating a successor for every imported bill
+ * @param {Array} bills - Bills to import
+ * @returns {Array} Bills with series_key, occurrence_number and series_start_date
+ */
+const assignSeries = (bills) => {
+  const series = new Map();
+  const result = bills.map(bill => ({ ...bill }));
+
+  result.filter(bill => bill.is_recurring).forEach(bill => {
+    const key = `${bill.vendor.toLowerCase()}|${bill.recurring_frequency}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push(bill);
+  });
+
+  series.forEach((seriesBills, key) => {
+    seriesBills.sort((a, b) => a.due_date.localeCompare(b.due_date));
+    seriesBills.forEach((bill, i) => {
+      bill.series_key = key;
+      bill.occurrence_number = i + 1;
+      bill.series_start_date = seriesBills[0].due_date;
+    });
+  });
+
+  // Series bills are inserted in order so each can be linked to the one before it
+  return result.sort((a, b) => (
+    (a.series_key || '').localeCompare(b.series_key || '') ||
+    (a.occurrence_number || 0) - (b.occurrence_number || 0)
+  ));
+};
+
+/**
+ * Validate a CSV file and, unless it is a dry run, import its bills
+ * @param {string} userId - User ID
+ * @param {Object} options - { csv, fileName, mapping, dateFormat, dryRun }
+ * @returns {Promise<Object>} Import report: headers, mapping, summary and per-row results
+ */
+const importBills = async (userId, { csv, fileName = null, mapping = null, dateFormat = DEFAULT_DATE_FORMAT, dryRun = true }) => {
+  try {
+    if (!DATE_FORMATS[dateFormat]) {
+      throw new Error(`Invalid date format: ${dateFormat}`);
+    }
+
+    const rows = parseCsv(csv, detectDelimiter(csv));
+    if (rows.length < 2) {
+      throw new Error('Invalid CSV: expected a header row and at least one bill');
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+      throw new Error(`Invalid CSV: at most ${MAX_IMPORT_ROWS} bills can be imported at once`);
+    }
+
+    const [headers, ...dataRows] = rows;
+    const columnMapping = mapping || suggestColumnMapping(headers, IMPORT_FIELDS);
+    const mappingErrors = validateColumnMapping(columnMapping, headers, IMPORT_FIELDS);
+
+    const report = {
+      fileName,
+      dateFormat,
+      headers,
+      mapping: columnMapping,
+      mappingErrors,
+      fields: IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required: !!required })),
+      summary: { totalRows: dataRows.length, validRows: 0, duplicateRows: 0, errorRows: 0 },
+      rows: []
+    };
+
+    if (mappingErrors.length > 0) {
+      if (!dryRun) throw new Error(`Invalid column mapping: ${mappingErrors.join('; ')}`);
+      return { dryRun: true, ...report };
+    }
+
+    const existingBills = await billService.getBillsByUserId(userId);
+    const seen = new Set((existingBills || []).map(getDuplicateKey));
+    const billsToImport = [];
+
+    dataRows.forEach((fields, i) => {
+      // Line number in the file, counting the header row
+      const row = i + 2;
+      const { bill, errors, warnings } = parseRow(fields, columnMapping, dateFormat);
+      let status = 'valid';
+
+      if (errors.length > 0) {
+        status = 'error';
+        report.summary.errorRows++;
+      } else if (seen.has(getDuplicateKey(bill))) {
+        status = 'duplicate';
+        report.summary.duplicateRows++;
+      } else {
+        seen.add(getDuplicateKey(bill));
+        billsToImport.push(bill);
+        report.summary.validRows++;
+      }
+
+      report.rows.push({ row, status, errors, warnings, bill });
+    });
+
+    if (dryRun) {
+      return { dryRun: true, ...report };
+    }
+
+    if (billsToImport.length === 0) {
+      throw new Error('Invalid import: the file has no new bills to import');
+    }
+
+    // The stored report keeps the outcome of each row, not the parsed bills
+    const storedReport = {
+      dateFormat,
+      mapping: columnMapping,
+      summary: report.summary,
+      rows: report.rows.map(({ row, status, errors, warnings, bill }) => ({
+        row,
+        status: status === 'valid' ? 'imported' : status,
+        errors,
+        warnings,
+        vendor: bill.vendor,
+        due_date: bill.due_date,
+        amount: bill.amount
+      }))
+    };
+
+    const { data, error } = await supabaseAdmin.rpc('import_bills', {
+      p_user_id: userId,
+      p_file_name: fileName,
+      p_bills: assignSeries(billsToImport),
+      p_report: storedReport
+    });
+
+    if (error) throw error;
+
+    const billImport = Array.isArray(data) ? data[0] : data;
+    console.log(`Imported ${billsToImport.length} bills for user ${userId} (import ${billImport.id})`);
+
+    return {
+      dryRun: false,
+      importId: billImport.id,
+      createdAt: billImport.created_at,
+      ...report,
+      rows: report.rows.map(result => (result.status === 'valid' ? { ...result, status: 'imported' } : result))
+    };
+  } catch (error) {
+    console.error(`Error importing bills for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's past imports, newest first
+ * @param {string} userId - User ID
+ * @param {number} [limit] - Maximum number of imports
+ * @returns {Promise<Array>} Import reports
+ */
+const getImports = async (userId, limit = 20) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('bill_imports')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error(`Error fetching imports for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseAmount,
+  parseDate,
+  importBills,
+  getImports
+};
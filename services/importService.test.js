@@ -0,0 +1,48 @@
+jest.mock('../config/database', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const { parseAmount, parseDate } = require('./importService');
+
+describe('parseAmount', () => {
+  test.each([
+    ['12.50', 12.5],
+    ['$1,234.56', 1234.56],
+    ['1,234', 1234],
+    ['12,50', 12.5],
+    ['1.234,56', 1234.56],
+    ['€ 9,9', 9.9],
+    ['(12.50)', -12.5],
+    ['-5', -5]
+  ])('%s is %d', (value, expected) => {
+    expect(parseAmount(value)).toBe(expected);
+  });
+
+  test.each(['', 'abc', '$', '1.2.3'])('"%s" is not an amount', (value) => {
+    expect(parseAmount(value)).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  test('reads each layout', () => {
+    expect(parseDate('2024-03-05', 'YYYY-MM-DD')).toBe('2024-03-05');
+    expect(parseDate('2024/3/5', 'YYYY-MM-DD')).toBe('2024-03-05');
+    expect(parseDate('03/05/2024', 'MM/DD/YYYY')).toBe('2024-03-05');
+    expect(parseDate('05.03.2024', 'DD/MM/YYYY')).toBe('2024-03-05');
+    expect(parseDate(' 2024-03-05 ', 'YYYY-MM-DD')).toBe('2024-03-05');
+  });
+
+  test('rejects dates that do not exist', () => {
+    expect(parseDate('2023-02-29', 'YYYY-MM-DD')).toBeNull();
+    expect(parseDate('13/01/2024', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDate('2024-04-31', 'YYYY-MM-DD')).toBeNull();
+  });
+
+  test('rejects dates in another layout', () => {
+    expect(parseDate('03/05/2024', 'YYYY-MM-DD')).toBeNull();
+    expect(parseDate('2024-03-05', 'DD/MM/YYYY')).toBeNull();
+    expect(parseDate('next friday', 'YYYY-MM-DD')).toBeNull();
+  });
+
+  test('accepts leap days', () => {
+    expect(parseDate('29/02/2024', 'DD/MM/YYYY')).toBe('2024-02-29');
+  });
+});
@@ -0,0 +1,398 @@
+// services/jobService.js
+//
+// Durable queue (outbox) for notification deliveries, stored in the
+// notification_jobs table. Jobs are claimed by the worker with
+// claim_notification_jobs, so they survive restarts and several server
+// processes can run the worker at once.
+const { supabaseAdmin } = require('../config/database');
+
+// Job lifecycle: pending -> processing -> completed, or back to pending with a
+// later run_at after a failure, or dead once max_attempts is reached.
+// Admins can retry dead jobs or mark them discarded.
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead', 'discarded'];
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+
+// Backoff after a failed attempt: 1 min, 2 min, 4 min, ... capped at 6 hours
+const RETRY_BASE_DELAY = 60 * 1000;
+const RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+
+// Jobs processing for longer than this are assumed lost and claimed again
+const STALE_JOB_TIMEOUT = 10 * 60; // 10 minutes, in seconds
+
+// Jobs claimed per worker run
+const WORKER_BATCH_SIZE = parseInt(process.env.JOB_WORKER_BATCH_SIZE, 10) || 25;
+
+// Completed and discarded jobs are deleted after this many days
+const JOB_RETENTION_DAYS = 30;
+
+// Job handlers by type. A handler receives the job row and throws to have the job retried,
+// or returns { deferUntil } to put the job back until then (e.g. during quiet hours).
+const jobHandlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job) => void | { deferUntil: Date }
+ */
+const registerJobHandler = (type, handler) => {
+  if (!type || typeof handler !== 'function') {
+    throw new Error('Job handlers need a type and a function');
+  }
+  jobHandlers.set(type, handler);
+};
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+};
+
+/**
+ * Queue jobs
+ * @param {Array} jobs - [{ type, userId, billId?, payload, runAt?, maxAttempts? }]
+ * @returns {Promise<Array>} Queued job rows
+ */
+const enqueueJobs = async (jobs) => {
+  if (!jobs || jobs.length === 0) return [];
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('notification_jobs')
+      .insert(jobs.map(job => ({
+        type: job.type,
+        user_id: job.userId,
+        bill_id: job.billId || null,
+        payload: job.payload || {},
+        status: 'pending',
+        attempts: 0,
+        max_attempts: job.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        run_at: job.runAt || new Date()
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error queueing notification jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Queue one job
+ * @param {string} type - Job type
+ * @param {string} userId - User the delivery is for
+ * @param {Object} payload - Data for the job handler
+ * @param {Object} [options] - { billId, runAt, maxAttempts }
+ * @returns {Promise<Object>} Queued job row
+ */
+const enqueueJob = async (type, userId, payload, options = {}) => {
+  const [job] = await enqueueJobs([{ type, userId, payload, ...options }]);
+  return job;
+};
+
+/**
+ * Store the outcome of a job
+ * @param {string} id - Job ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<void>}
+ */
+const updateJob = async (id, changes) => {
+  const { error } = await supabaseAdmin
+    .from('notification_jobs')
+    .update({ ...changes, updated_at: new Date() })
+    .eq('id', id);
+
+  if (error) {
+    console.error(`Error updating notification job ${id}:`, error);
+  }
+};
+
+/**
+ * Run one claimed job and record the result: completed, deferred, retried later or dead
+ * @param {Object} job - Job row (attempts already counts this attempt)
+ * @returns {Promise<string>} New status of the job ('deferred' for a job put back by its handler)
+ */
+const processJob = async (job) => {
+  const handler = jobHandlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type: ${job.type}`);
+    }
+
+    const result = await handler(job);
+
+    if (result && result.deferUntil) {
+      // A deferred run is not a failed attempt
+      await updateJob(job.id, {
+        status: 'pending',
+        attempts: Math.max(job.attempts - 1, 0),
+        locked_at: null,
+        run_at: new Date(result.deferUntil)
+      });
+      return 'deferred';
+    }
+
+    await updateJob(job.id, {
+      status: 'completed',
+      locked_at: null,
+      last_error: null,
+      completed_at: new Date()
+    });
+    return 'completed';
+  } catch (error) {
+    const lastError = String(error.message || error).slice(0, 1000);
+
+    if (!handler || job.attempts >= job.max_attempts) {
+      console.error(`Notification job ${job.id} (${job.type}) failed permanently after ${job.attempts} attempts:`, lastError);
+      await updateJob(job.id, { status: 'dead', locked_at: null, last_error: lastError });
+      return 'dead';
+    }
+
+    const delay = getRetryDelay(job.attempts);
+    console.warn(`Notification job ${job.id} (${job.type}) failed (attempt ${job.attempts} of ${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s:`, lastError);
+    await updateJob(job.id, {
+      status: 'pending',
+      locked_at: null,
+      last_error: lastError,
+      run_at: new Date(Date.now() + delay)
+    });
+    return 'pending';
+  }
+};
+
+/**
+ * Claim and run due jobs until none are left
+ * @returns {Promise<Object>} { processed, completed, deferred, retried, dead }
+ */
+const processJobs = async () => {
+  const summary = { processed: 0, completed: 0, deferred: 0, retried: 0, dead: 0 };
+
+  while (true) {
+    const { data: jobs, error } = await supabaseAdmin.rpc('claim_notification_jobs', {
+      p_limit: WORKER_BATCH_SIZE,
+      p_stale_seconds: STALE_JOB_TIMEOUT
+    });
+
+    if (error) throw error;
+    if (!jobs || jobs.length === 0) break;
+
+    // One job at a time, so a slow provider is not hit with a burst of sends
+    for (const job of jobs) {
+      const status = await processJob(job);
+      summary.processed++;
+      if (status === 'completed') summary.completed++;
+      else if (status === 'deferred') summary.deferred++;
+      else if (status === 'dead') summary.dead++;
+      else summary.retried++;
+    }
+
+    if (jobs.length < WORKER_BATCH_SIZE) break;
+  }
+
+  return summary;
+};
+
+/**
+ * List jobs for the admin endpoints, newest first
+ * @param {Object} [filters] - { status, type, userId, limit, offset }
+ * @returns {Promise<Array>} Job rows
+ */
+const listJobs = async ({ status, type, userId, limit = 50, offset = 0 } = {}) => {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new Error(`Invalid job status: ${status}`);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  try {
+    let query = supabaseAdmin
+      .from('notification_jobs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing notification jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count jobs by status
+ * @returns {Promise<Object>} { pending, processing, completed, dead, discarded }
+ */
+const getJobCounts = async () => {
+  try {
+    const counts = await Promise.all(JOB_STATUSES.map(async status => {
+      const { count, error } = await supabaseAdmin
+        .from('notification_jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) throw error;
+      return [status, count || 0];
+    }));
+
+    return Object.fromEntries(counts);
+  } catch (error) {
+    console.error('Error counting notification jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one job
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job row, or null if not found
+ */
+const getJob = async (id) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('notification_jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error(`Error fetching notification job ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Change the status of a job that is in one of the given statuses
+ * @param {string} id - Job ID
+ * @param {Array} fromStatuses - Statuses the job may be in
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object|null>} Updated job, or null if no job matched
+ */
+const transitionJob = async (id, fromStatuses, changes) => {
+  const { data, error } = await supabaseAdmin
+    .from('notification_jobs')
+    .update({ ...changes, updated_at: new Date() })
+    .eq('id', id)
+    .in('status', fromStatuses)
+    .select();
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Queue a dead (or discarded) job again with a fresh set of attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if no such job can be retried
+ */
+const retryJob = async (id) => {
+  try {
+    return await transitionJob(id, ['dead', 'discarded'], {
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date(),
+      locked_at: null
+    });
+  } catch (error) {
+    console.error(`Error retrying notification job ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Give up on a job that has not been delivered
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if no such job can be discarded
+ */
+const discardJob = async (id) => {
+  try {
+    return await transitionJob(id, ['pending', 'dead'], { status: 'discarded', locked_at: null });
+  } catch (error) {
+    console.error(`Error discarding notification job ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete completed and discarded jobs older than JOB_RETENTION_DAYS
+ * @returns {Promise<void>}
+ */
+const purgeOldJobs = async () => {
+  const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('notification_jobs')
+    .delete()
+    .in('status', ['completed', 'discarded'])
+    .lt('updated_at', cutoff.toISOString());
+
+  if (error) {
+    console.error('Error purging old notification jobs:', error);
+  }
+};
+
+/**
+ * Schedule the job worker (every minute) and the daily clean-up of old jobs
+ * @returns {Object} The scheduled worker job
+ */
+const scheduleJobWorker = () => {
+  const schedule = require('node-schedule');
+  let running = false;
+
+  const workerJob = schedule.scheduleJob('* * * * *', async () => {
+    // Skip this tick if the previous run is still sending
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await processJobs();
+      if (summary.processed > 0) {
+        console.log(`Notification job worker: ${summary.completed} completed, ${summary.deferred} held, ${summary.retried} to retry, ${summary.dead} dead`);
+      }
+    } catch (error) {
+      console.error('Error in notification job worker:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  schedule.scheduleJob('30 3 * * *', purgeOldJobs);
+
+  return workerJob;
+};
+
+module.exports = {
+  JOB_STATUSES,
+  DEFAULT_MAX_ATTEMPTS,
+  registerJobHandler,
+  getRetryDelay,
+  enqueueJob,
+  enqueueJobs,
+  processJob,
+  processJobs,
+  listJobs,
+  getJobCounts,
+  getJob,
+  retryJob,
+  discardJob,
+  scheduleJobWorker
+};
@@ -2,7 +2,34 @@
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const supabase = require('../config/database');
+const { supabaseAdmin } = require('../config/database');
 const emailConfig = require('../config/email');
+const billService = require('./billService');
+const templateService = require('./templateService');
+const suppressionService = require('./suppressionService');
+const channelService = require('./channelService');
+const pushService = require('./pushService');
+const eventService = require('./eventService');
+const jobService = require('./jobService');
+const deliveryLogService = require('./deliveryLogService');
+const budgetService = require('./budgetService');
+const { getUnsubscribeUrl } = require('./actionLinkService');
+const { formatCurrency, formatDate } = templateService;
+const { daysBetween, getDateInTimeZone, getTimeInTimeZone, isValidTimeZone, parseDateOnly, formatYYYYMMDD } = require('../utils/dateUtils');
+const {
+  DEFAULT_OVERDUE_REMINDER_DAYS,
+  DEFAULT_OVERDUE_REPEAT_DAYS,
+  normalizeReminderOffsets,
+  getReminderOffsets,
+  getDueReminderOffset,
+  normalizeOverdueReminderDays,
+  normalizeOverdueRepeatDays,
+  normalizeSecondaryContactDays,
+  getOverduePolicy,
+  getOverdueReminderStep,
+  isReminderPaused
+} = require('../utils/reminderUtils');
+const { normalizeQuietTime, normalizeDoNotDisturbDate, getDeliveryHoldUntil } = require('../utils/quietHoursUtils');
 
 // Initialize in-memory notifications for testing
 if (!global.testNotifications) {
@@ -18,21 +45,55 @@ if (!global.testEmailPreviews) {
 const notificationCache = new Map(); // Cache by user ID
 const CACHE_TTL = 30000; // 30 seconds cache lifetime
 
+// Delivery time used when a user has not chosen one (HH:MM in the user's timezone)
+const DEFAULT_PREFERRED_TIME = '08:00';
+
+// Minutes between scheduled notification checks. Preferred times must fall on
+// a check, or a time after the last check of the day (23:45) is never reached.
+const DELIVERY_INTERVAL_MINUTES = 15;
+
+// Day of the week (0 = Sunday) the weekly summary is sent when a user has not chosen one
+const DEFAULT_WEEKLY_SUMMARY_DAY = 1;
+
+// Quiet hours suggested when a user turns them on (HH:MM in the user's timezone)
+const DEFAULT_QUIET_HOURS_START = '22:00';
+const DEFAULT_QUIET_HOURS_END = '07:00';
+
+// Days an overdue bill's reminders are paused when the user acknowledges it
+const ACKNOWLEDGE_OVERDUE_DAYS = 7;
+
+// Digest section for each bill notification type
+const DIGEST_SECTIONS = { upcoming: 'upcoming', due_today: 'dueToday', overdue: 'overdue' };
+
+// Number of users processed together by the scheduled notification check
+const NOTIFICATION_BATCH_SIZE = parseInt(process.env.NOTIFICATION_BATCH_SIZE, 10) || 50;
+
 /**
  * Send email notification
  * @param {string} emailAddress - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} message - Email message (HTML)
  * @param {boolean} isTestUser - Whether this is a test user
- * @returns {Promise<Object>} Email info object
+ * @param {string} [textMessage] - Plain-text version (derived from the HTML if omitted)
+ * @param {string} [userId] - Recipient's user ID, used for the unsubscribe link
+ * @param {Object} [options]
+ * @param {boolean} [options.throwOnError=false] - Throw send errors instead of returning null (for retried jobs)
+ * @returns {Promise<Object>} Email info object (null if not sent)
  */
-const sendEmailNotification = async (emailAddress, subject, message, isTestUser = false) => {
+const sendEmailNotification = async (emailAddress, subject, message, isTestUser = false, textMessage = null, userId = null, { throwOnError = false } = {}) => {
   if (!emailAddress) {
     console.log('No email address provided');
     return null;
   }
   
   try {
+    // Never send to addresses that hard-bounced or reported spam
+    if (await suppressionService.isEmailSuppressed(emailAddress)) {
+      console.log(`Skipping email to suppressed address ${emailAddress}`);
+      return null;
+    }
+    
+
     let emailTransporter = emailConfig.getTransporter();
     let testAccount = null;
     let isEtherealEmail = false;
@@ -64,16 +125,20 @@ const sendEmailNotification = async (emailAddress, subject, message, isTestUser
       to: emailAddress,
       subject: subject,
       html: message,
-      text: message.replace(/<[^>]*>/g, ''), // Plain text version
+      text: textMessage || message.replace(/<[^>]*>/g, ''), // Plain text version
       headers: {
         'X-Application': 'Bill Reminder App',
         'X-Environment': process.env.NODE_ENV || 'development'
       }
     };
     
-    // Add unsubscribe header for production emails (CAN-SPAM compliance)
-    if (!isEtherealEmail && process.env.NODE_ENV === 'production') {
-      emailData.headers['List-Unsubscribe'] = `<${process.env.APP_URL || 'https://billreminder.app'}/unsubscribe?email=${encodeURIComponent(emailAddress)}>`;
+    // Unsubscribe link and header (CAN-SPAM compliance, RFC 8058 one-click)
+    const unsubscribeUrl = getUnsubscribeUrl(userId);
+    if (unsubscribeUrl) {
+      emailData.headers['List-Unsubscribe'] = `<${unsubscribeUrl}>`;
+      emailData.headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+      emailData.html += `<p style="color: #7f8c8d; font-size: 12px;">You are receiving this email because bill reminder emails are turned on. <a href="${unsubscribeUrl}">Unsubscribe</a></p>`;
+      emailData.text += `\n\nTo stop receiving bill reminder emails, unsubscribe: ${unsubscribeUrl}`;
     }
     
     // Add tracking pixel for email open tracking if configured
@@ -122,10 +187,25 @@ const sendEmailNotification = async (emailAddress, subject, message, isTestUser
     if (error.response) {
       console.error('SMTP Response:', error.response);
     }
+    if (throwOnError) throw error;
     return null;
   }
 };
 
+/**
+ * Render a notification email from its template and send it
+ * @param {string} type - Template type (upcoming, due_today, overdue, digest, weekly_summary, test)
+ * @param {Object} context - Data for the template (see templateService.renderEmail)
+ * @param {Object} notificationPrefs - The user's notification preferences (email address, locale, currency)
+ * @param {boolean} [isTestUser] - Whether to send through the test email account
+ * @param {Object} [options] - Passed to sendEmailNotification
+ * @returns {Promise<Object>} Email info object
+ */
+const sendTemplatedEmail = async (type, context, notificationPrefs, isTestUser = !emailConfig.getTransporter(), options = {}) => {
+  const { subject, html, text } = await templateService.renderEmail(type, context, notificationPrefs);
+  return module.exports.sendEmailNotification(notificationPrefs.email_address, subject, html, isTestUser, text, notificationPrefs.user_id, options);
+};
+
 /**
  * Create in-app notification
  * @param {string} title - Notification title
@@ -160,6 +240,7 @@ const createInAppNotification = async (title, message, billId, type, userId = nu
       // Store in global variable for testing purposes
       global.testNotifications.push(testNotification);
       console.log('Created in-memory test notification:', testNotification);
+      eventService.publishNotificationEvent(notificationUserId, 'created', testNotification);
       
       return testNotification;
     } else {
@@ -178,6 +259,8 @@ const createInAppNotification = async (title, message, billId, type, userId = nu
         .select();
       
       if (error) throw error;
+      
+      eventService.publishNotificationEvent(notificationUserId, 'created', data[0]);
       return data[0];
     }
   } catch (error) {
@@ -242,6 +325,42 @@ const getNotificationsForUser = async (userId) => {
   }
 };
 
+/**
+ * Get the default notification preferences used when a user has not saved any
+ * @param {string} userId - User ID
+ * @returns {Object} Default notification preferences
+ */
+const getDefaultNotificationPreferences = (userId) => ({
+  user_id: userId,
+  email_notifications: true,
+  in_app_notifications: true,
+  notification_days_before: 3,
+  reminder_offsets: [3],
+  notify_on_due_date: true,
+  notify_when_overdue: true,
+  overdue_reminder_days: DEFAULT_OVERDUE_REMINDER_DAYS,
+  overdue_repeat_days: DEFAULT_OVERDUE_REPEAT_DAYS,
+  secondary_contact_email: null,
+  secondary_contact_after_days: null,
+  email_address: null,
+  channels: [],
+  locale: templateService.DEFAULT_LOCALE,
+  currency: templateService.DEFAULT_CURRENCY,
+  email_digest: false,
+  weekly_summary: false,
+  weekly_summary_day: DEFAULT_WEEKLY_SUMMARY_DAY,
+  last_weekly_summary_date: null,
+  timezone: null, // null = server timezone
+  preferred_time: DEFAULT_PREFERRED_TIME,
+  quiet_hours_enabled: false,
+  quiet_hours_start: DEFAULT_QUIET_HOURS_START,
+  quiet_hours_end: DEFAULT_QUIET_HOURS_END,
+  quiet_hours_bypass_due_today: false,
+  dnd_start: null,
+  dnd_end: null,
+  last_notification_date: null
+});
+
 /**
  * Get notification preferences for user
  * @param {string} userId - User ID
@@ -260,15 +379,7 @@ const getNotificationPreferences = async (userId) => {
     if (error) {
       // If no preferences found, return default values
       if (error.code === 'PGRST116') {
-        return {
-          user_id: userId,
-          email_notifications: true,
-          in_app_notifications: true,
-          notification_days_before: 3,
-          notify_on_due_date: true,
-          notify_when_overdue: true,
-          email_address: null
-        };
+        return getDefaultNotificationPreferences(userId);
       }
       throw error;
     }
@@ -280,6 +391,109 @@ const getNotificationPreferences = async (userId) => {
   }
 };
 
+/**
+ * Validate and normalize notification preferences before they are saved:
+ * timezone, delivery time, locale and currency, channels, reminder offsets,
+ * quiet hours, do-not-disturb, overdue escalation and the secondary contact.
+ * Only the preferences present are checked.
+ * @param {Object} preferences - Notification preferences
+ * @returns {Object} Normalized preferences
+ */
+const normalizeNotificationPreferences = (preferences) => {
+  if (preferences.timezone && !isValidTimeZone(preferences.timezone)) {
+    throw new Error(`Invalid timezone: ${preferences.timezone}`);
+  }
+  
+  if (preferences.preferred_time && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(preferences.preferred_time)) {
+    throw new Error(`Invalid preferred time: ${preferences.preferred_time}`);
+  }
+  
+  if (preferences.preferred_time && Number(preferences.preferred_time.slice(3, 5)) % DELIVERY_INTERVAL_MINUTES !== 0) {
+    throw new Error(`Invalid preferred time: ${preferences.preferred_time} (must be a multiple of ${DELIVERY_INTERVAL_MINUTES} minutes past the hour)`);
+  }
+  
+  if (preferences.locale && !templateService.isValidLocale(preferences.locale)) {
+    throw new Error(`Invalid locale: ${preferences.locale}`);
+  }
+  
+  if (preferences.currency && !templateService.isValidCurrency(preferences.currency)) {
+    throw new Error(`Invalid currency: ${preferences.currency}`);
+  }
+  
+  if (preferences.weekly_summary_day !== undefined && preferences.weekly_summary_day !== null) {
+    const summaryDay = Number(preferences.weekly_summary_day);
+    if (!Number.isInteger(summaryDay) || summaryDay < 0 || summaryDay > 6) {
+      throw new Error(`Invalid weekly summary day: ${preferences.weekly_summary_day}`);
+    }
+    preferences = { ...preferences, weekly_summary_day: summaryDay };
+  }
+  
+  if (preferences.channels !== undefined) {
+    preferences = { ...preferences, channels: channelService.normalizeChannels(preferences.channels) };
+  }
+  
+  if (preferences.reminder_offsets !== undefined) {
+    preferences = { ...preferences, reminder_offsets: normalizeReminderOffsets(preferences.reminder_offsets) };
+    
+    // Keep the legacy single value in sync with the earliest reminder
+    if (preferences.reminder_offsets) {
+      preferences.notification_days_before = preferences.reminder_offsets[0];
+    }
+  }
+  
+  if (preferences.quiet_hours_start !== undefined) {
+    preferences = { ...preferences, quiet_hours_start: normalizeQuietTime(preferences.quiet_hours_start, 'quiet hours start') };
+  }
+  
+  if (preferences.quiet_hours_end !== undefined) {
+    preferences = { ...preferences, quiet_hours_end: normalizeQuietTime(preferences.quiet_hours_end, 'quiet hours end') };
+  }
+  
+  if (preferences.quiet_hours_enabled && (!preferences.quiet_hours_start || !preferences.quiet_hours_end)) {
+    throw new Error('Invalid quiet hours: choose a start and an end time');
+  }
+  
+  if (preferences.dnd_start !== undefined || preferences.dnd_end !== undefined) {
+    const dndStart = normalizeDoNotDisturbDate(preferences.dnd_start, 'do-not-disturb start');
+    const dndEnd = normalizeDoNotDisturbDate(preferences.dnd_end, 'do-not-disturb end');
+    
+    if (dndStart && !dndEnd) {
+      throw new Error('Invalid do-not-disturb window: choose an end date');
+    }
+    if (dndStart && dndEnd < dndStart) {
+      throw new Error(`Invalid do-not-disturb window: ${dndEnd} is before ${dndStart}`);
+    }
+    
+    preferences = { ...preferences, dnd_start: dndStart, dnd_end: dndEnd };
+  }
+  
+  if (preferences.overdue_reminder_days !== undefined) {
+    preferences = {
+      ...preferences,
+      overdue_reminder_days: normalizeOverdueReminderDays(preferences.overdue_reminder_days) || DEFAULT_OVERDUE_REMINDER_DAYS
+    };
+  }
+  
+  if (preferences.overdue_repeat_days !== undefined) {
+    const repeatDays = normalizeOverdueRepeatDays(preferences.overdue_repeat_days);
+    preferences = { ...preferences, overdue_repeat_days: repeatDays === null ? DEFAULT_OVERDUE_REPEAT_DAYS : repeatDays };
+  }
+  
+  if (preferences.secondary_contact_after_days !== undefined) {
+    preferences = { ...preferences, secondary_contact_after_days: normalizeSecondaryContactDays(preferences.secondary_contact_after_days) };
+  }
+  
+  if (preferences.secondary_contact_email !== undefined) {
+    const contactEmail = String(preferences.secondary_contact_email || '').trim();
+    if (contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+      throw new Error(`Invalid secondary contact email: ${contactEmail}`);
+    }
+    preferences = { ...preferences, secondary_contact_email: contactEmail || null };
+  }
+  
+  return preferences;
+};
+
 /**
  * Update notification preferences
  * @param {string} userId - User ID
@@ -290,6 +504,8 @@ const updateNotificationPreferences = async (userId, preferences) => {
   try {
     console.log('Updating notification preferences for user:', userId);
     
+    preferences = normalizeNotificationPreferences(preferences);
+    
     // Check if preferences exist for this user
     const { data: existingPrefs, error: checkError } = await supabase
       .from('notification_preferences')
@@ -347,6 +563,7 @@ const markNotificationAsRead = async (notificationId, userId) => {
       if (index !== -1) {
         global.testNotifications[index].read = true;
         global.testNotifications[index].updated_at = new Date().toISOString();
+        eventService.publishNotificationEvent(userId, 'read', { id: notificationId });
         return true;
       }
       
@@ -361,6 +578,10 @@ const markNotificationAsRead = async (notificationId, userId) => {
     
     if (error) throw error;
     
+    if (data) {
+      eventService.publishNotificationEvent(userId, 'read', { id: notificationId });
+    }
+    
     return !!data;
   } catch (error) {
     console.error('Error marking notification as read:', error);
@@ -385,7 +606,12 @@ const deleteNotification = async (notificationId, userId) => {
         notification => notification.id !== notificationId || notification.user_id !== userId
       );
       
-      return global.testNotifications.length < initialLength;
+      const deleted = global.testNotifications.length < initialLength;
+      if (deleted) {
+        eventService.publishNotificationEvent(userId, 'deleted', { id: notificationId });
+      }
+      
+      return deleted;
     }
     
     // For real users, use Supabase
@@ -397,6 +623,8 @@ const deleteNotification = async (notificationId, userId) => {
     
     if (error) throw error;
     
+    eventService.publishNotificationEvent(userId, 'deleted', { id: notificationId });
+    
     return true;
   } catch (error) {
     console.error('Error deleting notification:', error);
@@ -404,6 +632,147 @@ const deleteNotification = async (notificationId, userId) => {
   }
 };
 
+/**
+ * Pause a bill's reminders until a date
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @param {string} until - Date (YYYY-MM-DD) reminders resume
+ * @param {string} reason - 'snoozed' or 'acknowledged'
+ * @param {string} today - The user's local date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Updated bill
+ */
+const pauseBillReminders = async (billId, userId, until, reason, today) => {
+  const { data, error } = await supabase
+    .from('bills')
+    .update({
+      reminders_paused_until: until,
+      reminders_paused_on: today,
+      reminders_pause_reason: reason,
+      updated_at: new Date()
+    })
+    .eq('id', billId)
+    .eq('user_id', userId)
+    .select();
+  
+  if (error) throw error;
+  
+  if (!data || data.length === 0) {
+    throw new Error('Bill not found or not owned by user');
+  }
+  
+  eventService.publishBillEvent('updated', data[0]);
+  
+  return data[0];
+};
+
+/**
+ * Snooze a bill's reminders until a date (or for a number of days).
+ * If the bill is not yet due, reminders resume on the due date at the latest.
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { until: 'YYYY-MM-DD' } or { days: number }
+ * @returns {Promise<Object>} Updated bill
+ */
+const snoozeBillReminders = async (billId, userId, { until, days } = {}) => {
+  try {
+    const preferences = await getNotificationPreferences(userId);
+    const today = getDateInTimeZone(new Date(), preferences.timezone);
+    
+    let snoozeUntil = until;
+    
+    if (!snoozeUntil) {
+      const snoozeDays = parseInt(days, 10);
+      if (!Number.isInteger(snoozeDays) || snoozeDays < 1 || snoozeDays > 365) {
+        throw new Error(`Invalid snooze days: ${days}`);
+      }
+      
+      const date = parseDateOnly(today);
+      date.setUTCDate(date.getUTCDate() + snoozeDays);
+      snoozeUntil = formatYYYYMMDD(date);
+    }
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(snoozeUntil) || isNaN(parseDateOnly(snoozeUntil).getTime()) || snoozeUntil <= today) {
+      throw new Error(`Invalid snooze date: ${snoozeUntil}. Choose a date after today`);
+    }
+    
+    console.log(`Snoozing reminders for bill ${billId} until ${snoozeUntil}`);
+    return await pauseBillReminders(billId, userId, snoozeUntil, 'snoozed', today);
+  } catch (error) {
+    console.error(`Error snoozing reminders for bill ${billId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Acknowledge a bill ("I've scheduled this payment"): reminders stop until
+ * the due date, or for a week if the bill is already overdue
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated bill
+ */
+const acknowledgeBillReminders = async (billId, userId) => {
+  try {
+    const preferences = await getNotificationPreferences(userId);
+    const today = getDateInTimeZone(new Date(), preferences.timezone);
+    const bill = await billService.getBillById(billId, userId);
+    
+    if (!bill || bill.user_id !== userId) {
+      throw new Error('Bill not found or not owned by user');
+    }
+    
+    let until = formatYYYYMMDD(parseDateOnly(bill.due_date));
+    
+    if (until <= today) {
+      const date = parseDateOnly(today);
+      date.setUTCDate(date.getUTCDate() + ACKNOWLEDGE_OVERDUE_DAYS);
+      until = formatYYYYMMDD(date);
+    }
+    
+    console.log(`Acknowledging reminders for bill ${billId} until ${until}`);
+    return await pauseBillReminders(billId, userId, until, 'acknowledged', today);
+  } catch (error) {
+    console.error(`Error acknowledging reminders for bill ${billId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Resume a bill's snoozed or acknowledged reminders
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated bill
+ */
+const resumeBillReminders = async (billId, userId) => {
+  try {
+    console.log(`Resuming reminders for bill ${billId}`);
+    
+    const { data, error } = await supabase
+      .from('bills')
+      .update({
+        reminders_paused_until: null,
+        reminders_paused_on: null,
+        reminders_pause_reason: null,
+        updated_at: new Date()
+      })
+      .eq('id', billId)
+      .eq('user_id', userId)
+      .select();
+    
+    if (error) throw error;
+    
+    if (!data || data.length === 0) {
+      throw new Error('Bill not found or not owned by user');
+    }
+    
+    eventService.publishBillEvent('updated', data[0]);
+    
+    return data[0];
+  } catch (error) {
+    console.error(`Error resuming reminders for bill ${billId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Get test email previews
  * @returns {Array} Array of test email previews
@@ -413,85 +782,207 @@ const getTestEmailPreviews = () => {
 };
 
 /**
- * Check for upcoming and overdue bills and send notifications
+ * Check whether a user's daily notifications are due: the preferred delivery
+ * time has passed in their timezone and they have not been notified today
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the user's notifications should be sent now
+ */
+const isDeliveryDue = (notificationPrefs, now = new Date()) => {
+  const localDate = getDateInTimeZone(now, notificationPrefs.timezone);
+  const localTime = getTimeInTimeZone(now, notificationPrefs.timezone);
+  const [hours, minutes] = (notificationPrefs.preferred_time || DEFAULT_PREFERRED_TIME).slice(0, 5).split(':');
+  
+  // Times saved before they had to fall on a check are moved back to the check before them
+  const slotMinutes = String(Math.floor(Number(minutes) / DELIVERY_INTERVAL_MINUTES) * DELIVERY_INTERVAL_MINUTES).padStart(2, '0');
+  const preferredTime = `${hours}:${slotMinutes}`;
+  
+  return localTime >= preferredTime && notificationPrefs.last_notification_date !== localDate;
+};
+
+/**
+ * Remember the local date of a user's last notification run so the check
+ * runs at most once per day in their timezone
+ * @param {string} userId - User ID
+ * @param {string} localDate - Date (YYYY-MM-DD) in the user's timezone
+ * @returns {Promise<void>}
+ */
+const recordNotificationRun = async (userId, localDate) => {
+  const { error } = await supabaseAdmin
+    .from('notification_preferences')
+    .upsert({ user_id: userId, last_notification_date: localDate }, { onConflict: 'user_id' });
+  
+  if (error) throw error;
+};
+
+/**
+ * Check whether the weekly summary should be sent today
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {string} today - The user's local date (YYYY-MM-DD)
+ * @returns {boolean} True if the summary is enabled, today is the chosen day and it has not been sent yet
+ */
+const isWeeklySummaryDue = (notificationPrefs, today) => {
+  if (!notificationPrefs.weekly_summary) return false;
+  
+  const summaryDay = notificationPrefs.weekly_summary_day ?? DEFAULT_WEEKLY_SUMMARY_DAY;
+  return parseDateOnly(today).getUTCDay() === Number(summaryDay) &&
+    notificationPrefs.last_weekly_summary_date !== today;
+};
+
+/**
+ * Remember the local date the weekly summary was sent
+ * @param {string} userId - User ID
+ * @param {string} localDate - Date (YYYY-MM-DD) in the user's timezone
+ * @returns {Promise<void>}
+ */
+const recordWeeklySummary = async (userId, localDate) => {
+  const { error } = await supabaseAdmin
+    .from('notification_preferences')
+    .update({ last_weekly_summary_date: localDate })
+    .eq('user_id', userId);
+  
+  if (error) {
+    console.error(`Error recording weekly summary for user ${userId}:`, error);
+  }
+};
+
+/**
+ * Check whether a bill's reminder has already been sent for its current due date.
+ * A later (smaller) reminder also covers earlier ones, so a missed 7-day reminder
+ * is not sent after the 3-day reminder has gone out.
+ * @param {Object} bill - Bill row
+ * @param {number} reminderOffset - Days before the due date of the reminder
+ * @returns {boolean} True if the reminder was already sent
+ */
+const isReminderSent = (bill, reminderOffset) => {
+  if (bill.last_reminder_offset === null || bill.last_reminder_offset === undefined) return false;
+  if (!bill.last_reminder_due_date || String(bill.last_reminder_due_date).slice(0, 10) !== String(bill.due_date).slice(0, 10)) return false;
+  
+  return bill.last_reminder_offset <= reminderOffset;
+};
+
+/**
+ * Store the last reminder sent for a bill and the due date it was sent for
+ * @param {Object} bill - Bill row
+ * @param {number} reminderOffset - Days before the due date of the reminder
  * @returns {Promise<void>}
  */
-const checkBillsAndNotify = async () => {
+const recordReminderSent = async (bill, reminderOffset) => {
+  const { error } = await supabaseAdmin
+    .from('bills')
+    .update({ last_reminder_offset: reminderOffset, last_reminder_due_date: bill.due_date })
+    .eq('id', bill.id);
+  
+  if (error) {
+    console.error(`Error recording reminder for bill ${bill.id}:`, error);
+  }
+};
+
+/**
+ * Title of an overdue reminder; later reminders for the same due date are worded more strongly
+ * @param {Object} bill - Bill row
+ * @param {number} step - Overdue reminder step (0 for the first reminder)
+ * @param {number} daysOverdue - Days since the due date
+ * @returns {string} Notification title
+ */
+const getOverdueTitle = (bill, step, daysOverdue) => {
+  if (step >= 2) return `Urgent: ${bill.vendor} bill is ${daysOverdue} ${daysOverdue === 1 ? 'day' : 'days'} overdue`;
+  if (step === 1) return `Second Notice: Overdue Bill from ${bill.vendor}`;
+  return `Overdue Bill: ${bill.vendor}`;
+};
+
+/**
+ * Title and message of an in-app budget alert
+ * @param {Object} alert - { level, budget } from budgetService.claimBudgetAlerts
+ * @param {Object} formatOptions - { locale, currency }
+ * @returns {Object} { title, message }
+ */
+const getBudgetAlertText = ({ level, budget }, formatOptions) => {
+  const amount = formatCurrency(budget.amount, formatOptions);
+  
+  if (level === 'exceeded') {
+    return {
+      title: `Over Budget: ${budget.category}`,
+      message: `Your ${budget.category} bills this month total ${formatCurrency(budget.spent, formatOptions)}, over your budget of ${amount}.`
+    };
+  }
+  if (level === 'projected') {
+    return {
+      title: `Projected Over Budget: ${budget.category}`,
+      message: `With the recurring bills still to come, your ${budget.category} bills this month are projected to total ${formatCurrency(budget.projected, formatOptions)}, over your budget of ${amount}.`
+    };
+  }
+  return {
+    title: `Budget Alert: ${budget.category}`,
+    message: `Your ${budget.category} bills this month have reached ${Math.round(Math.max(budget.percent, budget.projected_percent))}% of your budget of ${amount}${budget.projected > budget.spent ? ' (including recurring bills still to come)' : ''}.`
+  };
+};
+
+/**
+ * Check one user's unpaid bills and send their upcoming, due today and overdue notifications,
+ * and their budget alerts. In-app notifications are created directly; email, channel and push deliveries
+ * are queued as jobs and sent by the job worker (see jobService).
+ * @param {string} userId - User ID
+ * @param {Object} [notificationPrefs] - The user's notification preferences (fetched if omitted)
+ * @param {Date} [now] - Current time; due days are counted from the user's local date
+ * @returns {Promise<Object>} Number of bills checked, notifications sent and delivery jobs queued
+ */
+const checkBillsForUser = async (userId, notificationPrefs = null, now = new Date()) => {
   try {
-    console.log('Running bill notification check...');
-    
-    // In a real multi-user app, we would iterate through all users
-    // For now, we'll use a default user ID for testing
-    const userId = process.env.TEST_USER_ID || '00000000-0000-0000-0000-000000000000';
     console.log('Checking notifications for user:', userId);
     
-    // Get notification preferences for this user
-    const notificationPrefs = await getNotificationPreferences(userId);
+    if (!notificationPrefs) {
+      notificationPrefs = await getNotificationPreferences(userId);
+    }
+    
+    // Only this user's unpaid bills
+    const bills = await billService.getUnpaidBillsForUser(userId);
     
-    // Get all unpaid bills
-    // In a multi-user app, we would filter by user_id
-    // For now, we'll get all bills and assume they belong to our test user
-    const { data: bills, error: billsError } = await supabase
-      .from('bills')
-      .select('*')
-      .eq('paid', false);
+    // "Today" is the user's local date, not the server's
+    const today = getDateInTimeZone(now, notificationPrefs.timezone);
+    const formatOptions = templateService.getFormatOptions(notificationPrefs);
     
-    if (billsError) throw billsError;
+    const billNotifications = [];
+    const remindersSent = [];
     
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const emailEnabled = notificationPrefs.email_notifications && notificationPrefs.email_address;
+    const channels = (notificationPrefs.channels || []).filter(channel => channel && channel.enabled !== false);
     
-    const notificationPromises = [];
+    // The user's browsers for Web Push, fetched once for all of their notifications
+    const pushSubscriptions = pushService.isPushConfigured()
+      ? await pushService.getSubscriptionsForUser(userId).catch(() => [])
+      : [];
     
     for (const bill of bills) {
-      const dueDate = new Date(bill.due_date);
-      dueDate.setHours(0, 0, 0, 0);
+      const daysDifference = daysBetween(today, bill.due_date);
       
-      const daysDifference = Math.floor((dueDate - today) / (1000 * 60 * 60 * 24));
+      // Skip bills the user has snoozed or acknowledged
+      if (isReminderPaused(bill, today)) {
+        console.log(`Skipping bill ${bill.id} (${bill.vendor}): reminders paused until ${bill.reminders_paused_until}`);
+        continue;
+      }
       
-      // Check if bill is due in X days (based on preferences)
-      if (daysDifference === notificationPrefs.notification_days_before) {
-        console.log(`Bill ${bill.id} (${bill.vendor}) is due in ${daysDifference} days`);
-        
-        // Check if we already sent this notification recently (in the last 24 hours)
-        const oneDayAgo = new Date();
-        oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-        
-        const { data: existingNotifications, error: notifError } = await supabase
-          .from('notifications')
-          .select('id')
-          .eq('bill_id', bill.id)
-          .eq('type', 'upcoming')
-          .eq('user_id', userId)
-          .gte('created_at', oneDayAgo.toISOString());
-        
-        if (notifError) throw notifError;
+      // Check if one of the bill's reminders (e.g. 14, 7, 3, 1 days before) has been reached.
+      // Reminders missed on their exact day are caught up on the next run.
+      const reminderOffset = getDueReminderOffset(getReminderOffsets(bill, notificationPrefs), daysDifference);
+      
+      if (reminderOffset !== null) {
+        console.log(`Bill ${bill.id} (${bill.vendor}) is due in ${daysDifference} days (${reminderOffset}-day reminder)`);
         
-        // Only send if we haven't sent this notification in the last 24 hours
-        if (!existingNotifications || existingNotifications.length === 0) {
-          // Create in-app notification
-          if (notificationPrefs.in_app_notifications) {
-            const title = `Upcoming Bill: ${bill.vendor}`;
-            const message = `Your bill of $${bill.amount} for ${bill.vendor} is due in ${daysDifference} days (${new Date(bill.due_date).toLocaleDateString()}).`;
-            notificationPromises.push(module.exports.createInAppNotification(title, message, bill.id, 'upcoming', userId));
-          }
+        // Only send if this reminder (or a later one) has not been sent for the current due date
+        if (!isReminderSent(bill, reminderOffset)) {
+          billNotifications.push({
+            type: 'upcoming',
+            bill,
+            daysDifference,
+            step: reminderOffset,
+            title: `Upcoming Bill: ${bill.vendor}`,
+            message: `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is due in ${daysDifference} days (${formatDate(bill.due_date, formatOptions)}).`
+          });
           
-          // Send email notification
-          if (notificationPrefs.email_notifications && notificationPrefs.email_address) {
-            const subject = `Upcoming Bill: ${bill.vendor}`;
-            const message = `
-              <h2>Upcoming Bill Reminder</h2>
-              <p>Your bill of $${bill.amount} for ${bill.vendor} is due in ${daysDifference} days.</p>
-              <p><strong>Due Date:</strong> ${new Date(bill.due_date).toLocaleDateString()}</p>
-              <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-              <p>Please make sure to pay this bill on time to avoid late fees.</p>
-            `;
-            // Use test email for all users when no production email is configured
-            const useTestEmail = !emailConfig.getTransporter();
-            notificationPromises.push(module.exports.sendEmailNotification(notificationPrefs.email_address, subject, message, useTestEmail));
-          }
+          remindersSent.push({ bill, offset: reminderOffset });
         } else {
-          console.log(`Skipping notification for bill ${bill.id} as one was sent in the last 24 hours`);
+          console.log(`Skipping notification for bill ${bill.id} as its ${reminderOffset}-day reminder was already sent`);
         }
       }
       
@@ -499,97 +990,324 @@ const checkBillsAndNotify = async () => {
       if (daysDifference === 0 && notificationPrefs.notify_on_due_date) {
         console.log(`Bill ${bill.id} (${bill.vendor}) is due today`);
         
-        // Check if we already sent this notification today
-        const startOfDay = new Date();
-        startOfDay.setHours(0, 0, 0, 0);
-        
-        const { data: existingNotifications, error: notifError } = await supabase
-          .from('notifications')
-          .select('id')
-          .eq('bill_id', bill.id)
-          .eq('type', 'due_today')
-          .eq('user_id', userId)
-          .gte('created_at', startOfDay.toISOString());
-        
-        if (notifError) throw notifError;
-        
-        // Only send if we haven't sent this notification today
-        if (!existingNotifications || existingNotifications.length === 0) {
-          // Create in-app notification
-          if (notificationPrefs.in_app_notifications) {
-            const title = `Bill Due Today: ${bill.vendor}`;
-            const message = `Your bill of $${bill.amount} for ${bill.vendor} is due today.`;
-            notificationPromises.push(module.exports.createInAppNotification(title, message, bill.id, 'due_today', userId));
-          }
-          
-          // Send email notification
-          if (notificationPrefs.email_notifications && notificationPrefs.email_address) {
-            const subject = `Bill Due Today: ${bill.vendor}`;
-            const message = `
-              <h2>Bill Due Today</h2>
-              <p>Your bill of $${bill.amount} for ${bill.vendor} is due today.</p>
-              <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-              <p>Please make sure to pay this bill today to avoid late fees.</p>
-            `;
-            // Use test email for all users when no production email is configured
-            const useTestEmail = !emailConfig.getTransporter();
-            notificationPromises.push(module.exports.sendEmailNotification(notificationPrefs.email_address, subject, message, useTestEmail));
-          }
-        } else {
-          console.log(`Skipping notification for bill ${bill.id} as one was sent today`);
-        }
+        billNotifications.push({
+          type: 'due_today',
+          bill,
+          daysDifference,
+          step: 0,
+          title: `Bill Due Today: ${bill.vendor}`,
+          message: `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is due today.`
+        });
       }
       
       // Check if bill is overdue
       if (daysDifference < 0 && notificationPrefs.notify_when_overdue) {
-        console.log(`Bill ${bill.id} (${bill.vendor}) is overdue by ${Math.abs(daysDifference)} days`);
-        
-        // For overdue bills, we don't want to spam notifications every day
-        // So we'll check if we've already sent an overdue notification in the past week
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+        const daysOverdue = Math.abs(daysDifference);
+        console.log(`Bill ${bill.id} (${bill.vendor}) is overdue by ${daysOverdue} days`);
         
-        const { data: existingNotifications, error: notifError } = await supabase
-          .from('notifications')
-          .select('*')
-          .eq('bill_id', bill.id)
-          .eq('type', 'overdue')
-          .eq('user_id', userId)
-          .gte('created_at', oneWeekAgo.toISOString());
+        // Overdue reminders follow the bill's cadence (by default day 1, 3 and 7, then weekly)
+        // instead of repeating every day; each step is one reminder in the delivery log
+        const policy = getOverduePolicy(bill, notificationPrefs);
+        const step = getOverdueReminderStep(policy, daysOverdue);
         
-        if (notifError) throw notifError;
-        
-        // Only send if we haven't sent an overdue notification in the past week
-        if (!existingNotifications || existingNotifications.length === 0) {
-          // Create in-app notification
-          if (notificationPrefs.in_app_notifications) {
-            const title = `Overdue Bill: ${bill.vendor}`;
-            const message = `Your bill of $${bill.amount} for ${bill.vendor} is overdue by ${Math.abs(daysDifference)} days.`;
-            notificationPromises.push(module.exports.createInAppNotification(title, message, bill.id, 'overdue', userId));
-          }
-          
-          // Send email notification
-          if (notificationPrefs.email_notifications && notificationPrefs.email_address) {
-            const subject = `Overdue Bill: ${bill.vendor}`;
-            const message = `
-              <h2>Overdue Bill Alert</h2>
-              <p>Your bill of $${bill.amount} for ${bill.vendor} is overdue by ${Math.abs(daysDifference)} days.</p>
-              <p><strong>Due Date:</strong> ${new Date(bill.due_date).toLocaleDateString()}</p>
-              <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-              <p>Please pay this bill as soon as possible to avoid additional late fees.</p>
-            `;
-            // Use test email for all users when no production email is configured
-            const useTestEmail = !emailConfig.getTransporter();
-            notificationPromises.push(module.exports.sendEmailNotification(notificationPrefs.email_address, subject, message, useTestEmail));
+        if (step !== null) {
+          billNotifications.push({
+            type: 'overdue',
+            bill,
+            daysDifference,
+            step,
+            title: getOverdueTitle(bill, step, daysOverdue),
+            message: `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is overdue by ${daysOverdue} days.`,
+            // Escalate to the secondary contact once the bill is overdue long enough
+            notifyContact: policy.secondaryContactAfterDays !== null && daysOverdue >= policy.secondaryContactAfterDays
+          });
+        }
+      }
+    }
+    
+    // Each reminder is claimed per channel in the delivery log before it is sent.
+    // Reminders already delivered (or claimed by a concurrent run) are not claimed again.
+    const deliveries = [];
+    billNotifications.forEach(notification => {
+      const key = { notification, billId: notification.bill.id, type: notification.type, dueDate: notification.bill.due_date, step: notification.step };
+      
+      if (notificationPrefs.in_app_notifications) {
+        deliveries.push({ ...key, channel: 'in_app' });
+      }
+      if (emailEnabled) {
+        deliveries.push({ ...key, channel: 'email' });
+      }
+      channels.forEach(channel => {
+        deliveries.push({ ...key, channel: `channel:${channel.id}`, channelName: channel.name, userChannel: channel });
+      });
+      if (pushSubscriptions.length > 0) {
+        deliveries.push({ ...key, channel: 'push' });
+      }
+      if (notification.notifyContact) {
+        deliveries.push({ ...key, channel: 'contact', channelName: notificationPrefs.secondary_contact_email });
+      }
+    });
+    
+    const claimedRows = await deliveryLogService.claimDeliveries(userId, deliveries);
+    const claimed = deliveries
+      .map(delivery => ({ ...delivery, log: claimedRows.get(deliveryLogService.getDeliveryKey(delivery)) }))
+      .filter(delivery => delivery.log);
+    
+    if (claimed.length < deliveries.length) {
+      console.log(`Skipping ${deliveries.length - claimed.length} reminder deliveries already sent to user ${userId}`);
+    }
+    
+    // Digest mode collects every bill that needs an email into a single message
+    const digest = emailEnabled && notificationPrefs.email_digest
+      ? { overdue: [], dueToday: [], upcoming: [] }
+      : null;
+    const digestDeliveryIds = [];
+    
+    const inAppDeliveries = [];
+    const jobs = [];
+    
+    // In-app notifications are created directly; email, channel and push deliveries are queued
+    claimed.forEach(({ notification, channel, userChannel, log }) => {
+      const { type, bill, daysDifference, step, title, message } = notification;
+      // Due-today alerts can be allowed through quiet hours
+      const dueToday = type === 'due_today';
+      
+      if (channel === 'in_app') {
+        inAppDeliveries.push({ notification, log });
+      } else if (channel === 'email' && digest) {
+        digest[DIGEST_SECTIONS[type]].push({ bill, daysDifference });
+        digestDeliveryIds.push(log.id);
+      } else if (channel === 'email') {
+        const context = type === 'overdue' ? { bill, daysDifference, overdueStep: step } : { bill, daysDifference };
+        jobs.push({
+          type: 'email',
+          userId,
+          billId: bill.id,
+          payload: { template: type, context, dueToday, deliveryIds: [log.id] }
+        });
+      } else if (channel === 'contact') {
+        jobs.push({
+          type: 'contact_email',
+          userId,
+          billId: bill.id,
+          payload: { context: { bill, daysDifference }, deliveryIds: [log.id] }
+        });
+      } else if (channel === 'push') {
+        jobs.push({
+          type: 'push',
+          userId,
+          billId: bill.id,
+          payload: { payload: pushService.buildPushPayload(type, title, message, bill), dueToday, deliveryIds: [log.id] }
+        });
+      } else {
+        // One job per channel, so a failing channel is retried without repeating the others
+        jobs.push({
+          type: 'channel',
+          userId,
+          billId: bill.id,
+          payload: {
+            channelId: userChannel.id,
+            message: channelService.buildChannelMessage(type, title, message, bill),
+            dueToday,
+            deliveryIds: [log.id]
           }
+        });
+      }
+    });
+    
+    if (digestDeliveryIds.length > 0) {
+      jobs.push({
+        type: 'email',
+        userId,
+        payload: { template: 'digest', context: digest, dueToday: digest.dueToday.length > 0, deliveryIds: digestDeliveryIds }
+      });
+    }
+    
+    // Weekly summary of the coming week's bills on the user's chosen day
+    const weeklySummaryDue = emailEnabled && isWeeklySummaryDue(notificationPrefs, today);
+    if (weeklySummaryDue) {
+      const weekBills = bills
+        .map(bill => ({ bill, daysDifference: daysBetween(today, bill.due_date) }))
+        .filter(({ daysDifference }) => daysDifference >= 0 && daysDifference < 7);
+      
+      jobs.push({ type: 'email', userId, payload: { template: 'weekly_summary', context: { bills: weekBills, weekStart: today } } });
+    }
+    
+    // Budget alerts for categories whose spending this month reached a new alert level.
+    // A budget check that fails doesn't hold up the bill reminders.
+    const budgetAlerts = await budgetService.claimBudgetAlerts(userId, today).catch(() => []);
+    const budgetAlertIds = budgetAlerts.flatMap(alert => alert.ids);
+    if (emailEnabled) {
+      budgetAlerts.forEach(({ level, month, budget }) => {
+        jobs.push({ type: 'email', userId, payload: { template: 'budget', context: { level, month, budget } } });
+      });
+    }
+    
+    // Deliveries due during the user's quiet hours or do-not-disturb window wait until it ends
+    jobs.forEach(job => {
+      const holdUntil = getDeliveryHoldUntil(notificationPrefs, { dueToday: !!job.payload.dueToday }, now);
+      if (holdUntil) job.runAt = holdUntil;
+    });
+    
+    const heldJobs = jobs.filter(job => job.runAt).length;
+    if (heldJobs > 0) {
+      console.log(`Holding ${heldJobs} deliveries for user ${userId} until their quiet hours or do-not-disturb window ends`);
+    }
+    
+    // Once queued, deliveries are retried by the job worker until they are sent
+    try {
+      await jobService.enqueueJobs(jobs);
+    } catch (error) {
+      // Nothing was sent: give the claims back so the next check sends these reminders
+      await deliveryLogService.releaseDeliveries(claimed.map(({ log }) => log.id));
+      await budgetService.releaseBudgetAlerts(budgetAlertIds);
+      throw error;
+    }
+    
+    if (weeklySummaryDue) {
+      await recordWeeklySummary(userId, today);
+    }
+    
+    // A failed in-app notification is logged without losing the queued deliveries
+    const inAppResults = await Promise.allSettled(inAppDeliveries.map(({ notification }) =>
+      module.exports.createInAppNotification(notification.title, notification.message, notification.bill.id, notification.type, userId)
+    ));
+    const inAppSent = [];
+    const inAppFailed = [];
+    inAppResults.forEach((result, index) => {
+      (result.status === 'fulfilled' ? inAppSent : inAppFailed).push(inAppDeliveries[index].log.id);
+    });
+    
+    await deliveryLogService.markDeliveries(inAppSent, 'sent');
+    if (inAppFailed.length > 0) {
+      console.error(`Failed to create ${inAppFailed.length} in-app notification(s) for user ${userId}`);
+      await deliveryLogService.releaseDeliveries(inAppFailed);
+    }
+    
+    // Budget alerts have no bill, so they are not in the delivery log
+    if (notificationPrefs.in_app_notifications) {
+      await Promise.all(budgetAlerts.map(alert => {
+        const { title, message } = getBudgetAlertText(alert, formatOptions);
+        return module.exports.createInAppNotification(title, message, null, 'budget', userId)
+          .catch(error => console.error(`Failed to create budget alert for user ${userId}:`, error.message));
+      }));
+    }
+    
+    // Remember which reminders went out so they are not repeated
+    await Promise.all(remindersSent.map(({ bill, offset }) => recordReminderSent(bill, offset)));
+    
+    return {
+      bills: bills.length,
+      notificationsSent: inAppSent.length + jobs.length,
+      jobsQueued: jobs.length,
+      budgetAlerts: budgetAlerts.length
+    };
+  } catch (error) {
+    console.error(`Error checking bills for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a batch of users for the scheduled notification check
+ * @param {number} offset - Index of the first user in the batch
+ * @param {number} limit - Maximum number of users in the batch
+ * @returns {Promise<Array>} Array of users with their notification preferences
+ */
+const getUserBatch = async (offset, limit) => {
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, email')
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+  
+  if (error) throw error;
+  
+  if (!users || users.length === 0) {
+    return [];
+  }
+  
+  // Fetch the whole batch's preferences in one query
+  const { data: preferences, error: prefsError } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('*')
+    .in('user_id', users.map(user => user.id));
+  
+  if (prefsError) throw prefsError;
+  
+  const preferencesByUser = new Map((preferences || []).map(prefs => [prefs.user_id, prefs]));
+  
+  return users.map(user => ({
+    ...user,
+    preferences: preferencesByUser.get(user.id) || getDefaultNotificationPreferences(user.id)
+  }));
+};
+
+/**
+ * Check for upcoming and overdue bills and send notifications to every user.
+ * Users are processed in batches; a failure for one user is logged and the
+ * run continues with the next user.
+ * @param {Object} [options]
+ * @param {boolean} [options.respectDeliveryTime=true] - Only notify users whose preferred
+ *   delivery time has passed in their timezone and who were not notified today
+ * @returns {Promise<Object>} Summary of the run
+ */
+const checkBillsAndNotify = async ({ respectDeliveryTime = true } = {}) => {
+  try {
+    console.log('Running bill notification check...');
+    
+    const now = new Date();
+    const summary = {
+      usersProcessed: 0,
+      usersSkipped: 0,
+      usersFailed: 0,
+      notificationsSent: 0,
+      jobsQueued: 0,
+      failures: []
+    };
+    
+    let offset = 0;
+    
+    while (true) {
+      const users = await getUserBatch(offset, NOTIFICATION_BATCH_SIZE);
+      
+      if (users.length === 0) break;
+      
+      console.log(`Processing notification batch of ${users.length} users (offset ${offset})`);
+      
+      const dueUsers = respectDeliveryTime
+        ? users.filter(user => isDeliveryDue(user.preferences, now))
+        : users;
+      summary.usersSkipped += users.length - dueUsers.length;
+      
+      const results = await Promise.allSettled(
+        dueUsers.map(async user => {
+          const result = await module.exports.checkBillsForUser(user.id, user.preferences, now);
+          await recordNotificationRun(user.id, getDateInTimeZone(now, user.preferences.timezone));
+          return result;
+        })
+      );
+      
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          summary.usersProcessed++;
+          summary.notificationsSent += result.value.notificationsSent;
+          summary.jobsQueued += result.value.jobsQueued || 0;
         } else {
-          console.log(`Skipping overdue notification for bill ${bill.id} as one was sent in the past week`);
+          summary.usersFailed++;
+          summary.failures.push({
+            userId: dueUsers[index].id,
+            error: result.reason ? result.reason.message : 'Unknown error'
+          });
         }
-      }
+      });
+      
+      if (users.length < NOTIFICATION_BATCH_SIZE) break;
+      offset += NOTIFICATION_BATCH_SIZE;
     }
     
-    await Promise.all(notificationPromises);
-    console.log('Bill notification check completed');
+    console.log(`Bill notification check completed: ${summary.usersProcessed} users processed, ${summary.usersSkipped} not due yet, ${summary.usersFailed} failed, ${summary.notificationsSent} notifications sent (${summary.jobsQueued} queued for delivery)`);
+    return summary;
   } catch (error) {
     console.error('Error in bill notification check:', error);
     throw error;
@@ -685,37 +1403,29 @@ const triggerUserNotifications = async (userId) => {
     
     // Process each bill and send notifications if needed
     const notificationPromises = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = getDateInTimeZone(new Date(), userPrefs.timezone);
+    const formatOptions = templateService.getFormatOptions(userPrefs);
     
     for (const bill of bills) {
-      const dueDate = new Date(bill.due_date);
-      dueDate.setHours(0, 0, 0, 0);
+      const daysDifference = daysBetween(today, bill.due_date);
       
-      const daysDifference = Math.floor((dueDate - today) / (1000 * 60 * 60 * 24));
+      // Skip bills the user has snoozed or acknowledged
+      if (isReminderPaused(bill, today)) continue;
       
-      // Check if bill is upcoming and matches the notification_days_before preference
-      if (daysDifference === userPrefs.notification_days_before) {
+      // Check if bill is upcoming and matches one of the reminder offsets
+      if (getReminderOffsets(bill, userPrefs).includes(daysDifference)) {
         // Create in-app notification
         if (userPrefs.in_app_notifications) {
           const title = `Upcoming Bill: ${bill.vendor}`;
-          const message = `Your bill of $${bill.amount} for ${bill.vendor} is due in ${daysDifference} days.`;
+          const message = `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is due in ${daysDifference} days.`;
           notificationPromises.push(createInAppNotification(title, message, bill.id, 'upcoming', userId));
         }
         
         // Send email notification
         if (userPrefs.email_notifications && userPrefs.email_address) {
-          const subject = `Upcoming Bill: ${bill.vendor}`;
-          const message = `
-            <h2>Upcoming Bill Reminder</h2>
-            <p>Your bill of $${bill.amount} for ${bill.vendor} is due in ${daysDifference} days.</p>
-            <p><strong>Due Date:</strong> ${new Date(bill.due_date).toLocaleDateString()}</p>
-            <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-            <p>Please make sure to pay this bill on time to avoid late fees.</p>
-          `;
           // Check if this is the test user
           const isTestUser = userId === process.env.TEST_USER_ID;
-          notificationPromises.push(sendEmailNotification(userPrefs.email_address, subject, message, isTestUser));
+          notificationPromises.push(sendTemplatedEmail('upcoming', { bill, daysDifference }, userPrefs, isTestUser));
         }
       }
       // Check if bill is due today
@@ -723,22 +1433,15 @@ const triggerUserNotifications = async (userId) => {
         // Create in-app notification
         if (userPrefs.in_app_notifications) {
           const title = `Bill Due Today: ${bill.vendor}`;
-          const message = `Your bill of $${bill.amount} for ${bill.vendor} is due today.`;
+          const message = `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is due today.`;
           notificationPromises.push(createInAppNotification(title, message, bill.id, 'due_today', userId));
         }
         
         // Send email notification
         if (userPrefs.email_notifications && userPrefs.email_address) {
-          const subject = `Bill Due Today: ${bill.vendor}`;
-          const message = `
-            <h2>Bill Due Today</h2>
-            <p>Your bill of $${bill.amount} for ${bill.vendor} is due today.</p>
-            <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-            <p>Please make sure to pay this bill today to avoid late fees.</p>
-          `;
           // Check if this is the test user
           const isTestUser = userId === process.env.TEST_USER_ID;
-          notificationPromises.push(sendEmailNotification(userPrefs.email_address, subject, message, isTestUser));
+          notificationPromises.push(sendTemplatedEmail('due_today', { bill, daysDifference }, userPrefs, isTestUser));
         }
       }
       // Check if bill is overdue
@@ -746,23 +1449,15 @@ const triggerUserNotifications = async (userId) => {
         // Create in-app notification
         if (userPrefs.in_app_notifications) {
           const title = `Overdue Bill: ${bill.vendor}`;
-          const message = `Your bill of $${bill.amount} for ${bill.vendor} is overdue by ${Math.abs(daysDifference)} days.`;
+          const message = `Your bill of ${formatCurrency(bill.amount, formatOptions)} for ${bill.vendor} is overdue by ${Math.abs(daysDifference)} days.`;
           notificationPromises.push(createInAppNotification(title, message, bill.id, 'overdue', userId));
         }
         
         // Send email notification
         if (userPrefs.email_notifications && userPrefs.email_address) {
-          const subject = `Overdue Bill: ${bill.vendor}`;
-          const message = `
-            <h2>Overdue Bill Alert</h2>
-            <p>Your bill of $${bill.amount} for ${bill.vendor} is overdue by ${Math.abs(daysDifference)} days.</p>
-            <p><strong>Due Date:</strong> ${new Date(bill.due_date).toLocaleDateString()}</p>
-            <p><strong>Category:</strong> ${bill.category || 'Uncategorized'}</p>
-            <p>Please pay this bill as soon as possible to avoid additional late fees.</p>
-          `;
           // Check if this is the test user
           const isTestUser = userId === process.env.TEST_USER_ID;
-          notificationPromises.push(sendEmailNotification(userPrefs.email_address, subject, message, isTestUser));
+          notificationPromises.push(sendTemplatedEmail('overdue', { bill, daysDifference }, userPrefs, isTestUser));
         }
       }
     }
@@ -844,15 +1539,192 @@ const testEmailWithConfiguredProvider = async (emailAddress, subject, message) =
 };
 
 /**
- * Schedule daily notification check
- * Sets up a job to run at 8 AM daily to check bills and send notifications
+ * Get a user's current preferences for a queued delivery.
+ * Jobs re-read them so a delivery queued before the user turned a channel off
+ * (or unsubscribed) is not sent.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Notification preferences
+ */
+const getDeliveryPreferences = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  return data || getDefaultNotificationPreferences(userId);
+};
+
+/**
+ * Check that the bill a queued delivery is about still needs a reminder
+ * @param {Object} job - Job row
+ * @returns {Promise<boolean>} False if the bill was paid or deleted since the job was queued
+ */
+const isJobBillUnpaid = async (job) => {
+  if (!job.bill_id) return true;
+  
+  const { data, error } = await supabaseAdmin
+    .from('bills')
+    .select('id, paid')
+    .eq('id', job.bill_id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  return !!data && !data.paid;
+};
+
+/**
+ * Job handler: send a templated email (reminder, digest or weekly summary)
+ * @param {Object} job - Job row; payload is { template, context, deliveryIds }
+ * @returns {Promise<string|void>} 'skipped' if the email was not sent
+ */
+const deliverEmailJob = async (job) => {
+  const preferences = await getDeliveryPreferences(job.user_id);
+  
+  if (!preferences.email_notifications || !preferences.email_address) {
+    console.log(`Skipping email job ${job.id}: email notifications are off for user ${job.user_id}`);
+    return 'skipped';
+  }
+  
+  if (!(await isJobBillUnpaid(job))) {
+    console.log(`Skipping email job ${job.id}: bill ${job.bill_id} is paid or deleted`);
+    return 'skipped';
+  }
+  
+  await sendTemplatedEmail(job.payload.template, job.payload.context, preferences, undefined, { throwOnError: true });
+};
+
+/**
+ * Job handler: email the user's secondary contact about an overdue bill.
+ * The address is read when the job runs, so a removed contact is not emailed.
+ * @param {Object} job - Job row; payload is { context, deliveryIds }
+ * @returns {Promise<string|void>} 'skipped' if the email was not sent
+ */
+const deliverContactEmailJob = async (job) => {
+  const preferences = await getDeliveryPreferences(job.user_id);
+  
+  if (!preferences.secondary_contact_email) {
+    console.log(`Skipping contact email job ${job.id}: user ${job.user_id} has no secondary contact`);
+    return 'skipped';
+  }
+  
+  if (!(await isJobBillUnpaid(job))) {
+    console.log(`Skipping contact email job ${job.id}: bill ${job.bill_id} is paid or deleted`);
+    return 'skipped';
+  }
+  
+  const context = { ...job.payload.context, accountEmail: preferences.email_address };
+  const { subject, html, text } = await templateService.renderEmail('overdue_contact', context, preferences);
+  
+  // No user ID: the unsubscribe link would turn off the user's own emails
+  await module.exports.sendEmailNotification(preferences.secondary_contact_email, subject, html, !emailConfig.getTransporter(), text, null, { throwOnError: true });
+};
+
+/**
+ * Job handler: send a message to one of the user's channels
+ * @param {Object} job - Job row; payload is { channelId, message, deliveryIds }
+ * @returns {Promise<string|void>} 'skipped' if the message was not sent
+ */
+const deliverChannelJob = async (job) => {
+  const preferences = await getDeliveryPreferences(job.user_id);
+  const channel = (preferences.channels || []).find(c => c.id === job.payload.channelId && c.enabled !== false);
+  
+  if (!channel) {
+    console.log(`Skipping channel job ${job.id}: channel was removed or disabled`);
+    return 'skipped';
+  }
+  
+  if (!(await isJobBillUnpaid(job))) {
+    console.log(`Skipping channel job ${job.id}: bill ${job.bill_id} is paid or deleted`);
+    return 'skipped';
+  }
+  
+  await channelService.sendToChannel(channel, job.payload.message);
+};
+
+/**
+ * Job handler: push a notification to the user's browsers.
+ * A retry pushes to every browser again; the notification tag makes browsers
+ * replace the earlier copy instead of showing it twice.
+ * @param {Object} job - Job row; payload is { payload, deliveryIds } (see pushService.buildPushPayload)
+ * @returns {Promise<string|void>} 'skipped' if nothing was pushed
+ */
+const deliverPushJob = async (job) => {
+  if (!(await isJobBillUnpaid(job))) {
+    console.log(`Skipping push job ${job.id}: bill ${job.bill_id} is paid or deleted`);
+    return 'skipped';
+  }
+  
+  const subscriptions = await pushService.getSubscriptionsForUser(job.user_id);
+  const result = await pushService.sendPush(subscriptions, job.payload.payload);
+  
+  if (result.failed > 0) {
+    throw new Error(`Push delivery failed for ${result.failed} of ${subscriptions.length} browser(s)`);
+  }
+};
+
+/**
+ * Wrap a delivery job handler so it is held while the user is in quiet hours or
+ * do-not-disturb. Checked when the job runs as well as when it is queued, so
+ * retries and settings changed after queueing are respected too.
+ * @param {Function} handler - Job handler
+ * @returns {Function} Job handler
+ */
+const withQuietHours = (handler) => async (job) => {
+  const preferences = await getDeliveryPreferences(job.user_id);
+  const holdUntil = getDeliveryHoldUntil(preferences, { dueToday: !!(job.payload && job.payload.dueToday) });
+  
+  if (holdUntil) {
+    console.log(`Holding ${job.type} job ${job.id} until ${holdUntil.toISOString()} (quiet hours or do-not-disturb)`);
+    return { deferUntil: holdUntil };
+  }
+  
+  return handler(job);
+};
+
+/**
+ * Wrap a delivery job handler so the outcome is stored in the delivery log
+ * @param {Function} handler - Job handler
+ * @returns {Function} Job handler
+ */
+const withDeliveryLog = (handler) => async (job) => {
+  const deliveryIds = (job.payload && job.payload.deliveryIds) || [];
+  
+  try {
+    const result = await handler(job);
+    
+    // Held deliveries stay queued until they are sent
+    if (result && result.deferUntil) return result;
+    
+    await deliveryLogService.markDeliveries(deliveryIds, result === 'skipped' ? 'skipped' : 'sent');
+  } catch (error) {
+    // Earlier attempts are retried; only the last one marks the delivery failed
+    if (job.attempts >= job.max_attempts) {
+      await deliveryLogService.markDeliveries(deliveryIds, 'failed', error.message);
+    }
+    throw error;
+  }
+};
+
+jobService.registerJobHandler('email', withDeliveryLog(withQuietHours(deliverEmailJob)));
+jobService.registerJobHandler('contact_email', withDeliveryLog(withQuietHours(deliverContactEmailJob)));
+jobService.registerJobHandler('channel', withDeliveryLog(withQuietHours(deliverChannelJob)));
+jobService.registerJobHandler('push', withDeliveryLog(withQuietHours(deliverPushJob)));
+
+/**
+ * Schedule the notification check
+ * Runs every 15 minutes; each user is notified once a day after their preferred
+ * delivery time (default 8 AM) in their own timezone
  * @returns {Object} The scheduled job object
  */
 const scheduleNotifications = () => {
   const schedule = require('node-schedule');
   
-  // Schedule daily notification check at 8 AM
-  const notificationJob = schedule.scheduleJob('0 8 * * *', async () => {
+  // Check every 15 minutes which users have reached their delivery time
+  const notificationJob = schedule.scheduleJob(`*/${DELIVERY_INTERVAL_MINUTES} * * * *`, async () => {
     try {
       console.log('Running scheduled bill notification check...');
       await checkBillsAndNotify();
@@ -869,10 +1741,17 @@ module.exports = {
   createInAppNotification,
   getNotificationsForUser,
   getNotificationPreferences,
+  normalizeNotificationPreferences,
   updateNotificationPreferences,
   markNotificationAsRead,
   deleteNotification,
   getTestEmailPreviews,
+  snoozeBillReminders,
+  acknowledgeBillReminders,
+  resumeBillReminders,
+  getDefaultNotificationPreferences,
+  isDeliveryDue,
+  checkBillsForUser,
   checkBillsAndNotify,
   triggerUserNotifications,
   testEmailWithConfiguredProvider,
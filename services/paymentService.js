@@ -0,0 +1,384 @@
+// services/paymentService.js
+const supabase = require('../config/database');
+const recurrenceService = require('./recurrenceService');
+const { publishBillEvent } = require('./eventService');
+const { formatYYYYMMDD } = require('../utils/dateUtils');
+
+// Allowed values for bill_payments.payment_method
+const PAYMENT_METHODS = ['cash', 'check', 'credit_card', 'debit_card', 'bank_transfer', 'autopay', 'other'];
+
+/**
+ * Convert an amount to integer cents to avoid floating point drift
+ * @param {number|string} amount - Amount in dollars
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Calculate the paid amount, remaining balance and status of a bill from its payments
+ * @param {number|string} billAmount - Total amount of the bill
+ * @param {Array} payments - Payments recorded against the bill
+ * @param {boolean} [markedPaid=false] - Whether the bill is marked as paid; decides the status of
+ *   a bill with nothing to pay (amount 0), which has no payments to go by
+ * @returns {Object} { amount_paid, remaining_balance, payment_status }
+ */
+const calculatePaymentSummary = (billAmount, payments = [], markedPaid = false) => {
+  const totalCents = toCents(billAmount);
+  const paidCents = payments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const remainingCents = Math.max(totalCents - paidCents, 0);
+
+  let paymentStatus = 'unpaid';
+  if (totalCents === 0) {
+    paymentStatus = markedPaid ? 'paid' : 'unpaid';
+  } else if (paidCents > 0 && remainingCents === 0) {
+    paymentStatus = 'paid';
+  } else if (paidCents > 0) {
+    paymentStatus = 'partially_paid';
+  }
+
+  return {
+    amount_paid: paidCents / 100,
+    remaining_balance: remainingCents / 100,
+    payment_status: paymentStatus
+  };
+};
+
+/**
+ * Amount paid on a bill, for reports and analytics; bills marked paid before
+ * payments were tracked (amount_paid 0) count in full
+ * @param {Object} bill - Bill with amount, amount_paid and paid
+ * @returns {number} Amount paid
+ */
+const getAmountPaid = (bill) => {
+  const paidCents = toCents(bill.amount_paid);
+  return (bill.paid && paidCents === 0 ? toCents(bill.amount) : paidCents) / 100;
+};
+
+/**
+ * Payment status of a bill as shown in reports and analytics
+ * @param {Object} bill - Bill with paid, payment_status and due_date
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {string} 'paid', 'partial', 'overdue' or 'unpaid'
+ */
+const getBillStatus = (bill, today) => {
+  if (bill.paid) return 'paid';
+  if (bill.payment_status === 'partially_paid') return 'partial';
+  return String(bill.due_date).slice(0, 10) < today ? 'overdue' : 'unpaid';
+};
+
+/**
+ * Validate and normalize payment input
+ * @param {Object} paymentData - Payment data from the request
+ * @param {boolean} [partial=false] - Whether only some fields are being updated
+ * @returns {Object} Normalized payment fields
+ */
+const normalizePaymentData = (paymentData, partial = false) => {
+  const normalized = {};
+
+  if (!partial || paymentData.amount !== undefined) {
+    const amount = parseFloat(paymentData.amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new Error('Payment amount must be a positive number');
+    }
+    normalized.amount = amount;
+  }
+
+  const paymentDate = paymentData.payment_date || paymentData.paymentDate;
+  if (paymentDate) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(paymentDate) ? new Date(`${paymentDate}T00:00:00Z`) : null;
+    if (!date || isNaN(date) || date.toISOString().slice(0, 10) !== paymentDate) {
+      throw new Error(`Payment date must be a valid date (YYYY-MM-DD): ${paymentDate}`);
+    }
+    normalized.payment_date = paymentDate;
+  } else if (!partial) {
+    normalized.payment_date = formatYYYYMMDD(new Date());
+  }
+
+  const paymentMethod = paymentData.payment_method || paymentData.paymentMethod;
+  if (paymentMethod) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Invalid payment method: ${paymentMethod}`);
+    }
+    normalized.payment_method = paymentMethod;
+  }
+
+  const confirmationNumber = paymentData.confirmation_number || paymentData.confirmationNumber;
+  if (confirmationNumber !== undefined) normalized.confirmation_number = confirmationNumber || null;
+  if (paymentData.notes !== undefined) normalized.notes = paymentData.notes || null;
+
+  const transactionId = paymentData.transaction_id || paymentData.transactionId;
+  if (transactionId) normalized.transaction_id = String(transactionId);
+
+  return normalized;
+};
+
+/**
+ * Get payments for a bill, most recent first
+ * @param {string} billId - Bill ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of payments
+ */
+const getPaymentsForBill = async (billId, userId) => {
+  try {
+    console.log(`Fetching payments for bill ${billId}`);
+
+    const { data, error } = await supabase
+      .from('bill_payments')
+      .select('*')
+      .eq('bill_id', billId)
+      .eq('user_id', userId)
+      .order('payment_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error(`Error fetching payments for bill ${billId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Recalculate a bill's paid status from its payments and store it on the bill.
+ * Generates the next instance of a recurring bill once it becomes fully paid.
+ * @param {Object} bill - Bill row
+ * @param {string} userId - User ID
+ * @param {boolean} [markedPaid] - Whether a bill with nothing to pay is paid (default: its current paid flag)
+ * @returns {Promise<Object>} { bill, payments, summary }
+ */
+const syncBillPaymentStatus = async (bill, userId, markedPaid = Boolean(bill.paid)) => {
+  try {
+    const payments = await getPaymentsForBill(bill.id, userId);
+    const summary = calculatePaymentSummary(bill.amount, payments, markedPaid);
+
+    const { data, error } = await supabase
+      .from('bills')
+      .update({
+        paid: summary.payment_status === 'paid',
+        amount_paid: summary.amount_paid,
+        payment_status: summary.payment_status,
+        updated_at: new Date()
+      })
+      .eq('id', bill.id)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      throw new Error('Bill not found or not owned by user');
+    }
+
+    const updatedBill = data[0];
+    publishBillEvent(updatedBill.paid ? 'paid' : 'updated', updatedBill);
+
+    if (updatedBill.paid && updatedBill.is_recurring) {
+      try {
+        await recurrenceService.generateNextOccurrence(updatedBill);
+      } catch (recurrenceError) {
+        console.error(`Failed to generate next occurrence for bill ${bill.id}:`, recurrenceError);
+      }
+    }
+
+    return { bill: updatedBill, payments, summary };
+  } catch (error) {
+    console.error(`Error syncing payment status for bill ${bill.id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Record a payment against a bill
+ * @param {Object} bill - Bill row (ownership already checked)
+ * @param {string} userId - User ID
+ * @param {Object} paymentData - Payment amount, date, method and confirmation number
+ * @returns {Promise<Object>} { payment, bill, payments, summary }
+ */
+const createPayment = async (bill, userId, paymentData) => {
+  try {
+    console.log(`Recording payment for bill ${bill.id}:`, paymentData);
+
+    const { data, error } = await supabase
+      .from('bill_payments')
+      .insert([{
+        ...normalizePaymentData(paymentData),
+        bill_id: bill.id,
+        user_id: userId,
+        created_at: new Date()
+      }])
+      .select();
+
+    if (error) throw error;
+
+    const result = await syncBillPaymentStatus(bill, userId);
+    return { payment: data[0], ...result };
+  } catch (error) {
+    console.error(`Error recording payment for bill ${bill.id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update a payment
+ * @param {Object} bill - Bill row (ownership already checked)
+ * @param {string} paymentId - Payment ID
+ * @param {string} userId - User ID
+ * @param {Object} paymentData - Fields to update
+ * @returns {Promise<Object>} { payment, bill, payments, summary }
+ */
+const updatePayment = async (bill, paymentId, userId, paymentData) => {
+  try {
+    console.log(`Updating payment ${paymentId} for bill ${bill.id}`);
+
+    const { data, error } = await supabase
+      .from('bill_payments')
+      .update({ ...normalizePaymentData(paymentData, true), updated_at: new Date() })
+      .eq('id', paymentId)
+      .eq('bill_id', bill.id)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      throw new Error('Payment not found');
+    }
+
+    const result = await syncBillPaymentStatus(bill, userId);
+    return { payment: data[0], ...result };
+  } catch (error) {
+    console.error(`Error updating payment ${paymentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a payment
+ * @param {Object} bill - Bill row (ownership already checked)
+ * @param {string} paymentId - Payment ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { bill, payments, summary }
+ */
+const deletePayment = async (bill, paymentId, userId) => {
+  try {
+    console.log(`Deleting payment ${paymentId} for bill ${bill.id}`);
+
+    const { data, error } = await supabase
+      .from('bill_payments')
+      .delete()
+      .eq('id', paymentId)
+      .eq('bill_id', bill.id)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      throw new Error('Payment not found');
+    }
+
+    return await syncBillPaymentStatus(bill, userId);
+  } catch (error) {
+    console.error(`Error deleting payment ${paymentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Find which bank statement transactions already have a payment recorded
+ * @param {string} userId - User ID
+ * @param {Array<string>} transactionIds - Statement transaction IDs
+ * @returns {Promise<Set<string>>} IDs that are already recorded
+ */
+const getRecordedTransactionIds = async (userId, transactionIds) => {
+  try {
+    if (!transactionIds || transactionIds.length === 0) return new Set();
+
+    const recorded = new Set();
+
+    // Queried in chunks to keep the request URL short for large statements
+    for (let i = 0; i < transactionIds.length; i += 100) {
+      const { data, error } = await supabase
+        .from('bill_payments')
+        .select('transaction_id')
+        .eq('user_id', userId)
+        .in('transaction_id', transactionIds.slice(i, i + 100));
+
+      if (error) throw error;
+
+      (data || []).forEach(payment => recorded.add(payment.transaction_id));
+    }
+
+    return recorded;
+  } catch (error) {
+    console.error(`Error fetching recorded transactions for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Record a payment for whatever is still owed on a bill (used when a bill is
+ * marked as paid in one step)
+ * @param {Object} bill - Bill row
+ * @param {string} userId - User ID
+ * @param {Object} [paymentDetails] - Optional date, method, confirmation number and statement transaction ID
+ * @returns {Promise<Object>} { payment, bill } - payment is null if nothing was owed
+ */
+const recordRemainingBalance = async (bill, userId, paymentDetails = {}) => {
+  const payments = await getPaymentsForBill(bill.id, userId);
+  const { remaining_balance: remainingBalance } = calculatePaymentSummary(bill.amount, payments);
+
+  if (remainingBalance <= 0) {
+    const result = await syncBillPaymentStatus(bill, userId, true);
+    return { payment: null, bill: result.bill };
+  }
+
+  const result = await createPayment(bill, userId, {
+    ...paymentDetails,
+    amount: remainingBalance
+  });
+
+  return { payment: result.payment, bill: result.bill };
+};
+
+/**
+ * Delete all payments of a bill and mark it as unpaid (used when a bill is
+ * marked as unpaid in one step)
+ * @param {Object} bill - Bill row
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { bill, payments, summary }
+ */
+const clearPayments = async (bill, userId) => {
+  try {
+    console.log(`Deleting all payments for bill ${bill.id}`);
+
+    const { error } = await supabase
+      .from('bill_payments')
+      .delete()
+      .eq('bill_id', bill.id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return await syncBillPaymentStatus(bill, userId, false);
+  } catch (error) {
+    console.error(`Error deleting payments for bill ${bill.id}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  calculatePaymentSummary,
+  getAmountPaid,
+  getBillStatus,
+  getPaymentsForBill,
+  syncBillPaymentStatus,
+  createPayment,
+  updatePayment,
+  deletePayment,
+  getRecordedTransactionIds,
+  recordRemainingBalance,
+  clearPayments
+};
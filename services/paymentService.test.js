@@ -0,0 +1,54 @@
+jest.mock('../config/database', () => ({}));
+
+const { calculatePaymentSummary, getAmountPaid, getBillStatus } = require('./paymentService');
+
+describe('calculatePaymentSummary', () => {
+  test('is unpaid without payments', () => {
+    expect(calculatePaymentSummary(100, [])).toEqual({ amount_paid: 0, remaining_balance: 100, payment_status: 'unpaid' });
+  });
+
+  test('adds up payments in cents', () => {
+    expect(calculatePaymentSummary('100.30', [{ amount: '0.10' }, { amount: 0.2 }])).toEqual({
+      amount_paid: 0.3,
+      remaining_balance: 100,
+      payment_status: 'partially_paid'
+    });
+  });
+
+  test('is paid once the payments cover the amount', () => {
+    expect(calculatePaymentSummary(50, [{ amount: 20 }, { amount: 40 }])).toEqual({
+      amount_paid: 60,
+      remaining_balance: 0,
+      payment_status: 'paid'
+    });
+  });
+
+  test('follows the paid flag for bills with nothing to pay', () => {
+    expect(calculatePaymentSummary(0, [], true).payment_status).toBe('paid');
+    expect(calculatePaymentSummary(0, [], false).payment_status).toBe('unpaid');
+  });
+});
+
+describe('getAmountPaid', () => {
+  test('is the amount paid so far', () => {
+    expect(getAmountPaid({ amount: '100.00', amount_paid: '40.10', paid: false })).toBe(40.1);
+    expect(getAmountPaid({ amount: '100.00', amount_paid: null, paid: false })).toBe(0);
+  });
+
+  test('bills marked paid without payments count in full', () => {
+    expect(getAmountPaid({ amount: '100.00', amount_paid: '0', paid: true })).toBe(100);
+    expect(getAmountPaid({ amount: '100.00', amount_paid: '120.00', paid: true })).toBe(120);
+  });
+});
+
+describe('getBillStatus', () => {
+  test.each([
+    [{ paid: true, due_date: '2024-01-01' }, 'paid'],
+    [{ paid: false, payment_status: 'partially_paid', due_date: '2024-01-01' }, 'partial'],
+    [{ paid: false, payment_status: 'unpaid', due_date: '2024-03-09' }, 'overdue'],
+    [{ paid: false, payment_status: 'unpaid', due_date: '2024-03-10' }, 'unpaid'],
+    [{ paid: false, due_date: '2024-03-10T00:00:00Z' }, 'unpaid']
+  ])('%o is %s on 2024-03-10', (bill, status) => {
+    expect(getBillStatus(bill, '2024-03-10')).toBe(status);
+  });
+});
@@ -0,0 +1,236 @@
+// services/pushService.js
+const https = require('https');
+const { supabaseAdmin } = require('../config/database');
+const { getAppUrl } = require('./templateService');
+const { isPrivateUrl, publicLookup } = require('../utils/networkUtils');
+
+// Handle the optional dependency gracefully, like the email providers
+let webpush;
+
+try {
+  webpush = require('web-push');
+} catch (err) {
+  console.log('web-push dependency not available');
+}
+
+// How long the push service keeps an undelivered message (device offline)
+const PUSH_TTL = 24 * 60 * 60; // 1 day, in seconds
+
+// Subscription endpoints come from the browser, so pushes may only go to
+// public addresses (see utils/networkUtils)
+const pushAgent = new https.Agent({ lookup: publicLookup });
+
+let vapidConfigured = false;
+
+/**
+ * Check whether Web Push can be used (web-push installed and VAPID keys set)
+ * @returns {boolean} True if push notifications can be sent
+ */
+const isPushConfigured = () => {
+  if (vapidConfigured) return true;
+  if (!webpush || !process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return false;
+
+  try {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM || 'noreply@billreminder.app'}`,
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    vapidConfigured = true;
+  } catch (error) {
+    console.error('Invalid VAPID configuration, push notifications are disabled:', error.message);
+  }
+
+  return vapidConfigured;
+};
+
+/**
+ * Public VAPID key the browser needs to subscribe
+ * @returns {string|null} URL-safe base64 key, or null if push is not configured
+ */
+const getVapidPublicKey = () => (isPushConfigured() ? process.env.VAPID_PUBLIC_KEY : null);
+
+/**
+ * Get a user's push subscriptions
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Subscription rows
+ */
+const getSubscriptionsForUser = async (userId) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('push_subscriptions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error(`Error fetching push subscriptions for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Save a browser's push subscription for a user.
+ * Saving it again updates the keys; a browser used by several accounts has a
+ * subscription for each of them.
+ * @param {string} userId - User ID
+ * @param {Object} subscription - PushSubscription.toJSON() ({ endpoint, keys: { p256dh, auth } })
+ * @param {string} [userAgent] - Browser user agent, to tell devices apart
+ * @returns {Promise<Object>} Saved subscription
+ */
+const saveSubscription = async (userId, subscription, userAgent = null) => {
+  const keys = (subscription && subscription.keys) || {};
+
+  let endpointUrl = null;
+  try {
+    endpointUrl = new URL(subscription && subscription.endpoint);
+  } catch (error) {
+    // Reported below
+  }
+
+  if (!endpointUrl || endpointUrl.protocol !== 'https:' || isPrivateUrl(endpointUrl.href) ||
+      !keys.p256dh || !keys.auth) {
+    throw new Error('Invalid push subscription');
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('push_subscriptions')
+      .upsert([{
+        user_id: userId,
+        endpoint: subscription.endpoint,
+        p256dh: keys.p256dh,
+        auth: keys.auth,
+        user_agent: userAgent ? String(userAgent).slice(0, 255) : null
+      }], { onConflict: 'user_id,endpoint' })
+      .select();
+
+    if (error) throw error;
+
+    return data[0];
+  } catch (error) {
+    console.error(`Error saving push subscription for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a push subscription
+ * @param {string} userId - User ID
+ * @param {string} endpoint - Subscription endpoint
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteSubscription = async (userId, endpoint) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('push_subscriptions')
+      .delete()
+      .eq('user_id', userId)
+      .eq('endpoint', endpoint);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error(`Error deleting push subscription for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Build the payload shown by the service worker (client/public/service-worker.js)
+ * @param {string} type - Notification type (upcoming, due_today, overdue, test)
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @param {Object} [bill] - Bill the notification is about
+ * @returns {Object} Push payload
+ */
+const buildPushPayload = (type, title, message, bill = null) => ({
+  type,
+  title,
+  body: message,
+  url: bill ? `${getAppUrl()}/bill/${bill.id}` : `${getAppUrl()}/notifications`,
+  // Replaces an earlier notification for the same bill and type instead of stacking
+  tag: bill ? `bill-${bill.id}-${type}` : type
+});
+
+/**
+ * Send a push message to a list of subscriptions.
+ * Subscriptions the push service reports as gone are deleted (counted as
+ * removed, not failed). Failures are logged and never thrown, so push problems
+ * don't stop other notifications.
+ * @param {Array} subscriptions - Subscription rows
+ * @param {Object} payload - Push payload (see buildPushPayload)
+ * @returns {Promise<Object>} { sent, failed, removed }
+ */
+const sendPush = async (subscriptions, payload) => {
+  if (!subscriptions || subscriptions.length === 0 || !isPushConfigured()) {
+    return { sent: 0, failed: 0, removed: 0 };
+  }
+
+  const body = JSON.stringify(payload);
+  let sent = 0;
+  let failed = 0;
+  let removed = 0;
+
+  await Promise.all(subscriptions.map(async subscription => {
+    try {
+      await webpush.sendNotification({
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+      }, body, {
+        TTL: PUSH_TTL,
+        agent: pushAgent,
+        urgency: payload.type === 'overdue' || payload.type === 'due_today' ? 'high' : 'normal'
+      });
+      sent++;
+
+      await supabaseAdmin
+        .from('push_subscriptions')
+        .update({ last_used_at: new Date() })
+        .eq('id', subscription.id);
+    } catch (error) {
+      // 404/410: the browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        removed++;
+        console.log(`Removing expired push subscription ${subscription.id}`);
+        await supabaseAdmin.from('push_subscriptions').delete().eq('id', subscription.id);
+      } else {
+        failed++;
+        console.error(`Error sending push notification to subscription ${subscription.id}:`, error.message);
+      }
+    }
+  }));
+
+  return { sent, failed, removed };
+};
+
+/**
+ * Send a push message to all of a user's browsers
+ * @param {string} userId - User ID
+ * @param {Object} payload - Push payload (see buildPushPayload)
+ * @returns {Promise<Object>} { sent, failed, removed }
+ */
+const sendPushToUser = async (userId, payload) => {
+  if (!isPushConfigured()) return { sent: 0, failed: 0, removed: 0 };
+
+  try {
+    return await sendPush(await getSubscriptionsForUser(userId), payload);
+  } catch (error) {
+    console.error(`Error sending push notifications to user ${userId}:`, error);
+    return { sent: 0, failed: 0, removed: 0 };
+  }
+};
+
+module.exports = {
+  isPushConfigured,
+  getVapidPublicKey,
+  getSubscriptionsForUser,
+  saveSubscription,
+  deleteSubscription,
+  buildPushPayload,
+  sendPush,
+  sendPushToUser
+};
@@ -0,0 +1,302 @@
+// services/recurrenceService.js
+const { supabaseAdmin } = require('../config/database');
+const { parseDateOnly, addMonthsClamped, formatYYYYMMDD } = require('../utils/dateUtils');
+const { publishBillEvent } = require('./eventService');
+
+// Bills read at a time by the daily check of recurring bills
+const PAGE_SIZE = 500;
+
+// Interval for each supported recurring_frequency value
+const FREQUENCY_INTERVALS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  semiannually: { months: 6 },
+  annually: { months: 12 },
+  yearly: { months: 12 }
+};
+
+/**
+ * Calculate the due date of an occurrence in a recurring series.
+ * Dates are always computed from the series start so that month-end
+ * anchors are kept (Jan 31 -> Feb 28 -> Mar 31 rather than Mar 28).
+ * @param {string|Date} seriesStartDate - Due date of the first bill in the series
+ * @param {string} frequency - Recurring frequency (weekly, biweekly, monthly, quarterly, semiannually, annually/yearly)
+ * @param {number} occurrenceIndex - Zero-based index of the occurrence (0 = first bill)
+ * @returns {string} Due date as YYYY-MM-DD
+ */
+const getOccurrenceDueDate = (seriesStartDate, frequency, occurrenceIndex) => {
+  const interval = FREQUENCY_INTERVALS[(frequency || 'monthly').toLowerCase()];
+
+  if (!interval) {
+    throw new Error(`Unknown recurring frequency: ${frequency}`);
+  }
+
+  const start = parseDateOnly(seriesStartDate);
+
+  if (interval.days) {
+    const result = new Date(start);
+    result.setUTCDate(result.getUTCDate() + interval.days * occurrenceIndex);
+    return formatYYYYMMDD(result);
+  }
+
+  return formatYYYYMMDD(addMonthsClamped(start, interval.months * occurrenceIndex));
+};
+
+/**
+ * Count the occurrences of a series that fall on or before its end date
+ * @param {string|Date} seriesStartDate - Due date of the first bill in the series
+ * @param {string} frequency - Recurring frequency
+ * @param {string|Date|null} endDate - recurring_end_date of the series
+ * @returns {number|null} Number of occurrences, or null for open-ended series
+ */
+const countOccurrences = (seriesStartDate, frequency, endDate) => {
+  if (!endDate) return null;
+
+  const end = formatYYYYMMDD(parseDateOnly(endDate));
+  let count = 0;
+
+  while (getOccurrenceDueDate(seriesStartDate, frequency, count) <= end) {
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Get the position of a bill within its recurring series
+ * @param {Object} bill - Bill row
+ * @returns {Object|null} { occurrence, total } or null for non-recurring bills
+ */
+const getSeriesProgress = (bill) => {
+  if (!bill || !bill.is_recurring) return null;
+
+  const seriesStart = bill.series_start_date || bill.due_date;
+
+  try {
+    return {
+      occurrence: bill.occurrence_number || 1,
+      total: countOccurrences(seriesStart, bill.recurring_frequency, bill.recurring_end_date)
+    };
+  } catch (error) {
+    console.error(`Error calculating series progress for bill ${bill.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Add series progress information to a list of bills
+ * @param {Array} bills - Bill rows
+ * @returns {Array} Bills with a series_progress field
+ */
+const annotateSeriesProgress = (bills) => {
+  return (bills || []).map(bill => ({
+    ...bill,
+    series_progress: getSeriesProgress(bill)
+  }));
+};
+
+/**
+ * Link a bill to the next occurrence of its series when that bill already exists
+ * @param {Object} bill - Current bill in the series
+ * @param {string} seriesId - ID of the first bill of the series
+ * @param {number} nextOccurrenceNumber - Occurrence number of the next bill
+ * @param {string} seriesStart - Due date of the first occurrence
+ * @returns {Promise<void>}
+ */
+const linkExistingOccurrence = async (bill, seriesId, nextOccurrenceNumber, seriesStart) => {
+  const { data, error } = await supabaseAdmin
+    .from('bills')
+    .select('id')
+    .eq('parent_bill_id', seriesId)
+    .eq('occurrence_number', nextOccurrenceNumber)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return;
+
+  const { error: linkError } = await supabaseAdmin
+    .from('bills')
+    .update({ next_occurrence_id: data.id, series_start_date: seriesStart })
+    .eq('id', bill.id)
+    .is('next_occurrence_id', null);
+
+  if (linkError) throw linkError;
+};
+
+/**
+ * Create the next bill in a recurring series.
+ * Safe to call more than once for the same bill: the next instance is only
+ * created if the bill has not already produced one.
+ * @param {Object} bill - Current bill in the series
+ * @returns {Promise<Object|null>} Created bill, or null if nothing was generated
+ */
+const generateNextOccurrence = async (bill) => {
+  try {
+    if (!bill || !bill.is_recurring || bill.next_occurrence_id || bill.series_ended) {
+      return null;
+    }
+
+    const seriesId = bill.parent_bill_id || bill.id;
+    const seriesStart = bill.series_start_date || bill.due_date;
+    const occurrenceNumber = bill.occurrence_number || 1;
+    const nextDueDate = getOccurrenceDueDate(seriesStart, bill.recurring_frequency, occurrenceNumber);
+
+    // Stop the series once the next due date passes the end date
+    if (bill.recurring_end_date && nextDueDate > formatYYYYMMDD(parseDateOnly(bill.recurring_end_date))) {
+      console.log(`Recurring series ${seriesId} has reached its end date, no further bills generated`);
+
+      // Keep the bill out of the daily check from now on
+      const { error: endError } = await supabaseAdmin
+        .from('bills')
+        .update({ series_ended: true })
+        .eq('id', bill.id);
+
+      if (endError) throw endError;
+      return null;
+    }
+
+    console.log(`Generating occurrence ${occurrenceNumber + 1} of series ${seriesId} due ${nextDueDate}`);
+
+    const { data, error } = await supabaseAdmin
+      .from('bills')
+      .insert([{
+        vendor: bill.vendor,
+        amount: bill.amount,
+        due_date: nextDueDate,
+        items: bill.items,
+        notes: bill.notes,
+        category: bill.category || 'Uncategorized',
+        is_recurring: true,
+        recurring_frequency: bill.recurring_frequency,
+        recurring_end_date: bill.recurring_end_date,
+        reminder_offsets: bill.reminder_offsets || null,
+        overdue_reminder_days: bill.overdue_reminder_days || null,
+        overdue_repeat_days: bill.overdue_repeat_days ?? null,
+        secondary_contact_after_days: bill.secondary_contact_after_days ?? null,
+        user_id: bill.user_id,
+        parent_bill_id: seriesId,
+        occurrence_number: occurrenceNumber + 1,
+        series_start_date: seriesStart,
+        paid: false,
+        created_at: new Date()
+      }])
+      .select();
+
+    if (error) {
+      // Unique violation: another request already generated this occurrence.
+      // Link to it in case that run stopped before linking (e.g. it crashed),
+      // or the bill would keep being treated as the latest in its series.
+      if (error.code === '23505') {
+        console.log(`Occurrence ${occurrenceNumber + 1} of series ${seriesId} already exists`);
+        await linkExistingOccurrence(bill, seriesId, occurrenceNumber + 1, seriesStart);
+        return null;
+      }
+      throw error;
+    }
+
+    const nextBill = data[0];
+
+    // Link the current bill to its successor so it is not generated twice
+    const { error: linkError } = await supabaseAdmin
+      .from('bills')
+      .update({ next_occurrence_id: nextBill.id, series_start_date: seriesStart })
+      .eq('id', bill.id);
+
+    if (linkError) throw linkError;
+
+    publishBillEvent('created', nextBill);
+
+    return nextBill;
+  } catch (error) {
+    console.error(`Error generating next occurrence for bill ${bill && bill.id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Generate next occurrences for recurring bills whose due date has passed
+ * without a successor being created (e.g. bills that were never marked paid)
+ * @returns {Promise<Object>} Summary of generated bills
+ */
+const processDueRecurringBills = async () => {
+  try {
+    console.log('Checking for recurring bills that need their next occurrence...');
+
+    const today = formatYYYYMMDD(new Date());
+
+    let checked = 0;
+    let generated = 0;
+    let failed = 0;
+
+    // Paged by ID rather than offset: bills drop out of the query as they are linked
+    for (let lastId = null; ;) {
+      let query = supabaseAdmin
+        .from('bills')
+        .select('*')
+        .eq('is_recurring', true)
+        .is('next_occurrence_id', null)
+        .eq('series_ended', false)
+        .lt('due_date', today)
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (lastId) query = query.gt('id', lastId);
+
+      const { data: bills, error } = await query;
+
+      if (error) throw error;
+
+      for (const bill of bills) {
+        try {
+          const nextBill = await generateNextOccurrence(bill);
+          if (nextBill) generated++;
+        } catch (billError) {
+          failed++;
+        }
+      }
+
+      checked += bills.length;
+      if (bills.length < PAGE_SIZE) break;
+      lastId = bills[bills.length - 1].id;
+    }
+
+    console.log(`Recurring bill check completed: ${generated} generated, ${failed} failed`);
+    return { checked, generated, failed };
+  } catch (error) {
+    console.error('Error processing recurring bills:', error);
+    throw error;
+  }
+};
+
+/**
+ * Schedule daily generation of recurring bills
+ * Runs shortly after midnight so new instances exist before the notification check
+ * @returns {Object} The scheduled job object
+ */
+const scheduleRecurringBills = () => {
+  const schedule = require('node-schedule');
+
+  const recurrenceJob = schedule.scheduleJob('5 0 * * *', async () => {
+    try {
+      console.log('Running scheduled recurring bill generation...');
+      await processDueRecurringBills();
+    } catch (error) {
+      console.error('Error in scheduled recurring bill generation:', error);
+    }
+  });
+
+  return recurrenceJob;
+};
+
+module.exports = {
+  FREQUENCY_INTERVALS,
+  getOccurrenceDueDate,
+  countOccurrences,
+  getSeriesProgress,
+  annotateSeriesProgress,
+  generateNextOccurrence,
+  processDueRecurringBills,
+  scheduleRecurringBills
+};
@@ -0,0 +1,57 @@
+jest.mock('../config/database', () => ({ supabaseAdmin: {} }));
+
+const { getOccurrenceDueDate, countOccurrences, getSeriesProgress } = require('./recurrenceService');
+
+describe('getOccurrenceDueDate', () => {
+  test('adds days for weekly and biweekly series', () => {
+    expect(getOccurrenceDueDate('2026-01-01', 'weekly', 0)).toBe('2026-01-01');
+    expect(getOccurrenceDueDate('2026-01-01', 'weekly', 2)).toBe('2026-01-15');
+    expect(getOccurrenceDueDate('2026-12-25', 'biweekly', 1)).toBe('2027-01-08');
+  });
+
+  test('keeps the month-end anchor of monthly series', () => {
+    expect(getOccurrenceDueDate('2026-01-31', 'monthly', 1)).toBe('2026-02-28');
+    expect(getOccurrenceDueDate('2026-01-31', 'monthly', 2)).toBe('2026-03-31');
+    expect(getOccurrenceDueDate('2024-01-31', 'monthly', 1)).toBe('2024-02-29');
+  });
+
+  test('supports quarterly, semiannual and yearly series', () => {
+    expect(getOccurrenceDueDate('2026-11-30', 'quarterly', 1)).toBe('2027-02-28');
+    expect(getOccurrenceDueDate('2026-08-31', 'semiannually', 1)).toBe('2027-02-28');
+    expect(getOccurrenceDueDate('2024-02-29', 'annually', 1)).toBe('2025-02-28');
+    expect(getOccurrenceDueDate('2024-02-29', 'yearly', 4)).toBe('2028-02-29');
+  });
+
+  test('defaults to monthly and rejects unknown frequencies', () => {
+    expect(getOccurrenceDueDate('2026-05-10', null, 1)).toBe('2026-06-10');
+    expect(() => getOccurrenceDueDate('2026-05-10', 'daily', 1)).toThrow('Unknown recurring frequency');
+  });
+});
+
+describe('countOccurrences', () => {
+  test('counts the occurrences up to and including the end date', () => {
+    expect(countOccurrences('2026-01-31', 'monthly', '2026-04-30')).toBe(4);
+    expect(countOccurrences('2026-01-01', 'weekly', '2026-01-14')).toBe(2);
+  });
+
+  test('returns null for open-ended series', () => {
+    expect(countOccurrences('2026-01-01', 'monthly', null)).toBeNull();
+  });
+});
+
+describe('getSeriesProgress', () => {
+  test('returns the position of a bill in its series', () => {
+    expect(getSeriesProgress({
+      is_recurring: true,
+      due_date: '2026-03-31',
+      series_start_date: '2026-01-31',
+      occurrence_number: 3,
+      recurring_frequency: 'monthly',
+      recurring_end_date: '2026-12-31'
+    })).toEqual({ occurrence: 3, total: 12 });
+  });
+
+  test('returns null for bills that are not recurring', () => {
+    expect(getSeriesProgress({ is_recurring: false })).toBeNull();
+  });
+});
@@ -0,0 +1,531 @@
+// services/reportService.js
+//
+// Printable PDF reports, rendered on the server: the bill statement for a
+// period (bills grouped by category, monthly totals and optional receipt
+// thumbnails) and a one-page summary of a single bill.
+const { supabaseAdmin } = require('../config/database');
+const billService = require('./billService');
+const paymentService = require('./paymentService');
+const storageService = require('./storageService');
+const templateService = require('./templateService');
+const { DEFAULT_CATEGORY } = require('../config/billCategories');
+const { getDateInTimeZone } = require('../utils/dateUtils');
+const {
+  truncateText,
+  wrapText,
+  createDocument,
+  addPage,
+  drawText,
+  drawLine,
+  drawRect,
+  addImage,
+  drawImage,
+  renderPdf
+} = require('../utils/pdfUtils');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 18;
+const THUMBNAIL_SIZE = 36;
+
+// Most receipt images loaded into one statement
+const MAX_THUMBNAILS = 200;
+
+const COLORS = {
+  text: '#2c3e50',
+  muted: '#7f8c8d',
+  rule: '#dce1e3',
+  shade: '#f4f6f7',
+  paid: '#27ae60',
+  partial: '#e67e22',
+  overdue: '#e74c3c',
+  unpaid: '#3498db'
+};
+
+const STATUS_LABELS = {
+  paid: 'Paid',
+  partial: 'Partially paid',
+  overdue: 'Overdue',
+  unpaid: 'Unpaid'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  check: 'Check',
+  credit_card: 'Credit card',
+  debit_card: 'Debit card',
+  bank_transfer: 'Bank transfer',
+  autopay: 'Autopay',
+  other: 'Other'
+};
+
+/**
+ * Validate the statement period, defaulting to the current calendar year
+ * @param {Object} query - { from, to } as YYYY-MM-DD
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {Object} { from, to }
+ */
+const normalizePeriod = ({ from, to } = {}, today) => {
+  const period = {
+    from: from || `${today.slice(0, 4)}-01-01`,
+    to: to || `${today.slice(0, 4)}-12-31`
+  };
+
+  Object.entries(period).forEach(([key, value]) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+      throw new Error(`Invalid ${key} date: ${value} (expected YYYY-MM-DD)`);
+    }
+  });
+
+  if (period.from > period.to) {
+    throw new Error('Invalid period: from is after to');
+  }
+
+  return period;
+};
+
+/**
+ * Get a user's notification preferences, for the locale, currency and timezone
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Preferences (empty if the user has none)
+ */
+const getPreferences = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data || {};
+};
+
+/**
+ * Start a new page and return the layout cursor for it
+ * @param {Object} doc - Document
+ * @returns {Object} { page, y }
+ */
+const newPage = (doc) => ({ page: addPage(doc), y: MARGIN });
+
+/**
+ * Make room for a block, moving to a new page if it doesn't fit
+ * @param {Object} cursor - { doc, page, y }
+ * @param {number} height - Height of the block
+ * @param {Function} [onNewPage] - Draws headers repeated on the new page
+ */
+const ensureSpace = (cursor, height, onNewPage) => {
+  if (cursor.y + height <= cursor.doc.height - MARGIN - FOOTER_HEIGHT) return;
+
+  Object.assign(cursor, newPage(cursor.doc));
+  if (onNewPage) onNewPage();
+};
+
+/**
+ * Write "Page n of m" and a caption at the bottom of every page
+ * @param {Object} doc - Document
+ * @param {string} caption - Text at the bottom left
+ */
+const drawFooters = (doc, caption) => {
+  doc.pages.forEach((page, i) => {
+    const y = doc.height - MARGIN + 10;
+    drawLine(page, MARGIN, y - 12, doc.width - MARGIN, y - 12, { color: COLORS.rule });
+    drawText(page, caption, MARGIN, y, { size: 8, color: COLORS.muted });
+    drawText(page, `Page ${i + 1} of ${doc.pages.length}`, doc.width - MARGIN, y, { size: 8, color: COLORS.muted, align: 'right' });
+  });
+};
+
+/**
+ * Draw a row of table cells
+ * @param {Object} cursor - { page, y }; y is the top of the row
+ * @param {Array} columns - [{ x, width, align }]
+ * @param {Array<string>} values - Cell text
+ * @param {Object} [options] - { font, color, colors (per cell), height }
+ */
+const drawRow = (cursor, columns, values, { font = 'regular', color = COLORS.text, colors = [], height = ROW_HEIGHT } = {}) => {
+  const baseline = cursor.y + height / 2 + 3;
+
+  columns.forEach((column, i) => {
+    if (values[i] === null || values[i] === undefined || values[i] === '') return;
+    const text = truncateText(values[i], column.width - 4, font, 9);
+    const x = column.align === 'right' ? column.x + column.width : column.x;
+    drawText(cursor.page, text, x, baseline, { font, size: 9, color: colors[i] || color, align: column.align || 'left' });
+  });
+};
+
+/**
+ * Draw a group of labelled figures side by side (e.g. the statement totals)
+ * @param {Object} cursor - { doc, page, y }
+ * @param {Array} figures - [{ label, value, color }]
+ */
+const drawFigures = (cursor, figures) => {
+  const width = (cursor.doc.width - 2 * MARGIN - (figures.length - 1) * 10) / figures.length;
+
+  figures.forEach((figure, i) => {
+    const x = MARGIN + i * (width + 10);
+    drawRect(cursor.page, x, cursor.y, width, 44, { fill: COLORS.shade });
+    drawText(cursor.page, figure.label, x + 10, cursor.y + 16, { size: 8, color: COLORS.muted });
+    drawText(cursor.page, truncateText(figure.value, width - 20, 'bold', 13), x + 10, cursor.y + 34, {
+      font: 'bold',
+      size: 13,
+      color: figure.color || COLORS.text
+    });
+  });
+
+  cursor.y += 44;
+};
+
+/**
+ * Draw a section heading with an optional figure on the right
+ * @param {Object} cursor - { doc, page, y }
+ * @param {string} title - Heading
+ * @param {string} [right] - Text at the right edge
+ */
+const drawHeading = (cursor, title, right) => {
+  drawText(cursor.page, title, MARGIN, cursor.y + 14, { font: 'bold', size: 13, color: COLORS.text });
+  if (right) drawText(cursor.page, right, cursor.doc.width - MARGIN, cursor.y + 14, { font: 'bold', size: 11, color: COLORS.text, align: 'right' });
+  cursor.y += 20;
+  drawLine(cursor.page, MARGIN, cursor.y, cursor.doc.width - MARGIN, cursor.y, { color: COLORS.text, width: 1 });
+  cursor.y += 2;
+};
+
+/**
+ * Total billed and paid amounts of a list of bills
+ * @param {Array} bills - Bills
+ * @returns {Object} { billed, paid, outstanding } in currency units
+ */
+const getTotals = (bills) => {
+  const cents = bills.reduce((sum, bill) => ({
+    billed: sum.billed + Math.round((parseFloat(bill.amount) || 0) * 100),
+    paid: sum.paid + Math.round(paymentService.getAmountPaid(bill) * 100)
+  }), { billed: 0, paid: 0 });
+
+  return {
+    billed: cents.billed / 100,
+    paid: cents.paid / 100,
+    outstanding: Math.max(cents.billed - cents.paid, 0) / 100
+  };
+};
+
+/**
+ * Load the receipt images of bills for thumbnails
+ * @param {Object} doc - Document the images are added to
+ * @param {Array} bills - Bills
+ * @returns {Promise<Map>} Image by bill ID (bills without a readable JPEG or PNG are left out)
+ */
+const loadThumbnails = async (doc, bills) => {
+  const images = new Map();
+  const billsWithImages = bills.filter(bill => bill.image_path || bill.supabase_image_path).slice(0, MAX_THUMBNAILS);
+
+  for (const bill of billsWithImages) {
+    const buffer = await storageService.getBillImage(bill);
+    const image = buffer ? addImage(doc, buffer) : null;
+    if (image) images.set(bill.id, image);
+  }
+
+  return images;
+};
+
+/**
+ * Render the statement of a user's bills due in a period
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { from, to } as YYYY-MM-DD (default: this year), thumbnails (boolean)
+ * @returns {Promise<Object>} { fileName, contentType, body } - body is the PDF
+ */
+const generateStatement = async (userId, { from, to, thumbnails = false } = {}) => {
+  try {
+    const preferences = await getPreferences(userId);
+    const formatOptions = templateService.getFormatOptions(preferences);
+    const today = getDateInTimeZone(new Date(), preferences.timezone);
+    const period = normalizePeriod({ from, to }, today);
+    const money = (amount) => templateService.formatCurrency(amount, formatOptions);
+    const date = (value) => templateService.formatDate(value, formatOptions);
+
+    const bills = ((await billService.getBillsByUserId(userId)) || [])
+      .filter(bill => {
+        const dueDate = String(bill.due_date).slice(0, 10);
+        return dueDate >= period.from && dueDate <= period.to;
+      })
+      .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)) || String(a.vendor).localeCompare(String(b.vendor)));
+
+    const doc = createDocument({ title: `Bill statement ${period.from} to ${period.to}`, author: 'Bill Reminder' });
+    const cursor = { doc, ...newPage(doc) };
+    const images = thumbnails ? await loadThumbnails(doc, bills) : new Map();
+    const contentWidth = doc.width - 2 * MARGIN;
+
+    drawText(cursor.page, 'Bill Statement', MARGIN, cursor.y + 20, { font: 'bold', size: 22, color: COLORS.text });
+    drawText(cursor.page, `${date(period.from)} - ${date(period.to)}`, MARGIN, cursor.y + 40, { size: 11, color: COLORS.muted });
+    drawText(cursor.page, `Generated ${date(today)}`, doc.width - MARGIN, cursor.y + 40, { size: 9, color: COLORS.muted, align: 'right' });
+    cursor.y += 60;
+
+    const totals = getTotals(bills);
+    drawFigures(cursor, [
+      { label: 'Bills', value: String(bills.length) },
+      { label: 'Total billed', value: money(totals.billed) },
+      { label: 'Paid', value: money(totals.paid), color: COLORS.paid },
+      { label: 'Outstanding', value: money(totals.outstanding), color: totals.outstanding > 0 ? COLORS.overdue : COLORS.text }
+    ]);
+    cursor.y += 25;
+
+    if (bills.length === 0) {
+      drawText(cursor.page, 'No bills are due in this period.', MARGIN, cursor.y + 12, { size: 11, color: COLORS.muted });
+      drawFooters(doc, 'Bill Reminder statement');
+      return { fileName: `bill-statement-${period.from}-to-${period.to}.pdf`, contentType: 'application/pdf', body: renderPdf(doc) };
+    }
+
+    // Totals per month of the due date
+    const monthColumns = [
+      { x: MARGIN, width: contentWidth * 0.32 },
+      { x: MARGIN + contentWidth * 0.32, width: contentWidth * 0.1, align: 'right' },
+      { x: MARGIN + contentWidth * 0.42, width: contentWidth * 0.2, align: 'right' },
+      { x: MARGIN + contentWidth * 0.62, width: contentWidth * 0.19, align: 'right' },
+      { x: MARGIN + contentWidth * 0.81, width: contentWidth * 0.19, align: 'right' }
+    ];
+    const months = new Map();
+    bills.forEach(bill => {
+      const month = String(bill.due_date).slice(0, 7);
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(bill);
+    });
+
+    const drawMonthHeader = () => {
+      drawRow(cursor, monthColumns, ['Month', 'Bills', 'Billed', 'Paid', 'Outstanding'], { font: 'bold', color: COLORS.muted });
+      cursor.y += ROW_HEIGHT;
+    };
+
+    ensureSpace(cursor, 60);
+    drawHeading(cursor, 'Monthly Totals');
+    drawMonthHeader();
+
+    months.forEach((monthBills, month) => {
+      ensureSpace(cursor, ROW_HEIGHT, drawMonthHeader);
+      const monthTotals = getTotals(monthBills);
+      const label = new Intl.DateTimeFormat(formatOptions.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        .format(new Date(`${month}-01T00:00:00Z`));
+      drawRow(cursor, monthColumns, [
+        label,
+        String(monthBills.length),
+        money(monthTotals.billed),
+        money(monthTotals.paid),
+        money(monthTotals.outstanding)
+      ]);
+      cursor.y += ROW_HEIGHT;
+      drawLine(cursor.page, MARGIN, cursor.y, doc.width - MARGIN, cursor.y, { color: COLORS.rule });
+    });
+
+    ensureSpace(cursor, ROW_HEIGHT);
+    drawRow(cursor, monthColumns, ['Total', String(bills.length), money(totals.billed), money(totals.paid), money(totals.outstanding)], { font: 'bold' });
+    cursor.y += ROW_HEIGHT + 25;
+
+    // Bills grouped by category, categories in alphabetical order
+    const thumbnailWidth = images.size > 0 ? THUMBNAIL_SIZE + 8 : 0;
+    const tableX = MARGIN + thumbnailWidth;
+    const tableWidth = contentWidth - thumbnailWidth;
+    const billColumns = [
+      { x: tableX, width: tableWidth * 0.18 },
+      { x: tableX + tableWidth * 0.18, width: tableWidth * 0.4 },
+      { x: tableX + tableWidth * 0.58, width: tableWidth * 0.14 },
+      { x: tableX + tableWidth * 0.72, width: tableWidth * 0.14, align: 'right' },
+      { x: tableX + tableWidth * 0.86, width: tableWidth * 0.14, align: 'right' }
+    ];
+    const categories = new Map();
+    bills.forEach(bill => {
+      const category = bill.category || DEFAULT_CATEGORY;
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(bill);
+    });
+
+    [...categories.keys()].sort((a, b) => a.localeCompare(b)).forEach(category => {
+      const categoryBills = categories.get(category);
+      const drawBillHeader = () => {
+        drawRow(cursor, billColumns, ['Due date', 'Vendor', 'Status', 'Amount', 'Paid'], { font: 'bold', color: COLORS.muted });
+        cursor.y += ROW_HEIGHT;
+      };
+
+      ensureSpace(cursor, 22 + ROW_HEIGHT * 2);
+      drawHeading(cursor, category, money(getTotals(categoryBills).billed));
+      drawBillHeader();
+
+      categoryBills.forEach(bill => {
+        const image = images.get(bill.id);
+        const height = image ? THUMBNAIL_SIZE + 6 : ROW_HEIGHT;
+        ensureSpace(cursor, height, drawBillHeader);
+
+        const status = paymentService.getBillStatus(bill, today);
+        if (image) drawImage(cursor.page, image, MARGIN, cursor.y + 3, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        drawRow(cursor, billColumns, [
+          date(bill.due_date),
+          bill.vendor,
+          STATUS_LABELS[status],
+          money(bill.amount),
+          money(paymentService.getAmountPaid(bill))
+        ], { height, colors: [null, null, COLORS[status]] });
+        cursor.y += height;
+        drawLine(cursor.page, MARGIN, cursor.y, doc.width - MARGIN, cursor.y, { color: COLORS.rule });
+      });
+
+      cursor.y += 20;
+    });
+
+    drawFooters(doc, `Bill Reminder statement, ${date(period.from)} - ${date(period.to)}`);
+
+    console.log(`Generated statement for user ${userId}: ${bills.length} bills, ${doc.pages.length} pages`);
+
+    return {
+      fileName: `bill-statement-${period.from}-to-${period.to}.pdf`,
+      contentType: 'application/pdf',
+      body: renderPdf(doc)
+    };
+  } catch (error) {
+    console.error(`Error generating statement for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Describe a bill's recurrence, e.g. "Monthly until Dec 31, 2026"
+ * @param {Object} bill - Bill
+ * @param {Function} date - Date formatter
+ * @returns {string} Description, or 'No' for one-time bills
+ */
+const describeRecurrence = (bill, date) => {
+  if (!bill.is_recurring) return 'No';
+
+  const frequency = String(bill.recurring_frequency || 'recurring');
+  const label = frequency.charAt(0).toUpperCase() + frequency.slice(1);
+  return bill.recurring_end_date ? `${label} until ${date(bill.recurring_end_date)}` : label;
+};
+
+/**
+ * Render a one-page summary of a bill: its details, notes, payments and image
+ * @param {Object} bill - Bill (owned by the user)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { fileName, contentType, body } - body is the PDF
+ */
+const generateBillSummary = async (bill, userId) => {
+  try {
+    const [preferences, payments, imageBuffer] = await Promise.all([
+      getPreferences(userId),
+      paymentService.getPaymentsForBill(bill.id, userId),
+      storageService.getBillImage(bill)
+    ]);
+    const formatOptions = templateService.getFormatOptions(preferences);
+    const today = getDateInTimeZone(new Date(), preferences.timezone);
+    const money = (amount) => templateService.formatCurrency(amount, formatOptions);
+    const date = (value) => templateService.formatDate(value, formatOptions);
+
+    const doc = createDocument({ title: `Bill summary: ${bill.vendor}`, author: 'Bill Reminder' });
+    const cursor = { doc, ...newPage(doc) };
+    const contentWidth = doc.width - 2 * MARGIN;
+    const image = imageBuffer ? addImage(doc, imageBuffer) : null;
+    const detailsWidth = image ? contentWidth * 0.55 : contentWidth;
+    const status = paymentService.getBillStatus(bill, today);
+    const amountPaid = paymentService.getAmountPaid(bill);
+
+    drawText(cursor.page, 'Bill Summary', MARGIN, cursor.y + 10, { size: 10, color: COLORS.muted });
+    drawText(cursor.page, truncateText(bill.vendor, detailsWidth, 'bold', 22), MARGIN, cursor.y + 36, { font: 'bold', size: 22, color: COLORS.text });
+    drawText(cursor.page, STATUS_LABELS[status], MARGIN, cursor.y + 56, { font: 'bold', size: 12, color: COLORS[status] });
+    cursor.y += 75;
+
+    const details = [
+      ['Amount', money(bill.amount)],
+      ['Paid', money(amountPaid)],
+      ['Remaining', money(Math.max((parseFloat(bill.amount) || 0) - amountPaid, 0))],
+      ['Due date', date(bill.due_date)],
+      ['Bill date', bill.bill_date ? date(bill.bill_date) : ''],
+      ['Category', bill.category || DEFAULT_CATEGORY],
+      ['Recurring', describeRecurrence(bill, date)],
+      ['Added', bill.created_at ? date(String(bill.created_at).slice(0, 10)) : '']
+    ].filter(([, value]) => value);
+
+    const detailsTop = cursor.y;
+    details.forEach(([label, value]) => {
+      drawText(cursor.page, label, MARGIN, cursor.y + 12, { size: 10, color: COLORS.muted });
+      drawText(cursor.page, truncateText(value, detailsWidth - 110, 'bold', 11), MARGIN + 100, cursor.y + 12, { font: 'bold', size: 11, color: COLORS.text });
+      cursor.y += 20;
+    });
+
+    if (image) {
+      const boxX = MARGIN + detailsWidth + 15;
+      const boxWidth = contentWidth - detailsWidth - 15;
+      const { height } = drawImage(cursor.page, image, boxX, detailsTop, boxWidth, 300);
+      drawRect(cursor.page, boxX, detailsTop, boxWidth, height, { stroke: COLORS.rule });
+      cursor.y = Math.max(cursor.y, detailsTop + height);
+    } else if (bill.image_path || bill.supabase_image_path) {
+      drawText(cursor.page, 'The bill image could not be included (only JPEG and PNG images are supported).', MARGIN, cursor.y + 12, {
+        size: 9,
+        color: COLORS.muted
+      });
+      cursor.y += 20;
+    }
+
+    cursor.y += 20;
+    const pageBottom = doc.height - MARGIN - FOOTER_HEIGHT;
+
+    if (bill.notes) {
+      drawHeading(cursor, 'Notes');
+      const lines = wrapText(bill.notes, contentWidth, 'regular', 10);
+      // Leave room for the payments below
+      const maxLines = Math.max(Math.floor((pageBottom - cursor.y - 120) / 14), 1);
+      lines.slice(0, maxLines).forEach((line, i) => {
+        const text = i === maxLines - 1 && lines.length > maxLines ? truncateText(`${line} …`, contentWidth, 'regular', 10) : line;
+        drawText(cursor.page, text, MARGIN, cursor.y + 14, { size: 10, color: COLORS.text });
+        cursor.y += 14;
+      });
+      cursor.y += 20;
+    }
+
+    drawHeading(cursor, 'Payments', payments.length > 0 ? money(payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0)) : null);
+
+    if (payments.length === 0) {
+      drawText(cursor.page, 'No payments recorded.', MARGIN, cursor.y + 14, { size: 10, color: COLORS.muted });
+    } else {
+      const paymentColumns = [
+        { x: MARGIN, width: contentWidth * 0.2 },
+        { x: MARGIN + contentWidth * 0.2, width: contentWidth * 0.2 },
+        { x: MARGIN + contentWidth * 0.4, width: contentWidth * 0.42 },
+        { x: MARGIN + contentWidth * 0.82, width: contentWidth * 0.18, align: 'right' }
+      ];
+      drawRow(cursor, paymentColumns, ['Date', 'Method', 'Confirmation / notes', 'Amount'], { font: 'bold', color: COLORS.muted });
+      cursor.y += ROW_HEIGHT;
+
+      // One page: payments that don't fit are counted instead of listed
+      const maxRows = Math.max(Math.floor((pageBottom - cursor.y) / ROW_HEIGHT) - 1, 0);
+      const shown = payments.length > maxRows + 1 ? payments.slice(0, maxRows) : payments;
+
+      shown.forEach(payment => {
+        drawRow(cursor, paymentColumns, [
+          date(payment.payment_date),
+          PAYMENT_METHOD_LABELS[payment.payment_method] || '',
+          [payment.confirmation_number, payment.notes].filter(Boolean).join(' - '),
+          money(payment.amount)
+        ]);
+        cursor.y += ROW_HEIGHT;
+        drawLine(cursor.page, MARGIN, cursor.y, doc.width - MARGIN, cursor.y, { color: COLORS.rule });
+      });
+
+      if (shown.length < payments.length) {
+        drawText(cursor.page, `and ${payments.length - shown.length} earlier payments`, MARGIN, cursor.y + 13, { size: 9, color: COLORS.muted });
+      }
+    }
+
+    drawFooters(doc, `Bill Reminder, generated ${date(today)}`);
+
+    const safeVendor = String(bill.vendor || 'bill').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bill';
+
+    return {
+      fileName: `bill-${safeVendor}-${String(bill.due_date).slice(0, 10)}.pdf`,
+      contentType: 'application/pdf',
+      body: renderPdf(doc)
+    };
+  } catch (error) {
+    console.error(`Error generating summary for bill ${bill.id}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  generateStatement,
+  generateBillSummary
+};
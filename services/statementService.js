@@ -0,0 +1,493 @@
+// services/statementService.js
+//
+// Bank statement import: parses OFX/QFX files and bank CSV exports, proposes
+// matches between debits and the user's unpaid bills, and records confirmed
+// matches as payments through paymentService.
+const crypto = require('crypto');
+const billService = require('./billService');
+const paymentService = require('./paymentService');
+const { parseOfx } = require('../utils/ofxUtils');
+const { parseCsv, detectDelimiter, isColumnMapped, suggestColumnMapping, validateColumnMapping, getMappedValue } = require('../utils/csvUtils');
+const { parseAmount, parseDate, DATE_FORMATS } = require('./importService');
+const { parseDateOnly } = require('../utils/dateUtils');
+
+// Default matching rules: the debit may differ from the amount due by this
+// fraction (or at least MIN_AMOUNT_TOLERANCE), and be posted this many days
+// before or after the due date
+const DEFAULT_AMOUNT_TOLERANCE = 0.05;
+const MIN_AMOUNT_TOLERANCE = 1;
+const DEFAULT_DATE_WINDOW_DAYS = 10;
+
+// Matches scoring lower than this are not proposed
+const MIN_MATCH_SCORE = 0.5;
+
+// Weights of the vendor, amount and date scores in the match score
+const SCORE_WEIGHTS = { vendor: 0.5, amount: 0.3, date: 0.2 };
+
+// Words in transaction descriptions that say nothing about the payee
+const NOISE_WORDS = new Set([
+  'ach', 'pos', 'debit', 'credit', 'card', 'payment', 'pymt', 'pmt', 'purchase', 'online', 'bill', 'autopay',
+  'recurring', 'direct', 'dd', 'www', 'com', 'net', 'inc', 'llc', 'ltd', 'co', 'corp', 'the', 'to', 'from', 'ref'
+]);
+
+// Payment method recorded for each OFX transaction type
+const TRANSACTION_PAYMENT_METHODS = {
+  CHECK: 'check',
+  POS: 'debit_card',
+  DIRECTDEBIT: 'autopay',
+  REPEATPMT: 'autopay'
+};
+
+// Columns of the generic bank CSV profile, with the header names detected automatically
+const BANK_CSV_FIELDS = [
+  { key: 'date', label: 'Date', required: true, aliases: ['date', 'posted date', 'posting date', 'transaction date', 'booking date', 'value date'] },
+  { key: 'description', label: 'Description', required: true, aliases: ['description', 'payee', 'name', 'details', 'memo', 'narrative', 'merchant'] },
+  { key: 'amount', label: 'Amount', aliases: ['amount', 'transaction amount'] },
+  { key: 'debit', label: 'Debit (money out)', aliases: ['debit', 'withdrawal', 'withdrawals', 'money out', 'paid out'] },
+  { key: 'credit', label: 'Credit (money in)', aliases: ['credit', 'deposit', 'deposits', 'money in', 'paid in'] },
+  { key: 'reference', label: 'Reference', aliases: ['reference', 'transaction id', 'id', 'check number', 'ref'] }
+];
+
+/**
+ * Split a name into comparable words
+ * @param {string} text - Vendor name or transaction description
+ * @returns {Array<string>} Lower case words without noise words and digits-only tokens
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word.length > 1 && !NOISE_WORDS.has(word) && !/^\d+$/.test(word));
+
+/**
+ * Letter pairs of a string, for fuzzy comparison
+ * @param {string} text - Text without spaces
+ * @returns {Array<string>} Bigrams
+ */
+const bigrams = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) pairs.push(text.slice(i, i + 2));
+  return pairs;
+};
+
+/**
+ * How similar a bill's vendor is to a transaction description (0 to 1).
+ * A vendor whose words all appear in the description is a full match
+ * (e.g. "City Water" in "ACH DEBIT CITY WATER DEPT 8812"); otherwise
+ * the letter pairs of the two are compared.
+ * @param {string} vendor - Bill vendor
+ * @param {string} description - Transaction name and memo
+ * @returns {number} Similarity
+ */
+const getVendorSimilarity = (vendor, description) => {
+  const vendorWords = tokenize(vendor);
+  const descriptionWords = tokenize(description);
+  if (vendorWords.length === 0 || descriptionWords.length === 0) return 0;
+
+  const compactVendor = vendorWords.join('');
+  const compactDescription = descriptionWords.join('');
+  if (compactDescription.includes(compactVendor)) return 1;
+
+  const matchedWords = vendorWords.filter(word => descriptionWords.some(other => other.startsWith(word) || word.startsWith(other)));
+  const wordScore = matchedWords.length / vendorWords.length;
+
+  const vendorPairs = bigrams(compactVendor);
+  const descriptionPairs = bigrams(compactDescription);
+  const remaining = [...descriptionPairs];
+  let shared = 0;
+  vendorPairs.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  const pairScore = vendorPairs.length + descriptionPairs.length > 0
+    ? (2 * shared) / (vendorPairs.length + descriptionPairs.length)
+    : 0;
+
+  return Math.max(wordScore, pairScore);
+};
+
+/**
+ * Normalize the matching options sent by the client
+ * @param {Object} options - { amountTolerance, dateWindowDays }
+ * @returns {Object} { amountTolerance, dateWindowDays }
+ */
+const normalizeMatchOptions = (options = {}) => {
+  const amountTolerance = options.amountTolerance === undefined || options.amountTolerance === ''
+    ? DEFAULT_AMOUNT_TOLERANCE
+    : Number(options.amountTolerance);
+  const dateWindowDays = options.dateWindowDays === undefined || options.dateWindowDays === ''
+    ? DEFAULT_DATE_WINDOW_DAYS
+    : Number(options.dateWindowDays);
+
+  if (!Number.isFinite(amountTolerance) || amountTolerance < 0 || amountTolerance > 0.5) {
+    throw new Error('Invalid amount tolerance: must be between 0 and 0.5');
+  }
+  if (!Number.isInteger(dateWindowDays) || dateWindowDays < 0 || dateWindowDays > 60) {
+    throw new Error('Invalid date window: must be a whole number of days between 0 and 60');
+  }
+
+  return { amountTolerance, dateWindowDays };
+};
+
+/**
+ * Score a transaction against a bill
+ * @param {Object} transaction - Statement transaction (debit)
+ * @param {Object} bill - Unpaid bill
+ * @param {Object} options - { amountTolerance, dateWindowDays }
+ * @returns {Object|null} { score, vendorScore, amountDifference, daysFromDue }, or null if outside the tolerance or window
+ */
+const scoreMatch = (transaction, bill, { amountTolerance, dateWindowDays }) => {
+  const amountDue = Math.max((parseFloat(bill.amount) || 0) - (parseFloat(bill.amount_paid) || 0), 0);
+  const paidAmount = Math.abs(transaction.amount);
+  const amountDifference = Math.round((paidAmount - amountDue) * 100) / 100;
+  const tolerance = Math.max(amountDue * amountTolerance, amountTolerance > 0 ? MIN_AMOUNT_TOLERANCE : 0);
+  if (Math.abs(amountDifference) > tolerance + 0.005) return null;
+
+  const daysFromDue = Math.round((parseDateOnly(transaction.date) - parseDateOnly(bill.due_date)) / 86400000);
+  if (Math.abs(daysFromDue) > dateWindowDays) return null;
+
+  const vendorScore = getVendorSimilarity(bill.vendor, `${transaction.name} ${transaction.memo}`);
+  const amountScore = tolerance > 0 ? 1 - Math.abs(amountDifference) / tolerance : 1;
+  const dateScore = dateWindowDays > 0 ? 1 - Math.abs(daysFromDue) / dateWindowDays : 1;
+
+  const score = SCORE_WEIGHTS.vendor * vendorScore +
+    SCORE_WEIGHTS.amount * Math.max(amountScore, 0) +
+    SCORE_WEIGHTS.date * Math.max(dateScore, 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    vendorScore: Math.round(vendorScore * 100) / 100,
+    amountDifference,
+    daysFromDue
+  };
+};
+
+/**
+ * Propose matches between statement debits and unpaid bills. Each bill and
+ * each transaction is used at most once, best scores first; other bills that
+ * fit a transaction are listed as candidates for the review screen.
+ * @param {Array} transactions - Statement transactions
+ * @param {Array} bills - Unpaid bills
+ * @param {Object} options - { amountTolerance, dateWindowDays }
+ * @returns {Array} Transactions with { match, candidates }
+ */
+const matchTransactions = (transactions, bills, options) => {
+  const pairs = [];
+  const candidates = new Map();
+
+  transactions.forEach(transaction => {
+    candidates.set(transaction.id, []);
+    if (transaction.amount >= 0 || transaction.alreadyRecorded) return;
+
+    bills.forEach(bill => {
+      const result = scoreMatch(transaction, bill, options);
+      if (!result) return;
+
+      candidates.get(transaction.id).push({ billId: bill.id, ...result });
+      if (result.score >= MIN_MATCH_SCORE) pairs.push({ transaction, bill, result });
+    });
+  });
+
+  const matchedBills = new Set();
+  const matches = new Map();
+
+  pairs
+    .sort((a, b) => b.result.score - a.result.score)
+    .forEach(({ transaction, bill, result }) => {
+      if (matches.has(transaction.id) || matchedBills.has(bill.id)) return;
+      matches.set(transaction.id, { billId: bill.id, ...result });
+      matchedBills.add(bill.id);
+    });
+
+  return transactions.map(transaction => ({
+    ...transaction,
+    match: matches.get(transaction.id) || null,
+    candidates: candidates.get(transaction.id).sort((a, b) => b.score - a.score)
+  }));
+};
+
+/**
+ * Stable ID for a transaction without a bank-assigned ID (CSV transactions and
+ * OFX transactions missing a FITID), from its contents, so importing the same
+ * file again finds the transactions already recorded
+ * @param {string} prefix - ID prefix (csv, or ofx and the account)
+ * @param {Object} transaction - { date, amount, name, reference }
+ * @param {number} occurrence - How many identical transactions came before it in the file
+ * @returns {string} Transaction ID
+ */
+const getContentTransactionId = (prefix, transaction, occurrence) => {
+  const key = [transaction.date, transaction.amount.toFixed(2), transaction.name, transaction.reference || '', occurrence].join('|');
+  return `${prefix}-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+};
+
+/**
+ * Give the transactions of a parsed OFX file their IDs: the bank's FITID, or
+ * a hash of the contents if the bank left it out
+ * @param {Object} ofx - Result of parseOfx
+ * @returns {Array<Object>} Transactions with IDs
+ */
+const getOfxTransactions = (ofx) => {
+  const prefix = `ofx-${ofx.accountId || 'account'}`;
+  const seen = new Map();
+
+  return ofx.transactions.map(transaction => {
+    if (transaction.id) return { ...transaction, id: `${prefix}-${transaction.id}` };
+
+    const content = {
+      date: transaction.date,
+      amount: transaction.amount,
+      name: [transaction.name, transaction.memo].filter(Boolean).join(' '),
+      reference: transaction.checkNumber
+    };
+    const key = [content.date, content.amount, content.name, content.reference].join('|');
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    return { ...transaction, id: getContentTransactionId(prefix, content, occurrence) };
+  });
+};
+
+/**
+ * Check a bank CSV column mapping: besides the required columns, money out
+ * needs either a signed amount or a debit column
+ * @param {Object} mapping - Column index by field key
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Array<string>} Problems with the mapping (empty if it is usable)
+ */
+const validateCsvMapping = (mapping, headers) => {
+  const errors = validateColumnMapping(mapping, headers, BANK_CSV_FIELDS);
+
+  if (!isColumnMapped(mapping, 'amount') && !isColumnMapped(mapping, 'debit')) {
+    errors.push('Map either an amount column or a debit column');
+  }
+
+  return errors;
+};
+
+/**
+ * Parse a bank CSV export with the generic profile: a date, a description and
+ * either a signed amount or separate debit and credit columns
+ * @param {string} text - CSV text
+ * @param {Object} options - { mapping, dateFormat }
+ * @returns {Object} { headers, mapping, mappingErrors, fields, transactions, errors }
+ */
+const parseBankCsv = (text, { mapping = null, dateFormat = 'YYYY-MM-DD' } = {}) => {
+  if (!DATE_FORMATS[dateFormat]) {
+    throw new Error(`Invalid date format: ${dateFormat}`);
+  }
+
+  const rows = parseCsv(text, detectDelimiter(text));
+  if (rows.length < 2) {
+    throw new Error('Invalid CSV: expected a header row and at least one transaction');
+  }
+
+  const [headers, ...dataRows] = rows;
+  const columnMapping = mapping || suggestColumnMapping(headers, BANK_CSV_FIELDS);
+  const mappingErrors = validateCsvMapping(columnMapping, headers);
+  const result = {
+    headers,
+    mapping: columnMapping,
+    mappingErrors,
+    fields: BANK_CSV_FIELDS.map(({ key, label, required }) => ({ key, label, required: !!required })),
+    transactions: [],
+    errors: []
+  };
+  if (mappingErrors.length > 0) return result;
+
+  const seen = new Map();
+
+  dataRows.forEach((fields, i) => {
+    const value = (key) => getMappedValue(fields, columnMapping, key);
+    const row = i + 2;
+
+    const date = parseDate(value('date'), dateFormat);
+    let amount = null;
+    if (value('amount')) {
+      amount = parseAmount(value('amount'));
+    } else if (value('debit')) {
+      amount = parseAmount(value('debit'));
+      if (amount !== null) amount = -Math.abs(amount);
+    } else if (value('credit')) {
+      amount = parseAmount(value('credit'));
+      if (amount !== null) amount = Math.abs(amount);
+    }
+
+    if (!date || amount === null) {
+      result.errors.push({ row, message: !date ? `Invalid date for ${dateFormat}: ${value('date')}` : 'Missing or invalid amount' });
+      return;
+    }
+
+    const transaction = { date, amount, name: value('description'), memo: '', type: null, reference: value('reference') || null };
+    const key = [date, amount, transaction.name, transaction.reference].join('|');
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    result.transactions.push({ id: getContentTransactionId('csv', transaction, occurrence), ...transaction });
+  });
+
+  return result;
+};
+
+/**
+ * Parse a statement file and propose matches with the user's unpaid bills
+ * @param {string} userId - User ID
+ * @param {Object} file - { text, fileName }
+ * @param {Object} [options] - { mapping, dateFormat } for CSV files, { amountTolerance, dateWindowDays } for matching
+ * @returns {Promise<Object>} { format, transactions, bills, ... }
+ */
+const analyzeStatement = async (userId, { text, fileName = '' }, options = {}) => {
+  try {
+    const matchOptions = normalizeMatchOptions(options);
+    const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text);
+
+    let statement;
+    if (isOfx) {
+      const ofx = parseOfx(text);
+      statement = {
+        format: 'ofx',
+        currency: ofx.currency,
+        transactions: getOfxTransactions(ofx),
+        errors: []
+      };
+    } else {
+      statement = { format: 'csv', ...parseBankCsv(text, options) };
+    }
+
+    const recorded = await paymentService.getRecordedTransactionIds(userId, statement.transactions.map(t => t.id));
+    const transactions = statement.transactions.map(transaction => ({
+      ...transaction,
+      alreadyRecorded: recorded.has(transaction.id)
+    }));
+
+    const bills = await billService.getUnpaidBillsForUser(userId);
+
+    return {
+      ...statement,
+      options: matchOptions,
+      transactions: matchTransactions(transactions, bills || [], matchOptions),
+      bills: (bills || []).map(({ id, vendor, amount, amount_paid: amountPaid, due_date: dueDate, category }) => ({
+        id, vendor, amount, amount_paid: amountPaid, due_date: dueDate, category
+      }))
+    };
+  } catch (error) {
+    console.error(`Error analyzing statement for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Validate a transaction sent back by the review screen
+ * @param {Object} transaction - { id, date, amount, name, memo, type }
+ * @returns {Object} Normalized transaction
+ */
+const normalizeTransaction = (transaction) => {
+  if (!transaction || typeof transaction.id !== 'string' || !transaction.id) {
+    throw new Error('Invalid transaction: missing ID');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(transaction.date))) {
+    throw new Error(`Invalid transaction date: ${transaction.date}`);
+  }
+
+  const amount = Number(transaction.amount);
+  if (!Number.isFinite(amount) || amount >= 0) {
+    throw new Error('Invalid transaction: only debits can pay a bill');
+  }
+
+  return {
+    id: transaction.id.slice(0, 200),
+    date: transaction.date,
+    amount,
+    name: String(transaction.name || '').slice(0, 200),
+    memo: String(transaction.memo || '').slice(0, 200),
+    type: transaction.type ? String(transaction.type).toUpperCase() : null
+  };
+};
+
+/**
+ * Record confirmed matches: the transaction is recorded as a payment of its
+ * bill (amount, date, reference and description), which marks the bill paid
+ * once the payments cover it. A debit below the amount owed but within the
+ * tolerance leaves the bill partially paid. Matches are processed one by one;
+ * a failed match does not undo the others.
+ * @param {string} userId - User ID
+ * @param {Array} matches - [{ billId, transaction }]
+ * @returns {Promise<Array>} Result per match: { billId, transactionId, status, bill?, error? }
+ */
+const confirmMatches = async (userId, matches) => {
+  if (!Array.isArray(matches) || matches.length === 0) {
+    throw new Error('Invalid request: no matches to confirm');
+  }
+
+  const transactions = matches.map(match => normalizeTransaction(match.transaction));
+  const recorded = await paymentService.getRecordedTransactionIds(userId, transactions.map(t => t.id));
+  const usedBills = new Set();
+  const results = [];
+
+  for (let i = 0; i < matches.length; i++) {
+    const { billId } = matches[i];
+    const transaction = transactions[i];
+    const result = { billId, transactionId: transaction.id };
+
+    try {
+      if (recorded.has(transaction.id)) {
+        results.push({ ...result, status: 'already_recorded' });
+        continue;
+      }
+
+      if (usedBills.has(billId)) {
+        results.push({ ...result, status: 'failed', error: 'Bill is already matched to another transaction' });
+        continue;
+      }
+
+      const bill = billId ? await billService.getBillById(billId, userId) : null;
+      if (!bill || (bill.user_id && bill.user_id !== userId)) {
+        results.push({ ...result, status: 'failed', error: 'Bill not found' });
+        continue;
+      }
+      if (bill.paid) {
+        results.push({ ...result, status: 'already_paid' });
+        continue;
+      }
+
+      usedBills.add(billId);
+      recorded.add(transaction.id);
+
+      const description = [transaction.name, transaction.memo].filter(Boolean).join(' - ');
+      // The unique index on transaction_id rejects a transaction that another
+      // confirm recorded in the meantime, before the bill is updated
+      const { bill: updatedBill, summary } = await paymentService.createPayment(bill, userId, {
+        amount: Math.abs(transaction.amount),
+        payment_date: transaction.date,
+        payment_method: TRANSACTION_PAYMENT_METHODS[transaction.type] || 'bank_transfer',
+        confirmation_number: transaction.id.replace(/^(ofx|csv)-/, ''),
+        transaction_id: transaction.id,
+        notes: `Bank statement: ${description || 'transaction'} (${Math.abs(transaction.amount).toFixed(2)})`
+      });
+
+      results.push({ ...result, status: summary.payment_status === 'paid' ? 'paid' : 'partially_paid', bill: updatedBill });
+    } catch (error) {
+      if (error.code === '23505') {
+        results.push({ ...result, status: 'already_recorded' });
+        continue;
+      }
+      console.error(`Error recording statement payment for bill ${billId}:`, error);
+      results.push({ ...result, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  BANK_CSV_FIELDS,
+  DEFAULT_AMOUNT_TOLERANCE,
+  DEFAULT_DATE_WINDOW_DAYS,
+  getVendorSimilarity,
+  matchTransactions,
+  parseBankCsv,
+  analyzeStatement,
+  confirmMatches
+};
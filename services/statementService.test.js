@@ -0,0 +1,94 @@
+jest.mock('../config/database', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const { getVendorSimilarity, matchTransactions, parseBankCsv } = require('./statementService');
+
+const OPTIONS = { amountTolerance: 0.05, dateWindowDays: 10 };
+
+describe('getVendorSimilarity', () => {
+  test('a vendor found in the description is a full match', () => {
+    expect(getVendorSimilarity('City Water', 'ACH DEBIT CITY WATER DEPT 8812')).toBe(1);
+    expect(getVendorSimilarity('Netflix', 'NETFLIX.COM 866-579-7172')).toBe(1);
+  });
+
+  test('partly matching names score between 0 and 1', () => {
+    const score = getVendorSimilarity('Comcast Xfinity', 'XFINITY MOBILE');
+    expect(score).toBeGreaterThan(0.4);
+    expect(score).toBeLessThan(1);
+  });
+
+  test('unrelated names score low', () => {
+    expect(getVendorSimilarity('City Water', 'SPOTIFY USA')).toBeLessThan(0.3);
+  });
+
+  test('noise words and numbers alone never match', () => {
+    expect(getVendorSimilarity('City Water', 'ACH DEBIT 8812')).toBe(0);
+    expect(getVendorSimilarity('', 'CITY WATER')).toBe(0);
+  });
+});
+
+describe('matchTransactions', () => {
+  const bills = [
+    { id: 'water', vendor: 'City Water', amount: '45.00', amount_paid: '0', due_date: '2024-03-10' },
+    { id: 'power', vendor: 'Power Co', amount: '120.00', amount_paid: '20.00', due_date: '2024-03-15' }
+  ];
+
+  test('matches debits to bills by vendor, amount and date', () => {
+    const [water, power] = matchTransactions([
+      { id: 't1', date: '2024-03-09', amount: -45, name: 'CITY WATER DEPT', memo: '' },
+      { id: 't2', date: '2024-03-16', amount: -100, name: 'POWER CO AUTOPAY', memo: '' }
+    ], bills, OPTIONS);
+
+    expect(water.match).toMatchObject({ billId: 'water', amountDifference: 0, daysFromDue: -1 });
+    // Compared with the amount still due (120 - 20)
+    expect(power.match).toMatchObject({ billId: 'power', amountDifference: 0, daysFromDue: 1 });
+  });
+
+  test('skips credits, recorded transactions and debits outside the tolerance or window', () => {
+    const results = matchTransactions([
+      { id: 'credit', date: '2024-03-10', amount: 45, name: 'CITY WATER', memo: '' },
+      { id: 'recorded', date: '2024-03-10', amount: -45, name: 'CITY WATER', memo: '', alreadyRecorded: true },
+      { id: 'amount', date: '2024-03-10', amount: -60, name: 'CITY WATER', memo: '' },
+      { id: 'date', date: '2024-04-10', amount: -45, name: 'CITY WATER', memo: '' }
+    ], bills, OPTIONS);
+
+    results.forEach(result => {
+      expect(result.match).toBeNull();
+      expect(result.candidates).toEqual([]);
+    });
+  });
+
+  test('uses each bill once, for the best scoring transaction', () => {
+    const [first, second] = matchTransactions([
+      { id: 't1', date: '2024-03-18', amount: -45, name: 'WATER', memo: '' },
+      { id: 't2', date: '2024-03-10', amount: -45, name: 'CITY WATER', memo: '' }
+    ], bills, OPTIONS);
+
+    expect(second.match.billId).toBe('water');
+    expect(first.match).toBeNull();
+    expect(first.candidates.map(candidate => candidate.billId)).toEqual(['water']);
+  });
+});
+
+describe('parseBankCsv', () => {
+  test('reads debit and credit columns and gives repeated rows their own IDs', () => {
+    const csv = [
+      'Date,Description,Debit,Credit',
+      '2024-03-09,CITY WATER,45.00,',
+      '2024-03-09,CITY WATER,45.00,',
+      '2024-03-10,SALARY,,1000.00'
+    ].join('\n');
+
+    const { transactions, mappingErrors } = parseBankCsv(csv);
+
+    expect(mappingErrors).toEqual([]);
+    expect(transactions.map(t => t.amount)).toEqual([-45, -45, 1000]);
+    expect(transactions[0].id).toMatch(/^csv-[0-9a-f]{24}$/);
+    expect(transactions[0].id).not.toBe(transactions[1].id);
+    expect(parseBankCsv(csv).transactions[0].id).toBe(transactions[0].id);
+  });
+
+  test('needs an amount or a debit column', () => {
+    expect(parseBankCsv('Date,Description,Credit\n2024-03-09,X,1').mappingErrors)
+      .toEqual(['Map either an amount column or a debit column']);
+  });
+});
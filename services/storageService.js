@@ -14,6 +14,20 @@ const streamToBuffer = (stream) => {
   });
 };
 
+/**
+ * Check that a Supabase Storage path is in a user's folder (bills/<userId>/).
+ * Bill rows only hold a path, so this keeps a path pointing into another
+ * user's folder from being read on their behalf.
+ * @param {string} storagePath - Path in the bill-images bucket
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the path belongs to the user
+ */
+const isUserStoragePath = (storagePath, userId) => {
+  const prefix = `bills/${userId}/`;
+  return !!userId && typeof storagePath === 'string' && storagePath.startsWith(prefix) &&
+    storagePath.length > prefix.length && !storagePath.split('/').includes('..');
+};
+
 /**
  * Upload a file to both local storage and Supabase Storage
  * @param {Object} file - The file object from multer
@@ -643,7 +657,46 @@ const testSupabaseStorage = async () => {
   }
 };
 
+/**
+ * Read the image stored for a bill: the local upload if it is still there,
+ * otherwise the copy in Supabase Storage (only from the bill owner's folder)
+ * @param {Object} bill - Bill with image_path and/or supabase_image_path
+ * @returns {Promise<Buffer|null>} Image contents, or null if the bill has no readable image
+ */
+const getBillImage = async (bill) => {
+  if (bill.image_path) {
+    try {
+      return await fs.promises.readFile(path.join(__dirname, '..', 'uploads', path.basename(bill.image_path)));
+    } catch (error) {
+      console.log(`Local image ${bill.image_path} not found, trying Supabase Storage`);
+    }
+  }
+
+  if (bill.supabase_image_path && supabase.supabaseAdmin) {
+    if (!isUserStoragePath(bill.supabase_image_path, bill.user_id)) {
+      console.error(`Not reading ${bill.supabase_image_path}: not in the folder of the bill's owner`);
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase.supabaseAdmin.storage
+        .from('bill-images')
+        .download(bill.supabase_image_path);
+
+      if (error) throw error;
+
+      return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+      console.error(`Error downloading ${bill.supabase_image_path} from Supabase Storage:`, error.message);
+    }
+  }
+
+  return null;
+};
+
 module.exports = {
   uploadFile,
+  isUserStoragePath,
+  getBillImage,
   testSupabaseStorage
 };
\ No newline at end of file
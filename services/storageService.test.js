@@ -0,0 +1,51 @@
+jest.mock('../config/database', () => ({ supabase: {}, supabaseAdmin: { storage: { from: jest.fn() } } }));
+
+const { supabaseAdmin } = require('../config/database');
+const { isUserStoragePath, getBillImage } = require('./storageService');
+
+describe('isUserStoragePath', () => {
+  test('accepts files in the user\'s folder', () => {
+    expect(isUserStoragePath('bills/user-1/1700000000000-receipt.png', 'user-1')).toBe(true);
+  });
+
+  test('rejects other users\' folders and shared folders', () => {
+    expect(isUserStoragePath('bills/user-2/receipt.png', 'user-1')).toBe(false);
+    expect(isUserStoragePath('bills/user-10/receipt.png', 'user-1')).toBe(false);
+    expect(isUserStoragePath('public-test/test-file.txt', 'user-1')).toBe(false);
+    expect(isUserStoragePath('bills/user-1/', 'user-1')).toBe(false);
+  });
+
+  test('rejects paths that climb out of the folder', () => {
+    expect(isUserStoragePath('bills/user-1/../user-2/receipt.png', 'user-1')).toBe(false);
+  });
+
+  test('rejects missing values', () => {
+    expect(isUserStoragePath(null, 'user-1')).toBe(false);
+    expect(isUserStoragePath('bills/undefined/receipt.png', undefined)).toBe(false);
+  });
+});
+
+describe('getBillImage', () => {
+  const download = jest.fn();
+
+  beforeEach(() => {
+    download.mockReset();
+    supabaseAdmin.storage.from.mockReturnValue({ download });
+  });
+
+  test('downloads images from the owner\'s folder', async () => {
+    download.mockResolvedValue({ data: { arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer }, error: null });
+
+    const image = await getBillImage({ user_id: 'user-1', supabase_image_path: 'bills/user-1/receipt.png' });
+
+    expect(download).toHaveBeenCalledWith('bills/user-1/receipt.png');
+    expect([...image]).toEqual([1, 2, 3]);
+  });
+
+  test('does not read another user\'s image', async () => {
+    const image = await getBillImage({ user_id: 'user-1', supabase_image_path: 'bills/user-2/receipt.png' });
+
+    expect(image).toBeNull();
+    expect(download).not.toHaveBeenCalled();
+  });
+});
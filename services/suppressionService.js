@@ -0,0 +1,196 @@
+// services/suppressionService.js
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+
+// Reasons an address is on the suppression list
+const SUPPRESSION_REASONS = ['hard_bounce', 'complaint'];
+
+// Webhook timestamps older than this are rejected to prevent replays
+const WEBHOOK_MAX_AGE = 10 * 60; // 10 minutes, in seconds
+
+/**
+ * Normalize an email address for suppression lookups
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-case address
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Check whether an address is on the suppression list
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if email must not be sent to this address
+ */
+const isEmailSuppressed = async (email) => {
+  const address = normalizeEmail(email);
+  if (!address) return false;
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('email_suppressions')
+      .select('email')
+      .eq('email', address)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return !!data;
+  } catch (error) {
+    // Don't stop all email if the suppression list can't be read
+    console.error(`Error checking email suppression for ${address}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Add addresses to the suppression list (existing entries are updated)
+ * @param {Array} entries - [{ email, reason, provider, details }]
+ * @returns {Promise<number>} Number of addresses suppressed
+ */
+const addSuppressions = async (entries) => {
+  // Keep the last event for each address
+  const byEmail = new Map();
+
+  entries.forEach(entry => {
+    const email = normalizeEmail(entry.email);
+    if (!email || !SUPPRESSION_REASONS.includes(entry.reason)) return;
+
+    byEmail.set(email, {
+      email,
+      reason: entry.reason,
+      provider: entry.provider || null,
+      details: entry.details ? String(entry.details).slice(0, 1000) : null,
+      updated_at: new Date()
+    });
+  });
+
+  if (byEmail.size === 0) return 0;
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('email_suppressions')
+      .upsert([...byEmail.values()], { onConflict: 'email' });
+
+    if (error) throw error;
+
+    console.log(`Suppressed ${byEmail.size} email address(es)`);
+    return byEmail.size;
+  } catch (error) {
+    console.error('Error adding email suppressions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that a webhook timestamp is recent
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @returns {boolean} True if the timestamp is within WEBHOOK_MAX_AGE
+ */
+const isRecentTimestamp = (timestamp) => {
+  const seconds = parseInt(timestamp, 10);
+  return !isNaN(seconds) && Math.abs(Date.now() / 1000 - seconds) <= WEBHOOK_MAX_AGE;
+};
+
+/**
+ * Verify a SendGrid signed event webhook request
+ * (ECDSA signature of timestamp + raw body, checked with SENDGRID_WEBHOOK_PUBLIC_KEY)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySendGridSignature = (rawBody, signature, timestamp) => {
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey || !rawBody || !signature || !isRecentTimestamp(timestamp)) return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(rawBody)]),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    console.error('Error verifying SendGrid webhook signature:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Verify a Mailgun webhook request
+ * (HMAC-SHA256 of timestamp + token with MAILGUN_WEBHOOK_SIGNING_KEY)
+ * @param {Object} signature - The `signature` object of the webhook body
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyMailgunSignature = (signature) => {
+  const signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+  if (!signingKey || !signature || !signature.token || !signature.signature || !isRecentTimestamp(signature.timestamp)) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto
+    .createHmac('sha256', signingKey)
+    .update(`${signature.timestamp}${signature.token}`)
+    .digest('hex'));
+  const actual = Buffer.from(String(signature.signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Extract hard bounces and spam complaints from a SendGrid event webhook body
+ * @param {Array} events - SendGrid events
+ * @returns {Array} Suppression entries
+ */
+const parseSendGridEvents = (events) => {
+  if (!Array.isArray(events)) return [];
+
+  return events
+    .filter(event => event && event.email && (
+      // "blocked" bounces are temporary; only "bounce" is a hard bounce
+      (event.event === 'bounce' && event.type !== 'blocked') || event.event === 'spamreport'
+    ))
+    .map(event => ({
+      email: event.email,
+      reason: event.event === 'spamreport' ? 'complaint' : 'hard_bounce',
+      provider: 'sendgrid',
+      details: event.reason || event.status || null
+    }));
+};
+
+/**
+ * Extract a hard bounce or complaint from a Mailgun webhook body
+ * @param {Object} body - Mailgun webhook body ({ signature, 'event-data' })
+ * @returns {Array} Suppression entries (empty for other events)
+ */
+const parseMailgunEvent = (body) => {
+  const eventData = body && body['event-data'];
+  if (!eventData || !eventData.recipient) return [];
+
+  const isHardBounce = eventData.event === 'failed' && eventData.severity === 'permanent';
+  if (!isHardBounce && eventData.event !== 'complained') return [];
+
+  const deliveryStatus = eventData['delivery-status'] || {};
+
+  return [{
+    email: eventData.recipient,
+    reason: isHardBounce ? 'hard_bounce' : 'complaint',
+    provider: 'mailgun',
+    details: deliveryStatus.description || deliveryStatus.message || eventData.reason || null
+  }];
+};
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  isEmailSuppressed,
+  addSuppressions,
+  verifySendGridSignature,
+  verifyMailgunSignature,
+  parseSendGridEvents,
+  parseMailgunEvent
+};
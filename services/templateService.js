@@ -0,0 +1,495 @@
+// services/templateService.js
+const { supabaseAdmin } = require('../config/database');
+const DEFAULT_EMAIL_TEMPLATES = require('../config/emailTemplates');
+const { renderTemplate } = require('../utils/templateUtils');
+const { parseDateOnly, daysBetween } = require('../utils/dateUtils');
+const { getActionUrl } = require('./actionLinkService');
+
+// Notification types that have an email template
+const EMAIL_TEMPLATE_TYPES = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+// Locale and currency used when a user has not chosen one
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_CURRENCY = 'USD';
+
+// Locale key for overrides that apply to every locale
+const DEFAULT_TEMPLATE_LOCALE = 'default';
+
+// Template overrides are cached briefly to avoid a query per email
+const templateCache = new Map();
+const TEMPLATE_CACHE_TTL = 60000; // 1 minute
+
+/**
+ * Check whether a string is a valid BCP 47 locale (e.g. en-US, de-DE)
+ * @param {string} locale - Locale to check
+ * @returns {boolean} True if the locale is valid
+ */
+const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a string is a valid ISO 4217 currency code (e.g. USD, EUR)
+ * @param {string} currency - Currency code to check
+ * @returns {boolean} True if the currency is valid
+ */
+const isValidCurrency = (currency) => {
+  if (!/^[A-Z]{3}$/.test(currency || '')) return false;
+  
+  try {
+    new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format an amount as currency in the user's locale
+ * @param {number|string} amount - Amount to format
+ * @param {Object} [formatOptions] - { locale, currency }
+ * @returns {string} Formatted amount, e.g. "$1,234.50" or "1.234,50 €"
+ */
+const formatCurrency = (amount, { locale, currency } = {}) => {
+  return new Intl.NumberFormat(locale || DEFAULT_LOCALE, {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY
+  }).format(parseFloat(amount) || 0);
+};
+
+/**
+ * Format a date-only value (e.g. a due date) in the user's locale.
+ * Date-only values are formatted in UTC so they never shift by a day.
+ * @param {string|Date} date - Date to format
+ * @param {Object} [formatOptions] - { locale }
+ * @returns {string} Formatted date, e.g. "Mar 5, 2025" or "5 mars 2025"
+ */
+const formatDate = (date, { locale } = {}) => {
+  if (!date) return '';
+  
+  return new Intl.DateTimeFormat(locale || DEFAULT_LOCALE, {
+    dateStyle: 'medium',
+    timeZone: 'UTC'
+  }).format(parseDateOnly(date));
+};
+
+/**
+ * Get the formatting options (locale and currency) from notification preferences
+ * @param {Object} [notificationPrefs] - The user's notification preferences
+ * @returns {Object} { locale, currency }
+ */
+const getFormatOptions = (notificationPrefs = {}) => ({
+  locale: (notificationPrefs && notificationPrefs.locale) || DEFAULT_LOCALE,
+  currency: (notificationPrefs && notificationPrefs.currency) || DEFAULT_CURRENCY
+});
+
+/**
+ * Base URL of the web app, used for links in emails
+ * @returns {string} App URL without a trailing slash
+ */
+const getAppUrl = () => (process.env.APP_URL || process.env.CLIENT_URL || 'http://localhost:3002').replace(/\/$/, '');
+
+/**
+ * Build the template variables for a single bill
+ * @param {Object} bill - Bill row
+ * @param {number} daysDifference - Days until the bill is due (negative when overdue)
+ * @param {Object} formatOptions - { locale, currency }
+ * @returns {Object} Template variables
+ */
+const getBillVariables = (bill, daysDifference, formatOptions) => {
+  const amount = parseFloat(bill.amount) || 0;
+  const amountDue = Math.max(amount - (parseFloat(bill.amount_paid) || 0), 0);
+  
+  return {
+    bill_id: bill.id,
+    vendor: bill.vendor,
+    amount: formatCurrency(amount, formatOptions),
+    amount_due: formatCurrency(amountDue, formatOptions),
+    partially_paid: amountDue > 0 && amountDue < amount,
+    due_date: formatDate(bill.due_date, formatOptions),
+    category: bill.category || 'Uncategorized',
+    notes: bill.notes || '',
+    days_until_due: Math.max(daysDifference, 0),
+    due_tomorrow: daysDifference === 1,
+    is_overdue: daysDifference < 0,
+    is_due_today: daysDifference === 0,
+    days_overdue: Math.max(-daysDifference, 0),
+    one_day_overdue: daysDifference === -1,
+    bill_url: `${getAppUrl()}/bill/${bill.id}`,
+    // Signed one-click links (empty for bills without an owner, e.g. previews)
+    mark_paid_url: getActionUrl(bill, 'mark_paid'),
+    snooze_url: getActionUrl(bill, 'snooze'),
+    view_url: getActionUrl(bill, 'view') || `${getAppUrl()}/bill/${bill.id}`
+  };
+};
+
+/**
+ * Build the escalation variables of an overdue reminder. The first reminder is
+ * a plain alert, the second a second notice and every later one is urgent.
+ * @param {number} [overdueStep] - Overdue reminder step (0 for the first reminder)
+ * @returns {Object} Template variables
+ */
+const getEscalationVariables = (overdueStep = 0) => {
+  const step = Math.max(parseInt(overdueStep, 10) || 0, 0);
+  
+  return {
+    reminder_number: step + 1,
+    escalation_level: Math.min(step, 2),
+    is_second_notice: step === 1,
+    is_urgent: step >= 2
+  };
+};
+
+/**
+ * Build the template variables for a list of bills with a total
+ * @param {Array} entries - Array of { bill, daysDifference }
+ * @param {Object} formatOptions - { locale, currency }
+ * @returns {Object} { items, total, totalAmount }
+ */
+const getBillListVariables = (entries, formatOptions) => {
+  let totalCents = 0;
+  
+  const items = entries.map(({ bill, daysDifference }) => {
+    const amountDue = Math.max((parseFloat(bill.amount) || 0) - (parseFloat(bill.amount_paid) || 0), 0);
+    totalCents += Math.round(amountDue * 100);
+    
+    return getBillVariables(bill, daysDifference, formatOptions);
+  });
+  
+  return {
+    items,
+    totalAmount: totalCents / 100,
+    total: formatCurrency(totalCents / 100, formatOptions)
+  };
+};
+
+/**
+ * Build the variables for a notification email
+ * @param {string} type - Template type (upcoming, due_today, overdue, overdue_contact, digest, weekly_summary, budget, test)
+ * @param {Object} context - Data for the email:
+ *   bill emails: { bill, daysDifference }, plus overdueStep for overdue emails and
+ *   accountEmail for overdue_contact; digest: { overdue, dueToday, upcoming };
+ *   weekly_summary: { bills, weekStart }; budget: { budget, level, month }; test: {}
+ * @param {Object} formatOptions - { locale, currency }
+ * @returns {Object} Template variables
+ */
+const buildTemplateVariables = (type, context, formatOptions) => {
+  const base = { app_url: getAppUrl(), app_name: 'Bill Reminder' };
+  
+  if (type === 'digest') {
+    const overdue = getBillListVariables(context.overdue || [], formatOptions);
+    const dueToday = getBillListVariables(context.dueToday || [], formatOptions);
+    const upcoming = getBillListVariables(context.upcoming || [], formatOptions);
+    const count = overdue.items.length + dueToday.items.length + upcoming.items.length;
+    
+    return {
+      ...base,
+      count,
+      one_bill: count === 1,
+      total: formatCurrency(overdue.totalAmount + dueToday.totalAmount + upcoming.totalAmount, formatOptions),
+      overdue: overdue.items,
+      overdue_count: overdue.items.length,
+      overdue_total: overdue.total,
+      due_today: dueToday.items,
+      due_today_total: dueToday.total,
+      upcoming: upcoming.items,
+      upcoming_total: upcoming.total
+    };
+  }
+  
+  if (type === 'weekly_summary') {
+    const week = getBillListVariables(context.bills || [], formatOptions);
+    
+    return {
+      ...base,
+      count: week.items.length,
+      one_bill: week.items.length === 1,
+      total: week.total,
+      bills: week.items,
+      week_start: formatDate(context.weekStart, formatOptions)
+    };
+  }
+  
+  if (type === 'budget') {
+    const formatPercent = (value) => new Intl.NumberFormat(formatOptions.locale, { style: 'percent', maximumFractionDigits: 0 }).format((value || 0) / 100);
+    
+    return {
+      ...base,
+      category: context.budget.category,
+      month: new Intl.DateTimeFormat(formatOptions.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        .format(new Date(`${context.month}-01T00:00:00Z`)),
+      budget: formatCurrency(context.budget.amount, formatOptions),
+      spent: formatCurrency(context.budget.spent, formatOptions),
+      projected: formatCurrency(context.budget.projected, formatOptions),
+      remaining: formatCurrency(context.budget.remaining, formatOptions),
+      percent: formatPercent(context.budget.percent),
+      projected_percent: formatPercent(context.budget.projected_percent),
+      is_exceeded: context.level === 'exceeded',
+      is_projected: context.level === 'projected',
+      budgets_url: `${getAppUrl()}/budgets`
+    };
+  }
+  
+  if (type === 'test') {
+    return {
+      ...base,
+      sent_at: new Intl.DateTimeFormat(formatOptions.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date()),
+      sample_amount: formatCurrency(1234.5, formatOptions),
+      sample_date: formatDate(new Date(), formatOptions)
+    };
+  }
+  
+  return {
+    ...base,
+    ...getBillVariables(context.bill, context.daysDifference, formatOptions),
+    ...getEscalationVariables(context.overdueStep),
+    account_email: context.accountEmail || ''
+  };
+};
+
+/**
+ * Get the admin overrides for a template type, cached for a short time
+ * @param {string} type - Template type
+ * @returns {Promise<Array>} Override rows for all locales
+ */
+const getTemplateOverrides = async (type) => {
+  const cached = templateCache.get(type);
+  if (cached && Date.now() - cached.timestamp < TEMPLATE_CACHE_TTL) {
+    return cached.data;
+  }
+  
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('email_templates')
+      .select('*')
+      .eq('type', type);
+    
+    if (error) throw error;
+    
+    templateCache.set(type, { data: data || [], timestamp: Date.now() });
+    return data || [];
+  } catch (error) {
+    // Fall back to the built-in templates if overrides cannot be loaded
+    console.error(`Error fetching email template overrides for ${type}:`, error.message || error);
+    return [];
+  }
+};
+
+/**
+ * Get the template for a notification type and locale.
+ * Looks for an override for the exact locale (e.g. fr-CA), then the language
+ * (fr), then one for all locales; each field falls back to the built-in template.
+ * @param {string} type - Template type
+ * @param {string} [locale] - User's locale
+ * @returns {Promise<Object>} { subject, html, text }
+ */
+const getTemplate = async (type, locale = DEFAULT_LOCALE) => {
+  const builtIn = DEFAULT_EMAIL_TEMPLATES[type];
+  
+  if (!builtIn) {
+    throw new Error(`Unknown email template type: ${type}`);
+  }
+  
+  const overrides = await getTemplateOverrides(type);
+  const language = (locale || DEFAULT_LOCALE).split('-')[0];
+  const override = [locale, language, DEFAULT_TEMPLATE_LOCALE]
+    .map(key => overrides.find(row => row.locale === key))
+    .find(Boolean);
+  
+  return {
+    subject: (override && override.subject) || builtIn.subject,
+    html: (override && override.html_body) || builtIn.html,
+    text: (override && override.text_body) || builtIn.text
+  };
+};
+
+/**
+ * Render a notification email in the user's locale and currency
+ * @param {string} type - Template type (upcoming, due_today, overdue, overdue_contact, digest, weekly_summary, budget, test)
+ * @param {Object} context - Data for the email (see buildTemplateVariables)
+ * @param {Object} [notificationPrefs] - The user's notification preferences (locale, currency)
+ * @returns {Promise<Object>} { subject, html, text }
+ */
+const renderEmail = async (type, context = {}, notificationPrefs = {}) => {
+  const formatOptions = getFormatOptions(notificationPrefs);
+  const template = await getTemplate(type, formatOptions.locale);
+  const variables = buildTemplateVariables(type, context, formatOptions);
+  
+  return {
+    subject: renderTemplate(template.subject, variables).replace(/\s+/g, ' ').trim(),
+    html: renderTemplate(template.html, variables, { escape: true }).trim(),
+    // Collapse the blank lines left behind by template blocks
+    text: renderTemplate(template.text, variables).replace(/\n{3,}/g, '\n\n').trim()
+  };
+};
+
+/**
+ * Get sample data for previewing a template type
+ * @param {string} type - Template type
+ * @param {string} today - Date (YYYY-MM-DD) the preview is rendered for
+ * @param {Array} [bills] - The user's unpaid bills; sample bills are used if empty
+ * @returns {Object} Context for renderEmail
+ */
+const getPreviewContext = (type, today, bills = []) => {
+  const addDays = (days) => {
+    const date = parseDateOnly(today);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+  
+  const sampleBills = bills.length > 0 ? bills : [
+    { id: 'sample-1', vendor: 'City Power & Light', amount: 84.2, due_date: addDays(-3), category: 'Utilities' },
+    { id: 'sample-2', vendor: 'Streaming Plus', amount: 15.99, due_date: addDays(0), category: 'Subscriptions' },
+    { id: 'sample-3', vendor: 'Home Insurance', amount: 1250, amount_paid: 250, due_date: addDays(5), category: 'Insurance' }
+  ];
+  
+  const entries = sampleBills.map(bill => ({ bill, daysDifference: daysBetween(today, bill.due_date) }));
+  const pick = (predicate, fallback) => entries.find(predicate) || fallback;
+  
+  switch (type) {
+    case 'upcoming':
+      return pick(entry => entry.daysDifference > 0, { bill: sampleBills[0], daysDifference: 3 });
+    case 'due_today':
+      return pick(entry => entry.daysDifference === 0, { bill: sampleBills[0], daysDifference: 0 });
+    case 'overdue':
+      return pick(entry => entry.daysDifference < 0, { bill: sampleBills[0], daysDifference: -3 });
+    case 'overdue_contact':
+      return {
+        ...pick(entry => entry.daysDifference < 0, { bill: sampleBills[0], daysDifference: -3 }),
+        accountEmail: 'you@example.com'
+      };
+    case 'digest':
+      return {
+        overdue: entries.filter(entry => entry.daysDifference < 0),
+        dueToday: entries.filter(entry => entry.daysDifference === 0),
+        upcoming: entries.filter(entry => entry.daysDifference > 0)
+      };
+    case 'weekly_summary':
+      return {
+        bills: entries.filter(entry => entry.daysDifference >= 0 && entry.daysDifference < 7),
+        weekStart: today
+      };
+    case 'budget':
+      return {
+        level: 'threshold',
+        month: today.slice(0, 7),
+        budget: { category: 'Utilities', amount: 200, spent: 168.4, projected: 184.4, remaining: 31.6, percent: 84.2, projected_percent: 92.2 }
+      };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Get the built-in templates and any admin overrides
+ * @returns {Promise<Array>} Array of { type, default, overrides }
+ */
+const listTemplates = async () => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('email_templates')
+      .select('*')
+      .order('locale', { ascending: true });
+    
+    if (error) throw error;
+    
+    return EMAIL_TEMPLATE_TYPES.map(type => ({
+      type,
+      default: DEFAULT_EMAIL_TEMPLATES[type],
+      overrides: (data || []).filter(row => row.type === type)
+    }));
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace an admin override for a template
+ * @param {string} type - Template type
+ * @param {Object} templateData - { locale, subject, html, text }
+ * @param {string} [updatedBy] - ID of the admin making the change
+ * @returns {Promise<Object>} Saved override
+ */
+const saveTemplateOverride = async (type, templateData, updatedBy = null) => {
+  try {
+    if (!DEFAULT_EMAIL_TEMPLATES[type]) {
+      throw new Error(`Unknown email template type: ${type}`);
+    }
+    
+    const locale = templateData.locale || DEFAULT_TEMPLATE_LOCALE;
+    if (locale !== DEFAULT_TEMPLATE_LOCALE && !isValidLocale(locale)) {
+      throw new Error(`Invalid locale: ${locale}`);
+    }
+    
+    if (!templateData.subject && !templateData.html && !templateData.text) {
+      throw new Error('Invalid template: provide a subject, html or text');
+    }
+    
+    const { data, error } = await supabaseAdmin
+      .from('email_templates')
+      .upsert({
+        type,
+        locale,
+        subject: templateData.subject || null,
+        html_body: templateData.html || null,
+        text_body: templateData.text || null,
+        updated_by: updatedBy,
+        updated_at: new Date()
+      }, { onConflict: 'type,locale' })
+      .select();
+    
+    if (error) throw error;
+    
+    templateCache.delete(type);
+    return data[0];
+  } catch (error) {
+    console.error(`Error saving email template ${type}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an admin override so the built-in template is used again
+ * @param {string} type - Template type
+ * @param {string} [locale] - Locale of the override
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteTemplateOverride = async (type, locale = DEFAULT_TEMPLATE_LOCALE) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('email_templates')
+      .delete()
+      .eq('type', type)
+      .eq('locale', locale);
+    
+    if (error) throw error;
+    
+    templateCache.delete(type);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting email template ${type} (${locale}):`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  EMAIL_TEMPLATE_TYPES,
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  isValidLocale,
+  isValidCurrency,
+  formatCurrency,
+  formatDate,
+  getFormatOptions,
+  getAppUrl,
+  renderEmail,
+  getPreviewContext,
+  listTemplates,
+  saveTemplateOverride,
+  deleteTemplateOverride
+};
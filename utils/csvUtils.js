@@ -0,0 +1,172 @@
+/**
+ * Parse CSV text (RFC 4180): quoted fields may contain delimiters, line breaks
+ * and doubled quotes. A leading byte order mark and blank lines are ignored.
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Guess the delimiter of CSV text from its first line (comma, semicolon or tab)
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter
+ */
+const detectDelimiter = (text) => {
+  const firstLine = String(text || '').split(/\r?\n/, 1)[0];
+  const count = (delimiter) => firstLine.split(delimiter).length - 1;
+
+  return [';', '\t'].reduce((best, delimiter) => (
+    count(delimiter) > count(best) ? delimiter : best
+  ), ',');
+};
+
+/**
+ * Quote a CSV field if needed. Text starting with =, +, -, @ or a control
+ * character is prefixed with ' so spreadsheets don't run it as a formula.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let field = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field) && !/^[+-]?\d+(\.\d+)?$/.test(field)) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Write rows as CSV text (RFC 4180, CRLF line breaks)
+ * @param {Array<Array<*>>} rows - Rows of fields
+ * @returns {string} - CSV text
+ */
+const stringifyCsv = (rows) => {
+  return rows.map(fields => fields.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Check whether a field is mapped to a column
+ * @param {Object} mapping - Column index by field key
+ * @param {string} key - Field key
+ * @returns {boolean} - True if the field has a column
+ */
+const isColumnMapped = (mapping, key) => mapping[key] !== undefined && mapping[key] !== null && mapping[key] !== '';
+
+/**
+ * Suggest a column for each field from the CSV headers. Headers are compared
+ * with the field aliases in lower case, with _ and - as spaces; each column is
+ * used once.
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Object>} fields - Fields ({ key, aliases }) in order of preference
+ * @returns {Object} - Column index by field key
+ */
+const suggestColumnMapping = (headers, fields) => {
+  const normalized = headers.map(header => String(header || '').trim().toLowerCase().replace(/[_-]+/g, ' '));
+  const mapping = {};
+  const used = new Set();
+
+  fields.forEach(field => {
+    const index = field.aliases
+      .map(alias => normalized.findIndex((header, i) => header === alias && !used.has(i)))
+      .find(i => i !== -1);
+
+    if (index !== undefined) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Check a column mapping against the CSV headers
+ * @param {Object} mapping - Column index by field key
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Object>} fields - Fields ({ key, label, required })
+ * @returns {Array<string>} - Problems with the mapping (empty if it is usable)
+ */
+const validateColumnMapping = (mapping, headers, fields) => {
+  const errors = [];
+
+  fields.forEach(field => {
+    const index = Number(mapping[field.key]);
+
+    if (!isColumnMapped(mapping, field.key)) {
+      if (field.required) errors.push(`${field.label} must be mapped to a column`);
+    } else if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+      errors.push(`${field.label} is mapped to a column that does not exist`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Read a mapped field from a CSV row
+ * @param {Array<string>} row - CSV fields of the row
+ * @param {Object} mapping - Column index by field key
+ * @param {string} key - Field key
+ * @returns {string} - Trimmed value ('' if the field is not mapped or empty)
+ */
+const getMappedValue = (row, mapping, key) => (isColumnMapped(mapping, key)
+  ? String(row[Number(mapping[key])] || '').trim()
+  : '');
+
+module.exports = {
+  parseCsv,
+  detectDelimiter,
+  stringifyCsv,
+  isColumnMapped,
+  suggestColumnMapping,
+  validateColumnMapping,
+  getMappedValue
+};
@@ -0,0 +1,71 @@
+const {
+  parseCsv,
+  detectDelimiter,
+  stringifyCsv,
+  suggestColumnMapping,
+  validateColumnMapping,
+  getMappedValue
+} = require('./csvUtils');
+
+const FIELDS = [
+  { key: 'vendor', label: 'Vendor', required: true, aliases: ['vendor', 'payee', 'name'] },
+  { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'amount due'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'memo', 'name'] }
+];
+
+describe('parseCsv', () => {
+  test('reads quoted fields with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('﻿a,b\r\n"x, y","say ""hi""\nthere"\n\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\n')).toThrow('Invalid CSV: unterminated quoted field');
+  });
+
+  test('detects semicolons and tabs', () => {
+    expect(detectDelimiter('a;b;c\n1,2;3;4')).toBe(';');
+    expect(detectDelimiter('a\tb\n')).toBe('\t');
+    expect(detectDelimiter('a,b\n')).toBe(',');
+  });
+
+  test('writes fields that spreadsheets would run as formulas as text', () => {
+    expect(stringifyCsv([['=SUM(A1)', '-5', 'a"b']])).toBe('\'=SUM(A1),-5,"a""b"\r\n');
+  });
+});
+
+describe('suggestColumnMapping', () => {
+  test('maps headers by alias, using each column once', () => {
+    expect(suggestColumnMapping(['Name', 'Amount_Due', 'Other'], FIELDS)).toEqual({ vendor: 0, amount: 1 });
+    expect(suggestColumnMapping(['name', 'payee', 'amount'], FIELDS)).toEqual({ vendor: 1, amount: 2, notes: 0 });
+  });
+});
+
+describe('validateColumnMapping', () => {
+  test('requires the required fields', () => {
+    expect(validateColumnMapping({ vendor: 0, notes: '' }, ['a', 'b'], FIELDS)).toEqual(['Amount must be mapped to a column']);
+  });
+
+  test('rejects columns that do not exist', () => {
+    expect(validateColumnMapping({ vendor: 0, amount: 2, notes: 'x' }, ['a', 'b'], FIELDS)).toEqual([
+      'Amount is mapped to a column that does not exist',
+      'Notes is mapped to a column that does not exist'
+    ]);
+  });
+
+  test('accepts column indexes sent as strings', () => {
+    expect(validateColumnMapping({ vendor: '1', amount: '0' }, ['a', 'b'], FIELDS)).toEqual([]);
+  });
+});
+
+describe('getMappedValue', () => {
+  test('reads the trimmed value of mapped fields', () => {
+    const mapping = { vendor: 1, amount: '0', notes: null };
+    expect(getMappedValue([' 12.50 ', 'Water '], mapping, 'vendor')).toBe('Water');
+    expect(getMappedValue([' 12.50 ', 'Water '], mapping, 'amount')).toBe('12.50');
+    expect(getMappedValue([' 12.50 ', 'Water '], mapping, 'notes')).toBe('');
+    expect(getMappedValue(['12.50'], mapping, 'vendor')).toBe('');
+  });
+});
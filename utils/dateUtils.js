@@ -1,20 +1,105 @@
 /**
- * Calculate the number of days between two dates
- * @param {Date} date1 - First date
- * @param {Date} date2 - Second date
+ * Check whether a string is a valid IANA timezone name (e.g. 'Europe/Berlin')
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} - True if the timezone is supported
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone name (defaults to the server timezone)
+ * @returns {string} - Date as YYYY-MM-DD in that timezone
+ */
+const getDateInTimeZone = (date = new Date(), timeZone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone name (defaults to the server timezone)
+ * @returns {string} - Time as HH:MM (24-hour) in that timezone
+ */
+const getTimeInTimeZone = (date = new Date(), timeZone) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+};
+
+/**
+ * Get the instant a wall-clock date and time occur in a timezone
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @param {string} [timeZone] - IANA timezone name (defaults to the server timezone)
+ * @returns {Date} - The instant
+ */
+const getInstantInTimeZone = (date, time, timeZone) => {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  
+  // Offset of the timezone at an instant: its wall-clock time there, read as UTC, minus the instant
+  const offsetAt = (instant) => {
+    const local = Date.parse(`${getDateInTimeZone(instant, timeZone)}T${getTimeInTimeZone(instant, timeZone)}:00Z`);
+    return local - Math.floor(instant.getTime() / 60000) * 60000;
+  };
+  
+  const guess = new Date(wallClock - offsetAt(new Date(wallClock)));
+  // A second pass corrects the offset when a DST change falls between the two
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Convert a date value to a calendar date string. Date-only strings are used
+ * as-is; Date objects are converted in the given timezone.
+ * @param {Date|string} value - Date or date string
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+const toCalendarDate = (value, timeZone) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  
+  return getDateInTimeZone(new Date(value), timeZone);
+};
+
+/**
+ * Calculate the number of calendar days between two dates
+ * @param {Date|string} date1 - First date
+ * @param {Date|string} date2 - Second date
+ * @param {string} [timeZone] - Timezone used to determine the calendar day of Date values
+ *   (defaults to the server timezone)
  * @returns {number} - Number of days between the dates
  */
-const daysBetween = (date1, date2) => {
+const daysBetween = (date1, date2, timeZone) => {
   const oneDay = 24 * 60 * 60 * 1000; // hours*minutes*seconds*milliseconds
-  const normalizedDate1 = new Date(date1);
-  const normalizedDate2 = new Date(date2);
   
-  // Set both dates to midnight to ignore time
-  normalizedDate1.setHours(0, 0, 0, 0);
-  normalizedDate2.setHours(0, 0, 0, 0);
+  // Compare calendar days at UTC midnight so DST changes don't shift the result
+  const normalizedDate1 = parseDateOnly(toCalendarDate(date1, timeZone));
+  const normalizedDate2 = parseDateOnly(toCalendarDate(date2, timeZone));
   
   // Calculate the difference in days
-  return Math.floor((normalizedDate2 - normalizedDate1) / oneDay);
+  return Math.round((normalizedDate2 - normalizedDate1) / oneDay);
 };
 
 /**
@@ -81,10 +166,46 @@ const formatYYYYMMDD = (date = new Date()) => {
   return date.toISOString().split('T')[0];
 };
 
+/**
+ * Parse a date-only value (YYYY-MM-DD) as a UTC date so that calendar
+ * arithmetic is not shifted by the server's timezone
+ * @param {Date|string} value - Date or date string
+ * @returns {Date} - Date at UTC midnight
+ */
+const parseDateOnly = (value) => {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Add months to a date, clamping to the last day of the target month
+ * (e.g. Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - UTC date to add months to
+ * @param {number} months - Number of months to add
+ * @returns {Date} - Resulting UTC date
+ */
+const addMonthsClamped = (date, months) => {
+  const targetMonth = date.getUTCMonth() + months;
+  const lastDayOfTarget = new Date(Date.UTC(date.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+  const day = Math.min(date.getUTCDate(), lastDayOfTarget);
+  
+  return new Date(Date.UTC(date.getUTCFullYear(), targetMonth, day));
+};
+
 module.exports = {
   daysBetween,
   isToday,
   startOfDay,
   startOfPeriodAgo,
-  formatYYYYMMDD
+  formatYYYYMMDD,
+  parseDateOnly,
+  addMonthsClamped,
+  isValidTimeZone,
+  getDateInTimeZone,
+  getTimeInTimeZone,
+  getInstantInTimeZone
 };
@@ -0,0 +1,124 @@
+// iCalendar (RFC 5545) lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslashes, semicolons, commas and newlines)
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so no line is longer than 75 octets. Continuation lines
+ * start with a space; multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    
+    current += char;
+    currentOctets += octets;
+  }
+  
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a calendar date as an iCalendar DATE value
+ * @param {string|Date} date - Date (YYYY-MM-DD or Date)
+ * @returns {string} - Date as YYYYMMDD
+ */
+const formatDateValue = (date) => {
+  const value = date instanceof Date ? date.toISOString() : String(date);
+  return value.slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Format an instant as an iCalendar UTC DATE-TIME value
+ * @param {string|Date} date - Instant
+ * @returns {string} - Date-time as YYYYMMDDTHHMMSSZ
+ */
+const formatDateTimeValue = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Format a number of minutes as an iCalendar DURATION before an event
+ * @param {number} minutes - Minutes before the event starts
+ * @returns {string} - Negative duration, e.g. -P2DT16H
+ */
+const formatDurationBefore = (minutes) => {
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (mins) time += `${mins}M`;
+  
+  if (!days && !time) return '-PT0M';
+  return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+};
+
+/**
+ * Serialize a calendar component tree to iCalendar text
+ * @param {Object} component - { name, properties: [[name, value]], components: [...] }
+ *   A property value that is already escaped (or not TEXT) is passed as { raw: value }
+ * @returns {Array<string>} - Folded content lines
+ */
+const serializeComponent = (component) => {
+  const lines = [`BEGIN:${component.name}`];
+  
+  (component.properties || []).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    
+    const text = typeof value === 'object' ? value.raw : escapeText(value);
+    lines.push(foldLine(`${name}:${text}`));
+  });
+  
+  (component.components || []).forEach(child => {
+    lines.push(...serializeComponent(child));
+  });
+  
+  lines.push(`END:${component.name}`);
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - VCALENDAR component (see serializeComponent)
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = (calendar) => {
+  return `${serializeComponent({ name: 'VCALENDAR', ...calendar }).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateValue,
+  formatDateTimeValue,
+  formatDurationBefore,
+  buildCalendar
+};
@@ -0,0 +1,80 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that are not on the public internet: requests to user-supplied
+// URLs must not reach the server's own machine, its private network or the
+// cloud metadata service (169.254.169.254)
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, including cloud metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback (IPv4-mapped addresses are matched by the IPv4 ranges)
+  ['fc00::', 7], // Unique local, including cloud metadata (fd00:ec2::254)
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is not public (false for anything that is not an IP address)
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check whether a URL's host is an IP address that is not public. Host names
+ * are checked when they are resolved, by publicLookup.
+ * @param {string} value - URL
+ * @returns {boolean} - True if the host is a non-public IP address
+ */
+const isPrivateUrl = (value) => {
+  try {
+    // IPv6 hosts are in brackets in URLs
+    return isPrivateAddress(new URL(value).hostname.replace(/^\[|\]$/g, ''));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses host names resolving to
+ * a non-public address. Checking the resolved address used for the connection
+ * (rather than resolving once beforehand) also stops DNS rebinding.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family)
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} is a private or local network address`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateUrl,
+  publicLookup
+};
@@ -0,0 +1,62 @@
+jest.mock('dns', () => ({ lookup: jest.fn() }));
+
+const dns = require('dns');
+const { isPrivateAddress, isPrivateUrl, publicLookup } = require('./networkUtils');
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fd00:ec2::254', 'fc00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+  ])('%s is not public', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '203.0.113.80', '2606:4700::1111', '::ffff:8.8.8.8'])('%s is public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test('host names are not addresses', () => {
+    expect(isPrivateAddress('localhost')).toBe(false);
+  });
+});
+
+describe('isPrivateUrl', () => {
+  test('checks IP address hosts, including bracketed IPv6', () => {
+    expect(isPrivateUrl('http://169.254.169.254/latest/meta-data')).toBe(true);
+    expect(isPrivateUrl('https://[::1]:8443/hook')).toBe(true);
+    expect(isPrivateUrl('https://8.8.8.8/hook')).toBe(false);
+    expect(isPrivateUrl('https://hooks.example.com/x')).toBe(false);
+    expect(isPrivateUrl('not a url')).toBe(false);
+  });
+});
+
+describe('publicLookup', () => {
+  test('passes public addresses through', (done) => {
+    dns.lookup.mockImplementation((hostname, options, callback) => callback(null, [{ address: '203.0.113.80', family: 4 }]));
+    publicLookup('hooks.example.com', { all: true }, (error, addresses) => {
+      expect(error).toBeNull();
+      expect(addresses).toEqual([{ address: '203.0.113.80', family: 4 }]);
+      done();
+    });
+  });
+
+  test('refuses host names that resolve to a private address', (done) => {
+    dns.lookup.mockImplementation((hostname, options, callback) => callback(null, '127.0.0.1', 4));
+    publicLookup('localhost', {}, (error) => {
+      expect(error.message).toBe('localhost is a private or local network address');
+      done();
+    });
+  });
+
+  test('refuses when any of the addresses is private', (done) => {
+    dns.lookup.mockImplementation((hostname, options, callback) => callback(null, [
+      { address: '203.0.113.80', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]));
+    publicLookup('rebind.example.com', { all: true }, (error) => {
+      expect(error).toBeInstanceOf(Error);
+      done();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ' };
+
+/**
+ * Decode the XML/SGML entities used in OFX values
+ * @param {string} value - Raw value
+ * @returns {string} - Decoded value
+ */
+const decodeEntities = (value) => {
+  return value.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, entity => ENTITIES[entity]);
+};
+
+/**
+ * Read the elements of an OFX aggregate. OFX 1.x (SGML, also used by QFX)
+ * leaves elements unclosed (<NAME>value), OFX 2.x is XML (<NAME>value</NAME>);
+ * both are read by taking the text up to the next tag or line break.
+ * @param {string} block - Text of the aggregate
+ * @returns {Object} - Element values by tag name (first occurrence)
+ */
+const readElements = (block) => {
+  const elements = {};
+  const pattern = /<([A-Z0-9.]+)>([^<\r\n]*)/gi;
+  let match;
+
+  while ((match = pattern.exec(block)) !== null) {
+    const name = match[1].toUpperCase();
+    const value = decodeEntities(match[2].trim());
+    if (value !== '' && elements[name] === undefined) elements[name] = value;
+  }
+
+  return elements;
+};
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to a calendar date.
+ * The posting day is taken as written, without timezone conversion.
+ * @param {string} value - OFX date
+ * @returns {string|null} - Date as YYYY-MM-DD, or null if invalid
+ */
+const parseOfxDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse an OFX or QFX statement
+ * @param {string} text - Statement file contents
+ * @returns {Object} - { currency, accountId, transactions: [{ id, date, amount, name, memo, type, checkNumber }] }
+ */
+const parseOfx = (text) => {
+  const input = String(text || '');
+
+  if (!/<OFX>/i.test(input)) {
+    throw new Error('Invalid OFX: no <OFX> element found');
+  }
+
+  const header = readElements(input.split(/<BANKTRANLIST>/i)[0]);
+  const blocks = input.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const transactions = blocks.map(block => {
+    const elements = readElements(block);
+
+    return {
+      id: elements.FITID || null,
+      date: parseOfxDate(elements.DTPOSTED || elements.DTUSER),
+      amount: parseFloat(String(elements.TRNAMT || '').replace(',', '.')),
+      name: elements.NAME || elements.PAYEE || '',
+      memo: elements.MEMO || '',
+      type: elements.TRNTYPE || null,
+      checkNumber: elements.CHECKNUM || null
+    };
+  }).filter(transaction => transaction.date && Number.isFinite(transaction.amount));
+
+  return {
+    currency: header.CURDEF || null,
+    accountId: header.ACCTID || null,
+    transactions
+  };
+};
+
+module.exports = {
+  parseOfx,
+  parseOfxDate
+};
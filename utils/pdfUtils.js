@@ -0,0 +1,508 @@
+const zlib = require('zlib');
+
+// Page sizes in points (1/72 inch)
+const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+// Fonts are the standard Helvetica faces every PDF reader has, so nothing is embedded
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII characters, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding has, with their codes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Convert text to WinAnsi character codes; characters the standard fonts
+ * can't show become '?' (narrow and thin spaces from Intl formats become spaces)
+ * @param {string} text - Text
+ * @returns {string} - One character per byte (latin1)
+ */
+const toWinAnsi = (text) => Array.from(String(text === null || text === undefined ? '' : text)).map(char => {
+  const code = char.codePointAt(0);
+  if (code === 0x202f || code === 0x2009) return ' ';
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  return code === 10 || code === 9 ? ' ' : '?';
+}).join('');
+
+/**
+ * Width of text in points
+ * @param {string} text - Text
+ * @param {string} [font] - 'regular' or 'bold'
+ * @param {number} [size] - Font size in points
+ * @returns {number} - Width
+ */
+const textWidth = (text, font = 'regular', size = 10) => {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = Array.from(toWinAnsi(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+  }, 0);
+
+  return (units * size) / 1000;
+};
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width in points
+ * @param {string} [font] - 'regular' or 'bold'
+ * @param {number} [size] - Font size
+ * @returns {string} - Text that fits
+ */
+const truncateText = (text, maxWidth, font = 'regular', size = 10) => {
+  const value = String(text === null || text === undefined ? '' : text);
+  if (textWidth(value, font, size) <= maxWidth) return value;
+
+  let end = value.length;
+  while (end > 0 && textWidth(`${value.slice(0, end)}…`, font, size) > maxWidth) end--;
+  return `${value.slice(0, end).trimEnd()}…`;
+};
+
+/**
+ * Break text into lines that fit a width, at spaces where possible
+ * @param {string} text - Text (line breaks are kept)
+ * @param {number} maxWidth - Available width in points
+ * @param {string} [font] - 'regular' or 'bold'
+ * @param {number} [size] - Font size
+ * @returns {Array<string>} - Lines
+ */
+const wrapText = (text, maxWidth, font = 'regular', size = 10) => {
+  const lines = [];
+
+  String(text === null || text === undefined ? '' : text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+      // Words longer than the line are split
+      let rest = word;
+      while (textWidth(rest, font, size) > maxWidth) {
+        let end = rest.length - 1;
+        while (end > 1 && textWidth(rest.slice(0, end), font, size) > maxWidth) end--;
+        lines.push(rest.slice(0, end));
+        rest = rest.slice(end);
+      }
+      line = rest;
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+/**
+ * Parse a color given as #rrggbb
+ * @param {string} color - Hex color
+ * @returns {string} - PDF color components
+ */
+const toRgb = (color) => {
+  const hex = String(color || '#000000').replace('#', '');
+  return [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+};
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} - Number with at most two decimals
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Escape a PDF literal string
+ * @param {string} text - WinAnsi text
+ * @returns {string} - Escaped string
+ */
+const escapeString = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Read the size and color space of a JPEG from its frame header
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Object|null} - { width, height, components } or null if not a baseline/progressive JPEG
+ */
+const readJpegInfo = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9]
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+};
+
+/**
+ * Decode an 8-bit, non-interlaced PNG into raw color and alpha samples
+ * @param {Buffer} buffer - PNG data
+ * @returns {Object|null} - { width, height, colors, pixels, alpha } or null if unsupported
+ */
+const decodePng = (buffer) => {
+  if (buffer.length < 33 || buffer.toString('latin1', 1, 4) !== 'PNG') return null;
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0) return null;
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels || (header.colorType === 3 && !palette)) return null;
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const rows = Buffer.alloc(stride * height);
+
+  // Undo the per-row filters (None, Sub, Up, Average, Paeth)
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? rows[out + x - channels] : 0;
+      const up = y > 0 ? rows[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? rows[out - stride + x - channels] : 0;
+      let value = line[x];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+
+      rows[out + x] = value & 0xff;
+    }
+  }
+
+  const colors = header.colorType === 0 || header.colorType === 4 ? 1 : 3;
+  const pixels = Buffer.alloc(width * height * colors);
+  const hasAlpha = header.colorType === 4 || header.colorType === 6 || (header.colorType === 3 && !!transparency);
+  const alpha = hasAlpha ? Buffer.alloc(width * height) : null;
+
+  for (let i = 0; i < width * height; i++) {
+    if (header.colorType === 3) {
+      const index = rows[i];
+      palette.copy(pixels, i * 3, index * 3, index * 3 + 3);
+      if (alpha) alpha[i] = index < transparency.length ? transparency[index] : 255;
+    } else {
+      rows.copy(pixels, i * colors, i * channels, i * channels + colors);
+      if (alpha) alpha[i] = rows[i * channels + colors];
+    }
+  }
+
+  return { width, height, colors, pixels, alpha };
+};
+
+/**
+ * Create an empty document
+ * @param {Object} [options] - { size: 'letter' or 'a4', title, author }
+ * @returns {Object} - Document
+ */
+const createDocument = ({ size = 'letter', title = '', author = '' } = {}) => ({
+  ...(PAGE_SIZES[size] || PAGE_SIZES.letter),
+  title,
+  author,
+  pages: [],
+  images: []
+});
+
+/**
+ * Add a page to a document
+ * @param {Object} doc - Document
+ * @returns {Object} - Page; drawing functions take it with coordinates from the top left
+ */
+const addPage = (doc) => {
+  const page = { doc, operations: [], images: new Set() };
+  doc.pages.push(page);
+  return page;
+};
+
+/**
+ * Draw a line of text; y is the baseline, measured from the top of the page
+ * @param {Object} page - Page
+ * @param {string} text - Text
+ * @param {number} x - Left edge (or right edge when align is 'right')
+ * @param {number} y - Baseline
+ * @param {Object} [options] - { font, size, color, align: 'left', 'right' or 'center' }
+ */
+const drawText = (page, text, x, y, { font = 'regular', size = 10, color = '#000000', align = 'left' } = {}) => {
+  const width = textWidth(text, font, size);
+  const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+  page.operations.push(
+    `BT /${FONTS[font].name} ${num(size)} Tf ${toRgb(color)} rg ${num(left)} ${num(page.doc.height - y)} Td (${escapeString(toWinAnsi(text))}) Tj ET`
+  );
+};
+
+/**
+ * Draw a straight line
+ * @param {Object} page - Page
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y (from the top)
+ * @param {number} x2 - End x
+ * @param {number} y2 - End y (from the top)
+ * @param {Object} [options] - { color, width }
+ */
+const drawLine = (page, x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) => {
+  const h = page.doc.height;
+  page.operations.push(`${toRgb(color)} RG ${num(width)} w ${num(x1)} ${num(h - y1)} m ${num(x2)} ${num(h - y2)} l S`);
+};
+
+/**
+ * Draw a rectangle
+ * @param {Object} page - Page
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge (from the top of the page)
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {Object} [options] - { fill, stroke, lineWidth }
+ */
+const drawRect = (page, x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) => {
+  const rect = `${num(x)} ${num(page.doc.height - y - height)} ${num(width)} ${num(height)} re`;
+  const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+  const colors = `${fill ? `${toRgb(fill)} rg ` : ''}${stroke ? `${toRgb(stroke)} RG ${num(lineWidth)} w ` : ''}`;
+  page.operations.push(`${colors}${rect} ${paint}`);
+};
+
+/**
+ * Add an image (JPEG or 8-bit PNG) to a document
+ * @param {Object} doc - Document
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object|null} - Image with its width and height in pixels, or null if the format is not supported
+ */
+const addImage = (doc, buffer) => {
+  const jpeg = readJpegInfo(buffer);
+  if (jpeg) {
+    const colorSpace = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' }[jpeg.components];
+    if (!colorSpace) return null;
+
+    const image = {
+      name: `Im${doc.images.length + 1}`,
+      width: jpeg.width,
+      height: jpeg.height,
+      dictionary: `/ColorSpace /${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${jpeg.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''}`,
+      data: buffer,
+      mask: null
+    };
+    doc.images.push(image);
+    return image;
+  }
+
+  let png = null;
+  try {
+    png = decodePng(buffer);
+  } catch (error) {
+    return null;
+  }
+  if (!png) return null;
+
+  const image = {
+    name: `Im${doc.images.length + 1}`,
+    width: png.width,
+    height: png.height,
+    dictionary: `/ColorSpace /${png.colors === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 /Filter /FlateDecode`,
+    data: zlib.deflateSync(png.pixels),
+    mask: png.alpha ? zlib.deflateSync(png.alpha) : null
+  };
+  doc.images.push(image);
+  return image;
+};
+
+/**
+ * Draw an image scaled to fit a box, keeping its proportions
+ * @param {Object} page - Page
+ * @param {Object} image - Image from addImage
+ * @param {number} x - Left edge of the box
+ * @param {number} y - Top edge of the box (from the top of the page)
+ * @param {number} maxWidth - Box width
+ * @param {number} maxHeight - Box height
+ * @returns {Object} - { width, height } drawn
+ */
+const drawImage = (page, image, x, y, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  page.images.add(image);
+  page.operations.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(page.doc.height - y - height)} cm /${image.name} Do Q`);
+  return { width, height };
+};
+
+/**
+ * Serialize a document as a PDF file
+ * @param {Object} doc - Document
+ * @returns {Buffer} - PDF file
+ */
+const renderPdf = (doc) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (dictionary, data) => Buffer.concat([
+    Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = {};
+  Object.values(FONTS).forEach(font => {
+    fontIds[font.name] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+  });
+
+  const imageIds = new Map();
+  doc.images.forEach(image => {
+    const maskId = image.mask
+      ? addObject(stream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image.mask))
+      : null;
+    imageIds.set(image, addObject(stream(
+      `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ${image.dictionary}${maskId ? ` /SMask ${maskId} 0 R` : ''}`,
+      image.data
+    )));
+  });
+
+  const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+  const pageIds = doc.pages.map(page => {
+    const contentId = addObject(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'))));
+    const xObjects = [...page.images].map(image => `/${image.name} ${imageIds.get(image)} 0 R`).join(' ');
+
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(doc.width)} ${num(doc.height)}] ` +
+      `/Resources << /Font << ${fontResources} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const infoId = addObject(
+    `<< /Title (${escapeString(toWinAnsi(doc.title))}) /Author (${escapeString(toWinAnsi(doc.author))}) ` +
+    `/Producer (Bill Reminder) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`
+  );
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  objects.forEach((body, i) => {
+    const content = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+    const part = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), content, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(length);
+    parts.push(part);
+    length += part.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+
+  return Buffer.concat([...parts, Buffer.from(xref, 'latin1')]);
+};
+
+module.exports = {
+  PAGE_SIZES,
+  textWidth,
+  truncateText,
+  wrapText,
+  createDocument,
+  addPage,
+  drawText,
+  drawLine,
+  drawRect,
+  addImage,
+  drawImage,
+  renderPdf
+};
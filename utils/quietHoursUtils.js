@@ -0,0 +1,129 @@
+const { getDateInTimeZone, getTimeInTimeZone, getInstantInTimeZone, parseDateOnly, formatYYYYMMDD } = require('./dateUtils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a quiet hours boundary
+ * @param {string|null} value - Local time (HH:MM or HH:MM:SS)
+ * @param {string} name - Setting name for the error message
+ * @returns {string|null} - Time as HH:MM, or null if empty
+ */
+const normalizeQuietTime = (value, name = 'quiet hours time') => {
+  if (value === null || value === undefined || value === '') return null;
+  
+  if (!TIME_PATTERN.test(String(value))) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  
+  return String(value).slice(0, 5);
+};
+
+/**
+ * Normalize a do-not-disturb date
+ * @param {string|null} value - Local date (YYYY-MM-DD)
+ * @param {string} name - Setting name for the error message
+ * @returns {string|null} - Date as YYYY-MM-DD, or null if empty
+ */
+const normalizeDoNotDisturbDate = (value, name = 'do-not-disturb date') => {
+  if (value === null || value === undefined || value === '') return null;
+  
+  const date = String(value).slice(0, 10);
+  if (!DATE_PATTERN.test(date) || isNaN(parseDateOnly(date).getTime())) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  
+  return date;
+};
+
+/**
+ * Add days to a local date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const addDays = (date, days) => {
+  const result = parseDateOnly(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return formatYYYYMMDD(result);
+};
+
+/**
+ * Get the end of the quiet hours a user is in. Quiet hours may span midnight
+ * (e.g. 22:00 to 07:00) and are read in the user's timezone.
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} - When the quiet hours end, or null if the user is not in them
+ */
+const getQuietHoursEnd = (notificationPrefs, now = new Date()) => {
+  if (!notificationPrefs.quiet_hours_enabled) return null;
+  
+  const start = normalizeQuietTime(notificationPrefs.quiet_hours_start);
+  const end = normalizeQuietTime(notificationPrefs.quiet_hours_end);
+  if (!start || !end || start === end) return null;
+  
+  const timeZone = notificationPrefs.timezone;
+  const today = getDateInTimeZone(now, timeZone);
+  const time = getTimeInTimeZone(now, timeZone);
+  
+  if (start < end) {
+    return time >= start && time < end ? getInstantInTimeZone(today, end, timeZone) : null;
+  }
+  
+  // Overnight: quiet from the start time until the end time the next morning
+  if (time >= start) return getInstantInTimeZone(addDays(today, 1), end, timeZone);
+  if (time < end) return getInstantInTimeZone(today, end, timeZone);
+  return null;
+};
+
+/**
+ * Get the end of the do-not-disturb (vacation) window a user is in.
+ * dnd_start and dnd_end are local dates and both days are included.
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} - Midnight after dnd_end, or null if do-not-disturb is off
+ */
+const getDoNotDisturbEnd = (notificationPrefs, now = new Date()) => {
+  const start = normalizeDoNotDisturbDate(notificationPrefs.dnd_start);
+  const end = normalizeDoNotDisturbDate(notificationPrefs.dnd_end);
+  if (!end) return null;
+  
+  const today = getDateInTimeZone(now, notificationPrefs.timezone);
+  if ((start && today < start) || today > end) return null;
+  
+  return getInstantInTimeZone(addDays(end, 1), '00:00', notificationPrefs.timezone);
+};
+
+/**
+ * Get the time a delivery has to wait for because of the user's quiet hours or
+ * do-not-disturb window. A window ending inside quiet hours (e.g. a vacation
+ * ending at midnight) holds the delivery until the quiet hours end too.
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @param {Object} [options] - { dueToday: the delivery is a due-today alert }
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} - When the delivery may be sent, or null to send it now
+ */
+const getDeliveryHoldUntil = (notificationPrefs, { dueToday = false } = {}, now = new Date()) => {
+  const bypassQuietHours = dueToday && notificationPrefs.quiet_hours_bypass_due_today;
+  let holdUntil = null;
+  let at = now;
+  
+  // Do-not-disturb, then the quiet hours it ends in, is as far as a hold can chain
+  for (let i = 0; i < 3; i++) {
+    const end = getDoNotDisturbEnd(notificationPrefs, at) ||
+      (bypassQuietHours ? null : getQuietHoursEnd(notificationPrefs, at));
+    
+    if (!end) break;
+    holdUntil = at = end;
+  }
+  
+  return holdUntil;
+};
+
+module.exports = {
+  normalizeQuietTime,
+  normalizeDoNotDisturbDate,
+  getQuietHoursEnd,
+  getDoNotDisturbEnd,
+  getDeliveryHoldUntil
+};
@@ -0,0 +1,241 @@
+// Largest reminder offset (days before the due date) a user can choose
+const MAX_REMINDER_OFFSET = 90;
+
+// Maximum number of reminders per bill
+const MAX_REMINDER_COUNT = 10;
+
+// Default overdue cadence: reminders 1, 3 and 7 days after the due date, then weekly
+const DEFAULT_OVERDUE_REMINDER_DAYS = [1, 3, 7];
+const DEFAULT_OVERDUE_REPEAT_DAYS = 7;
+
+// Largest number of days overdue an overdue reminder or the secondary contact can be set to
+const MAX_OVERDUE_DAY = 365;
+
+// Largest interval between repeated overdue reminders
+const MAX_OVERDUE_REPEAT_DAYS = 90;
+
+/**
+ * Normalize a list of reminder offsets (days before the due date)
+ * Accepts an array or a comma separated string such as "14, 7, 3, 1".
+ * @param {Array|string|null} offsets - Offsets to normalize
+ * @returns {Array<number>|null} - Unique offsets sorted from earliest to latest reminder,
+ *   or null if the list is empty
+ */
+const normalizeReminderOffsets = (offsets) => {
+  if (offsets === null || offsets === undefined || offsets === '') return null;
+  
+  const values = Array.isArray(offsets) ? offsets : String(offsets).split(',');
+  const normalized = [];
+  
+  for (const value of values) {
+    const offset = Number(String(value).trim());
+    
+    if (!Number.isInteger(offset) || offset < 1 || offset > MAX_REMINDER_OFFSET) {
+      throw new Error(`Invalid reminder offset: ${value}. Use whole days between 1 and ${MAX_REMINDER_OFFSET}`);
+    }
+    
+    if (!normalized.includes(offset)) normalized.push(offset);
+  }
+  
+  if (normalized.length > MAX_REMINDER_COUNT) {
+    throw new Error(`Invalid reminder offsets: at most ${MAX_REMINDER_COUNT} reminders are allowed`);
+  }
+  
+  return normalized.length > 0 ? normalized.sort((a, b) => b - a) : null;
+};
+
+/**
+ * Get the reminder offsets that apply to a bill: the bill's own override,
+ * else the user's list, else the legacy single notification_days_before value
+ * @param {Object} bill - Bill row
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @returns {Array<number>} - Offsets sorted from earliest to latest reminder
+ */
+const getReminderOffsets = (bill, notificationPrefs) => {
+  if (bill && Array.isArray(bill.reminder_offsets) && bill.reminder_offsets.length > 0) {
+    return normalizeReminderOffsets(bill.reminder_offsets);
+  }
+  
+  if (Array.isArray(notificationPrefs.reminder_offsets) && notificationPrefs.reminder_offsets.length > 0) {
+    return normalizeReminderOffsets(notificationPrefs.reminder_offsets);
+  }
+  
+  return normalizeReminderOffsets([notificationPrefs.notification_days_before || 3]);
+};
+
+/**
+ * Find the reminder that is currently due for a bill. This is the latest
+ * offset that has been reached, so a reminder missed on its exact day (e.g.
+ * the server was down) is still sent on the next run.
+ * @param {Array<number>} offsets - Reminder offsets for the bill
+ * @param {number} daysUntilDue - Days until the bill is due
+ * @returns {number|null} - The offset to send, or null if no reminder has been reached
+ */
+const getDueReminderOffset = (offsets, daysUntilDue) => {
+  if (daysUntilDue <= 0) return null;
+  
+  const reached = offsets.filter(offset => offset >= daysUntilDue);
+  return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+/**
+ * Parse a whole number of days within a range
+ * @param {*} value - Value to parse
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string} name - Setting name for the error message
+ * @returns {number|null} - The number of days, or null if the value is empty
+ */
+const parseDays = (value, min, max, name) => {
+  if (value === null || value === undefined || value === '') return null;
+  
+  const days = Number(String(value).trim());
+  
+  if (!Number.isInteger(days) || days < min || days > max) {
+    throw new Error(`Invalid ${name}: ${value}. Use whole days between ${min} and ${max}`);
+  }
+  
+  return days;
+};
+
+/**
+ * Normalize the days after the due date an overdue reminder is sent on.
+ * Accepts an array or a comma separated string such as "1, 3, 7".
+ * @param {Array|string|null} days - Days overdue to normalize
+ * @returns {Array<number>|null} - Unique days sorted from first to last reminder,
+ *   or null if the list is empty
+ */
+const normalizeOverdueReminderDays = (days) => {
+  if (days === null || days === undefined || days === '') return null;
+  
+  const values = Array.isArray(days) ? days : String(days).split(',');
+  const normalized = [];
+  
+  for (const value of values) {
+    const day = parseDays(value, 1, MAX_OVERDUE_DAY, 'overdue reminder day');
+    if (day !== null && !normalized.includes(day)) normalized.push(day);
+  }
+  
+  if (normalized.length > MAX_REMINDER_COUNT) {
+    throw new Error(`Invalid overdue reminder days: at most ${MAX_REMINDER_COUNT} reminders are allowed`);
+  }
+  
+  return normalized.length > 0 ? normalized.sort((a, b) => a - b) : null;
+};
+
+/**
+ * Normalize the interval overdue reminders repeat at after the last reminder day
+ * @param {number|string|null} days - Days between repeats (0 = do not repeat)
+ * @returns {number|null} - Days between repeats, or null if not set
+ */
+const normalizeOverdueRepeatDays = (days) => parseDays(days, 0, MAX_OVERDUE_REPEAT_DAYS, 'overdue repeat interval');
+
+/**
+ * Normalize the days overdue after which the secondary contact is notified
+ * @param {number|string|null} days - Days overdue (0 = never notify the secondary contact)
+ * @returns {number|null} - Days overdue, or null if not set
+ */
+const normalizeSecondaryContactDays = (days) => parseDays(days, 0, MAX_OVERDUE_DAY, 'secondary contact delay');
+
+/**
+ * Get the overdue reminder policy that applies to a bill. Each setting is the
+ * bill's own override if it has one, else the user's preference, else the default.
+ * @param {Object} bill - Bill row
+ * @param {Object} notificationPrefs - The user's notification preferences
+ * @returns {Object} { reminderDays, repeatDays, secondaryContactEmail, secondaryContactAfterDays }
+ *   (secondaryContactAfterDays is null when the secondary contact is not notified)
+ */
+const getOverduePolicy = (bill, notificationPrefs) => {
+  const pick = (column) => {
+    if (bill && bill[column] !== null && bill[column] !== undefined) return bill[column];
+    return notificationPrefs[column];
+  };
+  
+  const reminderDaysSetting = pick('overdue_reminder_days');
+  const reminderDays = Array.isArray(reminderDaysSetting) && reminderDaysSetting.length > 0
+    ? normalizeOverdueReminderDays(reminderDaysSetting)
+    : DEFAULT_OVERDUE_REMINDER_DAYS;
+  
+  const repeatDays = normalizeOverdueRepeatDays(pick('overdue_repeat_days'));
+  const secondaryContactAfterDays = normalizeSecondaryContactDays(pick('secondary_contact_after_days'));
+  const secondaryContactEmail = notificationPrefs.secondary_contact_email || null;
+  
+  return {
+    reminderDays,
+    repeatDays: repeatDays === null ? DEFAULT_OVERDUE_REPEAT_DAYS : repeatDays,
+    secondaryContactEmail,
+    secondaryContactAfterDays: secondaryContactEmail && secondaryContactAfterDays ? secondaryContactAfterDays : null
+  };
+};
+
+/**
+ * Find the overdue reminder that is currently due for a bill: the latest
+ * reminder day reached, then one more reminder every repeatDays after the last
+ * one. Steps are numbered from 0, so a cadence of 1, 3, 7 days then weekly
+ * sends step 0 on day 1, step 1 on day 3, step 2 on day 7, step 3 on day 14...
+ * Like upcoming reminders, a step missed on its exact day is sent on the next run.
+ * @param {Object} policy - Overdue policy (see getOverduePolicy)
+ * @param {number} daysOverdue - Days since the due date
+ * @returns {number|null} - The reminder step to send, or null if no reminder has been reached
+ */
+const getOverdueReminderStep = (policy, daysOverdue) => {
+  const { reminderDays, repeatDays } = policy;
+  const reached = reminderDays.filter(day => day <= daysOverdue).length;
+  
+  if (reached === 0) return null;
+  
+  const lastDay = reminderDays[reminderDays.length - 1];
+  if (reached === reminderDays.length && repeatDays > 0) {
+    return reminderDays.length - 1 + Math.floor((daysOverdue - lastDay) / repeatDays);
+  }
+  
+  return reached - 1;
+};
+
+/**
+ * Get the date a bill's paused (snoozed or acknowledged) reminders resume.
+ * A pause started before the due date always ends on the due date, so the
+ * due today and overdue reminders are never silenced by an upcoming snooze.
+ * @param {Object} bill - Bill row
+ * @returns {string|null} Date (YYYY-MM-DD) reminders resume, or null if not paused
+ */
+const getReminderPauseEnd = (bill) => {
+  if (!bill || !bill.reminders_paused_until) return null;
+  
+  const until = String(bill.reminders_paused_until).slice(0, 10);
+  const dueDate = bill.due_date ? String(bill.due_date).slice(0, 10) : null;
+  const pausedOn = bill.reminders_paused_on ? String(bill.reminders_paused_on).slice(0, 10) : null;
+  
+  if (dueDate && pausedOn && pausedOn < dueDate && dueDate < until) {
+    return dueDate;
+  }
+  
+  return until;
+};
+
+/**
+ * Check whether a bill's reminders are paused on a given day
+ * @param {Object} bill - Bill row
+ * @param {string} today - The user's local date (YYYY-MM-DD)
+ * @returns {boolean} True if reminders should not be sent today
+ */
+const isReminderPaused = (bill, today) => {
+  const pauseEnd = getReminderPauseEnd(bill);
+  return pauseEnd !== null && today < pauseEnd;
+};
+
+module.exports = {
+  MAX_REMINDER_OFFSET,
+  DEFAULT_OVERDUE_REMINDER_DAYS,
+  DEFAULT_OVERDUE_REPEAT_DAYS,
+  normalizeReminderOffsets,
+  getReminderOffsets,
+  getDueReminderOffset,
+  normalizeOverdueReminderDays,
+  normalizeOverdueRepeatDays,
+  normalizeSecondaryContactDays,
+  getOverduePolicy,
+  getOverdueReminderStep,
+  getReminderPauseEnd,
+  isReminderPaused
+};
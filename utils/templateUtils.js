@@ -0,0 +1,133 @@
+// utils/templateUtils.js
+
+/**
+ * Escape a value for safe use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Check whether a template value counts as "true" for an {{#if}} block
+ * @param {*} value - Value to check
+ * @returns {boolean} False for empty values, zero and empty lists
+ */
+const isTruthy = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+};
+
+// Tags: {{{raw}}}, {{#each list}}, {{#if name}}, {{else}}, {{/each}}, {{/if}} and {{name}}
+const TAG = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{#(each|if) (\w+)\}\}|\{\{(else)\}\}|\{\{\/(each|if)\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ * Parsing happens once, before any value is inserted, so template tags inside
+ * values (e.g. a vendor named "{{#each bills}}") are output as text, never run.
+ * Unmatched block tags are kept as text.
+ * @param {string} template - Template source
+ * @returns {Array} Nodes: { text } | { variable, raw } | { block, name, body, otherwise }
+ */
+const parseTemplate = (template) => {
+  const root = { body: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const addText = (text) => {
+    if (text) current()[current().inElse ? 'otherwise' : 'body'].push({ text });
+  };
+  const addNode = (node) => current()[current().inElse ? 'otherwise' : 'body'].push(node);
+
+  let lastIndex = 0;
+  let match;
+  TAG.lastIndex = 0;
+
+  while ((match = TAG.exec(template)) !== null) {
+    const [tag, raw, openBlock, openName, elseTag, closeBlock, variable] = match;
+    addText(template.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    if (raw) {
+      addNode({ variable: raw, raw: true });
+    } else if (variable) {
+      addNode({ variable, raw: false });
+    } else if (openBlock) {
+      const node = { block: openBlock, name: openName, tag, body: [], otherwise: [], inElse: false };
+      addNode(node);
+      stack.push(node);
+    } else if (elseTag && current().block === 'if' && !current().inElse) {
+      current().inElse = true;
+    } else if (closeBlock && current().block === closeBlock) {
+      stack.pop();
+    } else {
+      addText(tag);
+    }
+  }
+
+  addText(template.slice(lastIndex));
+
+  // Blocks left open: keep their opening tag as text, followed by their content
+  while (stack.length > 1) {
+    const node = stack.pop();
+    const parent = current()[current().inElse ? 'otherwise' : 'body'];
+    parent.splice(parent.indexOf(node), 1, { text: node.tag }, ...node.body,
+      ...(node.inElse ? [{ text: '{{else}}' }, ...node.otherwise] : []));
+  }
+
+  return root.body;
+};
+
+/**
+ * Render parsed template nodes
+ * @param {Array} nodes - Nodes from parseTemplate
+ * @param {Object} variables - Template variables
+ * @param {boolean} escape - Whether {{name}} values are HTML-escaped
+ * @returns {string} Rendered text
+ */
+const renderNodes = (nodes, variables, escape) => nodes.map(node => {
+  if (node.text !== undefined) return node.text;
+
+  if (node.variable) {
+    const value = variables[node.variable];
+    if (value === undefined || value === null) return '';
+    return escape && !node.raw ? escapeHtml(value) : String(value);
+  }
+
+  if (node.block === 'each') {
+    const items = Array.isArray(variables[node.name]) ? variables[node.name] : [];
+    return items.map(item => renderNodes(node.body, { ...variables, ...item }, escape)).join('');
+  }
+
+  return renderNodes(isTruthy(variables[node.name]) ? node.body : node.otherwise, variables, escape);
+}).join('');
+
+/**
+ * Render a template with variables.
+ *
+ * Supported syntax:
+ * - {{name}}    value (HTML-escaped when options.escape is true)
+ * - {{{name}}}  raw value, never escaped
+ * - {{#if name}}...{{else}}...{{/if}}
+ * - {{#each list}}...{{/each}} (fields of each item are available inside the block)
+ *
+ * Unknown variables render as an empty string.
+ * @param {string} template - Template source
+ * @param {Object} variables - Template variables
+ * @param {Object} [options] - { escape: boolean }
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, variables = {}, options = {}) => {
+  const { escape = false } = options;
+  return renderNodes(parseTemplate(template || ''), variables, escape);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
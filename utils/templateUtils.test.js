@@ -0,0 +1,64 @@
+const { escapeHtml, renderTemplate } = require('./templateUtils');
+
+describe('renderTemplate', () => {
+  test('inserts variables, escaping them only when asked', () => {
+    expect(renderTemplate('Hi {{ name }}', { name: '<b>Ann</b>' })).toBe('Hi <b>Ann</b>');
+    expect(renderTemplate('Hi {{name}}', { name: '<b>Ann</b>' }, { escape: true })).toBe('Hi &lt;b&gt;Ann&lt;/b&gt;');
+    expect(renderTemplate('{{{url}}}', { url: 'https://x.test/?a=1&b=2' }, { escape: true })).toBe('https://x.test/?a=1&b=2');
+  });
+
+  test('renders unknown variables as empty strings', () => {
+    expect(renderTemplate('[{{missing}}][{{{missing}}}]', {})).toBe('[][]');
+  });
+
+  test('renders if and else blocks', () => {
+    const template = '{{#if overdue}}late{{else}}on time{{/if}}';
+    expect(renderTemplate(template, { overdue: true })).toBe('late');
+    expect(renderTemplate(template, { overdue: false })).toBe('on time');
+    expect(renderTemplate('{{#if bills}}some{{/if}}', { bills: [] })).toBe('');
+  });
+
+  test('repeats each blocks with the fields of each item', () => {
+    const template = '{{#each bills}}{{vendor}}{{#if paid}} (paid){{/if}}; {{/each}}{{total}}';
+    expect(renderTemplate(template, {
+      total: '3 bills',
+      bills: [{ vendor: 'Water', paid: true }, { vendor: 'Power' }, { vendor: 'Rent' }]
+    })).toBe('Water (paid); Power; Rent; 3 bills');
+  });
+
+  test('supports nested blocks of the same kind', () => {
+    const template = '{{#each groups}}{{name}}:{{#each items}} {{label}}{{/each}}|{{/each}}';
+    expect(renderTemplate(template, {
+      groups: [{ name: 'a', items: [{ label: '1' }, { label: '2' }] }, { name: 'b', items: [] }]
+    })).toBe('a: 1 2|b:|');
+
+    expect(renderTemplate('{{#if a}}{{#if b}}ab{{else}}a{{/if}}{{/if}}', { a: true, b: false })).toBe('a');
+  });
+
+  test('outputs template tags inside values as text instead of running them', () => {
+    const template = '{{#each bills}}<li>{{vendor}}</li>{{/each}}';
+    const bills = [
+      { vendor: '{{#each bills}}{{vendor}}{{/each}}' },
+      { vendor: '{{{mark_paid_url}}}' },
+      { vendor: '{{#if secret}}x{{/if}}' }
+    ];
+    const variables = { bills, mark_paid_url: 'https://x.test/secret', secret: true };
+
+    expect(renderTemplate(template, variables)).toBe(
+      '<li>{{#each bills}}{{vendor}}{{/each}}</li><li>{{{mark_paid_url}}}</li><li>{{#if secret}}x{{/if}}</li>'
+    );
+    expect(renderTemplate('{{vendor}} {{{vendor}}}', { vendor: '{{{mark_paid_url}}}', mark_paid_url: 'leak' }))
+      .toBe('{{{mark_paid_url}}} {{{mark_paid_url}}}');
+  });
+
+  test('keeps unmatched block tags as text', () => {
+    expect(renderTemplate('a {{/if}} b {{else}} c', {})).toBe('a {{/if}} b {{else}} c');
+    expect(renderTemplate('{{#if x}}open {{name}}', { name: 'n' })).toBe('{{#if x}}open n');
+  });
+});
+
+describe('escapeHtml', () => {
+  test('escapes HTML special characters', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,188 @@
+const zlib = require('zlib');
+
+// Signatures of the ZIP records used here (APPNOTE.TXT)
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Bit 11 of the general purpose flags: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {Object} - { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP archive. Files are deflated unless that does not make them
+ * smaller (e.g. JPEG images), in which case they are stored.
+ * @param {Array<Object>} files - [{ name, data }] where data is a Buffer or string
+ * @param {Date} [modifiedAt] - Modification date written for every file
+ * @returns {Buffer} - ZIP archive
+ */
+const createZip = (files, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const content = method === DEFLATED ? deflated : data;
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, content);
+    centralParts.push(central, name);
+    offset += local.length + name.length + content.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+/**
+ * Read the files of a ZIP archive (stored or deflated, without encryption)
+ * @param {Buffer} buffer - ZIP archive
+ * @param {Object} [options] - { maxSize } largest total uncompressed size in bytes
+ * @returns {Map<string, Buffer>} - File contents by name (directories are skipped)
+ */
+const readZip = (buffer, { maxSize = 200 * 1024 * 1024 } = {}) => {
+  // The end of central directory record is at the end, followed by an optional comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & 0x1) {
+      throw new Error(`Invalid ZIP archive: ${name} is encrypted`);
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw new Error(`Invalid ZIP archive: ${name} uses an unsupported compression method`);
+    }
+
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw new Error('Invalid ZIP archive: contents are too large');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid ZIP archive: corrupt entry ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const content = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === DEFLATED
+      ? zlib.inflateRawSync(content, { maxOutputLength: Math.max(size, 1) })
+      : Buffer.from(content);
+
+    if (data.length !== size || crc32(data) !== checksum) {
+      throw new Error(`Invalid ZIP archive: checksum mismatch for ${name}`);
+    }
+
+    files.set(name, data);
+  }
+
+  return files;
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
@@ -0,0 +1,46 @@
+const { createZip, readZip } = require('./zipUtils');
+
+describe('readZip', () => {
+  test('reads back what createZip wrote', () => {
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const text = 'bill '.repeat(200);
+    const files = readZip(createZip([
+      { name: 'bills.json', data: text },
+      { name: 'images/uploads/café.png', data: image },
+      { name: 'empty.txt', data: '' }
+    ]));
+
+    expect([...files.keys()]).toEqual(['bills.json', 'images/uploads/café.png', 'empty.txt']);
+    expect(files.get('bills.json').toString('utf8')).toBe(text);
+    expect(files.get('images/uploads/café.png').equals(image)).toBe(true);
+    expect(files.get('empty.txt').length).toBe(0);
+  });
+
+  test('rejects data that is not a ZIP archive', () => {
+    expect(() => readZip(Buffer.from('not a zip file at all, just some text'))).toThrow('end of central directory not found');
+    expect(() => readZip(Buffer.alloc(0))).toThrow('end of central directory not found');
+  });
+
+  test('rejects corrupted contents', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'abcdef' }]);
+    zip[30 + 'a.txt'.length] ^= 0xff;
+
+    expect(() => readZip(zip)).toThrow('Invalid ZIP archive: checksum mismatch for a.txt');
+  });
+
+  test('rejects archives larger than maxSize', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'x'.repeat(1000) }, { name: 'b.txt', data: 'y'.repeat(1000) }]);
+
+    expect(() => readZip(zip, { maxSize: 1500 })).toThrow('Invalid ZIP archive: contents are too large');
+    expect(readZip(zip, { maxSize: 2000 }).size).toBe(2);
+  });
+
+  test('does not inflate past the size the archive declares', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'x'.repeat(100000) }]);
+    // Claim a tiny uncompressed size in the central directory
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(10, central + 24);
+
+    expect(() => readZip(zip)).toThrow();
+  });
+});